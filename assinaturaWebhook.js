@@ -0,0 +1,78 @@
+// assinaturaWebhook.js - Validação da assinatura (x-signature) das notificações do Mercado Pago
+
+const crypto = require('crypto');
+
+// Janela padrão aceita entre o ts da assinatura e o relógio do servidor (bloqueia replays)
+const TOLERANCIA_PADRAO_SEGUNDOS = 300;
+
+// Lê o header x-signature no formato "ts=1704908010,v1=618c85..."
+function lerHeaderAssinatura(xSignature) {
+  const partes = {};
+  for (const parte of String(xSignature).split(',')) {
+    const indice = parte.indexOf('=');
+    if (indice === -1) continue;
+    partes[parte.slice(0, indice).trim()] = parte.slice(indice + 1).trim();
+  }
+  return { ts: partes.ts, v1: partes.v1 };
+}
+
+// Monta o manifest documentado pelo Mercado Pago: "id:[data.id];request-id:[x-request-id];ts:[ts];"
+// Partes sem valor são omitidas. Ids alfanuméricos devem ser usados em minúsculas.
+function montarManifest({ dataId, requestId, ts }) {
+  let manifest = '';
+  if (dataId) manifest += `id:${String(dataId).toLowerCase()};`;
+  if (requestId) manifest += `request-id:${requestId};`;
+  if (ts) manifest += `ts:${ts};`;
+  return manifest;
+}
+
+function gerarAssinatura(manifest, segredo) {
+  return crypto.createHmac('sha256', segredo).update(manifest).digest('hex');
+}
+
+// O Mercado Pago já enviou ts em segundos e em milissegundos; normaliza para milissegundos
+function tsParaMilissegundos(ts) {
+  const valor = Number(ts);
+  return valor < 1e12 ? valor * 1000 : valor;
+}
+
+// Retorna { valida: true } ou { valida: false, motivo } para ser logado pelo chamador
+function verificarAssinatura({ xSignature, xRequestId, dataId, segredo, agora = Date.now(), toleranciaSegundos = TOLERANCIA_PADRAO_SEGUNDOS }) {
+  if (!segredo) {
+    return { valida: false, motivo: 'segredo do webhook não configurado' };
+  }
+  if (!xSignature) {
+    return { valida: false, motivo: 'header x-signature ausente' };
+  }
+  if (!xRequestId) {
+    return { valida: false, motivo: 'header x-request-id ausente' };
+  }
+
+  const { ts, v1 } = lerHeaderAssinatura(xSignature);
+  if (!ts || !v1) {
+    return { valida: false, motivo: 'header x-signature malformado' };
+  }
+  if (!/^\d+$/.test(ts)) {
+    return { valida: false, motivo: 'timestamp da assinatura inválido' };
+  }
+
+  const diferencaSegundos = Math.abs(agora - tsParaMilissegundos(ts)) / 1000;
+  if (diferencaSegundos > toleranciaSegundos) {
+    return { valida: false, motivo: `timestamp fora da tolerância (${Math.round(diferencaSegundos)}s)` };
+  }
+
+  const esperada = Buffer.from(gerarAssinatura(montarManifest({ dataId, requestId: xRequestId, ts }), segredo), 'hex');
+  const recebida = Buffer.from(v1, 'hex');
+  if (recebida.length !== esperada.length || !crypto.timingSafeEqual(recebida, esperada)) {
+    return { valida: false, motivo: 'assinatura não confere' };
+  }
+
+  return { valida: true };
+}
+
+module.exports = {
+  TOLERANCIA_PADRAO_SEGUNDOS,
+  montarManifest,
+  gerarAssinatura,
+  verificarAssinatura,
+};
@@ -0,0 +1,163 @@
+// auth.js - Autenticação dos usuários do painel (dono e funcionários) e dos clientes do PWA
+// Senhas com scrypt e tokens JWT (HS256) assinados com ADMIN_JWT_SECRET. Os clientes entram por
+// código de acesso (clientes.js) e recebem um token com o papel `cliente`, que não abre o painel.
+
+const crypto = require('crypto');
+const db = require('./db');
+
+// Papéis do painel: owner edita o catálogo e tudo mais; staff só acompanha e atualiza pedidos
+const PAPEIS = ['owner', 'staff'];
+const PAPEL_CLIENTE = 'cliente';
+const EXPIRACAO_PADRAO_HORAS = 12;
+const EXPIRACAO_CLIENTE_HORAS = 24 * 30;
+
+// Por quanto tempo a consulta de admin_users.ativo vale para as requisições seguintes do mesmo usuário
+const SEGUNDOS_CACHE_USUARIO_ATIVO = 30;
+
+// Hash de referência usado quando o e-mail não existe, para que o tempo de resposta não revele usuários
+const HASH_FICTICIO = 'scrypt$00000000000000000000000000000000$' + '0'.repeat(128);
+
+function gerarHashSenha(senha) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(String(senha), salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+function verificarSenha(senha, hashArmazenado) {
+  const [algoritmo, salt, hash] = String(hashArmazenado).split('$');
+  if (algoritmo !== 'scrypt' || !salt || !hash) return false;
+  const esperado = Buffer.from(hash, 'hex');
+  const calculado = crypto.scryptSync(String(senha), salt, esperado.length);
+  return crypto.timingSafeEqual(calculado, esperado);
+}
+
+const base64url = (valor) => Buffer.from(valor).toString('base64url');
+
+function assinar(conteudo, segredo) {
+  return crypto.createHmac('sha256', segredo).update(conteudo).digest('base64url');
+}
+
+function gerarToken(usuario, segredo, expiracaoHoras = EXPIRACAO_PADRAO_HORAS) {
+  const agora = Math.floor(Date.now() / 1000);
+  const cabecalho = base64url(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64url(JSON.stringify({
+    sub: String(usuario.id),
+    email: usuario.email,
+    papel: usuario.papel,
+    loja: usuario.idLoja,
+    iat: agora,
+    exp: agora + Math.round(expiracaoHoras * 3600)
+  }));
+  return `${cabecalho}.${payload}.${assinar(`${cabecalho}.${payload}`, segredo)}`;
+}
+
+// Retorna o payload do token ou null se a assinatura for inválida ou o token tiver expirado
+function verificarToken(token, segredo) {
+  const partes = String(token).split('.');
+  if (partes.length !== 3) return null;
+
+  const [cabecalho, payload, assinatura] = partes;
+  const esperada = Buffer.from(assinar(`${cabecalho}.${payload}`, segredo));
+  const recebida = Buffer.from(assinatura);
+  if (recebida.length !== esperada.length || !crypto.timingSafeEqual(recebida, esperada)) return null;
+
+  try {
+    const { alg } = JSON.parse(Buffer.from(cabecalho, 'base64url').toString());
+    const dados = JSON.parse(Buffer.from(payload, 'base64url').toString());
+    if (alg !== 'HS256' || !dados.exp || dados.exp <= Math.floor(Date.now() / 1000)) return null;
+    return dados;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Confere e-mail e senha do usuário da loja na tabela admin_users. Retorna o usuário (sem o hash) ou null.
+async function autenticarUsuario(idLoja, email, senha) {
+  const result = await db.query(
+    'SELECT id, email, nome, papel, senha_hash FROM admin_users WHERE id_loja = $1 AND lower(email) = lower($2) AND ativo = TRUE;',
+    [idLoja, String(email).trim()]
+  );
+  const usuario = result.rows[0];
+  const senhaConfere = verificarSenha(senha, usuario ? usuario.senha_hash : HASH_FICTICIO);
+  if (!usuario || !senhaConfere) return null;
+
+  await db.query('UPDATE admin_users SET ultimo_login = NOW() WHERE id = $1;', [usuario.id]);
+  return { id: usuario.id, idLoja, email: usuario.email, nome: usuario.nome, papel: usuario.papel };
+}
+
+// Usuário desativado no painel perde o acesso sem esperar o token expirar. O resultado fica em cache
+// por SEGUNDOS_CACHE_USUARIO_ATIVO para não consultar o banco em toda requisição.
+const usuariosAtivos = new Map();
+
+async function usuarioAtivo(usuario) {
+  const agora = Date.now();
+  const emCache = usuariosAtivos.get(usuario.sub);
+  if (emCache && emCache.expira > agora) return emCache.ativo;
+
+  const result = await db.query('SELECT ativo FROM admin_users WHERE id = $1 AND id_loja = $2;', [usuario.sub, usuario.loja]);
+  const ativo = result.rows.length > 0 && result.rows[0].ativo === true;
+  usuariosAtivos.set(usuario.sub, { ativo, expira: agora + SEGUNDOS_CACHE_USUARIO_ATIVO * 1000 });
+  return ativo;
+}
+
+function tokenDoHeader(req) {
+  const [tipo, token] = (req.get('authorization') || '').split(' ');
+  return tipo === 'Bearer' && token ? token : null;
+}
+
+function criarMiddleware(segredo, papeisPermitidos, lerToken) {
+  return async (req, res, next) => {
+    const token = lerToken(req);
+    const usuario = token ? verificarToken(token, segredo) : null;
+
+    if (!usuario) {
+      return res.status(401).json({ code: 'nao_autenticado', message: 'Autenticação necessária.' });
+    }
+    // O token só vale na loja em que o usuário entrou
+    if (!req.loja || usuario.loja !== req.loja.id) {
+      return res.status(401).json({ code: 'nao_autenticado', message: 'Token de outra loja. Entre novamente.' });
+    }
+    if (papeisPermitidos.length > 0 && !papeisPermitidos.includes(usuario.papel)) {
+      return res.status(403).json({ code: 'sem_permissao', message: 'Permissão insuficiente para esta operação.' });
+    }
+    // A conta do cliente é conferida pelas rotas que a usam (clientes.buscarCliente)
+    if (usuario.papel !== PAPEL_CLIENTE && !(await usuarioAtivo(usuario))) {
+      return res.status(401).json({ code: 'nao_autenticado', message: 'Usuário desativado. Entre novamente.' });
+    }
+
+    req.usuario = usuario;
+    next();
+  };
+}
+
+// Middleware que exige um token válido (header Authorization: Bearer <token>) com um dos papéis informados
+function exigirPapel(segredo, ...papeisPermitidos) {
+  return criarMiddleware(segredo, papeisPermitidos, tokenDoHeader);
+}
+
+// Igual a exigirPapel, mas requisições sem token seguem sem req.usuario (ex.: pedido de quem não tem conta).
+// Um token enviado continua sendo conferido.
+function identificarOpcional(segredo, ...papeisPermitidos) {
+  const exigir = exigirPapel(segredo, ...papeisPermitidos);
+  return (req, res, next) => (tokenDoHeader(req) ? exigir(req, res, next) : next());
+}
+
+// Igual a exigirPapel, mas também aceita ?access_token= (o EventSource do navegador não envia headers)
+function exigirPapelStream(segredo, ...papeisPermitidos) {
+  return criarMiddleware(segredo, papeisPermitidos, req => tokenDoHeader(req) || req.query.access_token || null);
+}
+
+module.exports = {
+  PAPEIS,
+  PAPEL_CLIENTE,
+  EXPIRACAO_PADRAO_HORAS,
+  EXPIRACAO_CLIENTE_HORAS,
+  gerarHashSenha,
+  verificarSenha,
+  gerarToken,
+  verificarToken,
+  autenticarUsuario,
+  exigirPapel,
+  identificarOpcional,
+  exigirPapelStream,
+};
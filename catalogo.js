@@ -0,0 +1,471 @@
+// catalogo.js - Escrita no catálogo (produtos e complementos_disponiveis)
+// Exclusões são lógicas (ativo = FALSE) para não quebrar itens_do_pedido antigos,
+// e toda mudança de preço fica registrada em precos_historico.
+// Toda escrita dá ao item uma nova `versao`, usada pelo PWA para buscar só o que mudou.
+
+const db = require('./db');
+
+// Versão gravada em todo UPDATE: o id da transação que escreve (o mesmo default dos INSERTs)
+const NOVA_VERSAO = 'pg_current_xact_id()::text::bigint';
+
+// Erro de validação ou de estado do catálogo; `status` é o código HTTP que a rota deve devolver
+class ErroCatalogo extends Error {
+  constructor(message, status = 400, detalhes = [], code = undefined) {
+    super(message);
+    this.name = 'ErroCatalogo';
+    this.status = status;
+    this.detalhes = detalhes;
+    this.code = code;
+  }
+}
+
+// Validadores de campo: recebem o valor bruto e devolvem o valor normalizado ou lançam um Error com o motivo
+const texto = ({ obrigatorio = false, maximo = 255 } = {}) => (valor) => {
+  if (valor === undefined || valor === null || String(valor).trim() === '') {
+    if (obrigatorio) throw new Error('é obrigatório');
+    return null;
+  }
+  if (typeof valor !== 'string') throw new Error('deve ser um texto');
+  if (valor.trim().length > maximo) throw new Error(`deve ter no máximo ${maximo} caracteres`);
+  return valor.trim();
+};
+
+const preco = () => (valor) => {
+  const numero = typeof valor === 'string' ? Number(valor.replace(',', '.')) : valor;
+  if (typeof numero !== 'number' || !Number.isFinite(numero)) throw new Error('deve ser um número');
+  if (numero < 0) throw new Error('não pode ser negativo');
+  if (Math.round(numero * 100) !== Math.round(numero * 1000) / 10) throw new Error('deve ter no máximo 2 casas decimais');
+  return Math.round(numero * 100) / 100;
+};
+
+const inteiroNaoNegativo = ({ padrao = 0, maximo = 50 } = {}) => (valor) => {
+  if (valor === undefined || valor === null || valor === '') return padrao;
+  const numero = Number(valor);
+  if (!Number.isInteger(numero) || numero < 0 || numero > maximo) throw new Error(`deve ser um inteiro entre 0 e ${maximo}`);
+  return numero;
+};
+
+// Id informado na criação ou importação (a coluna é INTEGER): inteiro positivo, em número ou texto
+const ID_MAXIMO = 2147483647;
+const idInformado = (dados) => dados.id !== undefined && dados.id !== null && dados.id !== '';
+function conferirId(valor) {
+  const numero = typeof valor === 'string' && /^\d+$/.test(valor.trim()) ? Number(valor) : valor;
+  if (!Number.isInteger(numero) || numero <= 0 || numero > ID_MAXIMO) throw new Error('deve ser um inteiro positivo');
+  return numero;
+}
+
+const ENTIDADES = {
+  produto: {
+    tabela: 'produtos',
+    rotulo: 'Produto',
+    campos: {
+      nome: texto({ obrigatorio: true }),
+      descricao: texto({ maximo: 2000 }),
+      preco: preco(),
+      categoria: texto({ obrigatorio: true, maximo: 100 }),
+      imagem_url: texto({ maximo: 2000 }),
+      num_complementos_gratis: inteiroNaoNegativo()
+    }
+  },
+  complemento: {
+    tabela: 'complementos_disponiveis',
+    rotulo: 'Complemento',
+    campos: {
+      nome: texto({ obrigatorio: true }),
+      preco: preco(),
+      categoria: texto({ obrigatorio: true, maximo: 100 })
+    }
+  }
+};
+
+// Valida os campos de uma entidade. Em modo parcial (PATCH) só os campos enviados são validados,
+// e `ativo` também conta como campo (PATCH { "ativo": true } reativa o item).
+function validar(tipo, dados, { parcial = false, prefixo = '' } = {}) {
+  const { campos } = ENTIDADES[tipo];
+  const valores = {};
+  const erros = [];
+
+  if (!dados || typeof dados !== 'object' || Array.isArray(dados)) {
+    throw new ErroCatalogo('Corpo da requisição inválido.', 400, [], 'dados_invalidos');
+  }
+
+  // O id não entra nos valores: criar o grava à parte
+  if (!parcial && idInformado(dados)) {
+    try {
+      conferirId(dados.id);
+    } catch (error) {
+      erros.push({ field: `${prefixo}id`, message: `${error.message}.` });
+    }
+  }
+  for (const [campo, validador] of Object.entries(campos)) {
+    if (parcial && !(campo in dados)) continue;
+    try {
+      valores[campo] = validador(dados[campo]);
+    } catch (error) {
+      erros.push({ field: `${prefixo}${campo}`, message: `${error.message}.` });
+    }
+  }
+  if (parcial && 'ativo' in dados) {
+    if (typeof dados.ativo === 'boolean') {
+      valores.ativo = dados.ativo;
+    } else {
+      erros.push({ field: `${prefixo}ativo`, message: 'deve ser true ou false.' });
+    }
+  }
+
+  if (parcial && Object.keys(valores).length === 0 && erros.length === 0) {
+    erros.push({ field: '(corpo)', message: 'nenhum campo para atualizar.' });
+  }
+  if (erros.length > 0) {
+    throw new ErroCatalogo('Dados do catálogo inválidos.', 400, erros, 'dados_invalidos');
+  }
+  return valores;
+}
+
+async function registrarPreco(client, idLoja, tipo, id, precoAnterior, precoNovo, ator) {
+  await client.query(`
+    INSERT INTO precos_historico (id_loja, tipo, id_item, preco_anterior, preco_novo, ator)
+    VALUES ($1, $2, $3, $4, $5, $6);
+  `, [idLoja, tipo, String(id), precoAnterior, precoNovo, ator]);
+}
+
+// Cria um item da loja; sem `id` o banco gera o próximo. Deve ser chamada dentro de uma transação.
+async function criar(client, idLoja, tipo, dados, ator) {
+  const { tabela, rotulo } = ENTIDADES[tipo];
+  const valores = validar(tipo, dados);
+  const colunas = Object.keys(valores);
+  const params = Object.values(valores);
+
+  if (idInformado(dados)) {
+    const id = conferirId(dados.id);
+    // Os ids são únicos dentro da loja; outra loja pode ter um item com o mesmo id
+    const existente = await client.query(`SELECT 1 FROM ${tabela} WHERE id = $1 AND id_loja = $2;`, [id, idLoja]);
+    if (existente.rows.length > 0) {
+      throw new ErroCatalogo(`${rotulo} ${id} já existe.`, 409);
+    }
+    colunas.unshift('id');
+    params.unshift(id);
+  }
+
+  const result = await client.query(`
+    INSERT INTO ${tabela} (${colunas.join(', ')}, id_loja, ativo)
+    VALUES (${params.map((_, i) => `$${i + 1}`).join(', ')}, $${params.length + 1}, TRUE)
+    RETURNING *;
+  `, [...params, idLoja]);
+  const criado = result.rows[0];
+
+  // Com id explícito a sequência do SERIAL não avança; alinha para os próximos POST sem id (a
+  // sequência é de todas as lojas, então um id gerado nunca repete o de nenhuma delas)
+  if (colunas[0] === 'id') {
+    const sequenciaResult = await client.query('SELECT pg_get_serial_sequence($1, \'id\') AS sequencia;', [tabela]);
+    const { sequencia } = sequenciaResult.rows[0];
+    if (sequencia) {
+      await client.query(`SELECT setval($1, GREATEST((SELECT MAX(id) FROM ${tabela}), 1));`, [sequencia]);
+    }
+  }
+
+  await registrarPreco(client, idLoja, tipo, criado.id, null, valores.preco, ator);
+  return criado;
+}
+
+// Atualiza apenas os campos enviados. Reativa o item se `ativo: true` for informado.
+async function atualizar(client, idLoja, tipo, id, dados, ator) {
+  const { tabela, rotulo } = ENTIDADES[tipo];
+  const valores = validar(tipo, dados, { parcial: true });
+
+  const atualResult = await client.query(
+    `SELECT * FROM ${tabela} WHERE id::text = $1 AND id_loja = $2 FOR UPDATE;`,
+    [String(id), idLoja]
+  );
+  const atual = atualResult.rows[0];
+  if (!atual) {
+    throw new ErroCatalogo(`${rotulo} ${id} não encontrado.`, 404);
+  }
+
+  const colunas = Object.keys(valores);
+  const result = await client.query(`
+    UPDATE ${tabela}
+    SET ${colunas.map((coluna, i) => `${coluna} = $${i + 2}`).join(', ')}, versao = ${NOVA_VERSAO}
+    WHERE id = $1 AND id_loja = $${colunas.length + 2}
+    RETURNING *;
+  `, [atual.id, ...Object.values(valores), idLoja]);
+
+  if (valores.preco !== undefined && parseFloat(atual.preco) !== valores.preco) {
+    await registrarPreco(client, idLoja, tipo, id, atual.preco, valores.preco, ator);
+  }
+  return result.rows[0];
+}
+
+// Exclusão lógica: o item some do cardápio, mas continua referenciável pelos pedidos antigos
+async function desativar(client, idLoja, tipo, id) {
+  const { tabela, rotulo } = ENTIDADES[tipo];
+  const result = await client.query(
+    `UPDATE ${tabela} SET ativo = FALSE, versao = ${NOVA_VERSAO} WHERE id::text = $1 AND id_loja = $2 RETURNING *;`,
+    [String(id), idLoja]
+  );
+  if (result.rows.length === 0) {
+    throw new ErroCatalogo(`${rotulo} ${id} não encontrado.`, 404);
+  }
+  return result.rows[0];
+}
+
+const CAMPOS_COMPARADOS = (tipo) => Object.keys(ENTIDADES[tipo].campos);
+
+function mudou(tipo, atual, valores) {
+  return !atual.ativo || CAMPOS_COMPARADOS(tipo).some(campo => {
+    if (campo === 'preco') return parseFloat(atual.preco) !== valores.preco;
+    const valorAtual = atual[campo] === undefined ? null : atual[campo];
+    return String(valorAtual) !== String(valores[campo]);
+  });
+}
+
+// Importação em lote por diferença: cria os novos, atualiza os alterados e desativa os ausentes.
+// `itens` é uma lista de objetos com `id` e os campos da entidade. Deve ser chamada dentro de uma transação.
+async function importar(client, idLoja, tipo, itens, ator) {
+  const { tabela } = ENTIDADES[tipo];
+  const erros = [];
+  const validos = [];
+  const ids = new Set();
+
+  itens.forEach((item, indice) => {
+    const prefixo = `[${indice}].`;
+    if (!item || typeof item !== 'object') {
+      erros.push({ field: `[${indice}]`, message: 'item inválido.' });
+      return;
+    }
+    if (item.id === undefined || item.id === null || item.id === '') {
+      erros.push({ field: `${prefixo}id`, message: 'é obrigatório na importação.' });
+      return;
+    }
+    let id;
+    try {
+      id = conferirId(item.id);
+    } catch (error) {
+      erros.push({ field: `${prefixo}id`, message: `${error.message}.` });
+      return;
+    }
+    if (ids.has(String(id))) {
+      erros.push({ field: `${prefixo}id`, message: `${item.id} repetido.` });
+      return;
+    }
+    ids.add(String(id));
+    try {
+      validos.push({ id, valores: validar(tipo, item, { prefixo }) });
+    } catch (error) {
+      erros.push(...error.detalhes);
+    }
+  });
+  if (erros.length > 0) {
+    throw new ErroCatalogo('Dados do catálogo inválidos.', 400, erros, 'dados_invalidos');
+  }
+
+  const atuaisResult = await client.query(`SELECT * FROM ${tabela} WHERE id_loja = $1 FOR UPDATE;`, [idLoja]);
+  const atuais = new Map(atuaisResult.rows.map(row => [String(row.id), row]));
+  const resumo = { criados: 0, atualizados: 0, desativados: 0, inalterados: 0 };
+
+  for (const { id, valores } of validos) {
+    const atual = atuais.get(String(id));
+    if (!atual) {
+      await criar(client, idLoja, tipo, { id, ...valores }, ator);
+      resumo.criados++;
+    } else if (mudou(tipo, atual, valores)) {
+      await atualizar(client, idLoja, tipo, id, { ...valores, ativo: true }, ator);
+      resumo.atualizados++;
+    } else {
+      resumo.inalterados++;
+    }
+  }
+
+  for (const [id, atual] of atuais) {
+    if (atual.ativo && !ids.has(id)) {
+      await desativar(client, idLoja, tipo, atual.id);
+      resumo.desativados++;
+    }
+  }
+
+  return resumo;
+}
+
+// Disponibilidade manual e estoque. Ficam fora da importação em lote, que o cardápio do painel
+// envia sem esses campos. `estoque: null` desliga o controle de estoque do item.
+async function alterarDisponibilidade(client, idLoja, tipo, id, dados) {
+  const { tabela, rotulo } = ENTIDADES[tipo];
+  const valores = {};
+  const erros = [];
+
+  if (!dados || typeof dados !== 'object') {
+    throw new ErroCatalogo('Corpo da requisição inválido.', 400, [], 'dados_invalidos');
+  }
+  if ('esgotado' in dados) {
+    if (typeof dados.esgotado !== 'boolean') erros.push({ field: 'esgotado', message: 'deve ser true ou false.' });
+    valores.esgotado = dados.esgotado;
+  }
+  if ('estoque' in dados) {
+    if (dados.estoque !== null && (!Number.isInteger(dados.estoque) || dados.estoque < 0)) {
+      erros.push({ field: 'estoque', message: 'deve ser um inteiro não negativo ou null.' });
+    }
+    valores.estoque = dados.estoque;
+  }
+  if (Object.keys(valores).length === 0) erros.push({ field: '(corpo)', message: 'informe esgotado e/ou estoque.' });
+  if (erros.length > 0) {
+    throw new ErroCatalogo('Dados de disponibilidade inválidos.', 400, erros, 'dados_invalidos');
+  }
+
+  const colunas = Object.keys(valores);
+  const result = await client.query(`
+    UPDATE ${tabela}
+    SET ${colunas.map((coluna, i) => `${coluna} = $${i + 3}`).join(', ')}, versao = ${NOVA_VERSAO}
+    WHERE id::text = $1 AND id_loja = $2
+    RETURNING *;
+  `, [String(id), idLoja, ...Object.values(valores)]);
+  if (result.rows.length === 0) {
+    throw new ErroCatalogo(`${rotulo} ${id} não encontrado.`, 404);
+  }
+  return result.rows[0];
+}
+
+// Baixa o estoque dos produtos e complementos de um pedido já precificado, de forma atômica:
+// o UPDATE só acontece se houver saldo, então dois pedidos simultâneos não vendem a mesma unidade.
+// Itens sem controle (estoque nulo) não são afetados. Deve ser chamada dentro da transação do pedido.
+async function baixarEstoque(client, idLoja, itensPrecificados) {
+  const quantidades = { produto: new Map(), complemento: new Map() };
+  const somar = (mapa, id, quantidade) => mapa.set(String(id), (mapa.get(String(id)) || 0) + quantidade);
+
+  for (const item of itensPrecificados) {
+    somar(quantidades.produto, item.productId, item.quantity);
+    for (const comp of item.complements) {
+      somar(quantidades.complemento, comp.id, item.quantity);
+    }
+  }
+
+  const semEstoque = [];
+  for (const tipo of ['produto', 'complemento']) {
+    const { tabela, rotulo } = ENTIDADES[tipo];
+    // Ordem fixa de ids evita deadlock entre pedidos concorrentes
+    const ids = [...quantidades[tipo].keys()].sort();
+    for (const id of ids) {
+      const quantidade = quantidades[tipo].get(id);
+      // O CHECK (estoque >= 0) recusaria o saldo negativo com um erro do banco; sem saldo, o UPDATE
+      // simplesmente não encontra a linha
+      const result = await client.query(`
+        UPDATE ${tabela}
+        SET estoque = estoque - $2, versao = ${NOVA_VERSAO}
+        WHERE id::text = $1 AND id_loja = $3 AND estoque IS NOT NULL AND estoque >= $2
+        RETURNING estoque;
+      `, [id, quantidade, idLoja]);
+      if (result.rows.length === 0) {
+        const atual = await client.query(`SELECT nome, estoque FROM ${tabela} WHERE id::text = $1 AND id_loja = $2;`, [id, idLoja]);
+        const item = atual.rows[0];
+        if (item && item.estoque !== null) {
+          semEstoque.push(`${rotulo} ${item.nome}: estoque insuficiente (faltam ${quantidade - item.estoque}).`);
+        }
+      }
+    }
+  }
+
+  if (semEstoque.length > 0) {
+    throw new ErroCatalogo('Alguns itens do pedido não têm estoque suficiente.', 409, semEstoque);
+  }
+}
+
+// Inverso de baixarEstoque para um pedido já gravado: `sentido` 1 devolve ao estoque os produtos e
+// complementos do pedido (cancelado ou estornado) e -1 baixa de novo (cancelado que o Mercado Pago
+// aprovou depois). A baixa de novo não falha por falta de saldo, porque o pagamento já foi feito:
+// o estoque para em zero. Deve ser chamada dentro da transação que muda o status do pedido.
+async function movimentarEstoqueDoPedido(client, idPedido, sentido) {
+  const itensResult = await client.query(`
+    SELECT 'produto' AS tipo, i.id_produto AS id, SUM(i.quantidade) AS quantidade
+    FROM itens_do_pedido i WHERE i.id_pedido = $1
+    GROUP BY i.id_produto
+    UNION ALL
+    SELECT 'complemento', c.id_complemento_disponivel, SUM(i.quantidade)
+    FROM complementos_do_item c JOIN itens_do_pedido i ON i.id_item_pedido = c.id_item_pedido
+    WHERE i.id_pedido = $1
+    GROUP BY c.id_complemento_disponivel;
+  `, [idPedido]);
+
+  for (const tipo of ['produto', 'complemento']) {
+    const { tabela } = ENTIDADES[tipo];
+    // Mesma ordem de ids de baixarEstoque, para não haver deadlock com pedidos concorrentes
+    const quantidades = new Map(itensResult.rows
+      .filter(row => row.tipo === tipo)
+      .map(row => [String(row.id), parseInt(row.quantidade, 10)]));
+    for (const id of [...quantidades.keys()].sort()) {
+      await client.query(`
+        UPDATE ${tabela}
+        SET estoque = GREATEST(estoque + $2, 0), versao = ${NOVA_VERSAO}
+        WHERE id::text = $1 AND id_loja = (SELECT id_loja FROM pedidos WHERE id_pedido = $3) AND estoque IS NOT NULL;
+      `, [id, sentido * quantidades.get(id), idPedido]);
+    }
+  }
+}
+
+// Mudanças de preço de um item da loja, da mais recente para a mais antiga
+async function historicoPrecos(idLoja, tipo, id) {
+  const { tabela } = ENTIDADES[tipo];
+  const result = await db.query(`
+    SELECT h.preco_anterior, h.preco_novo, h.ator, h.data_hora
+    FROM precos_historico h
+    JOIN ${tabela} item ON item.id::text = h.id_item AND item.id_loja = h.id_loja
+    WHERE h.tipo = $1 AND h.id_item = $2 AND h.id_loja = $3
+    ORDER BY h.data_hora DESC, h.id_historico DESC;
+  `, [tipo, String(id), idLoja]);
+  return result.rows.map(row => ({
+    previousPrice: row.preco_anterior === null ? null : parseFloat(row.preco_anterior),
+    price: parseFloat(row.preco_novo),
+    actor: row.ator,
+    at: row.data_hora
+  }));
+}
+
+// Cursor da sincronização: todo item com versao menor que ele já foi visto por quem o recebe.
+// As versões são ids de transação, e uma transação ainda aberta pode ter id menor que o de outra
+// que já fez COMMIT; por isso o cursor nunca passa do xmin do snapshot (a transação aberta mais
+// antiga). Sem escrita aberta ele para em MAX(versao) + 1 da loja e não muda entre consultas.
+async function versaoAtual(idLoja) {
+  const result = await db.query(`
+    SELECT LEAST(
+      pg_snapshot_xmin(pg_current_snapshot())::text::bigint,
+      GREATEST(
+        (SELECT MAX(versao) FROM produtos WHERE id_loja = $1),
+        (SELECT MAX(versao) FROM complementos_disponiveis WHERE id_loja = $1),
+        0
+      ) + 1
+    ) AS versao;
+  `, [idLoja]);
+  return String(result.rows[0].versao);
+}
+
+// Itens com versão a partir de `desde` (o cursor da sincronização anterior), inclusive os
+// desativados (ativo = FALSE), para o PWA remover do cache. Um item pode vir de novo na chamada
+// seguinte se a transação dele ainda segurava o cursor; o PWA só substitui pelo id. Sem `desde`
+// (ou com um cursor que o servidor não conhece, ex.: banco restaurado) devolve o catálogo ativo
+// completo, com `completo: true`. `versao` é o cursor a devolver, lido antes dos itens.
+async function alteracoes(idLoja, desde, versao) {
+  if (desde !== undefined && !/^\d{1,18}$/.test(String(desde))) {
+    throw new ErroCatalogo('O parâmetro "since" deve ser a versão devolvida pela sincronização anterior.', 400);
+  }
+  const completo = desde === undefined || BigInt(desde) > BigInt(versao);
+  const filtro = completo ? 'ativo = TRUE' : 'versao >= $2';
+  const params = completo ? [idLoja] : [idLoja, String(desde)];
+
+  const [produtosResult, complementosResult] = await Promise.all([
+    db.query(`SELECT * FROM produtos WHERE id_loja = $1 AND ${filtro} ORDER BY categoria, nome;`, params),
+    db.query(`SELECT * FROM complementos_disponiveis WHERE id_loja = $1 AND ${filtro} ORDER BY categoria, nome;`, params)
+  ]);
+  return { versao, completo, produtos: produtosResult.rows, complementos: complementosResult.rows };
+}
+
+module.exports = {
+  ErroCatalogo,
+  criar,
+  atualizar,
+  desativar,
+  importar,
+  alterarDisponibilidade,
+  baixarEstoque,
+  movimentarEstoqueDoPedido,
+  historicoPrecos,
+  versaoAtual,
+  alteracoes,
+};
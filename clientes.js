@@ -0,0 +1,634 @@
+// clientes.js - Contas dos clientes do PWA: login por código, endereços salvos, histórico de pedidos,
+// repetição de pedidos e exportação/exclusão dos dados pessoais (LGPD)
+// O cliente entra com um código de 6 dígitos enviado ao e-mail (fila de notificacoes.js) ou, se a loja
+// tiver um gateway de SMS (SMS_GATEWAY_URL), ao telefone. A conta é criada no primeiro login e recebe
+// os pedidos feitos antes com o mesmo e-mail na loja.
+
+const crypto = require('crypto');
+const db = require('./db');
+const auth = require('./auth');
+const precificacao = require('./precificacao');
+const entrega = require('./entrega');
+const notificacoes = require('./notificacoes');
+const listagemPedidos = require('./listagemPedidos');
+
+const MINUTOS_VALIDADE_CODIGO = 10;
+// Depois disso o código é descartado e o cliente precisa pedir outro
+const MAXIMO_TENTATIVAS_CODIGO = 5;
+// Intervalo mínimo entre dois códigos para o mesmo destino e limite por hora
+const SEGUNDOS_ENTRE_CODIGOS = 60;
+const CODIGOS_POR_HORA = 5;
+const MAXIMO_ENDERECOS = 20;
+
+// Gateway HTTP de SMS: recebe POST { to, message } (Authorization: Bearer SMS_GATEWAY_TOKEN)
+const SMS_GATEWAY_URL = process.env.SMS_GATEWAY_URL || null;
+const SMS_TIMEOUT_MS = 10000;
+
+// Nome gravado no lugar do cliente nos pedidos anonimizados
+const NOME_ANONIMIZADO = 'Cliente removido';
+
+// Login, conta ou endereço inválidos: a rota deve responder com `status` e `code`
+class ErroCliente extends Error {
+  constructor(message, status = 400, code = 'cliente_invalido', detalhes = {}) {
+    super(message);
+    this.name = 'ErroCliente';
+    this.status = status;
+    this.code = code;
+    this.detalhes = detalhes;
+  }
+}
+
+// --- Login por código ---
+
+// Telefone só com dígitos e DDI; números brasileiros sem DDI (10 ou 11 dígitos) ganham o 55
+function normalizarTelefone(telefone) {
+  const digitos = String(telefone).replace(/\D/g, '');
+  if (digitos.length === 10 || digitos.length === 11) return `55${digitos}`;
+  return digitos.length >= 12 && digitos.length <= 15 ? digitos : null;
+}
+
+// { canal, destino } a partir de { email } ou { telefone } (esquemas.js garante que veio um dos dois)
+function lerDestino({ email, telefone }) {
+  if (email) return { canal: 'email', destino: String(email).trim().toLowerCase() };
+  const destino = normalizarTelefone(telefone);
+  if (!destino) {
+    throw new ErroCliente('Telefone inválido. Informe o DDD e o número.', 400, 'dados_invalidos');
+  }
+  return { canal: 'telefone', destino };
+}
+
+async function enviarSms(telefone, mensagem) {
+  let resposta;
+  try {
+    resposta = await fetch(SMS_GATEWAY_URL, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(process.env.SMS_GATEWAY_TOKEN ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_TOKEN}` } : {})
+      },
+      body: JSON.stringify({ to: `+${telefone}`, message: mensagem }),
+      signal: AbortSignal.timeout(SMS_TIMEOUT_MS)
+    });
+  } catch (error) {
+    console.warn('📱 Falha ao enviar SMS:', error.message);
+  }
+  if (!resposta || !resposta.ok) {
+    throw new ErroCliente('Não foi possível enviar o SMS agora. Tente de novo em instantes.', 503, 'canal_indisponivel');
+  }
+}
+
+// Gera e envia um código de acesso. A resposta é a mesma exista ou não uma conta com o destino.
+async function solicitarCodigo(idLoja, dados) {
+  const { canal, destino } = lerDestino(dados);
+  if (canal === 'telefone' && !SMS_GATEWAY_URL) {
+    throw new ErroCliente('O login por telefone não está disponível. Use o e-mail.', 503, 'canal_indisponivel');
+  }
+  const codigo = String(crypto.randomInt(0, 1000000)).padStart(6, '0');
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    // Serializa os pedidos de código do mesmo destino para que o limite não seja furado em paralelo
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1));', [`codigo_acesso:${idLoja}:${canal}:${destino}`]);
+
+    const recentesResult = await client.query(`
+      SELECT COUNT(*)::int AS quantidade,
+             EXTRACT(EPOCH FROM NOW() - MAX(criado_em)) AS segundos_desde_ultimo,
+             EXTRACT(EPOCH FROM NOW() - MIN(criado_em)) AS segundos_desde_primeiro
+      FROM codigos_acesso
+      WHERE id_loja = $1 AND canal = $2 AND destino = $3 AND criado_em > NOW() - interval '1 hour';
+    `, [idLoja, canal, destino]);
+    const recentes = recentesResult.rows[0];
+    const esperarSegundos = recentes.quantidade >= CODIGOS_POR_HORA
+      ? 3600 - Math.floor(recentes.segundos_desde_primeiro)
+      : recentes.quantidade > 0 ? SEGUNDOS_ENTRE_CODIGOS - Math.floor(recentes.segundos_desde_ultimo) : 0;
+    if (esperarSegundos > 0) {
+      throw new ErroCliente(
+        `Aguarde ${esperarSegundos} segundos para pedir um novo código.`,
+        429,
+        'muitas_tentativas',
+        { retryAfter: esperarSegundos }
+      );
+    }
+
+    await client.query(`
+      INSERT INTO codigos_acesso (id_loja, canal, destino, codigo_hash, expira_em)
+      VALUES ($1, $2, $3, $4, NOW() + ($5 || ' minutes')::interval);
+    `, [idLoja, canal, destino, auth.gerarHashSenha(codigo), MINUTOS_VALIDADE_CODIGO]);
+
+    if (canal === 'email') {
+      const enfileirado = await notificacoes.enfileirarCodigoAcesso(client, idLoja, destino, {
+        codigo,
+        minutos: MINUTOS_VALIDADE_CODIGO
+      });
+      if (!enfileirado) {
+        throw new ErroCliente('O login por e-mail está desativado nesta loja.', 503, 'canal_indisponivel');
+      }
+    } else {
+      const lojaResult = await client.query('SELECT nome FROM lojas WHERE id_loja = $1;', [idLoja]);
+      // O SMS sai antes do COMMIT: se o gateway falhar, o código não conta para o limite
+      await enviarSms(destino, `${lojaResult.rows[0].nome}: seu código de acesso é ${codigo}. Vale por ${MINUTOS_VALIDADE_CODIGO} minutos.`);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (canal === 'email') notificacoes.enviarAgora();
+  return { message: 'Código enviado.', canal, expiresIn: MINUTOS_VALIDADE_CODIGO * 60 };
+}
+
+const formatarCliente = (row) => ({
+  id: row.id_cliente,
+  nome: row.nome,
+  email: row.email,
+  telefone: row.telefone,
+  criadoEm: row.criado_em
+});
+
+// Liga à conta os pedidos da loja feitos com o e-mail dela e ainda sem conta
+async function vincularPedidosAnteriores(client, idLoja, cliente) {
+  if (!cliente.email) return;
+  await client.query(`
+    UPDATE pedidos SET id_cliente = $1
+    WHERE id_loja = $2 AND id_cliente IS NULL AND lower(email_cliente) = lower($3);
+  `, [cliente.id_cliente, idLoja, cliente.email]);
+}
+
+// Confere o código e devolve o cliente (criando a conta no primeiro login). Cada código vale uma vez;
+// só o último código pedido para o destino é aceito.
+async function entrar(idLoja, dados) {
+  const { canal, destino } = lerDestino(dados);
+  let cliente = null;
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const codigoResult = await client.query(`
+      SELECT id_codigo, codigo_hash, tentativas, usado_em IS NULL AND expira_em > NOW() AS vigente
+      FROM codigos_acesso
+      WHERE id_loja = $1 AND canal = $2 AND destino = $3
+      ORDER BY criado_em DESC, id_codigo DESC
+      LIMIT 1
+      FOR UPDATE;
+    `, [idLoja, canal, destino]);
+    const registro = codigoResult.rows[0];
+
+    if (registro && registro.vigente && registro.tentativas < MAXIMO_TENTATIVAS_CODIGO) {
+      const confere = auth.verificarSenha(String(dados.codigo), registro.codigo_hash);
+      await client.query(`
+        UPDATE codigos_acesso
+        SET tentativas = tentativas + 1, usado_em = CASE WHEN $2 THEN NOW() END
+        WHERE id_codigo = $1;
+      `, [registro.id_codigo, confere]);
+
+      if (confere) {
+        const coluna = canal === 'email' ? 'email' : 'telefone';
+        const conflito = canal === 'email' ? '(id_loja, lower(email)) WHERE email IS NOT NULL' : '(id_loja, telefone) WHERE telefone IS NOT NULL';
+        const clienteResult = await client.query(`
+          INSERT INTO clientes (id_loja, nome, ${coluna}, ultimo_login)
+          VALUES ($1, $2, $3, NOW())
+          ON CONFLICT ${conflito}
+          DO UPDATE SET ultimo_login = NOW(), nome = COALESCE(clientes.nome, EXCLUDED.nome)
+          RETURNING *;
+        `, [idLoja, dados.nome ? String(dados.nome).trim() : null, destino]);
+        cliente = clienteResult.rows[0];
+        await vincularPedidosAnteriores(client, idLoja, cliente);
+      }
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  if (!cliente) {
+    throw new ErroCliente('Código inválido ou expirado. Peça um novo código.', 401, 'codigo_invalido');
+  }
+  return formatarCliente(cliente);
+}
+
+// --- Conta ---
+
+// Cliente do token. A conta pode ter sido excluída depois do login: o token deixa de valer.
+async function buscarCliente(queryable, idLoja, idCliente, { bloquear = false } = {}) {
+  const result = await queryable.query(
+    `SELECT * FROM clientes WHERE id_cliente = $1 AND id_loja = $2${bloquear ? ' FOR UPDATE' : ''};`,
+    [idCliente, idLoja]
+  );
+  if (result.rows.length === 0) {
+    throw new ErroCliente('Conta não encontrada. Entre novamente.', 401, 'nao_autenticado');
+  }
+  return result.rows[0];
+}
+
+async function obterCliente(idLoja, idCliente) {
+  return formatarCliente(await buscarCliente(db, idLoja, idCliente));
+}
+
+// Só o nome pode ser alterado; e-mail e telefone são os do login
+async function atualizarCliente(idLoja, idCliente, { nome }) {
+  await buscarCliente(db, idLoja, idCliente);
+  const result = await db.query(
+    'UPDATE clientes SET nome = $3 WHERE id_cliente = $1 AND id_loja = $2 RETURNING *;',
+    [idCliente, idLoja, String(nome).trim()]
+  );
+  return formatarCliente(result.rows[0]);
+}
+
+// Clientes da loja com quantidade de pedidos e total gasto (painel do dono)
+async function listarClientes(idLoja, query = {}) {
+  const limite = query.limit === undefined ? listagemPedidos.LIMITE_PADRAO : parseInt(query.limit, 10);
+  if (!Number.isInteger(limite) || limite < 1 || limite > listagemPedidos.LIMITE_MAXIMO) {
+    throw new listagemPedidos.ErroFiltroPedidos(`O parâmetro "limit" deve estar entre 1 e ${listagemPedidos.LIMITE_MAXIMO}.`);
+  }
+  const termo = query.q ? `%${String(query.q).trim().replace(/[\\%_]/g, '\\$&')}%` : null;
+
+  const result = await db.query(`
+    SELECT c.id_cliente, c.nome, c.email, c.telefone, c.criado_em, c.ultimo_login,
+           COUNT(p.id_pedido) FILTER (WHERE p.status NOT IN ('cancelado', 'estornado'))::int AS pedidos,
+           COALESCE(SUM(p.valor_total) FILTER (WHERE p.status NOT IN ('cancelado', 'estornado')), 0) AS total_gasto,
+           MAX(p.data_hora_envio) AS ultimo_pedido
+    FROM clientes c
+    LEFT JOIN pedidos p ON p.id_cliente = c.id_cliente
+    WHERE c.id_loja = $1
+      AND ($2::text IS NULL OR c.nome ILIKE $2 OR c.email ILIKE $2 OR c.telefone LIKE $2)
+    GROUP BY c.id_cliente
+    ORDER BY pedidos DESC, ultimo_pedido DESC NULLS LAST, c.id_cliente
+    LIMIT $3;
+  `, [idLoja, termo, limite]);
+  return result.rows.map(row => ({
+    ...formatarCliente(row),
+    ultimoLogin: row.ultimo_login,
+    pedidos: row.pedidos,
+    totalGasto: parseFloat(row.total_gasto),
+    ultimoPedido: row.ultimo_pedido
+  }));
+}
+
+// --- Endereços salvos ---
+
+// Mesmo formato do deliveryOption do pedido, para o PWA reaproveitar os campos
+const formatarEndereco = (row) => ({
+  id: row.id_endereco,
+  label: row.apelido,
+  address: row.endereco,
+  neighborhood: row.bairro,
+  cep: row.cep,
+  isDefault: row.principal
+});
+
+const CAMPOS_ENDERECO = { label: 'apelido', address: 'endereco', neighborhood: 'bairro', cep: 'cep' };
+
+// Valores das colunas a partir do corpo (esquemas.js já conferiu os tipos)
+function lerEndereco(dados) {
+  const valores = {};
+  for (const [campo, coluna] of Object.entries(CAMPOS_ENDERECO)) {
+    if (!(campo in dados)) continue;
+    const valor = dados[campo] === null ? null : String(dados[campo]).trim();
+    valores[coluna] = coluna === 'cep' && valor ? valor.replace(/\D/g, '') : valor || null;
+  }
+  if ('isDefault' in dados) valores.principal = dados.isDefault === true;
+  return valores;
+}
+
+async function listarEnderecos(idLoja, idCliente) {
+  await buscarCliente(db, idLoja, idCliente);
+  const result = await db.query(
+    'SELECT * FROM enderecos_cliente WHERE id_cliente = $1 ORDER BY principal DESC, atualizado_em DESC, id_endereco;',
+    [idCliente]
+  );
+  return result.rows.map(formatarEndereco);
+}
+
+// O endereço principal é único: marcar um desmarca o anterior
+async function desmarcarPrincipal(client, idCliente) {
+  await client.query('UPDATE enderecos_cliente SET principal = FALSE WHERE id_cliente = $1 AND principal;', [idCliente]);
+}
+
+// O primeiro endereço salvo já vira o principal
+async function criarEndereco(client, idLoja, idCliente, dados) {
+  await buscarCliente(client, idLoja, idCliente, { bloquear: true });
+  const valores = lerEndereco(dados);
+  if (!valores.endereco) {
+    throw new ErroCliente('Endereço inválido.', 400, 'dados_invalidos', { errors: [{ field: 'address', message: 'é obrigatório.' }] });
+  }
+
+  const contagem = await client.query('SELECT COUNT(*)::int AS total FROM enderecos_cliente WHERE id_cliente = $1;', [idCliente]);
+  if (contagem.rows[0].total >= MAXIMO_ENDERECOS) {
+    throw new ErroCliente(`Limite de ${MAXIMO_ENDERECOS} endereços salvos atingido. Remova um para salvar outro.`, 409, 'limite_enderecos');
+  }
+  valores.principal = valores.principal || contagem.rows[0].total === 0;
+  if (valores.principal) await desmarcarPrincipal(client, idCliente);
+
+  const colunas = Object.keys(valores);
+  const result = await client.query(`
+    INSERT INTO enderecos_cliente (id_cliente, ${colunas.join(', ')})
+    VALUES ($1, ${colunas.map((_, i) => `$${i + 2}`).join(', ')})
+    RETURNING *;
+  `, [idCliente, ...Object.values(valores)]);
+  return formatarEndereco(result.rows[0]);
+}
+
+async function atualizarEndereco(client, idLoja, idCliente, idEndereco, dados) {
+  await buscarCliente(client, idLoja, idCliente, { bloquear: true });
+  const valores = lerEndereco(dados);
+  if ('endereco' in valores && !valores.endereco) {
+    throw new ErroCliente('Endereço inválido.', 400, 'dados_invalidos', { errors: [{ field: 'address', message: 'é obrigatório.' }] });
+  }
+  if (Object.keys(valores).length === 0) {
+    throw new ErroCliente('Nenhum campo para atualizar.', 400, 'dados_invalidos');
+  }
+  if (valores.principal) await desmarcarPrincipal(client, idCliente);
+
+  const colunas = Object.keys(valores);
+  const result = await client.query(`
+    UPDATE enderecos_cliente
+    SET ${colunas.map((coluna, i) => `${coluna} = $${i + 3}`).join(', ')}, atualizado_em = NOW()
+    WHERE id_endereco::text = $1 AND id_cliente = $2
+    RETURNING *;
+  `, [String(idEndereco), idCliente, ...Object.values(valores)]);
+  if (result.rows.length === 0) {
+    throw new ErroCliente(`Endereço ${idEndereco} não encontrado.`, 404);
+  }
+  return formatarEndereco(result.rows[0]);
+}
+
+async function removerEndereco(idLoja, idCliente, idEndereco) {
+  await buscarCliente(db, idLoja, idCliente);
+  const result = await db.query(
+    'DELETE FROM enderecos_cliente WHERE id_endereco::text = $1 AND id_cliente = $2 RETURNING id_endereco;',
+    [String(idEndereco), idCliente]
+  );
+  if (result.rows.length === 0) {
+    throw new ErroCliente(`Endereço ${idEndereco} não encontrado.`, 404);
+  }
+  return { id: result.rows[0].id_endereco, removed: true };
+}
+
+// Troca deliveryOption.addressId pelos campos do endereço salvo. Também confere que a conta do
+// token ainda existe. Usada na criação do pedido (pedidos.js), dentro da transação dele.
+async function prepararEntrega(client, idLoja, idCliente, deliveryOption) {
+  if (idCliente) await buscarCliente(client, idLoja, idCliente);
+  if (!deliveryOption || deliveryOption.addressId === undefined || deliveryOption.addressId === null) {
+    return deliveryOption;
+  }
+  if (!idCliente) {
+    throw new ErroCliente('Entre na sua conta para usar um endereço salvo.', 401, 'nao_autenticado');
+  }
+  const result = await client.query(
+    'SELECT * FROM enderecos_cliente WHERE id_endereco::text = $1 AND id_cliente = $2;',
+    [String(deliveryOption.addressId), idCliente]
+  );
+  const endereco = result.rows[0];
+  if (!endereco) {
+    throw new ErroCliente(`Endereço ${deliveryOption.addressId} não encontrado.`, 404);
+  }
+  return {
+    ...deliveryOption,
+    address: endereco.endereco,
+    neighborhood: endereco.bairro,
+    cep: endereco.cep
+  };
+}
+
+// --- Histórico e repetição de pedidos ---
+
+async function listarPedidos(idLoja, idCliente, query) {
+  await buscarCliente(db, idLoja, idCliente);
+  return listagemPedidos.listarPedidos(idLoja, query, { idCliente });
+}
+
+// Monta um pedido novo com os itens de um pedido antigo, precificado pelo catálogo de agora.
+// Itens que saíram do catálogo ou esgotaram vêm em `unavailable`; os demais vêm em `order`, no
+// formato de POST /api/pedidos (falta só o orderId). `deliveryOption` substitui a entrega do
+// pedido antigo (ex.: { type: 'delivery', addressId }).
+async function repetirPedido(idLoja, idCliente, idPedido, { deliveryOption } = {}) {
+  const cliente = await buscarCliente(db, idLoja, idCliente);
+  const pedidoResult = await db.query(`
+    SELECT id_pedido, nome_cliente, email_cliente, tipo_entrega, endereco_entrega, numero_mesa,
+           metodo_pagamento, observacoes
+    FROM pedidos WHERE id_pedido = $1 AND id_loja = $2 AND id_cliente = $3;
+  `, [String(idPedido), idLoja, idCliente]);
+  const pedido = pedidoResult.rows[0];
+  if (!pedido) {
+    throw new ErroCliente(`Pedido ${idPedido} não encontrado.`, 404);
+  }
+
+  const itensResult = await db.query(`
+    SELECT i.id_produto, i.nome_produto, i.quantidade, i.preco_unitario_com_complementos,
+           COALESCE(json_agg(c.id_complemento_disponivel)
+             FILTER (WHERE c.id_complemento_item IS NOT NULL), '[]'::json) AS complementos
+    FROM itens_do_pedido i
+    LEFT JOIN complementos_do_item c ON c.id_item_pedido = i.id_item_pedido
+    WHERE i.id_pedido = $1
+    GROUP BY i.id_item_pedido
+    ORDER BY i.id_item_pedido;
+  `, [pedido.id_pedido]);
+
+  // Cada item é precificado sozinho para que um item indisponível não recuse os outros
+  const itens = [];
+  const indisponiveis = [];
+  for (const row of itensResult.rows) {
+    const item = {
+      productId: row.id_produto,
+      quantity: row.quantidade,
+      complements: row.complementos.map(id => ({ id }))
+    };
+    try {
+      const [precificado] = (await precificacao.precificarItens(idLoja, [item])).items;
+      const precoAnterior = parseFloat(row.preco_unitario_com_complementos);
+      itens.push({
+        ...precificado,
+        previousUnitPrice: precoAnterior,
+        priceChanged: precificado.unitPriceWithComplements !== precoAnterior
+      });
+    } catch (error) {
+      if (!(error instanceof precificacao.ErroPrecificacao)) throw error;
+      // Os motivos vêm numerados como "Item 1: ..."; aqui cada item foi precificado sozinho
+      const motivos = error.detalhes.map(motivo => motivo.replace(/^Item \d+: /, ''));
+      indisponiveis.push({ productId: row.id_produto, name: row.nome_produto, quantity: row.quantidade, reasons: motivos });
+    }
+  }
+  if (itens.length === 0) {
+    throw new ErroCliente('Nenhum item deste pedido está disponível agora.', 422, 'itens_indisponiveis', { unavailable: indisponiveis });
+  }
+
+  const entregaPedido = deliveryOption || {
+    type: pedido.tipo_entrega,
+    address: pedido.endereco_entrega || undefined,
+    tableNumber: pedido.numero_mesa || undefined
+  };
+  const pedidoComDesconto = precificacao.aplicarDesconto(
+    { items: itens, total: itens.reduce((soma, item) => soma + Math.round(item.totalItemPrice * 100), 0) / 100 },
+    null
+  );
+
+  // Sem zona para o endereço (ou endereço antigo sem bairro/CEP) o pedido volta sem taxa e
+  // com o motivo em deliveryError; o PWA pede outro endereço antes de enviar
+  let taxa = 0;
+  let erroEntrega = null;
+  try {
+    const entregaComEndereco = await prepararEntrega(db, idLoja, idCliente, entregaPedido);
+    taxa = (await entrega.calcularEntrega(db, idLoja, entregaComEndereco, pedidoComDesconto, null)).taxa;
+  } catch (error) {
+    if (!(error instanceof entrega.ErroEntrega)) throw error;
+    erroEntrega = error.message;
+  }
+  const pedidoPrecificado = precificacao.adicionarTaxaEntrega(pedidoComDesconto, taxa);
+
+  return {
+    sourceOrderId: pedido.id_pedido,
+    order: {
+      customerName: cliente.nome || pedido.nome_cliente,
+      customerEmail: cliente.email || pedido.email_cliente || undefined,
+      items: pedidoPrecificado.items,
+      deliveryOption: entregaPedido,
+      paymentMethod: pedido.metodo_pagamento,
+      observations: pedido.observacoes || '',
+      total: pedidoPrecificado.total
+    },
+    subtotal: pedidoPrecificado.subtotal,
+    deliveryFee: erroEntrega ? null : pedidoPrecificado.deliveryFee,
+    deliveryError: erroEntrega,
+    priceChanged: itens.some(item => item.priceChanged),
+    unavailable: indisponiveis
+  };
+}
+
+// --- LGPD: exportação e exclusão ---
+
+// Todos os dados pessoais da conta na loja: cadastro, endereços, pedidos, cupons usados e e-mails
+async function exportarDados(idLoja, idCliente) {
+  const cliente = await buscarCliente(db, idLoja, idCliente);
+
+  const enderecosResult = await db.query(
+    'SELECT * FROM enderecos_cliente WHERE id_cliente = $1 ORDER BY id_endereco;',
+    [idCliente]
+  );
+  const pedidos = [];
+  let cursor;
+  do {
+    const pagina = await listagemPedidos.listarPedidos(
+      idLoja,
+      { limit: listagemPedidos.LIMITE_MAXIMO, cursor },
+      { idCliente }
+    );
+    pedidos.push(...pagina.orders);
+    cursor = pagina.nextCursor;
+  } while (cursor);
+
+  const [cuponsResult, emailsResult] = await Promise.all([
+    db.query(`
+      SELECT u.codigo, u.id_pedido, u.valor_desconto, u.data_hora
+      FROM cupons_usos u
+      JOIN pedidos p ON p.id_pedido = u.id_pedido
+      WHERE p.id_cliente = $1
+      ORDER BY u.data_hora;
+    `, [idCliente]),
+    db.query(`
+      SELECT n.tipo, n.id_pedido, n.destinatario, n.assunto, n.status, n.criado_em, n.enviado_em
+      FROM notificacoes_email n
+      LEFT JOIN pedidos p ON p.id_pedido = n.id_pedido
+      WHERE p.id_cliente = $1
+         OR (n.id_pedido IS NULL AND n.id_loja = $2 AND lower(n.destinatario) = lower($3))
+      ORDER BY n.criado_em, n.id_notificacao;
+    `, [idCliente, idLoja, cliente.email])
+  ]);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    cliente: { ...formatarCliente(cliente), ultimoLogin: cliente.ultimo_login },
+    enderecos: enderecosResult.rows.map(row => ({ ...formatarEndereco(row), criadoEm: row.criado_em })),
+    pedidos,
+    cuponsUsados: cuponsResult.rows.map(row => ({
+      codigo: row.codigo,
+      orderId: row.id_pedido,
+      desconto: parseFloat(row.valor_desconto),
+      usadoEm: row.data_hora
+    })),
+    emails: emailsResult.rows.map(row => ({
+      type: row.tipo,
+      orderId: row.id_pedido,
+      to: row.destinatario,
+      subject: row.assunto,
+      status: row.status,
+      createdAt: row.criado_em,
+      sentAt: row.enviado_em
+    }))
+  };
+}
+
+// Exclui a conta e anonimiza os dados pessoais dos pedidos dela (inclusive os feitos sem login com
+// o mesmo e-mail). Os pedidos continuam, com itens e valores, para os relatórios e o caixa.
+async function excluirConta(idLoja, idCliente) {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const cliente = await buscarCliente(client, idLoja, idCliente, { bloquear: true });
+    await vincularPedidosAnteriores(client, idLoja, cliente);
+
+    const pedidosResult = await client.query(`
+      UPDATE pedidos
+      SET nome_cliente = $2, email_cliente = NULL, observacoes = '', id_cliente = NULL,
+          endereco_entrega = CASE WHEN endereco_entrega IS NULL THEN NULL ELSE '[removido]' END
+      WHERE id_cliente = $1
+      RETURNING id_pedido;
+    `, [idCliente, NOME_ANONIMIZADO]);
+    const idsPedidos = pedidosResult.rows.map(row => row.id_pedido);
+
+    // E-mails ainda na fila não são mais enviados
+    await client.query(`
+      UPDATE notificacoes_email
+      SET destinatario = '[removido]', corpo = '[removido]',
+          status = CASE WHEN status = 'pendente' THEN 'falhou' ELSE status END,
+          ultimo_erro = CASE WHEN status = 'pendente' THEN 'Dados removidos a pedido do cliente.' ELSE ultimo_erro END
+      WHERE id_pedido = ANY($1::text[])
+         OR (id_pedido IS NULL AND id_loja = $2 AND lower(destinatario) = lower($3));
+    `, [idsPedidos, idLoja, cliente.email]);
+    await client.query('UPDATE cupons_usos SET email_cliente = NULL WHERE id_pedido = ANY($1::text[]);', [idsPedidos]);
+    await client.query(`
+      UPDATE eventos_pedidos SET dados = dados - 'customerName' - 'deliveryOption' - 'observations'
+      WHERE id_pedido = ANY($1::text[]);
+    `, [idsPedidos]);
+    await client.query(
+      'DELETE FROM codigos_acesso WHERE id_loja = $1 AND destino = ANY($2::text[]);',
+      [idLoja, [cliente.email, cliente.telefone].filter(Boolean).map(destino => destino.toLowerCase())]
+    );
+    await client.query('DELETE FROM clientes WHERE id_cliente = $1;', [idCliente]);
+
+    await client.query('COMMIT');
+    return { message: 'Conta excluída e dados pessoais removidos.', anonymizedOrders: idsPedidos.length };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  ErroCliente,
+  MINUTOS_VALIDADE_CODIGO,
+  solicitarCodigo,
+  entrar,
+  obterCliente,
+  atualizarCliente,
+  listarClientes,
+  listarEnderecos,
+  criarEndereco,
+  atualizarEndereco,
+  removerEndereco,
+  prepararEntrega,
+  listarPedidos,
+  repetirPedido,
+  exportarDados,
+  excluirConta,
+};
@@ -0,0 +1,375 @@
+// comanda.js - Comanda da cozinha (texto / ESC/POS para impressora térmica), recibo em HTML para o
+// cliente e fila de impressão automática para o agente de impressão instalado na loja.
+
+const db = require('./db');
+const { FUSO_HORARIO } = require('./funcionamento');
+
+const FORMATOS = ['texto', 'escpos', 'html'];
+// Colunas por linha de cada bobina (fonte padrão A das impressoras térmicas)
+const COLUNAS_POR_LARGURA = { 58: 32, 80: 48 };
+const LARGURA_PADRAO = 80;
+const LIMITE_FILA_MAXIMO = 20;
+// Tempo que o agente tem para imprimir e confirmar as comandas recebidas; sem a confirmação elas
+// voltam a ser entregues (o agente caiu, a resposta se perdeu, a impressora falhou)
+const SEGUNDOS_RESERVA_IMPRESSAO = 120;
+
+// Parâmetros de impressão inválidos ou pedido inexistente: a rota deve responder com `status`
+class ErroComanda extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ErroComanda';
+    this.status = status;
+  }
+}
+
+const formatarReais = (valor) => `R$ ${parseFloat(valor).toFixed(2).replace('.', ',')}`;
+
+const formatarDataHora = (data) => new Date(data).toLocaleString('pt-BR', {
+  timeZone: FUSO_HORARIO, day: '2-digit', month: '2-digit', year: 'numeric', hour: '2-digit', minute: '2-digit'
+});
+
+// Confere formato e largura vindos da query (?formato=texto&largura=58) ou do corpo
+function lerOpcoes({ formato = 'texto', largura = LARGURA_PADRAO } = {}) {
+  if (!FORMATOS.includes(formato)) {
+    throw new ErroComanda(`Formato inválido: ${formato}. Use ${FORMATOS.join(', ')}.`);
+  }
+  const colunas = COLUNAS_POR_LARGURA[parseInt(largura, 10)];
+  if (!colunas) {
+    throw new ErroComanda(`Largura inválida: ${largura}. Use ${Object.keys(COLUNAS_POR_LARGURA).join(' ou ')} (mm).`);
+  }
+  return { formato, largura: parseInt(largura, 10), colunas };
+}
+
+// Pedido da loja com itens e complementos. `queryable` pode ser o db ou um client em transação.
+async function carregarPedido(queryable, idLoja, idPedido) {
+  const pedidoResult = await queryable.query(`
+    SELECT p.id_pedido, p.nome_cliente, p.tipo_entrega, p.endereco_entrega, p.numero_mesa, p.observacoes,
+           p.metodo_pagamento, p.troco_para, p.valor_total, p.valor_desconto, p.taxa_entrega, p.cupom,
+           p.status, p.data_hora_envio, l.nome AS nome_loja
+    FROM pedidos p
+    JOIN lojas l ON l.id_loja = p.id_loja
+    WHERE p.id_pedido = $1 AND p.id_loja = $2;
+  `, [idPedido, idLoja]);
+  const pedido = pedidoResult.rows[0];
+  if (!pedido) {
+    throw new ErroComanda(`Pedido ${idPedido} não encontrado.`, 404);
+  }
+
+  const itensResult = await queryable.query(`
+    SELECT i.id_item_pedido, i.nome_produto, i.quantidade, i.total_item_preco, c.nome_complemento
+    FROM itens_do_pedido i
+    LEFT JOIN complementos_do_item c ON i.id_item_pedido = c.id_item_pedido
+    WHERE i.id_pedido = $1
+    ORDER BY i.id_item_pedido, c.id_complemento_item;
+  `, [idPedido]);
+
+  const itens = new Map();
+  itensResult.rows.forEach(row => {
+    if (!itens.has(row.id_item_pedido)) {
+      itens.set(row.id_item_pedido, {
+        nome: row.nome_produto,
+        quantidade: row.quantidade,
+        total: parseFloat(row.total_item_preco),
+        complementos: []
+      });
+    }
+    if (row.nome_complemento) itens.get(row.id_item_pedido).complementos.push(row.nome_complemento);
+  });
+
+  const total = parseFloat(pedido.valor_total);
+  const desconto = parseFloat(pedido.valor_desconto) || 0;
+  const taxaEntrega = parseFloat(pedido.taxa_entrega) || 0;
+  return {
+    id: pedido.id_pedido,
+    loja: pedido.nome_loja,
+    cliente: pedido.nome_cliente,
+    tipoEntrega: pedido.tipo_entrega,
+    endereco: pedido.endereco_entrega,
+    mesa: pedido.numero_mesa,
+    observacoes: pedido.observacoes,
+    metodoPagamento: pedido.metodo_pagamento,
+    trocoPara: pedido.troco_para === null ? null : parseFloat(pedido.troco_para),
+    subtotal: Math.round((total + desconto - taxaEntrega) * 100) / 100,
+    desconto,
+    taxaEntrega,
+    total,
+    cupom: pedido.cupom,
+    status: pedido.status,
+    dataHora: pedido.data_hora_envio,
+    itens: [...itens.values()]
+  };
+}
+
+function destino(pedido) {
+  if (pedido.mesa) return `MESA ${pedido.mesa}`;
+  if (pedido.endereco) return 'ENTREGA';
+  return 'RETIRADA';
+}
+
+// --- Comanda em texto (base do texto puro e do ESC/POS) ---
+
+// Quebra o texto em linhas de no máximo `colunas` caracteres, sem cortar palavras quando possível
+function quebrar(texto, colunas) {
+  const linhas = [];
+  let atual = '';
+  for (const palavra of String(texto).split(/\s+/).filter(Boolean)) {
+    const candidata = atual ? `${atual} ${palavra}` : palavra;
+    if (candidata.length <= colunas) {
+      atual = candidata;
+      continue;
+    }
+    if (atual) linhas.push(atual);
+    atual = palavra;
+    while (atual.length > colunas) {
+      linhas.push(atual.slice(0, colunas));
+      atual = atual.slice(colunas);
+    }
+  }
+  if (atual) linhas.push(atual);
+  return linhas;
+}
+
+// Texto à esquerda e valor à direita na mesma linha
+const colunaDupla = (esquerda, direita, colunas) => {
+  const espaco = colunas - direita.length - 1;
+  const linhas = quebrar(esquerda, espaco);
+  const ultima = linhas.pop() || '';
+  return [...linhas, `${ultima.padEnd(espaco)} ${direita}`];
+};
+
+// Linhas da comanda com o estilo de cada uma ({ texto, centro, destaque }); o destaque vira
+// negrito com altura dupla no ESC/POS
+function montarLinhas(pedido, colunas) {
+  const linhas = [];
+  const adicionar = (texto, estilo = {}) => linhas.push({ texto, ...estilo });
+  const separador = () => adicionar('-'.repeat(colunas));
+
+  adicionar(pedido.loja, { centro: true, destaque: true });
+  adicionar(`PEDIDO #${pedido.id}`, { centro: true, destaque: true });
+  adicionar(formatarDataHora(pedido.dataHora), { centro: true });
+  separador();
+  adicionar(destino(pedido), { destaque: true });
+  quebrar(`Cliente: ${pedido.cliente}`, colunas).forEach(texto => adicionar(texto));
+  if (pedido.endereco) quebrar(`Endereço: ${pedido.endereco}`, colunas).forEach(texto => adicionar(texto));
+  separador();
+
+  for (const item of pedido.itens) {
+    colunaDupla(`${item.quantidade}x ${item.nome}`, formatarReais(item.total), colunas)
+      .forEach(texto => adicionar(texto, { destaque: true }));
+    for (const complemento of item.complementos) {
+      quebrar(`+ ${complemento}`, colunas - 2).forEach(texto => adicionar(`  ${texto}`));
+    }
+  }
+
+  if (pedido.observacoes) {
+    separador();
+    quebrar(`OBS: ${pedido.observacoes}`, colunas).forEach(texto => adicionar(texto, { destaque: true }));
+  }
+
+  separador();
+  if (pedido.desconto > 0 || pedido.taxaEntrega > 0) {
+    colunaDupla('Subtotal', formatarReais(pedido.subtotal), colunas).forEach(texto => adicionar(texto));
+  }
+  if (pedido.desconto > 0) {
+    colunaDupla(`Desconto${pedido.cupom ? ` (${pedido.cupom})` : ''}`, `-${formatarReais(pedido.desconto)}`, colunas)
+      .forEach(texto => adicionar(texto));
+  }
+  if (pedido.taxaEntrega > 0) {
+    colunaDupla('Taxa de entrega', formatarReais(pedido.taxaEntrega), colunas).forEach(texto => adicionar(texto));
+  }
+  colunaDupla('TOTAL', formatarReais(pedido.total), colunas).forEach(texto => adicionar(texto, { destaque: true }));
+  quebrar(`Pagamento: ${pedido.metodoPagamento}`, colunas).forEach(texto => adicionar(texto));
+  if (pedido.trocoPara) {
+    adicionar(`Troco para: ${formatarReais(pedido.trocoPara)}`, { destaque: true });
+    adicionar(`Levar de troco: ${formatarReais(Math.max(pedido.trocoPara - pedido.total, 0))}`);
+  }
+  return linhas;
+}
+
+const centralizar = (texto, colunas) => texto.padStart(Math.floor((colunas + texto.length) / 2));
+
+function paraTexto(linhas, colunas) {
+  return `${linhas.map(linha => (linha.centro ? centralizar(linha.texto, colunas) : linha.texto)).join('\n')}\n`;
+}
+
+// --- ESC/POS ---
+
+const ESC = 0x1b;
+const GS = 0x1d;
+const COMANDOS = {
+  iniciar: [ESC, 0x40],
+  alinharEsquerda: [ESC, 0x61, 0],
+  alinharCentro: [ESC, 0x61, 1],
+  negrito: (ativo) => [ESC, 0x45, ativo ? 1 : 0],
+  // Altura dupla mantém a largura da linha, então as colunas continuam as mesmas
+  alturaDupla: (ativo) => [GS, 0x21, ativo ? 0x01 : 0x00],
+  avancar: (linhas) => [ESC, 0x64, linhas],
+  cortar: [GS, 0x56, 0x42, 0x00]
+};
+
+// As tabelas de caracteres das térmicas variam por modelo; sem acentos a comanda sai legível em todas
+const paraAscii = (texto) => texto.normalize('NFD').replace(/[̀-ͯ]/g, '').replace(/[^\x20-\x7e]/g, '?');
+
+function paraEscPos(linhas) {
+  const bytes = [...COMANDOS.iniciar];
+  for (const linha of linhas) {
+    bytes.push(...(linha.centro ? COMANDOS.alinharCentro : COMANDOS.alinharEsquerda));
+    bytes.push(...COMANDOS.negrito(linha.destaque), ...COMANDOS.alturaDupla(linha.destaque));
+    bytes.push(...Buffer.from(paraAscii(linha.texto), 'ascii'), 0x0a);
+  }
+  bytes.push(...COMANDOS.negrito(false), ...COMANDOS.alturaDupla(false), ...COMANDOS.avancar(4), ...COMANDOS.cortar);
+  return Buffer.from(bytes);
+}
+
+// --- Recibo HTML (cliente) ---
+
+const escaparHtml = (texto) => String(texto === null || texto === undefined ? '' : texto)
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+// Página pronta para imprimir ou salvar em PDF pelo navegador, na largura da bobina escolhida
+function paraHtml(pedido, largura) {
+  const linhaValor = (rotulo, valor, classe = '') =>
+    `<tr class="${classe}"><td>${escaparHtml(rotulo)}</td><td class="valor">${escaparHtml(valor)}</td></tr>`;
+  const itens = pedido.itens.map(item => `
+      <tr><td>${item.quantidade}x ${escaparHtml(item.nome)}${item.complementos.length > 0
+        ? `<div class="complementos">${item.complementos.map(escaparHtml).join(', ')}</div>` : ''}</td>
+        <td class="valor">${formatarReais(item.total)}</td></tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html lang="pt-BR">
+<head>
+<meta charset="utf-8">
+<title>Recibo do pedido #${escaparHtml(pedido.id)}</title>
+<style>
+  @page { size: ${largura}mm auto; margin: 4mm; }
+  body { font-family: sans-serif; font-size: 12px; max-width: ${largura}mm; margin: 0 auto; }
+  h1 { font-size: 16px; text-align: center; margin: 0; }
+  .centro { text-align: center; }
+  table { width: 100%; border-collapse: collapse; }
+  td { padding: 2px 0; vertical-align: top; }
+  .valor { text-align: right; white-space: nowrap; }
+  .complementos { color: #555; font-size: 11px; padding-left: 8px; }
+  .total td { font-weight: bold; font-size: 14px; border-top: 1px dashed #000; }
+  hr { border: 0; border-top: 1px dashed #000; }
+</style>
+</head>
+<body>
+  <h1>${escaparHtml(pedido.loja)}</h1>
+  <p class="centro">Pedido #${escaparHtml(pedido.id)}<br>${escaparHtml(formatarDataHora(pedido.dataHora))}</p>
+  <p>Cliente: ${escaparHtml(pedido.cliente)}<br>${escaparHtml(pedido.mesa ? `Mesa ${pedido.mesa}` : pedido.endereco ? `Entrega em: ${pedido.endereco}` : 'Retirada na loja')}</p>
+  <hr>
+  <table>${itens}
+  </table>
+  <hr>
+  <table>
+    ${linhaValor('Subtotal', formatarReais(pedido.subtotal))}
+    ${pedido.desconto > 0 ? linhaValor(`Desconto${pedido.cupom ? ` (${pedido.cupom})` : ''}`, `-${formatarReais(pedido.desconto)}`) : ''}
+    ${pedido.taxaEntrega > 0 ? linhaValor('Taxa de entrega', formatarReais(pedido.taxaEntrega)) : ''}
+    ${linhaValor('Total', formatarReais(pedido.total), 'total')}
+    ${linhaValor('Pagamento', pedido.metodoPagamento)}
+    ${pedido.trocoPara ? linhaValor('Troco para', formatarReais(pedido.trocoPara)) : ''}
+  </table>
+  ${pedido.observacoes ? `<p>Observações: ${escaparHtml(pedido.observacoes)}</p>` : ''}
+  <p class="centro">Obrigado pela preferência!</p>
+</body>
+</html>
+`;
+}
+
+// Comanda do pedido no formato pedido: { tipoConteudo, conteudo } (texto, Buffer ESC/POS ou HTML)
+async function gerarComanda(idLoja, idPedido, opcoes, queryable = db) {
+  const { formato, largura, colunas } = lerOpcoes(opcoes);
+  const pedido = await carregarPedido(queryable, idLoja, idPedido);
+  if (formato === 'html') {
+    return { tipoConteudo: 'text/html; charset=utf-8', conteudo: paraHtml(pedido, largura) };
+  }
+  const linhas = montarLinhas(pedido, colunas);
+  if (formato === 'escpos') {
+    return { tipoConteudo: 'application/octet-stream', conteudo: paraEscPos(linhas) };
+  }
+  return { tipoConteudo: 'text/plain; charset=utf-8', conteudo: paraTexto(linhas, colunas) };
+}
+
+// --- Fila de impressão automática ---
+
+// Entram na fila os pedidos pagos online e os que vão para o preparo sem pagamento prévio
+// (dinheiro, maquininha). Chamada por statusPedido.js dentro da transação da mudança de status;
+// cada pedido entra uma única vez.
+async function enfileirarImpressao(client, idPedido, statusAnterior, novoStatus) {
+  const imprimir = novoStatus === 'pago' || (novoStatus === 'em_preparo' && statusAnterior === 'pendente');
+  if (!imprimir) return false;
+  const result = await client.query(
+    'INSERT INTO fila_impressao (id_pedido) VALUES ($1) ON CONFLICT (id_pedido) DO NOTHING RETURNING id_pedido;',
+    [idPedido]
+  );
+  return result.rows.length > 0;
+}
+
+// Entrega ao agente de impressão da loja os próximos pedidos dela na fila, já renderizados. Cada pedido
+// fica reservado ao agente por SEGUNDOS_RESERVA_IMPRESSAO e só sai da fila com confirmarImpressoes;
+// sem confirmação volta a ser entregue (para reimprimir use GET /api/pedidos/:id/comanda).
+// ESC/POS vai em base64.
+async function proximasImpressoes(idLoja, { agente, limite = 5, ...opcoes } = {}) {
+  const { formato } = lerOpcoes(opcoes);
+  if (formato === 'html') {
+    throw new ErroComanda('A fila de impressão só entrega os formatos texto e escpos.');
+  }
+  const quantidade = Math.min(parseInt(limite, 10) || 5, LIMITE_FILA_MAXIMO);
+
+  const reservados = await db.query(`
+    UPDATE fila_impressao
+    SET reservado_ate = NOW() + ($4 || ' seconds')::interval, agente = $2
+    WHERE id_pedido IN (
+      SELECT f.id_pedido FROM fila_impressao f
+      JOIN pedidos p ON p.id_pedido = f.id_pedido
+      WHERE f.entregue_em IS NULL AND (f.reservado_ate IS NULL OR f.reservado_ate < NOW()) AND p.id_loja = $3
+      ORDER BY f.criado_em
+      LIMIT $1
+      FOR UPDATE OF f SKIP LOCKED
+    )
+    RETURNING id_pedido, criado_em, reservado_ate;
+  `, [quantidade, agente || null, idLoja, SEGUNDOS_RESERVA_IMPRESSAO]);
+
+  const comandas = [];
+  for (const row of reservados.rows.sort((a, b) => a.criado_em - b.criado_em)) {
+    let conteudo;
+    try {
+      ({ conteudo } = await gerarComanda(idLoja, row.id_pedido, opcoes));
+    } catch (error) {
+      // A comanda que não renderizou volta para a fila e não impede a entrega das outras
+      console.error(`💥 Erro ao gerar a comanda do pedido ${row.id_pedido}:`, error);
+      await db.query('UPDATE fila_impressao SET reservado_ate = NULL WHERE id_pedido = $1;', [row.id_pedido]);
+      continue;
+    }
+    comandas.push({
+      orderId: row.id_pedido,
+      formato,
+      conteudo: Buffer.isBuffer(conteudo) ? conteudo.toString('base64') : conteudo,
+      reservadoAte: row.reservado_ate
+    });
+  }
+  return comandas;
+}
+
+// Confirma que o agente imprimiu as comandas (ids devolvidos por proximasImpressoes), que saem da fila.
+// Devolve os ids confirmados; os que não são da loja ou já tinham sido confirmados ficam de fora.
+async function confirmarImpressoes(idLoja, idsPedidos, { agente } = {}) {
+  const result = await db.query(`
+    UPDATE fila_impressao f
+    SET entregue_em = NOW(), agente = COALESCE($3, f.agente)
+    FROM pedidos p
+    WHERE p.id_pedido = f.id_pedido AND p.id_loja = $1
+      AND f.id_pedido = ANY($2::text[]) AND f.entregue_em IS NULL
+    RETURNING f.id_pedido;
+  `, [idLoja, idsPedidos.map(String), agente || null]);
+  return result.rows.map(row => row.id_pedido);
+}
+
+module.exports = {
+  FORMATOS,
+  ErroComanda,
+  gerarComanda,
+  enfileirarImpressao,
+  proximasImpressoes,
+  confirmarImpressoes,
+};
@@ -0,0 +1,246 @@
+// cupons.js - Cupons de desconto e regras de promoção aplicadas no checkout
+// O desconto é sempre calculado no servidor a partir dos itens já precificados pelo catálogo.
+
+const db = require('./db');
+
+const TIPOS = ['percentual', 'fixo', 'frete_gratis'];
+
+// Cupom inválido para o pedido: a rota deve responder 400 com a mensagem
+class ErroCupom extends Error {
+  constructor(message, status = 400, detalhes = []) {
+    super(message);
+    this.name = 'ErroCupom';
+    this.status = status;
+    this.detalhes = detalhes;
+  }
+}
+
+const paraCentavos = (valor) => Math.round(parseFloat(valor) * 100);
+const normalizarCodigo = (codigo) => String(codigo || '').trim().toUpperCase();
+
+// Subtotal dos itens dentro do escopo do cupom (todas as categorias/produtos se o escopo estiver vazio)
+function subtotalElegivel(cupom, itens) {
+  const categorias = cupom.escopo_categorias || [];
+  const produtos = (cupom.escopo_produtos || []).map(String);
+  const semEscopo = categorias.length === 0 && produtos.length === 0;
+
+  return itens
+    .filter(item => semEscopo || categorias.includes(item.category) || produtos.includes(String(item.productId)))
+    .reduce((soma, item) => soma + paraCentavos(item.totalItemPrice), 0);
+}
+
+// Confere todas as regras do cupom e devolve { codigo, desconto, freteGratis }.
+// Com `bloquear` (dentro da transação do pedido) a linha do cupom fica travada até o COMMIT,
+// para que dois pedidos simultâneos não ultrapassem os limites de uso.
+async function aplicarCupom(queryable, idLoja, codigo, pedidoPrecificado, emailCliente, { bloquear = false, agora = new Date() } = {}) {
+  const codigoNormalizado = normalizarCodigo(codigo);
+  const cupomResult = await queryable.query(
+    `SELECT * FROM cupons WHERE id_loja = $1 AND codigo = $2${bloquear ? ' FOR UPDATE' : ''};`,
+    [idLoja, codigoNormalizado]
+  );
+  const cupom = cupomResult.rows[0];
+
+  if (!cupom || !cupom.ativo) {
+    throw new ErroCupom(`Cupom ${codigoNormalizado} inválido.`);
+  }
+  if ((cupom.valido_de && agora < new Date(cupom.valido_de)) || (cupom.valido_ate && agora > new Date(cupom.valido_ate))) {
+    throw new ErroCupom(`O cupom ${codigoNormalizado} está fora do período de validade.`);
+  }
+
+  const subtotalCentavos = paraCentavos(pedidoPrecificado.total);
+  if (cupom.pedido_minimo !== null && subtotalCentavos < paraCentavos(cupom.pedido_minimo)) {
+    throw new ErroCupom(`O cupom ${codigoNormalizado} exige pedido mínimo de R$ ${parseFloat(cupom.pedido_minimo).toFixed(2)}.`);
+  }
+
+  if (cupom.limite_total !== null || cupom.limite_por_cliente !== null) {
+    const usosResult = await queryable.query(`
+      SELECT COUNT(*) AS total,
+             COUNT(*) FILTER (WHERE lower(email_cliente) = lower($3)) AS do_cliente
+      FROM cupons_usos WHERE id_loja = $1 AND codigo = $2;
+    `, [idLoja, codigoNormalizado, emailCliente || '']);
+    const usos = usosResult.rows[0];
+
+    if (cupom.limite_total !== null && parseInt(usos.total, 10) >= cupom.limite_total) {
+      throw new ErroCupom(`O cupom ${codigoNormalizado} já atingiu o limite de usos.`);
+    }
+    if (cupom.limite_por_cliente !== null) {
+      if (!emailCliente) {
+        throw new ErroCupom(`Informe o e-mail para usar o cupom ${codigoNormalizado}.`);
+      }
+      if (parseInt(usos.do_cliente, 10) >= cupom.limite_por_cliente) {
+        throw new ErroCupom(`Você já usou o cupom ${codigoNormalizado} o máximo de vezes permitido.`);
+      }
+    }
+  }
+
+  const elegivelCentavos = subtotalElegivel(cupom, pedidoPrecificado.items);
+  if (cupom.tipo !== 'frete_gratis' && elegivelCentavos === 0) {
+    throw new ErroCupom(`O cupom ${codigoNormalizado} não se aplica aos itens do pedido.`);
+  }
+
+  let descontoCentavos = 0;
+  if (cupom.tipo === 'percentual') {
+    descontoCentavos = Math.min(Math.round(elegivelCentavos * parseFloat(cupom.valor) / 100), elegivelCentavos);
+  } else if (cupom.tipo === 'fixo') {
+    descontoCentavos = Math.min(paraCentavos(cupom.valor), elegivelCentavos);
+  }
+
+  return {
+    codigo: codigoNormalizado,
+    descricao: cupom.descricao,
+    desconto: descontoCentavos / 100,
+    freteGratis: cupom.tipo === 'frete_gratis'
+  };
+}
+
+// Registra o uso do cupom no pedido. Deve ser chamada na mesma transação de aplicarCupom({ bloquear: true }).
+async function registrarUso(client, idLoja, cupomAplicado, idPedido, emailCliente) {
+  await client.query(`
+    INSERT INTO cupons_usos (id_loja, codigo, id_pedido, email_cliente, valor_desconto)
+    VALUES ($1, $2, $3, $4, $5);
+  `, [idLoja, cupomAplicado.codigo, idPedido, emailCliente || null, cupomAplicado.desconto]);
+}
+
+// Valida os dados de criação/edição de um cupom vindos do painel. Na edição (`parcial`) recebe
+// o cupom gravado em `atual`, para conferir o valor contra o tipo mesmo quando só um deles muda.
+function validarDados(dados, { parcial = false, atual = null } = {}) {
+  const valores = {};
+  const erros = [];
+  const tem = (campo) => !parcial || campo in dados;
+
+  if (!dados || typeof dados !== 'object') {
+    throw new ErroCupom('Corpo da requisição inválido.');
+  }
+  if (!parcial) {
+    if (!/^[A-Z0-9_-]{3,40}$/.test(normalizarCodigo(dados.codigo))) {
+      erros.push('codigo deve ter de 3 a 40 letras, números, "-" ou "_".');
+    }
+    valores.codigo = normalizarCodigo(dados.codigo);
+  }
+  if (tem('descricao')) valores.descricao = dados.descricao ? String(dados.descricao) : null;
+  if (tem('tipo')) {
+    if (!TIPOS.includes(dados.tipo)) erros.push(`tipo deve ser um de: ${TIPOS.join(', ')}.`);
+    valores.tipo = dados.tipo;
+  }
+  if (tem('valor')) {
+    const valor = dados.valor === undefined || dados.valor === null ? 0 : Number(dados.valor);
+    if (!Number.isFinite(valor) || valor < 0) erros.push('valor deve ser um número não negativo.');
+    valores.valor = valor;
+  }
+  if (tem('tipo') || tem('valor')) {
+    // Na edição o tipo e o valor que faltarem no corpo vêm do cupom gravado
+    const tipo = 'tipo' in valores ? valores.tipo : atual && atual.tipo;
+    const valor = 'valor' in valores ? valores.valor : atual && parseFloat(atual.valor);
+    if (tipo === 'percentual' && valor > 100) erros.push('valor percentual deve estar entre 0 e 100.');
+    if ((tipo === 'percentual' || tipo === 'fixo') && !(valor > 0)) erros.push('valor deve ser maior que zero.');
+  }
+  for (const campo of ['pedido_minimo']) {
+    if (tem(campo)) {
+      const valor = dados[campo] === undefined || dados[campo] === null ? null : Number(dados[campo]);
+      if (valor !== null && (!Number.isFinite(valor) || valor < 0)) erros.push(`${campo} deve ser um número não negativo.`);
+      valores[campo] = valor;
+    }
+  }
+  for (const campo of ['limite_total', 'limite_por_cliente']) {
+    if (tem(campo)) {
+      const valor = dados[campo] === undefined || dados[campo] === null ? null : Number(dados[campo]);
+      if (valor !== null && (!Number.isInteger(valor) || valor < 1)) erros.push(`${campo} deve ser um inteiro positivo ou null.`);
+      valores[campo] = valor;
+    }
+  }
+  for (const campo of ['escopo_categorias', 'escopo_produtos']) {
+    if (tem(campo)) {
+      const valor = dados[campo] === undefined || dados[campo] === null ? [] : dados[campo];
+      if (!Array.isArray(valor)) erros.push(`${campo} deve ser uma lista.`);
+      valores[campo] = Array.isArray(valor) ? valor.map(String) : [];
+    }
+  }
+  for (const campo of ['valido_de', 'valido_ate']) {
+    if (tem(campo)) {
+      const valor = dados[campo] ? new Date(dados[campo]) : null;
+      if (valor && Number.isNaN(valor.getTime())) erros.push(`${campo} deve ser uma data válida.`);
+      valores[campo] = valor;
+    }
+  }
+  if (tem('ativo')) valores.ativo = dados.ativo !== false;
+
+  if (erros.length > 0) {
+    throw new ErroCupom('Dados do cupom inválidos.', 400, erros);
+  }
+  return valores;
+}
+
+async function listar(idLoja) {
+  const result = await db.query(`
+    SELECT c.*, COUNT(u.id_uso) AS usos, COALESCE(SUM(u.valor_desconto), 0) AS total_descontado
+    FROM cupons c
+    LEFT JOIN cupons_usos u ON u.id_loja = c.id_loja AND u.codigo = c.codigo
+    WHERE c.id_loja = $1
+    GROUP BY c.id_loja, c.codigo
+    ORDER BY c.criado_em DESC;
+  `, [idLoja]);
+  return result.rows.map(row => ({
+    ...row,
+    usos: parseInt(row.usos, 10),
+    total_descontado: parseFloat(row.total_descontado)
+  }));
+}
+
+async function criar(idLoja, dados) {
+  const valores = { ...validarDados(dados), id_loja: idLoja };
+  const colunas = Object.keys(valores);
+  const result = await db.query(`
+    INSERT INTO cupons (${colunas.join(', ')})
+    VALUES (${colunas.map((_, i) => `$${i + 1}`).join(', ')})
+    ON CONFLICT (id_loja, codigo) DO NOTHING
+    RETURNING *;
+  `, Object.values(valores));
+  if (result.rows.length === 0) {
+    throw new ErroCupom(`O cupom ${valores.codigo} já existe.`, 409);
+  }
+  return result.rows[0];
+}
+
+async function atualizar(idLoja, codigo, dados) {
+  const codigoNormalizado = normalizarCodigo(codigo);
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const atualResult = await client.query(
+      'SELECT * FROM cupons WHERE id_loja = $1 AND codigo = $2 FOR UPDATE;',
+      [idLoja, codigoNormalizado]
+    );
+    if (atualResult.rows.length === 0) {
+      throw new ErroCupom(`Cupom ${codigoNormalizado} não encontrado.`, 404);
+    }
+
+    const valores = validarDados(dados, { parcial: true, atual: atualResult.rows[0] });
+    const colunas = Object.keys(valores);
+    if (colunas.length === 0) {
+      throw new ErroCupom('Nenhum campo para atualizar.');
+    }
+    const result = await client.query(`
+      UPDATE cupons
+      SET ${colunas.map((coluna, i) => `${coluna} = $${i + 3}`).join(', ')}
+      WHERE id_loja = $1 AND codigo = $2
+      RETURNING *;
+    `, [idLoja, codigoNormalizado, ...Object.values(valores)]);
+    await client.query('COMMIT');
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  TIPOS,
+  ErroCupom,
+  aplicarCupom,
+  registrarUso,
+  listar,
+  criar,
+  atualizar,
+};
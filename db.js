@@ -1,13 +1,17 @@
 require('dotenv').config(); // Carrega as variáveis de ambiente do .env
 const { Pool } = require('pg');
 
+// DATABASE_SSL=false para um Postgres local sem SSL (desenvolvimento com npm run migrar / npm run seed).
+// Vale também para a conexão LISTEN de tempoReal.js.
+const ssl = process.env.DATABASE_SSL === 'false' ? false : {
+  rejectUnauthorized: false // Use esta opção se tiver problemas com SSL em alguns ambientes de hospedagem.
+                            // Em produção, para maior segurança, você pode precisar de um certificado.
+};
+
 // Use a variável de ambiente para a string de conexão do Neon
 const pool = new Pool({
   connectionString: process.env.DATABASE_URL,
-  ssl: {
-    rejectUnauthorized: false // Use esta opção se tiver problemas com SSL em alguns ambientes de hospedagem.
-                              // Em produção, para maior segurança, você pode precisar de um certificado.
-  }
+  ssl
 });
 
 // Testar a conexão (opcional, mas recomendado)
@@ -21,6 +25,8 @@ pool.on('error', (err) => {
 });
 
 module.exports = {
+  ssl,
   query: (text, params) => pool.query(text, params),
   getClient: () => pool.connect(), // Para transações ou múltiplas operações com o mesmo cliente
+  end: () => pool.end(), // Encerra o pool (usado pelos scripts de linha de comando)
 };
\ No newline at end of file
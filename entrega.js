@@ -0,0 +1,208 @@
+// entrega.js - Zonas de entrega (por bairro ou faixa de CEP) com taxa, pedido mínimo e tempo estimado
+// A taxa é sempre calculada no servidor a partir do endereço do pedido.
+
+const db = require('./db');
+
+// Valor de deliveryOption.type enviado pelo PWA para pedidos com entrega em casa
+const TIPO_ENTREGA = 'delivery';
+
+// Endereço fora da área de entrega ou pedido abaixo do mínimo da zona: a rota deve responder com `status`
+class ErroEntrega extends Error {
+  constructor(message, status = 400, detalhes = []) {
+    super(message);
+    this.name = 'ErroEntrega';
+    this.status = status;
+    this.detalhes = detalhes;
+  }
+}
+
+const paraCentavos = (valor) => Math.round(parseFloat(valor) * 100);
+
+// Bairros são comparados sem acentos, caixa ou espaços repetidos ("São  José" = "sao jose")
+const normalizarBairro = (bairro) => String(bairro || '')
+  .normalize('NFD').replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase().replace(/\s+/g, ' ').trim();
+
+const normalizarCep = (cep) => {
+  const digitos = String(cep || '').replace(/\D/g, '');
+  return digitos.length === 8 ? digitos : null;
+};
+
+// Extrai bairro e CEP do deliveryOption; sem CEP explícito tenta achar um no texto do endereço
+function lerEndereco({ neighborhood, bairro, cep, address } = {}) {
+  const cepNoEndereco = String(address || '').match(/\b\d{5}-?\d{3}\b/);
+  return {
+    bairro: normalizarBairro(neighborhood || bairro),
+    cep: normalizarCep(cep) || (cepNoEndereco ? normalizarCep(cepNoEndereco[0]) : null)
+  };
+}
+
+const formatarZona = (row) => ({
+  id: row.id_zona,
+  nome: row.nome,
+  bairros: row.bairros,
+  cepInicio: row.cep_inicio,
+  cepFim: row.cep_fim,
+  taxa: parseFloat(row.taxa),
+  pedidoMinimo: row.pedido_minimo === null ? null : parseFloat(row.pedido_minimo),
+  tempoEstimadoMinutos: row.tempo_estimado_minutos,
+  ativo: row.ativo
+});
+
+// Zona ativa que atende o endereço. A faixa de CEP tem prioridade sobre o nome do bairro;
+// entre várias faixas vale a mais estreita.
+async function buscarZona(queryable, idLoja, endereco) {
+  const { bairro, cep } = lerEndereco(endereco);
+  if (!bairro && !cep) {
+    throw new ErroEntrega('Informe o bairro ou o CEP do endereço de entrega.');
+  }
+  const result = await queryable.query(`
+    SELECT * FROM zonas_entrega
+    WHERE id_loja = $3 AND ativo = TRUE
+      AND (($1::text IS NOT NULL AND $1 BETWEEN cep_inicio AND cep_fim) OR $2 = ANY(bairros))
+    ORDER BY ($1::text IS NOT NULL AND $1 BETWEEN cep_inicio AND cep_fim) DESC,
+             cep_fim::bigint - cep_inicio::bigint NULLS LAST, id_zona
+    LIMIT 1;
+  `, [cep, bairro, idLoja]);
+  return result.rows[0] ? formatarZona(result.rows[0]) : null;
+}
+
+// Taxa de entrega de um pedido já precificado. Retirada/mesa não tem taxa; fora de cobertura ou
+// abaixo do pedido mínimo da zona lança ErroEntrega. Um cupom de frete grátis zera a taxa.
+async function calcularEntrega(queryable, idLoja, deliveryOption, pedidoPrecificado, cupomAplicado) {
+  if (!deliveryOption || deliveryOption.type !== TIPO_ENTREGA) {
+    return { taxa: 0, zona: null };
+  }
+  const zona = await buscarZona(queryable, idLoja, deliveryOption);
+  if (!zona) {
+    throw new ErroEntrega('Infelizmente ainda não entregamos nesse endereço.', 422);
+  }
+  const subtotal = pedidoPrecificado.subtotal !== undefined ? pedidoPrecificado.subtotal : pedidoPrecificado.total;
+  if (zona.pedidoMinimo !== null && paraCentavos(subtotal) < paraCentavos(zona.pedidoMinimo)) {
+    throw new ErroEntrega(`O pedido mínimo para entrega em ${zona.nome} é R$ ${zona.pedidoMinimo.toFixed(2)}.`, 422);
+  }
+  return {
+    taxa: cupomAplicado && cupomAplicado.freteGratis ? 0 : zona.taxa,
+    zona
+  };
+}
+
+// Cotação para o PWA: { atendido, taxa, pedidoMinimo, tempoEstimadoMinutos, zona }
+async function cotar(idLoja, endereco) {
+  const zona = await buscarZona(db, idLoja, endereco);
+  if (!zona) {
+    return { atendido: false, message: 'Infelizmente ainda não entregamos nesse endereço.' };
+  }
+  return {
+    atendido: true,
+    taxa: zona.taxa,
+    pedidoMinimo: zona.pedidoMinimo,
+    tempoEstimadoMinutos: zona.tempoEstimadoMinutos,
+    zona: { id: zona.id, nome: zona.nome }
+  };
+}
+
+// Valida os dados de criação/edição de uma zona vindos do painel
+function validarDados(dados, { parcial = false } = {}) {
+  if (!dados || typeof dados !== 'object') {
+    throw new ErroEntrega('Corpo da requisição inválido.');
+  }
+  const valores = {};
+  const erros = [];
+  const tem = (campo) => !parcial || campo in dados;
+
+  if (tem('nome')) {
+    if (!dados.nome || typeof dados.nome !== 'string') erros.push('nome é obrigatório.');
+    valores.nome = dados.nome;
+  }
+  if (tem('bairros')) {
+    const bairros = dados.bairros === undefined || dados.bairros === null ? [] : dados.bairros;
+    if (!Array.isArray(bairros)) erros.push('bairros deve ser uma lista.');
+    valores.bairros = Array.isArray(bairros) ? bairros.map(normalizarBairro).filter(Boolean) : [];
+  }
+  for (const [campo, coluna] of [['cepInicio', 'cep_inicio'], ['cepFim', 'cep_fim']]) {
+    if (tem(campo)) {
+      const cep = dados[campo] ? normalizarCep(dados[campo]) : null;
+      if (dados[campo] && !cep) erros.push(`${campo} deve ter 8 dígitos.`);
+      valores[coluna] = cep;
+    }
+  }
+  if (tem('cepInicio') !== tem('cepFim') || (valores.cep_inicio === null) !== (valores.cep_fim === null)) {
+    erros.push('cepInicio e cepFim devem ser informados juntos.');
+  } else if (valores.cep_inicio && valores.cep_inicio > valores.cep_fim) {
+    erros.push('cepInicio deve ser menor ou igual a cepFim.');
+  }
+  if (!parcial && valores.bairros.length === 0 && !valores.cep_inicio) {
+    erros.push('Informe ao menos um bairro ou uma faixa de CEP.');
+  }
+  if (tem('taxa')) {
+    const taxa = Number(dados.taxa);
+    if (!Number.isFinite(taxa) || taxa < 0) erros.push('taxa deve ser um número não negativo.');
+    valores.taxa = taxa;
+  }
+  if (tem('pedidoMinimo')) {
+    const minimo = dados.pedidoMinimo === undefined || dados.pedidoMinimo === null ? null : Number(dados.pedidoMinimo);
+    if (minimo !== null && (!Number.isFinite(minimo) || minimo < 0)) erros.push('pedidoMinimo deve ser um número não negativo.');
+    valores.pedido_minimo = minimo;
+  }
+  if (tem('tempoEstimadoMinutos')) {
+    const tempo = dados.tempoEstimadoMinutos === undefined || dados.tempoEstimadoMinutos === null
+      ? null : Number(dados.tempoEstimadoMinutos);
+    if (tempo !== null && (!Number.isInteger(tempo) || tempo <= 0)) erros.push('tempoEstimadoMinutos deve ser um inteiro positivo.');
+    valores.tempo_estimado_minutos = tempo;
+  }
+  if (tem('ativo')) valores.ativo = dados.ativo !== false;
+
+  if (erros.length > 0) {
+    throw new ErroEntrega('Dados da zona de entrega inválidos.', 400, erros);
+  }
+  return valores;
+}
+
+async function listar(idLoja) {
+  const result = await db.query('SELECT * FROM zonas_entrega WHERE id_loja = $1 ORDER BY ativo DESC, nome;', [idLoja]);
+  return result.rows.map(formatarZona);
+}
+
+async function criar(idLoja, dados) {
+  const valores = { ...validarDados(dados), id_loja: idLoja };
+  const colunas = Object.keys(valores);
+  const result = await db.query(`
+    INSERT INTO zonas_entrega (${colunas.join(', ')})
+    VALUES (${colunas.map((_, i) => `$${i + 1}`).join(', ')})
+    RETURNING *;
+  `, Object.values(valores));
+  return formatarZona(result.rows[0]);
+}
+
+async function atualizar(idLoja, id, dados) {
+  if (!/^\d+$/.test(String(id))) {
+    throw new ErroEntrega(`Zona de entrega ${id} não encontrada.`, 404);
+  }
+  const valores = validarDados(dados, { parcial: true });
+  const colunas = Object.keys(valores);
+  if (colunas.length === 0) {
+    throw new ErroEntrega('Nenhum campo para atualizar.');
+  }
+  const result = await db.query(`
+    UPDATE zonas_entrega
+    SET ${colunas.map((coluna, i) => `${coluna} = $${i + 3}`).join(', ')}
+    WHERE id_zona = $1 AND id_loja = $2
+    RETURNING *;
+  `, [id, idLoja, ...Object.values(valores)]);
+  if (result.rows.length === 0) {
+    throw new ErroEntrega(`Zona de entrega ${id} não encontrada.`, 404);
+  }
+  return formatarZona(result.rows[0]);
+}
+
+module.exports = {
+  TIPO_ENTREGA,
+  ErroEntrega,
+  normalizarBairro,
+  calcularEntrega,
+  cotar,
+  listar,
+  criar,
+  atualizar,
+};
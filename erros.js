@@ -0,0 +1,117 @@
+// erros.js - Tratamento centralizado dos erros das rotas
+// Toda resposta de erro tem o formato { code, message, errors? }. Erros de domínio viram o status
+// e o código de cada módulo; qualquer outro erro (banco, bug) vira 500 sem detalhes internos,
+// que ficam apenas no log do servidor.
+
+const { ErroValidacao } = require('./validacao');
+const { ErroPrecificacao } = require('./precificacao');
+const { ErroCupom } = require('./cupons');
+const { ErroEntrega } = require('./entrega');
+const { ErroCatalogo } = require('./catalogo');
+const { ErroLojaFechada } = require('./funcionamento');
+const { ErroStatusPedido } = require('./statusPedido');
+const { ErroEstorno } = require('./estornos');
+const { ErroRelatorio } = require('./relatorios');
+const { ErroFiltroPedidos } = require('./listagemPedidos');
+const { ErroNotificacao } = require('./notificacoes');
+const { ErroComanda } = require('./comanda');
+const { ErroLoja } = require('./lojas');
+const { ErroPedido } = require('./pedidos');
+const { ErroCliente } = require('./clientes');
+
+// Origem recusada pelo CORS
+class ErroOrigemNaoPermitida extends Error {
+  constructor(origem) {
+    super(`Origem não permitida: ${origem}`);
+    this.name = 'ErroOrigemNaoPermitida';
+  }
+}
+
+// Erro com status e código HTTP definidos pela própria rota (ex.: pedido não encontrado)
+class ErroHttp extends Error {
+  constructor(status, code, message, extras = {}) {
+    super(message);
+    this.name = 'ErroHttp';
+    this.status = status;
+    this.code = code;
+    this.extras = extras;
+  }
+}
+
+// [classe, código, como montar a resposta]. `errors` = lista de problemas; os demais campos
+// (ex.: `store` da loja fechada, `status` atual do pedido) são somados ao corpo.
+const ERROS_DE_DOMINIO = [
+  [ErroValidacao, 'dados_invalidos', error => ({ status: 400, errors: error.detalhes })],
+  [ErroPrecificacao, 'preco_invalido', error => ({ status: 400, errors: error.detalhes })],
+  [ErroCupom, 'cupom_invalido', error => ({ status: error.status, errors: error.detalhes })],
+  [ErroEntrega, 'entrega_indisponivel', error => ({ status: error.status, errors: error.detalhes })],
+  [ErroCatalogo, 'catalogo_invalido', error => ({ status: error.status, code: error.code, errors: error.detalhes })],
+  [ErroLojaFechada, 'loja_fechada', error => ({ status: 403, extras: { store: error.statusLoja } })],
+  [ErroStatusPedido, 'status_invalido', error => ({ status: error.status, extras: error.detalhes })],
+  [ErroEstorno, 'estorno_invalido', error => ({ status: error.status, extras: error.detalhes })],
+  [ErroRelatorio, 'relatorio_invalido', () => ({ status: 400 })],
+  [ErroFiltroPedidos, 'filtro_invalido', () => ({ status: 400 })],
+  [ErroNotificacao, 'modelo_email_invalido', error => ({ status: error.status, errors: error.detalhes })],
+  [ErroComanda, 'comanda_invalida', error => ({ status: error.status })],
+  [ErroLoja, 'loja_nao_identificada', error => ({ status: error.status })],
+  [ErroPedido, 'pedido_invalido', error => ({ status: error.status, code: error.code, extras: error.detalhes })],
+  [ErroCliente, 'cliente_invalido', error => ({ status: error.status, code: error.code, extras: error.detalhes })],
+  [ErroOrigemNaoPermitida, 'origem_nao_permitida', () => ({ status: 403 })],
+  [ErroHttp, null, error => ({ status: error.status, code: error.code, extras: error.extras })]
+];
+
+// O SDK do Mercado Pago lança o corpo de erro da API (objeto simples com `status` e `cause`)
+const erroMercadoPago = (error) =>
+  error && !(error instanceof Error) && typeof error === 'object' && typeof error.status === 'number';
+
+// { status, corpo } da resposta de erro. Também usada pela sincronização offline para descrever
+// cada entrada recusada do lote.
+function montarResposta(error) {
+  for (const [Classe, code, montar] of ERROS_DE_DOMINIO) {
+    if (error instanceof Classe) {
+      const { status, errors, extras, code: codigoProprio } = montar(error);
+      // Registros inexistentes têm o mesmo código em todos os módulos; estorno que falhou
+      // no Mercado Pago chega como ErroEstorno 502
+      const codigo = status === 404 ? 'nao_encontrado'
+        : status === 502 ? 'erro_mercado_pago'
+          : codigoProprio || code;
+      const corpo = { ...extras, code: codigo, message: error.message };
+      if (errors !== undefined) corpo.errors = errors;
+      return { status, corpo };
+    }
+  }
+  // Corpo JSON malformado ou grande demais (express.json)
+  if (error && error.type === 'entity.parse.failed') {
+    return { status: 400, corpo: { code: 'json_invalido', message: 'O corpo da requisição não é um JSON válido.' } };
+  }
+  if (error && error.type === 'entity.too.large') {
+    return { status: 413, corpo: { code: 'corpo_muito_grande', message: 'O corpo da requisição é grande demais.' } };
+  }
+  if (erroMercadoPago(error)) {
+    return { status: 502, corpo: { code: 'erro_mercado_pago', message: 'O Mercado Pago recusou a operação.' } };
+  }
+  return { status: 500, corpo: { code: 'erro_interno', message: 'Erro interno do servidor.' } };
+}
+
+// Middleware de erro do Express: deve ser registrado depois de todas as rotas
+function tratarErros(error, req, res, next) {
+  if (res.headersSent) return next(error);
+  const { status, corpo } = montarResposta(error);
+  if (status >= 500) {
+    console.error(`💥 Erro em ${req.method} ${req.path}:`, error);
+  }
+  res.status(status).json(corpo);
+}
+
+// Rotas inexistentes respondem JSON em vez da página padrão do Express
+function rotaNaoEncontrada(req, res) {
+  res.status(404).json({ code: 'rota_nao_encontrada', message: `Rota ${req.method} ${req.path} não encontrada.` });
+}
+
+module.exports = {
+  ErroOrigemNaoPermitida,
+  ErroHttp,
+  montarResposta,
+  tratarErros,
+  rotaNaoEncontrada,
+};
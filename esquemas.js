@@ -0,0 +1,267 @@
+// esquemas.js - Esquemas dos corpos aceitos pelas rotas da API (ver validacao.js)
+// Conferem formato e campos obrigatórios; regras de negócio (preços, estoque, cupons, zonas)
+// continuam nos módulos de cada domínio.
+
+const {
+  texto, email, numero, inteiro, booleano, dataHora, identificador, opcao, lista, objeto, mapa
+} = require('./validacao');
+const statusPedido = require('./statusPedido');
+const { TIPO_ENTREGA } = require('./entrega');
+const { METODOS_PAGAMENTO } = require('./pedidos');
+
+const CEP = /^\d{5}-?\d{3}$/;
+const TELEFONE = /^[\d\s()+-]{10,20}$/;
+const CODIGO_ACESSO = /^\d{6}$/;
+
+const complementoPedido = objeto({
+  id: identificador({ obrigatorio: true })
+}, { obrigatorio: true });
+
+// Os preços enviados pelo PWA são opcionais e servem só para conferência (precificacao.js)
+const itemPedido = objeto({
+  productId: identificador({ obrigatorio: true }),
+  quantity: inteiro({ obrigatorio: true, minimo: 1, maximo: 999 }),
+  basePrice: numero({ minimo: 0 }),
+  unitPriceWithComplements: numero({ minimo: 0 }),
+  totalItemPrice: numero({ minimo: 0 }),
+  complements: lista(complementoPedido, { maximo: 50 })
+}, { obrigatorio: true });
+
+const itensPedido = (opcoes = {}) => lista(itemPedido, { minimo: 1, maximo: 100, ...opcoes });
+
+// Com `enderecoSalvo`, o endereço pode vir de um endereço salvo do cliente (addressId) em vez de address
+const entrega = (opcoes = {}, { enderecoSalvo = false } = {}) => objeto({
+  type: texto({ obrigatorio: true, maximo: 50 }),
+  address: texto({ maximo: 500 }),
+  neighborhood: texto({ maximo: 120 }),
+  bairro: texto({ maximo: 120 }),
+  cep: texto({ formato: CEP, descricaoFormato: 'deve ter 8 dígitos (00000-000).' }),
+  tableNumber: identificador(),
+  ...(enderecoSalvo ? { addressId: identificador() } : {})
+}, {
+  ...opcoes,
+  verificar: (dados) => (dados.type === TIPO_ENTREGA && !dados.address && !(enderecoSalvo && dados.addressId)
+    ? [['address', 'é obrigatório para entrega.']]
+    : [])
+});
+
+// POST /api/pedidos
+const criarPedido = objeto({
+  orderId: identificador({ obrigatorio: true }),
+  customerName: texto({ obrigatorio: true, maximo: 255 }),
+  customerEmail: email(),
+  items: itensPedido({ obrigatorio: true }),
+  deliveryOption: entrega({ obrigatorio: true }, { enderecoSalvo: true }),
+  observations: texto({ maximo: 1000 }),
+  paymentMethod: opcao({ obrigatorio: true, valores: METODOS_PAGAMENTO }),
+  trocoPara: numero({ minimo: 0 }),
+  total: numero({ obrigatorio: true, minimo: 0 }),
+  sentAt: dataHora(),
+  couponCode: texto({ maximo: 40 })
+}, { obrigatorio: true });
+
+// POST /api/pedidos/sync. Aqui só o envelope é conferido: cada entrada é validada pela
+// sincronização (criarPedido / alteracaoStatusOffline), para que uma inválida não recuse o lote.
+const sincronizarPedidos = objeto({
+  orders: lista(objeto({}, { obrigatorio: true }), { maximo: 50 }),
+  statusChanges: lista(objeto({}, { obrigatorio: true }), { maximo: 200 })
+}, {
+  obrigatorio: true,
+  verificar: (dados) => ((dados.orders || []).length === 0 && (dados.statusChanges || []).length === 0
+    ? [['orders', 'envie ao menos um pedido ou uma mudança de status.']] : [])
+});
+
+// Cada item de statusChanges da sincronização: changedAt é o momento da mudança no aparelho
+const alteracaoStatusOffline = objeto({
+  orderId: identificador({ obrigatorio: true }),
+  status: opcao({ obrigatorio: true, valores: statusPedido.STATUS }),
+  changedAt: dataHora({ obrigatorio: true }),
+  observacao: texto({ maximo: 500 })
+}, { obrigatorio: true });
+
+// PUT /api/pedidos (atualização em lote pelo painel)
+const atualizarStatusEmLote = lista(objeto({
+  orderId: identificador({ obrigatorio: true }),
+  status: opcao({ obrigatorio: true, valores: statusPedido.STATUS })
+}, { obrigatorio: true }), { obrigatorio: true, minimo: 1 });
+
+// PATCH /api/pedidos/:id/status
+const alterarStatus = objeto({
+  status: opcao({ obrigatorio: true, valores: statusPedido.STATUS }),
+  observacao: texto({ maximo: 500 })
+}, { obrigatorio: true });
+
+// POST /api/pedidos/:id/estorno
+const estornarPedido = objeto({
+  valor: numero({ minimo: 0.01 }),
+  motivo: texto({ maximo: 500 })
+});
+
+// POST /api/pedidos/:id/pix
+const novoPix = objeto({
+  customerEmail: email()
+});
+
+// POST /create-mercadopago-pix e /create-mercadopago-preference. Sem pedido salvo, `items`
+// (e `deliveryOption`, na entrega) são usados para calcular o valor.
+const pagamentoPedido = objeto({
+  orderId: identificador({ obrigatorio: true }),
+  customerName: texto({ obrigatorio: true, maximo: 255 }),
+  customerEmail: email({ obrigatorio: true }),
+  items: itensPedido(),
+  total: numero({ minimo: 0 }),
+  couponCode: texto({ maximo: 40 }),
+  deliveryOption: entrega()
+}, { obrigatorio: true });
+
+// POST /create-mercadopago-card (corpo montado pelo Card Payment Brick)
+const pagamentoCartao = objeto({
+  token: texto({ obrigatorio: true, maximo: 255 }),
+  issuer_id: identificador(),
+  payment_method_id: texto({ obrigatorio: true, maximo: 50 }),
+  transaction_amount: numero({ obrigatorio: true, minimo: 0.01 }),
+  installments: inteiro({ obrigatorio: true, minimo: 1, maximo: 24 }),
+  payer: objeto({
+    email: email({ obrigatorio: true })
+  }, { obrigatorio: true }),
+  external_reference: identificador({ obrigatorio: true }),
+  description: texto({ maximo: 255 }),
+  items: itensPedido(),
+  couponCode: texto({ maximo: 40 }),
+  deliveryOption: entrega()
+}, { obrigatorio: true });
+
+// POST /api/cupons/validar
+const validarCupom = objeto({
+  codigo: texto({ obrigatorio: true, maximo: 40 }),
+  items: itensPedido({ obrigatorio: true }),
+  customerEmail: email()
+}, { obrigatorio: true });
+
+// POST /api/entrega/cotacao
+const cotarEntrega = objeto({
+  neighborhood: texto({ maximo: 120 }),
+  bairro: texto({ maximo: 120 }),
+  cep: texto({ formato: CEP, descricaoFormato: 'deve ter 8 dígitos (00000-000).' }),
+  address: texto({ maximo: 500 })
+}, { obrigatorio: true });
+
+// POST /api/auth/login
+const login = objeto({
+  email: texto({ obrigatorio: true, maximo: 255 }),
+  password: texto({ obrigatorio: true, maximo: 1024 })
+}, { obrigatorio: true });
+
+// POST /api/clientes/codigo e POST /api/clientes/entrar: o login é pelo e-mail ou pelo telefone
+const destinoCodigo = {
+  email: email({ maximo: 255 }),
+  telefone: texto({ formato: TELEFONE, descricaoFormato: 'deve ter DDD e número.' })
+};
+const umDestino = (dados) => (!dados.email === !dados.telefone
+  ? [['email', 'informe o e-mail ou o telefone (apenas um).']]
+  : []);
+
+const solicitarCodigoCliente = objeto(destinoCodigo, { obrigatorio: true, verificar: umDestino });
+
+const entrarCliente = objeto({
+  ...destinoCodigo,
+  codigo: texto({ obrigatorio: true, formato: CODIGO_ACESSO, descricaoFormato: 'deve ter 6 dígitos.' }),
+  nome: texto({ maximo: 255 })
+}, { obrigatorio: true, verificar: umDestino });
+
+// PATCH /api/me
+const atualizarCliente = objeto({
+  nome: texto({ obrigatorio: true, maximo: 255 })
+}, { obrigatorio: true });
+
+// POST e PATCH /api/me/enderecos (mesmos campos do deliveryOption)
+const enderecoCliente = (obrigatorio) => objeto({
+  label: texto({ maximo: 60 }),
+  address: texto({ obrigatorio, maximo: 500 }),
+  neighborhood: texto({ maximo: 120 }),
+  cep: texto({ formato: CEP, descricaoFormato: 'deve ter 8 dígitos (00000-000).' }),
+  isDefault: booleano()
+}, { obrigatorio: true });
+const criarEnderecoCliente = enderecoCliente(true);
+const atualizarEnderecoCliente = enderecoCliente(false);
+
+// POST /api/me/pedidos/:id/repetir (sem corpo repete a entrega do pedido original)
+const repetirPedido = objeto({
+  deliveryOption: entrega({}, { enderecoSalvo: true })
+});
+
+// PUT /api/loja/status
+const fechamentoLoja = objeto({
+  fechada: booleano({ obrigatorio: true }),
+  mensagem: texto({ maximo: 500 })
+}, { obrigatorio: true });
+
+// PUT /api/loja/horarios (os horários em si são conferidos por funcionamento.js)
+const horariosLoja = lista(objeto({}, { obrigatorio: true }), { obrigatorio: true });
+
+// Rotas do catálogo, cupons e zonas: os campos são conferidos pelos próprios módulos,
+// que já devolvem erros por campo; aqui só se garante que o corpo é um objeto.
+const corpoObjeto = objeto({}, { obrigatorio: true });
+
+// PATCH /api/notificacoes/modelos/:tipo (as variáveis são conferidas por notificacoes.js)
+const modeloEmail = objeto({
+  assunto: texto({ maximo: 255 }),
+  corpo: texto({ maximo: 10000 }),
+  ativo: booleano()
+}, { obrigatorio: true });
+
+// POST /api/impressao/proximos (agente de impressão da loja)
+const proximasImpressoes = objeto({
+  agente: texto({ maximo: 100 }),
+  limite: inteiro({ minimo: 1, maximo: 20 }),
+  formato: opcao({ valores: ['texto', 'escpos'] }),
+  largura: opcao({ valores: [58, 80, '58', '80'] })
+});
+
+// POST /api/impressao/confirmar (agente de impressão da loja)
+const confirmarImpressoes = objeto({
+  orderIds: lista(identificador({ obrigatorio: true }), { obrigatorio: true, minimo: 1, maximo: 20 }),
+  agente: texto({ maximo: 100 })
+});
+
+// PUT /api/produtos: { categoria: [produtos] }
+const importarProdutos = mapa(lista(objeto({}, { obrigatorio: true }), { obrigatorio: true }), { obrigatorio: true });
+
+// PUT /api/complementos: { id: { name, price, category } }
+const importarComplementos = mapa(objeto({}, { obrigatorio: true }), { obrigatorio: true });
+
+// PATCH /api/.../:id/disponibilidade. `estoque: null` desliga o controle de estoque.
+const disponibilidade = objeto({
+  esgotado: booleano(),
+  estoque: inteiro({ minimo: 0 })
+}, { obrigatorio: true });
+
+module.exports = {
+  criarPedido,
+  sincronizarPedidos,
+  alteracaoStatusOffline,
+  atualizarStatusEmLote,
+  alterarStatus,
+  estornarPedido,
+  novoPix,
+  pagamentoPedido,
+  pagamentoCartao,
+  validarCupom,
+  cotarEntrega,
+  login,
+  solicitarCodigoCliente,
+  entrarCliente,
+  atualizarCliente,
+  criarEnderecoCliente,
+  atualizarEnderecoCliente,
+  repetirPedido,
+  fechamentoLoja,
+  horariosLoja,
+  corpoObjeto,
+  importarProdutos,
+  importarComplementos,
+  disponibilidade,
+  modeloEmail,
+  proximasImpressoes,
+  confirmarImpressoes,
+};
@@ -0,0 +1,283 @@
+// estornos.js - Estorno (total ou parcial) e cancelamento de pedidos pelo painel
+// Os pagamentos são consultados na API do Mercado Pago; a tabela pagamentos só indica quais existem.
+
+const db = require('./db');
+const statusPedido = require('./statusPedido');
+const tempoReal = require('./tempoReal');
+
+const STATUS_MP_EM_ABERTO = ['pending', 'in_process', 'authorized'];
+const STATUS_MP_FINALIZADOS = ['cancelled', 'rejected', 'refunded', 'charged_back'];
+
+// Estorno impossível ou inválido: a rota deve responder com `status`
+class ErroEstorno extends Error {
+  constructor(message, status = 400, detalhes = {}) {
+    super(message);
+    this.name = 'ErroEstorno';
+    this.status = status;
+    this.detalhes = detalhes;
+  }
+}
+
+const paraCentavos = (valor) => Math.round(parseFloat(valor) * 100);
+const paraReais = (centavos) => centavos / 100;
+
+// Chave de idempotência derivada para cada chamada ao Mercado Pago (uma requisição pode gerar várias).
+// Sempre informada, mesmo undefined, porque o SDK guarda requestOptions no client compartilhado.
+const opcoesChamada = (chave, sufixo) => ({ idempotencyKey: chave ? `${chave}:${sufixo}` : undefined });
+
+// Um estorno em andamento há mais tempo que isso é considerado abandonado (ex.: o processo caiu entre
+// as chamadas ao Mercado Pago e a gravação) e não bloqueia mais um novo estorno do pedido
+const MINUTOS_ESTORNO_ABANDONADO = 10;
+
+// Etapa 1: marca o pedido com estorno em andamento e lê as tentativas a consultar. A marca (e não um
+// FOR UPDATE mantido durante as chamadas HTTP) é o que impede dois estornos simultâneos do pedido.
+async function iniciarEstorno(idLoja, idPedido) {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const pedidoResult = await client.query(
+      'SELECT status, estorno_iniciado_em FROM pedidos WHERE id_pedido = $1 AND id_loja = $2 FOR UPDATE;',
+      [idPedido, idLoja]
+    );
+    if (pedidoResult.rows.length === 0) {
+      throw new ErroEstorno(`Pedido ${idPedido} não encontrado.`, 404);
+    }
+    const { status, estorno_iniciado_em: iniciadoEm } = pedidoResult.rows[0];
+    if (iniciadoEm && Date.now() - new Date(iniciadoEm).getTime() < MINUTOS_ESTORNO_ABANDONADO * 60000) {
+      throw new ErroEstorno(`Já existe um estorno em andamento para o pedido ${idPedido}.`, 409, { status });
+    }
+    await client.query('UPDATE pedidos SET estorno_iniciado_em = NOW() WHERE id_pedido = $1;', [idPedido]);
+
+    const tentativasResult = await client.query(`
+      SELECT id_pagamento_mp FROM pagamentos
+      WHERE id_pedido = $1 AND id_pagamento_mp IS NOT NULL AND NOT (status_mp = ANY($2::text[]))
+      ORDER BY criado_em;
+    `, [idPedido, STATUS_MP_FINALIZADOS]);
+    await client.query('COMMIT');
+    return { statusAtual: status, idsPagamentosMp: tentativasResult.rows.map(row => row.id_pagamento_mp) };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Desfaz a marca da etapa 1 quando o estorno é recusado antes de qualquer mudança no Mercado Pago
+async function liberarEstorno(idPedido) {
+  await db.query('UPDATE pedidos SET estorno_iniciado_em = NULL WHERE id_pedido = $1;', [idPedido]);
+}
+
+// Etapa 2, fora de transação: consulta os pagamentos, cancela os pendentes e estorna os aprovados.
+// Se o Mercado Pago falhar no meio de um estorno, o que já foi feito é devolvido com a `falha`.
+async function executarNoMercadoPago(clientesMp, statusAtual, idsPagamentosMp, valorSolicitado, chaveIdempotencia) {
+  const pagamentosMp = await Promise.all(idsPagamentosMp.map(id => clientesMp.payment.get({ id })));
+
+  const aprovados = pagamentosMp
+    .filter(pagamento => pagamento.status === 'approved')
+    .map(pagamento => ({
+      id: String(pagamento.id),
+      disponivel: paraCentavos(pagamento.transaction_amount) - paraCentavos(pagamento.transaction_amount_refunded || 0)
+    }))
+    .filter(pagamento => pagamento.disponivel > 0);
+  const pendentes = pagamentosMp.filter(pagamento => STATUS_MP_EM_ABERTO.includes(pagamento.status));
+  const totalDisponivel = aprovados.reduce((soma, pagamento) => soma + pagamento.disponivel, 0);
+
+  if (aprovados.length === 0 && valorSolicitado !== null) {
+    throw new ErroEstorno('O pedido não tem pagamento aprovado no Mercado Pago para estornar.', 409);
+  }
+  if (aprovados.length === 0 && pendentes.length === 0 && !statusPedido.transicaoPermitida(statusAtual, 'cancelado')) {
+    throw new ErroEstorno(`O pedido está ${statusAtual} e não tem pagamento para estornar ou cancelar.`, 409, { status: statusAtual });
+  }
+  if (valorSolicitado !== null && valorSolicitado > totalDisponivel) {
+    throw new ErroEstorno(`O valor máximo para estorno é R$ ${paraReais(totalDisponivel).toFixed(2)}.`, 400, {
+      available: paraReais(totalDisponivel)
+    });
+  }
+
+  const execucao = { aprovados, totalDisponivel, cancelados: [], estornos: [], falha: null };
+
+  // Tentativas pendentes não podem continuar pagáveis depois do cancelamento/estorno
+  for (const pendente of pendentes) {
+    try {
+      await clientesMp.payment.cancel({ id: pendente.id, requestOptions: opcoesChamada(chaveIdempotencia, `cancel-${pendente.id}`) });
+    } catch (error) {
+      execucao.falha = error;
+      return execucao;
+    }
+    execucao.cancelados.push(String(pendente.id));
+  }
+
+  // Distribui o valor entre os pagamentos aprovados, na ordem em que foram criados
+  let restante = valorSolicitado === null ? totalDisponivel : valorSolicitado;
+  for (const aprovado of aprovados) {
+    if (restante === 0) break;
+    const parte = Math.min(restante, aprovado.disponivel);
+    let reembolso;
+    try {
+      reembolso = await clientesMp.paymentRefund.create({
+        payment_id: aprovado.id,
+        body: { amount: paraReais(parte) },
+        requestOptions: opcoesChamada(chaveIdempotencia, `refund-${aprovado.id}`)
+      });
+    } catch (error) {
+      execucao.falha = error;
+      break;
+    }
+    execucao.estornos.push({
+      paymentId: aprovado.id,
+      refundId: reembolso.id ? String(reembolso.id) : null,
+      amount: paraReais(parte),
+      total: parte === aprovado.disponivel
+    });
+    restante -= parte;
+  }
+  return execucao;
+}
+
+// Etapa 3: grava o que foi feito no Mercado Pago, muda o status do pedido e tira a marca de
+// estorno em andamento. O status é relido: o webhook pode ter mudado o pedido durante a etapa 2.
+async function concluirEstorno(idLoja, idPedido, execucao, { motivo, ator, idUsuario }) {
+  const { aprovados, totalDisponivel, cancelados, estornos, falha } = execucao;
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const pedidoResult = await client.query(
+      'SELECT status FROM pedidos WHERE id_pedido = $1 AND id_loja = $2 FOR UPDATE;',
+      [idPedido, idLoja]
+    );
+    const statusAtual = pedidoResult.rows[0].status;
+
+    for (const id of cancelados) {
+      await client.query(
+        `UPDATE pagamentos SET status_mp = 'cancelled', atualizado_em = NOW() WHERE id_pagamento_mp = $1;`,
+        [id]
+      );
+    }
+    for (const estorno of estornos) {
+      await client.query(`
+        INSERT INTO estornos (id_pedido, id_pagamento_mp, id_estorno_mp, valor, motivo, ator, id_admin_user)
+        VALUES ($1, $2, $3, $4, $5, $6, $7);
+      `, [idPedido, estorno.paymentId, estorno.refundId, estorno.amount, motivo || null, ator, idUsuario || null]);
+      if (estorno.total) {
+        await client.query(
+          `UPDATE pagamentos SET status_mp = 'refunded', atualizado_em = NOW() WHERE id_pagamento_mp = $1;`,
+          [estorno.paymentId]
+        );
+      }
+    }
+
+    const valorEstornado = estornos.reduce((soma, estorno) => soma + paraCentavos(estorno.amount), 0);
+    let novoStatus = null;
+    if (falha) {
+      novoStatus = null;
+    } else if (aprovados.length === 0) {
+      novoStatus = statusPedido.transicaoPermitida(statusAtual, 'cancelado') ? 'cancelado' : null;
+    } else if (valorEstornado === totalDisponivel && statusAtual !== 'estornado') {
+      novoStatus = 'estornado';
+    }
+
+    if (novoStatus) {
+      await statusPedido.registrarTransicao(client, {
+        idPedido,
+        statusAnterior: statusAtual,
+        novoStatus,
+        ator,
+        idUsuario,
+        origem: 'painel',
+        observacao: motivo || (novoStatus === 'estornado' ? 'Estorno total' : 'Cancelamento pelo painel')
+      });
+    }
+    if (estornos.length > 0) {
+      await tempoReal.publicarEvento(client, 'estorno_registrado', idPedido, {
+        refunds: estornos.map(({ paymentId, refundId, amount }) => ({ paymentId, refundId, amount })),
+        amount: paraReais(valorEstornado),
+        status: novoStatus || statusAtual
+      });
+    }
+    await client.query('UPDATE pedidos SET estorno_iniciado_em = NULL WHERE id_pedido = $1;', [idPedido]);
+
+    await client.query('COMMIT');
+    return {
+      orderId: idPedido,
+      previousStatus: statusAtual,
+      status: novoStatus || statusAtual,
+      refundedAmount: paraReais(valorEstornado),
+      refunds: estornos.map(({ paymentId, refundId, amount }) => ({ paymentId, refundId, amount })),
+      cancelledPayments: cancelados
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+// Estorna `valor` (ou tudo o que ainda não foi estornado) dos pagamentos aprovados do pedido e
+// cancela as tentativas ainda pendentes (ex.: QR code PIX em aberto). Sem pagamento aprovado,
+// apenas cancela o pedido. Estorno total leva o pedido a 'estornado'; o parcial não muda o status.
+// `clientesMp` = { payment, paymentRefund } do SDK do Mercado Pago, com as credenciais da loja.
+// Nenhuma transação fica aberta durante as chamadas ao Mercado Pago: o pedido é marcado com estorno
+// em andamento (etapa 1), o Mercado Pago é chamado (etapa 2) e o resultado é gravado (etapa 3).
+// Se a etapa 3 falhar, o webhook do Mercado Pago ainda atualiza pagamentos e status do pedido.
+async function estornarPedido(clientesMp, idLoja, idPedido, { valor, motivo, ator, idUsuario, chaveIdempotencia } = {}) {
+  const valorSolicitado = valor === undefined || valor === null ? null : paraCentavos(valor);
+  if (valorSolicitado !== null && (!Number.isInteger(valorSolicitado) || valorSolicitado <= 0)) {
+    throw new ErroEstorno('O valor do estorno deve ser um número maior que zero.');
+  }
+
+  const { statusAtual, idsPagamentosMp } = await iniciarEstorno(idLoja, idPedido);
+
+  let execucao;
+  try {
+    execucao = await executarNoMercadoPago(clientesMp, statusAtual, idsPagamentosMp, valorSolicitado, chaveIdempotencia);
+  } catch (error) {
+    await liberarEstorno(idPedido);
+    throw error;
+  }
+
+  let resultado;
+  try {
+    resultado = await concluirEstorno(idLoja, idPedido, execucao, { motivo, ator, idUsuario });
+  } catch (error) {
+    console.error(`💥 Estorno do pedido ${idPedido} feito no Mercado Pago mas não gravado:`, {
+      cancelados: execucao.cancelados,
+      estornos: execucao.estornos
+    });
+    throw error;
+  }
+
+  if (execucao.falha) {
+    throw new ErroEstorno('O Mercado Pago recusou o estorno.', 502, {
+      ...resultado,
+      cause: execucao.falha.message || String(execucao.falha)
+    });
+  }
+  return resultado;
+}
+
+async function listarPorPedido(idLoja, idPedido) {
+  const result = await db.query(`
+    SELECT e.id_estorno, e.id_pagamento_mp, e.id_estorno_mp, e.valor, e.motivo, e.ator, e.data_hora
+    FROM estornos e
+    JOIN pedidos p ON p.id_pedido = e.id_pedido
+    WHERE e.id_pedido = $1 AND p.id_loja = $2
+    ORDER BY e.data_hora;
+  `, [idPedido, idLoja]);
+  return result.rows.map(row => ({
+    id: row.id_estorno,
+    paymentId: row.id_pagamento_mp,
+    refundId: row.id_estorno_mp,
+    amount: parseFloat(row.valor),
+    reason: row.motivo,
+    actor: row.ator,
+    at: row.data_hora
+  }));
+}
+
+module.exports = {
+  ErroEstorno,
+  estornarPedido,
+  listarPorPedido,
+};
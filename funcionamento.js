@@ -0,0 +1,142 @@
+// funcionamento.js - Horário de funcionamento de cada loja e fechamento manual ("loja fechada")
+
+const db = require('./db');
+
+// Fuso do horário da loja (o servidor pode estar em qualquer região)
+const FUSO_HORARIO = process.env.LOJA_FUSO_HORARIO || 'America/Sao_Paulo';
+const DIAS_SEMANA = ['domingo', 'segunda', 'terca', 'quarta', 'quinta', 'sexta', 'sabado'];
+
+// Loja fechada para pedidos novos: a rota deve responder 403 com a mensagem e os horários
+class ErroLojaFechada extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'ErroLojaFechada';
+    this.statusLoja = status;
+  }
+}
+
+const paraMinutos = (hora) => {
+  const [h, m] = String(hora).split(':').map(Number);
+  return h * 60 + m;
+};
+
+// Dia da semana (0 = domingo) e minutos desde a meia-noite no fuso da loja
+function momentoLocal(agora) {
+  const partes = new Intl.DateTimeFormat('en-US', {
+    timeZone: FUSO_HORARIO, weekday: 'short', hour: '2-digit', minute: '2-digit', hourCycle: 'h23'
+  }).formatToParts(agora);
+  const valor = (tipo) => partes.find(parte => parte.type === tipo).value;
+  const dia = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].indexOf(valor('weekday'));
+  return { dia, minutos: parseInt(valor('hour'), 10) * 60 + parseInt(valor('minute'), 10) };
+}
+
+// Um intervalo com fecha <= abre atravessa a meia-noite (ex.: 18:00 às 02:00)
+function dentroDoHorario(horarios, { dia, minutos }) {
+  const diaAnterior = (dia + 6) % 7;
+  return horarios.some(horario => {
+    const abre = paraMinutos(horario.abre);
+    const fecha = paraMinutos(horario.fecha);
+    if (fecha > abre) {
+      return horario.dia_semana === dia && minutos >= abre && minutos < fecha;
+    }
+    return (horario.dia_semana === dia && minutos >= abre) ||
+      (horario.dia_semana === diaAnterior && minutos < fecha);
+  });
+}
+
+// `queryable` pode ser o db ou um client em transação: o pedido confere o horário dentro da dele,
+// sem pegar outras conexões do pool enquanto segura uma
+async function obterStatus(idLoja, agora = new Date(), queryable = db) {
+  const [configResult, horariosResult] = await Promise.all([
+    queryable.query('SELECT fechada, mensagem_fechamento AS mensagem FROM lojas WHERE id_loja = $1;', [idLoja]),
+    queryable.query(`
+      SELECT dia_semana, to_char(abre, 'HH24:MI') AS abre, to_char(fecha, 'HH24:MI') AS fecha
+      FROM horarios_funcionamento WHERE id_loja = $1 ORDER BY dia_semana, abre;
+    `, [idLoja])
+  ]);
+  const config = configResult.rows[0] || { fechada: false, mensagem: null };
+  const horarios = horariosResult.rows;
+
+  // Sem horários cadastrados a loja funciona o dia todo (só o fechamento manual vale)
+  const noHorario = horarios.length === 0 || dentroDoHorario(horarios, momentoLocal(agora));
+
+  return {
+    aberta: !config.fechada && noHorario,
+    fechadaManualmente: config.fechada,
+    mensagem: config.mensagem,
+    horarios: horarios.map(horario => ({
+      diaSemana: horario.dia_semana,
+      dia: DIAS_SEMANA[horario.dia_semana],
+      abre: horario.abre,
+      fecha: horario.fecha
+    }))
+  };
+}
+
+// Lança ErroLojaFechada se a loja não estiver aceitando pedidos em `agora` (pedidos offline usam o sentAt)
+async function exigirLojaAberta(idLoja, agora = new Date(), queryable = db) {
+  const status = await obterStatus(idLoja, agora, queryable);
+  if (!status.aberta) {
+    const message = status.fechadaManualmente
+      ? (status.mensagem || 'A loja está fechada no momento.')
+      : 'A loja está fora do horário de funcionamento.';
+    throw new ErroLojaFechada(message, status);
+  }
+  return status;
+}
+
+async function definirFechamento(idLoja, { fechada, mensagem }) {
+  await db.query(
+    'UPDATE lojas SET fechada = $2, mensagem_fechamento = $3 WHERE id_loja = $1;',
+    [idLoja, fechada === true, mensagem || null]
+  );
+  return obterStatus(idLoja);
+}
+
+// Substitui todos os horários. Retorna a lista de erros de validação (vazia se tudo certo).
+async function definirHorarios(idLoja, horarios) {
+  const erros = [];
+  if (!Array.isArray(horarios)) {
+    return ['O corpo deve ser uma lista de horários { diaSemana, abre, fecha }.'];
+  }
+  horarios.forEach((horario, indice) => {
+    if (!horario || !Number.isInteger(horario.diaSemana) || horario.diaSemana < 0 || horario.diaSemana > 6) {
+      erros.push(`[${indice}] diaSemana deve ser um inteiro de 0 (domingo) a 6 (sábado).`);
+    }
+    ['abre', 'fecha'].forEach(campo => {
+      if (!horario || !/^([01]\d|2[0-3]):[0-5]\d$/.test(String(horario[campo]))) {
+        erros.push(`[${indice}] ${campo} deve estar no formato HH:MM.`);
+      }
+    });
+  });
+  if (erros.length > 0) return erros;
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM horarios_funcionamento WHERE id_loja = $1;', [idLoja]);
+    for (const horario of horarios) {
+      await client.query(
+        'INSERT INTO horarios_funcionamento (id_loja, dia_semana, abre, fecha) VALUES ($1, $2, $3, $4);',
+        [idLoja, horario.diaSemana, horario.abre, horario.fecha]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+  return [];
+}
+
+module.exports = {
+  FUSO_HORARIO,
+  ErroLojaFechada,
+  dentroDoHorario,
+  obterStatus,
+  exigirLojaAberta,
+  definirFechamento,
+  definirHorarios,
+};
@@ -0,0 +1,124 @@
+// idempotencia.js - Header Idempotency-Key nas rotas que criam pedidos e pagamentos
+// A primeira resposta de cada chave é gravada e devolvida igual nas repetições
+// (ex.: o PWA reenviando a requisição depois de uma queda de conexão).
+
+const crypto = require('crypto');
+const db = require('./db');
+
+// Depois desse prazo a mesma chave volta a ser tratada como uma requisição nova
+const HORAS_VALIDADE = 24;
+// Reserva sem resposta (o processo caiu ou a requisição travou) deixa de bloquear a chave depois disso
+const MINUTOS_EM_ANDAMENTO = 2;
+const TAMANHO_MAXIMO_CHAVE = 255;
+
+const hashCorpo = (corpo) => crypto.createHash('sha256').update(JSON.stringify(corpo || {})).digest('hex');
+
+// Reserva a chave para esta requisição. Devolve null se a reserva foi feita (requisição nova)
+// ou a linha já existente (repetição, concluída ou ainda em andamento).
+// `registro` = { idLoja, escopo, rota, chave }.
+async function reservar({ idLoja, escopo, rota, chave }, hash) {
+  const result = await db.query(`
+    INSERT INTO requisicoes_idempotentes (id_loja, escopo, rota, chave, hash_corpo)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (id_loja, escopo, rota, chave) DO UPDATE
+      SET hash_corpo = EXCLUDED.hash_corpo, status_http = NULL, resposta = NULL,
+          criado_em = NOW(), concluido_em = NULL
+      WHERE requisicoes_idempotentes.criado_em < NOW() - ($6 || ' hours')::interval
+         OR (requisicoes_idempotentes.status_http IS NULL
+             AND requisicoes_idempotentes.criado_em < NOW() - ($7 || ' minutes')::interval)
+    RETURNING rota;
+  `, [idLoja, escopo, rota, chave, hash, HORAS_VALIDADE, MINUTOS_EM_ANDAMENTO]);
+  if (result.rows.length > 0) return null;
+
+  const existente = await db.query(`
+    SELECT hash_corpo, status_http, resposta FROM requisicoes_idempotentes
+    WHERE id_loja = $1 AND escopo = $2 AND rota = $3 AND chave = $4;
+  `, [idLoja, escopo, rota, chave]);
+  return existente.rows[0] || null;
+}
+
+async function concluir({ idLoja, escopo, rota, chave }, statusHttp, resposta) {
+  // Erros do servidor não são gravados: a chave é liberada para o cliente tentar de novo
+  if (statusHttp >= 500) {
+    await db.query(
+      'DELETE FROM requisicoes_idempotentes WHERE id_loja = $1 AND escopo = $2 AND rota = $3 AND chave = $4;',
+      [idLoja, escopo, rota, chave]
+    );
+    return;
+  }
+  await db.query(`
+    UPDATE requisicoes_idempotentes
+    SET status_http = $5, resposta = $6, concluido_em = NOW()
+    WHERE id_loja = $1 AND escopo = $2 AND rota = $3 AND chave = $4;
+  `, [idLoja, escopo, rota, chave, statusHttp, JSON.stringify(resposta === undefined ? null : resposta)]);
+}
+
+// Quem fez a requisição, quando a rota sabe: o usuário do painel ou o cliente logado (req.usuario).
+// Requisições anônimas do PWA ficam no escopo vazio da loja.
+const escopoDaRequisicao = (req) => (req.usuario ? `${req.usuario.papel}:${req.usuario.sub}` : '');
+
+// Middleware Express. Sem o header a rota segue normalmente; com ele, `req.chaveIdempotencia`
+// fica disponível para ser repassada ao Mercado Pago (X-Idempotency-Key).
+// As chaves são separadas por loja e por quem fez a requisição: a mesma chave em outra loja ou de
+// outro usuário é outra requisição. Deve vir depois dos middlewares que definem req.usuario.
+function idempotente(nomeRota) {
+  return async (req, res, next) => {
+    const chave = req.get('Idempotency-Key');
+    if (chave === undefined) return next();
+    if (!chave || chave.length > TAMANHO_MAXIMO_CHAVE) {
+      return res.status(400).json({ code: 'idempotency_key_invalida', message: `Idempotency-Key deve ter de 1 a ${TAMANHO_MAXIMO_CHAVE} caracteres.` });
+    }
+    const registro = { idLoja: req.loja.id, escopo: escopoDaRequisicao(req), rota: nomeRota, chave };
+
+    const hash = hashCorpo(req.body);
+    let existente;
+    try {
+      existente = await reservar(registro, hash);
+    } catch (error) {
+      console.error('Erro ao reservar Idempotency-Key:', error);
+      return res.status(500).json({ code: 'erro_interno', message: 'Erro ao processar Idempotency-Key.' });
+    }
+
+    if (existente) {
+      if (existente.hash_corpo !== hash) {
+        return res.status(422).json({ code: 'idempotency_key_reutilizada', message: 'Idempotency-Key já usada com outro corpo de requisição.' });
+      }
+      if (existente.status_http === null) {
+        res.set('Retry-After', String(MINUTOS_EM_ANDAMENTO * 60));
+        return res.status(409).json({ code: 'requisicao_em_andamento', message: 'Uma requisição com esta Idempotency-Key ainda está em andamento.' });
+      }
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(existente.status_http).json(existente.resposta);
+    }
+
+    req.chaveIdempotencia = chave;
+    const jsonOriginal = res.json.bind(res);
+    res.json = (corpo) => {
+      concluir(registro, res.statusCode, corpo)
+        .catch(error => console.error('Erro ao gravar resposta idempotente:', error.message))
+        .finally(() => jsonOriginal(corpo));
+      return res;
+    };
+    next();
+  };
+}
+
+async function limparExpiradas() {
+  await db.query(
+    `DELETE FROM requisicoes_idempotentes WHERE criado_em < NOW() - ($1 || ' hours')::interval;`,
+    [HORAS_VALIDADE]
+  );
+}
+
+// Remove periodicamente as chaves vencidas. Chamado uma vez ao subir o servidor.
+function iniciarLimpeza() {
+  setInterval(() => {
+    limparExpiradas().catch(error => console.error('Erro ao limpar chaves de idempotência:', error.message));
+  }, 60 * 60 * 1000).unref();
+}
+
+module.exports = {
+  HORAS_VALIDADE,
+  idempotente,
+  iniciarLimpeza,
+};
@@ -0,0 +1,168 @@
+// listagemPedidos.js - Consulta paginada dos pedidos do painel (filtros + cursor)
+// Itens e complementos são montados no próprio Postgres com json_agg, então o custo de uma
+// página depende apenas do tamanho da página, e não do histórico inteiro de pedidos.
+
+const db = require('./db');
+
+const LIMITE_PADRAO = 50;
+const LIMITE_MAXIMO = 200;
+
+// Erro nos parâmetros da consulta: deve virar uma resposta 400
+class ErroFiltroPedidos extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ErroFiltroPedidos';
+  }
+}
+
+function codificarCursor(pedido) {
+  return Buffer.from(JSON.stringify({ t: new Date(pedido.sentAt).toISOString(), id: pedido.orderId })).toString('base64url');
+}
+
+function decodificarCursor(cursor) {
+  try {
+    const { t, id } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString());
+    if (!t || id === undefined || Number.isNaN(new Date(t).getTime())) throw new Error();
+    return { dataHora: new Date(t), idPedido: String(id) };
+  } catch (error) {
+    throw new ErroFiltroPedidos('Cursor inválido.');
+  }
+}
+
+function lerData(valor, nome) {
+  const data = new Date(valor);
+  if (Number.isNaN(data.getTime())) {
+    throw new ErroFiltroPedidos(`Data inválida em "${nome}": ${valor}`);
+  }
+  return data;
+}
+
+// Converte os query params da rota em cláusulas WHERE parametrizadas. `idCliente` restringe aos
+// pedidos de uma conta de cliente (GET /api/me/pedidos), independentemente dos query params.
+function montarFiltros(idLoja, query, idCliente) {
+  const condicoes = [];
+  const params = [];
+  const adicionar = (sql, valor) => {
+    params.push(valor);
+    condicoes.push(sql.replace(/\?/g, `$${params.length}`));
+  };
+
+  adicionar('p.id_loja = ?', idLoja);
+
+  if (idCliente !== undefined) {
+    adicionar('p.id_cliente = ?', idCliente);
+  } else if (query.cliente) {
+    if (!/^\d+$/.test(String(query.cliente))) {
+      throw new ErroFiltroPedidos(`Cliente inválido: ${query.cliente}`);
+    }
+    adicionar('p.id_cliente = ?', parseInt(query.cliente, 10));
+  }
+
+  if (query.status) {
+    adicionar('p.status = ANY(?::text[])', String(query.status).split(',').map(s => s.trim()).filter(Boolean));
+  }
+  if (query.from) {
+    adicionar('p.data_hora_envio >= ?', lerData(query.from, 'from'));
+  }
+  if (query.to) {
+    adicionar('p.data_hora_envio <= ?', lerData(query.to, 'to'));
+  }
+  if (query.tipo_entrega) {
+    adicionar('p.tipo_entrega = ?', String(query.tipo_entrega));
+  }
+  if (query.metodo_pagamento) {
+    adicionar('p.metodo_pagamento = ?', String(query.metodo_pagamento));
+  }
+  if (query.q) {
+    // Escapa os curingas do LIKE para que a busca seja sempre literal
+    const termo = `%${String(query.q).trim().replace(/[\\%_]/g, '\\$&')}%`;
+    adicionar('(p.nome_cliente ILIKE ? OR p.email_cliente ILIKE ?)', termo);
+  }
+  if (query.cursor) {
+    const { dataHora, idPedido } = decodificarCursor(query.cursor);
+    params.push(dataHora, idPedido);
+    condicoes.push(`(p.data_hora_envio, p.id_pedido) < ($${params.length - 1}, $${params.length})`);
+  }
+
+  return { condicoes, params };
+}
+
+// Retorna { orders, nextCursor } no mesmo formato de pedido usado pelo dashboard
+async function listarPedidos(idLoja, query = {}, { idCliente } = {}) {
+  const limite = query.limit === undefined ? LIMITE_PADRAO : parseInt(query.limit, 10);
+  if (!Number.isInteger(limite) || limite < 1 || limite > LIMITE_MAXIMO) {
+    throw new ErroFiltroPedidos(`O parâmetro "limit" deve estar entre 1 e ${LIMITE_MAXIMO}.`);
+  }
+
+  const { condicoes, params } = montarFiltros(idLoja, query, idCliente);
+  params.push(limite + 1); // Um a mais para saber se existe próxima página
+
+  const querySql = `
+    SELECT
+        p.id_pedido, p.id_cliente, p.nome_cliente, p.email_cliente, p.tipo_entrega,
+        p.endereco_entrega, p.numero_mesa, p.observacoes, p.metodo_pagamento,
+        p.troco_para, p.valor_total, p.valor_desconto, p.taxa_entrega, p.status, p.data_hora_envio,
+        COALESCE((
+          SELECT json_agg(json_build_object(
+            'id_item_pedido', i.id_item_pedido,
+            'productId', i.id_produto,
+            'name', i.nome_produto,
+            'quantity', i.quantidade,
+            'basePrice', i.preco_base_produto,
+            'unitPriceWithComplements', i.preco_unitario_com_complementos,
+            'totalItemPrice', i.total_item_preco,
+            'complements', COALESCE((
+              SELECT json_agg(json_build_object(
+                'id', c.id_complemento_disponivel,
+                'name', c.nome_complemento,
+                'price', c.preco_complemento
+              ) ORDER BY c.id_complemento_disponivel)
+              FROM complementos_do_item c
+              WHERE c.id_item_pedido = i.id_item_pedido
+            ), '[]'::json)
+          ) ORDER BY i.id_item_pedido)
+          FROM itens_do_pedido i
+          WHERE i.id_pedido = p.id_pedido
+        ), '[]'::json) AS items
+    FROM pedidos p
+    WHERE ${condicoes.join(' AND ')}
+    ORDER BY p.data_hora_envio DESC, p.id_pedido DESC
+    LIMIT $${params.length};
+  `;
+
+  const result = await db.query(querySql, params);
+  const rows = result.rows.slice(0, limite);
+
+  const orders = rows.map(row => ({
+    orderId: row.id_pedido,
+    customerId: row.id_cliente,
+    customerName: row.nome_cliente,
+    customerEmail: row.email_cliente,
+    deliveryOption: {
+      type: row.tipo_entrega,
+      address: row.endereco_entrega,
+      tableNumber: row.numero_mesa
+    },
+    observations: row.observacoes,
+    paymentMethod: row.metodo_pagamento,
+    trocoPara: row.troco_para,
+    discount: row.valor_desconto,
+    deliveryFee: row.taxa_entrega,
+    total: row.valor_total,
+    status: row.status,
+    sentAt: row.data_hora_envio,
+    items: row.items
+  }));
+
+  return {
+    orders,
+    nextCursor: result.rows.length > limite ? codificarCursor(orders[orders.length - 1]) : null
+  };
+}
+
+module.exports = {
+  LIMITE_PADRAO,
+  LIMITE_MAXIMO,
+  ErroFiltroPedidos,
+  listarPedidos,
+};
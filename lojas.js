@@ -0,0 +1,109 @@
+// lojas.js - Lojas atendidas por este backend (multi-tenant)
+// Toda requisição é associada a uma loja e todos os dados (catálogo, pedidos, cupons...) são
+// consultados com o id_loja dela. A loja vem, nesta ordem, do header X-Loja (ou ?loja=, usado na
+// notification_url do Mercado Pago), da origem da requisição ou do subdomínio (<slug>.LOJAS_DOMINIO).
+
+const db = require('./db');
+
+// As lojas mudam raramente; o cache evita uma consulta por requisição (inclusive no CORS)
+const CACHE_MS = 60 * 1000;
+// Domínio base dos subdomínios das lojas (ex.: api.exemplo.com.br -> acaiemcasa.api.exemplo.com.br)
+const DOMINIO_LOJAS = process.env.LOJAS_DOMINIO || null;
+// Rotas que não pertencem a uma loja
+const ROTAS_SEM_LOJA = ['/', '/health', '/debug'];
+
+// Loja não identificada ou inexistente: a rota deve responder com `status`
+class ErroLoja extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = 'ErroLoja';
+    this.status = status;
+  }
+}
+
+// As credenciais do Mercado Pago ficam só no objeto da loja, nunca nas respostas da API
+const formatarLoja = (row) => ({
+  id: row.id_loja,
+  slug: row.slug,
+  nome: row.nome,
+  origens: row.origens_permitidas || [],
+  urlFrontend: row.url_frontend,
+  mercadoPago: { accessToken: row.mp_access_token, webhookSecret: row.mp_webhook_secret }
+});
+
+let cache = null;
+
+async function listarAtivas() {
+  if (cache && cache.expiraEm > Date.now()) return cache.lojas;
+  const result = await db.query('SELECT * FROM lojas WHERE ativo = TRUE ORDER BY id_loja;');
+  cache = { lojas: result.rows.map(formatarLoja), expiraEm: Date.now() + CACHE_MS };
+  return cache.lojas;
+}
+
+// Slug do subdomínio, se o host for <slug>.LOJAS_DOMINIO
+function slugDoHost(host) {
+  if (!DOMINIO_LOJAS || !host || !host.endsWith(`.${DOMINIO_LOJAS}`)) return null;
+  const slug = host.slice(0, -(DOMINIO_LOJAS.length + 1));
+  return slug.includes('.') ? null : slug;
+}
+
+// Loja da requisição. Com uma única loja ativa ela é usada quando nada a identifica (ex.: Postman).
+async function identificar(req) {
+  const lojas = await listarAtivas();
+  const slugInformado = req.get('X-Loja') || (typeof req.query.loja === 'string' ? req.query.loja : null);
+  if (slugInformado) {
+    const loja = lojas.find(item => item.slug === slugInformado);
+    if (!loja) throw new ErroLoja(`Loja ${slugInformado} não encontrada.`, 404);
+    return loja;
+  }
+
+  const origem = req.get('origin');
+  const pelaOrigem = origem && lojas.find(item => item.origens.includes(origem));
+  if (pelaOrigem) return pelaOrigem;
+
+  const slugHost = slugDoHost(req.hostname);
+  const peloHost = slugHost && lojas.find(item => item.slug === slugHost);
+  if (peloHost) return peloHost;
+
+  if (lojas.length === 1) return lojas[0];
+  throw new ErroLoja('Não foi possível identificar a loja. Envie o header X-Loja com o identificador da loja.');
+}
+
+// Middleware Express: define req.loja para as rotas seguintes
+async function resolverLoja(req, res, next) {
+  if (ROTAS_SEM_LOJA.includes(req.path)) return next();
+  req.loja = await identificar(req);
+  next();
+}
+
+// Origem de alguma loja ativa? Usada pelo CORS.
+async function origemPermitida(origem) {
+  const lojas = await listarAtivas();
+  return lojas.some(loja => loja.origens.includes(origem));
+}
+
+// Dados públicos da loja (GET /api/loja)
+const dadosPublicos = (loja) => ({ slug: loja.slug, nome: loja.nome });
+
+// Resumo sem segredos para o log de inicialização do servidor
+async function resumo() {
+  const lojas = await listarAtivas();
+  return lojas.map(loja => ({
+    slug: loja.slug,
+    nome: loja.nome,
+    origens: loja.origens,
+    urlFrontend: loja.urlFrontend || 'Não configurado',
+    mercadoPago: loja.mercadoPago.accessToken ? 'Configurado' : 'Não configurado',
+    mercadoPagoWebhookSecret: loja.mercadoPago.webhookSecret ? 'Configurado' : 'Não configurado'
+  }));
+}
+
+module.exports = {
+  ErroLoja,
+  listarAtivas,
+  identificar,
+  resolverLoja,
+  origemPermitida,
+  dadosPublicos,
+  resumo,
+};
@@ -0,0 +1,5 @@
+DROP TABLE IF EXISTS complementos_do_item;
+DROP TABLE IF EXISTS itens_do_pedido;
+DROP TABLE IF EXISTS pedidos;
+DROP TABLE IF EXISTS complementos_disponiveis;
+DROP TABLE IF EXISTS produtos;
@@ -0,0 +1,64 @@
+-- Tabelas principais do cardápio e dos pedidos.
+-- IF NOT EXISTS: no Neon de produção elas já existiam antes das migrações; as restrições que faltavam
+-- nelas (chaves estrangeiras, NOT NULL, CHECK) entram em 017_restricoes_tabelas_principais.
+
+CREATE TABLE IF NOT EXISTS produtos (
+  id SERIAL PRIMARY KEY,
+  nome TEXT NOT NULL,
+  descricao TEXT,
+  preco NUMERIC(10, 2) NOT NULL CHECK (preco >= 0),
+  categoria TEXT NOT NULL,
+  imagem_url TEXT,
+  num_complementos_gratis INTEGER NOT NULL DEFAULT 0 CHECK (num_complementos_gratis >= 0)
+);
+
+CREATE TABLE IF NOT EXISTS complementos_disponiveis (
+  id SERIAL PRIMARY KEY,
+  nome TEXT NOT NULL,
+  preco NUMERIC(10, 2) NOT NULL CHECK (preco >= 0),
+  categoria TEXT NOT NULL
+);
+
+-- id_pedido é gerado pelo PWA
+CREATE TABLE IF NOT EXISTS pedidos (
+  id_pedido TEXT PRIMARY KEY,
+  nome_cliente TEXT NOT NULL,
+  email_cliente TEXT,
+  tipo_entrega TEXT NOT NULL,
+  endereco_entrega TEXT,
+  numero_mesa TEXT,
+  observacoes TEXT,
+  metodo_pagamento TEXT NOT NULL,
+  troco_para NUMERIC(10, 2) CHECK (troco_para >= 0),
+  valor_total NUMERIC(10, 2) NOT NULL CHECK (valor_total >= 0),
+  status TEXT NOT NULL DEFAULT 'pendente' CHECK (status IN (
+    'pendente', 'pago', 'em_preparo', 'saiu_para_entrega', 'pronto_na_mesa', 'entregue', 'cancelado', 'estornado'
+  )),
+  data_hora_envio TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Nomes e preços são copiados do catálogo no momento do pedido
+CREATE TABLE IF NOT EXISTS itens_do_pedido (
+  id_item_pedido SERIAL PRIMARY KEY,
+  id_pedido TEXT NOT NULL REFERENCES pedidos (id_pedido) ON DELETE CASCADE,
+  id_produto INTEGER NOT NULL REFERENCES produtos (id),
+  nome_produto TEXT NOT NULL,
+  quantidade INTEGER NOT NULL CHECK (quantidade > 0),
+  preco_base_produto NUMERIC(10, 2) NOT NULL CHECK (preco_base_produto >= 0),
+  preco_unitario_com_complementos NUMERIC(10, 2) NOT NULL CHECK (preco_unitario_com_complementos >= 0),
+  total_item_preco NUMERIC(10, 2) NOT NULL CHECK (total_item_preco >= 0)
+);
+
+CREATE TABLE IF NOT EXISTS complementos_do_item (
+  id_complemento_item SERIAL PRIMARY KEY,
+  id_item_pedido INTEGER NOT NULL REFERENCES itens_do_pedido (id_item_pedido) ON DELETE CASCADE,
+  id_complemento_disponivel INTEGER NOT NULL REFERENCES complementos_disponiveis (id),
+  nome_complemento TEXT NOT NULL,
+  preco_complemento NUMERIC(10, 2) NOT NULL CHECK (preco_complemento >= 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_produtos_categoria ON produtos (categoria, nome);
+CREATE INDEX IF NOT EXISTS idx_pedidos_data_hora_envio ON pedidos (data_hora_envio DESC, id_pedido DESC);
+CREATE INDEX IF NOT EXISTS idx_pedidos_status ON pedidos (status);
+CREATE INDEX IF NOT EXISTS idx_itens_do_pedido_pedido ON itens_do_pedido (id_pedido);
+CREATE INDEX IF NOT EXISTS idx_complementos_do_item_item ON complementos_do_item (id_item_pedido);
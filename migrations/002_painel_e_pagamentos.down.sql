@@ -0,0 +1,6 @@
+DROP INDEX IF EXISTS idx_pedidos_token_rastreio;
+ALTER TABLE pedidos DROP COLUMN IF EXISTS token_rastreio;
+DROP TABLE IF EXISTS eventos_pedidos;
+DROP TABLE IF EXISTS pedido_status_historico;
+DROP TABLE IF EXISTS admin_users;
+DROP TABLE IF EXISTS pagamentos_eventos;
@@ -0,0 +1,64 @@
+-- Usuários do painel, webhook do Mercado Pago, histórico de status, feed em tempo real e rastreio
+
+-- Registro de todas as notificações recebidas em /mercadopago-webhook
+CREATE TABLE IF NOT EXISTS pagamentos_eventos (
+  id_evento SERIAL PRIMARY KEY,
+  id_pagamento_mp TEXT,
+  tipo_notificacao TEXT,
+  acao TEXT,
+  id_pedido TEXT,
+  status_mp TEXT,
+  data_atualizacao_mp TIMESTAMPTZ,
+  resultado TEXT NOT NULL,
+  payload JSONB,
+  data_recebimento TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pagamentos_eventos_pagamento
+  ON pagamentos_eventos (id_pagamento_mp, data_atualizacao_mp);
+
+-- Usuários do painel do dono (login em POST /api/auth/login)
+CREATE TABLE IF NOT EXISTS admin_users (
+  id SERIAL PRIMARY KEY,
+  email TEXT NOT NULL,
+  nome TEXT,
+  senha_hash TEXT NOT NULL,
+  papel TEXT NOT NULL CHECK (papel IN ('owner', 'staff')),
+  ativo BOOLEAN NOT NULL DEFAULT TRUE,
+  ultimo_login TIMESTAMPTZ,
+  criado_em TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_admin_users_email ON admin_users (lower(email));
+
+-- Histórico de mudanças de status dos pedidos (quem mudou, de onde e quando)
+CREATE TABLE IF NOT EXISTS pedido_status_historico (
+  id_historico SERIAL PRIMARY KEY,
+  id_pedido TEXT NOT NULL REFERENCES pedidos (id_pedido) ON DELETE CASCADE,
+  status_anterior TEXT,
+  status_novo TEXT NOT NULL,
+  ator TEXT NOT NULL,
+  id_admin_user INTEGER REFERENCES admin_users (id),
+  origem TEXT NOT NULL,
+  observacao TEXT,
+  data_hora TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pedido_status_historico_pedido
+  ON pedido_status_historico (id_pedido, data_hora);
+
+-- Eventos publicados no feed em tempo real (GET /api/pedidos/stream).
+-- O id_evento é usado como Last-Event-ID para reenviar eventos perdidos.
+CREATE TABLE IF NOT EXISTS eventos_pedidos (
+  id_evento BIGSERIAL PRIMARY KEY,
+  tipo TEXT NOT NULL,
+  id_pedido TEXT,
+  dados JSONB NOT NULL DEFAULT '{}',
+  criado_em TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_eventos_pedidos_criado_em ON eventos_pedidos (criado_em);
+
+-- Token público de acompanhamento do pedido (GET /api/pedidos/track/:token)
+ALTER TABLE pedidos ADD COLUMN IF NOT EXISTS token_rastreio TEXT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pedidos_token_rastreio ON pedidos (token_rastreio);
@@ -0,0 +1,9 @@
+DROP TABLE IF EXISTS horarios_funcionamento;
+DROP TABLE IF EXISTS loja_configuracao;
+ALTER TABLE complementos_disponiveis DROP COLUMN IF EXISTS estoque;
+ALTER TABLE complementos_disponiveis DROP COLUMN IF EXISTS esgotado;
+ALTER TABLE produtos DROP COLUMN IF EXISTS estoque;
+ALTER TABLE produtos DROP COLUMN IF EXISTS esgotado;
+DROP TABLE IF EXISTS precos_historico;
+ALTER TABLE complementos_disponiveis DROP COLUMN IF EXISTS ativo;
+ALTER TABLE produtos DROP COLUMN IF EXISTS ativo;
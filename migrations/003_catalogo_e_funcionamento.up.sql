@@ -0,0 +1,41 @@
+-- Exclusão lógica, histórico de preços, disponibilidade/estoque e horário de funcionamento
+
+-- Itens desativados somem do cardápio mas continuam nos pedidos antigos
+ALTER TABLE produtos ADD COLUMN IF NOT EXISTS ativo BOOLEAN NOT NULL DEFAULT TRUE;
+ALTER TABLE complementos_disponiveis ADD COLUMN IF NOT EXISTS ativo BOOLEAN NOT NULL DEFAULT TRUE;
+
+-- Histórico de preços de produtos e complementos (preco_anterior nulo = criação)
+CREATE TABLE IF NOT EXISTS precos_historico (
+  id_historico SERIAL PRIMARY KEY,
+  tipo TEXT NOT NULL CHECK (tipo IN ('produto', 'complemento')),
+  id_item TEXT NOT NULL,
+  preco_anterior NUMERIC(10, 2),
+  preco_novo NUMERIC(10, 2) NOT NULL,
+  ator TEXT NOT NULL,
+  data_hora TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_precos_historico_item ON precos_historico (tipo, id_item, data_hora);
+
+-- Esgotado manual e estoque opcional (nulo = sem controle de estoque)
+ALTER TABLE produtos ADD COLUMN IF NOT EXISTS esgotado BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE produtos ADD COLUMN IF NOT EXISTS estoque INTEGER CHECK (estoque >= 0);
+ALTER TABLE complementos_disponiveis ADD COLUMN IF NOT EXISTS esgotado BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE complementos_disponiveis ADD COLUMN IF NOT EXISTS estoque INTEGER CHECK (estoque >= 0);
+
+-- Fechamento manual da loja (linha única)
+CREATE TABLE IF NOT EXISTS loja_configuracao (
+  id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  fechada BOOLEAN NOT NULL DEFAULT FALSE,
+  mensagem TEXT,
+  atualizado_em TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Horários de funcionamento (dia_semana 0 = domingo). fecha <= abre atravessa a meia-noite.
+-- Sem nenhuma linha a loja aceita pedidos o dia todo.
+CREATE TABLE IF NOT EXISTS horarios_funcionamento (
+  id_horario SERIAL PRIMARY KEY,
+  dia_semana SMALLINT NOT NULL CHECK (dia_semana BETWEEN 0 AND 6),
+  abre TIME NOT NULL,
+  fecha TIME NOT NULL
+);
@@ -0,0 +1,7 @@
+ALTER TABLE pedidos DROP COLUMN IF EXISTS id_zona_entrega;
+ALTER TABLE pedidos DROP COLUMN IF EXISTS taxa_entrega;
+DROP TABLE IF EXISTS zonas_entrega;
+ALTER TABLE pedidos DROP COLUMN IF EXISTS valor_desconto;
+ALTER TABLE pedidos DROP COLUMN IF EXISTS cupom;
+DROP TABLE IF EXISTS cupons_usos;
+DROP TABLE IF EXISTS cupons;
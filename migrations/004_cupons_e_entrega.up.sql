@@ -0,0 +1,53 @@
+-- Cupons de desconto e zonas/taxa de entrega
+
+-- Escopos vazios valem para o pedido inteiro
+CREATE TABLE IF NOT EXISTS cupons (
+  codigo TEXT PRIMARY KEY,
+  descricao TEXT,
+  tipo TEXT NOT NULL CHECK (tipo IN ('percentual', 'fixo', 'frete_gratis')),
+  valor NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (valor >= 0),
+  pedido_minimo NUMERIC(10, 2) CHECK (pedido_minimo >= 0),
+  escopo_categorias TEXT[] NOT NULL DEFAULT '{}',
+  escopo_produtos TEXT[] NOT NULL DEFAULT '{}',
+  valido_de TIMESTAMPTZ,
+  valido_ate TIMESTAMPTZ,
+  limite_total INTEGER CHECK (limite_total > 0),
+  limite_por_cliente INTEGER CHECK (limite_por_cliente > 0),
+  ativo BOOLEAN NOT NULL DEFAULT TRUE,
+  criado_em TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS cupons_usos (
+  id_uso SERIAL PRIMARY KEY,
+  codigo TEXT NOT NULL REFERENCES cupons (codigo),
+  id_pedido TEXT NOT NULL REFERENCES pedidos (id_pedido) ON DELETE CASCADE,
+  email_cliente TEXT,
+  valor_desconto NUMERIC(10, 2) NOT NULL,
+  data_hora TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (codigo, id_pedido)
+);
+
+CREATE INDEX IF NOT EXISTS idx_cupons_usos_email ON cupons_usos (codigo, lower(email_cliente));
+
+-- Desconto aplicado ao pedido (valor_total já é o valor com desconto)
+ALTER TABLE pedidos ADD COLUMN IF NOT EXISTS cupom TEXT REFERENCES cupons (codigo);
+ALTER TABLE pedidos ADD COLUMN IF NOT EXISTS valor_desconto NUMERIC(10, 2) NOT NULL DEFAULT 0;
+
+-- Zonas de entrega: por lista de bairros (normalizados sem acento, minúsculos) e/ou faixa de CEP (8 dígitos)
+CREATE TABLE IF NOT EXISTS zonas_entrega (
+  id_zona SERIAL PRIMARY KEY,
+  nome TEXT NOT NULL,
+  bairros TEXT[] NOT NULL DEFAULT '{}',
+  cep_inicio CHAR(8),
+  cep_fim CHAR(8),
+  taxa NUMERIC(10, 2) NOT NULL DEFAULT 0 CHECK (taxa >= 0),
+  pedido_minimo NUMERIC(10, 2),
+  tempo_estimado_minutos INTEGER,
+  ativo BOOLEAN NOT NULL DEFAULT TRUE,
+  CHECK ((cep_inicio IS NULL) = (cep_fim IS NULL)),
+  CHECK (cardinality(bairros) > 0 OR cep_inicio IS NOT NULL)
+);
+
+-- Taxa de entrega cobrada no pedido (já incluída em valor_total)
+ALTER TABLE pedidos ADD COLUMN IF NOT EXISTS taxa_entrega NUMERIC(10, 2) NOT NULL DEFAULT 0;
+ALTER TABLE pedidos ADD COLUMN IF NOT EXISTS id_zona_entrega INTEGER REFERENCES zonas_entrega (id_zona);
@@ -0,0 +1,3 @@
+DROP TABLE IF EXISTS estornos;
+DROP TABLE IF EXISTS pagamentos;
+DROP TABLE IF EXISTS requisicoes_idempotentes;
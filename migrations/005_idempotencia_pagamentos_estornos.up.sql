@@ -0,0 +1,51 @@
+-- Idempotency-Key, tentativas de pagamento no Mercado Pago e estornos
+
+-- Respostas gravadas por Idempotency-Key (status_http NULL = requisição ainda em andamento)
+CREATE TABLE IF NOT EXISTS requisicoes_idempotentes (
+  rota TEXT NOT NULL,
+  chave TEXT NOT NULL,
+  hash_corpo TEXT NOT NULL,
+  status_http INTEGER,
+  resposta JSONB,
+  criado_em TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  concluido_em TIMESTAMPTZ,
+  PRIMARY KEY (rota, chave)
+);
+
+CREATE INDEX IF NOT EXISTS idx_requisicoes_idempotentes_criado_em ON requisicoes_idempotentes (criado_em);
+
+-- Tentativas de pagamento por pedido (external_reference = id_pedido). Sem chave estrangeira:
+-- o PWA pode criar o pagamento antes de salvar o pedido. Pagamentos do Checkout Pro entram pelo
+-- webhook; a criação da preferência grava só id_preferencia_mp.
+CREATE TABLE IF NOT EXISTS pagamentos (
+  id_pagamento SERIAL PRIMARY KEY,
+  id_pedido TEXT NOT NULL,
+  id_pagamento_mp TEXT UNIQUE,
+  id_preferencia_mp TEXT,
+  metodo TEXT NOT NULL,
+  valor NUMERIC(10, 2) NOT NULL CHECK (valor >= 0),
+  status_mp TEXT NOT NULL,
+  status_detalhe TEXT,
+  qr_code TEXT,
+  qr_code_base64 TEXT,
+  expira_em TIMESTAMPTZ,
+  criado_em TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  atualizado_em TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_pagamentos_pedido ON pagamentos (id_pedido, criado_em);
+
+-- Estornos feitos pelo painel (POST /api/pedidos/:id/estorno)
+CREATE TABLE IF NOT EXISTS estornos (
+  id_estorno SERIAL PRIMARY KEY,
+  id_pedido TEXT NOT NULL REFERENCES pedidos (id_pedido),
+  id_pagamento_mp TEXT NOT NULL,
+  id_estorno_mp TEXT,
+  valor NUMERIC(10, 2) NOT NULL CHECK (valor > 0),
+  motivo TEXT,
+  ator TEXT NOT NULL,
+  id_admin_user INTEGER REFERENCES admin_users (id),
+  data_hora TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_estornos_pedido ON estornos (id_pedido, data_hora);
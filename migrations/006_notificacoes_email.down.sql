@@ -0,0 +1,2 @@
+DROP TABLE IF EXISTS notificacoes_email;
+DROP TABLE IF EXISTS modelos_email;
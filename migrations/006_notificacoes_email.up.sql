@@ -0,0 +1,42 @@
+-- Notificações por e-mail ao cliente: modelos editáveis e fila de saída (outbox)
+
+-- Modelos por tipo de notificação. Variáveis no formato {{nome}} (ver notificacoes.js)
+CREATE TABLE IF NOT EXISTS modelos_email (
+  tipo TEXT PRIMARY KEY,
+  assunto TEXT NOT NULL,
+  corpo TEXT NOT NULL,
+  ativo BOOLEAN NOT NULL DEFAULT TRUE,
+  atualizado_em TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+INSERT INTO modelos_email (tipo, assunto, corpo) VALUES
+  ('pedido_confirmado', 'Recebemos seu pedido #{{pedido}}',
+   E'Olá, {{nome}}!\n\nRecebemos seu pedido #{{pedido}}:\n\n{{itens}}\n\nTotal: {{total}}\n{{entrega}}\n\nAcompanhe o pedido em: {{linkRastreio}}\n\nObrigado pela preferência!\n{{loja}}'),
+  ('pagamento_confirmado', 'Pagamento do pedido #{{pedido}} confirmado',
+   E'Olá, {{nome}}!\n\nO pagamento de {{total}} do pedido #{{pedido}} foi confirmado e já vamos começar a prepará-lo.\n\nAcompanhe o pedido em: {{linkRastreio}}\n\n{{loja}}'),
+  ('saiu_para_entrega', 'Seu pedido #{{pedido}} saiu para entrega',
+   E'Olá, {{nome}}!\n\nSeu pedido #{{pedido}} saiu para entrega e logo chega até você.\n{{entrega}}\n\nAcompanhe o pedido em: {{linkRastreio}}\n\n{{loja}}'),
+  ('pedido_pronto', 'Seu pedido #{{pedido}} está pronto',
+   E'Olá, {{nome}}!\n\nSeu pedido #{{pedido}} está pronto.\n{{entrega}}\n\n{{loja}}')
+ON CONFLICT (tipo) DO NOTHING;
+
+-- Fila de saída: a mensagem é gravada já renderizada na mesma transação do pedido e enviada depois
+-- pelo worker, com novas tentativas. Uma notificação de cada tipo por pedido.
+CREATE TABLE IF NOT EXISTS notificacoes_email (
+  id_notificacao SERIAL PRIMARY KEY,
+  id_pedido TEXT NOT NULL REFERENCES pedidos (id_pedido),
+  tipo TEXT NOT NULL,
+  destinatario TEXT NOT NULL,
+  assunto TEXT NOT NULL,
+  corpo TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pendente' CHECK (status IN ('pendente', 'enviado', 'falhou')),
+  tentativas INTEGER NOT NULL DEFAULT 0,
+  proxima_tentativa_em TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ultimo_erro TEXT,
+  criado_em TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  enviado_em TIMESTAMPTZ,
+  UNIQUE (id_pedido, tipo)
+);
+
+CREATE INDEX IF NOT EXISTS idx_notificacoes_email_fila ON notificacoes_email (proxima_tentativa_em)
+  WHERE status = 'pendente';
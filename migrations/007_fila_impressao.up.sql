@@ -0,0 +1,10 @@
+-- Fila de impressão automática das comandas da cozinha (ver comanda.js)
+-- Cada pedido entra uma única vez; entregue_em marca quando o agente de impressão o recebeu.
+CREATE TABLE IF NOT EXISTS fila_impressao (
+  id_pedido TEXT PRIMARY KEY REFERENCES pedidos (id_pedido) ON DELETE CASCADE,
+  criado_em TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  entregue_em TIMESTAMPTZ,
+  agente TEXT
+);
+
+CREATE INDEX IF NOT EXISTS idx_fila_impressao_pendentes ON fila_impressao (criado_em) WHERE entregue_em IS NULL;
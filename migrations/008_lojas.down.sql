@@ -0,0 +1,48 @@
+-- Volta a uma loja só. Falha se outras lojas tiverem cupons com o mesmo código da loja 1.
+
+DROP INDEX IF EXISTS idx_eventos_pedidos_loja;
+DROP INDEX IF EXISTS idx_pedidos_loja_data_hora_envio;
+DROP INDEX IF EXISTS idx_complementos_disponiveis_loja;
+DROP INDEX IF EXISTS idx_produtos_loja_categoria;
+CREATE INDEX IF NOT EXISTS idx_produtos_categoria ON produtos (categoria, nome);
+
+DROP INDEX IF EXISTS idx_admin_users_loja_email;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_admin_users_email ON admin_users (lower(email));
+
+DELETE FROM modelos_email WHERE id_loja <> 1;
+ALTER TABLE modelos_email DROP CONSTRAINT modelos_email_pkey;
+ALTER TABLE modelos_email ADD PRIMARY KEY (tipo);
+
+DROP INDEX IF EXISTS idx_cupons_usos_email;
+CREATE INDEX IF NOT EXISTS idx_cupons_usos_email ON cupons_usos (codigo, lower(email_cliente));
+ALTER TABLE pedidos DROP CONSTRAINT IF EXISTS pedidos_cupom_fkey;
+ALTER TABLE cupons_usos DROP CONSTRAINT IF EXISTS cupons_usos_cupom_fkey;
+ALTER TABLE cupons DROP CONSTRAINT cupons_pkey;
+ALTER TABLE cupons ADD PRIMARY KEY (codigo);
+ALTER TABLE cupons_usos ADD CONSTRAINT cupons_usos_codigo_fkey FOREIGN KEY (codigo) REFERENCES cupons (codigo);
+ALTER TABLE pedidos ADD CONSTRAINT pedidos_cupom_fkey FOREIGN KEY (cupom) REFERENCES cupons (codigo);
+
+ALTER TABLE eventos_pedidos DROP COLUMN IF EXISTS id_loja;
+ALTER TABLE pagamentos_eventos DROP COLUMN IF EXISTS id_loja;
+ALTER TABLE pagamentos DROP COLUMN IF EXISTS id_loja;
+ALTER TABLE modelos_email DROP COLUMN IF EXISTS id_loja;
+ALTER TABLE admin_users DROP COLUMN IF EXISTS id_loja;
+ALTER TABLE horarios_funcionamento DROP COLUMN IF EXISTS id_loja;
+ALTER TABLE zonas_entrega DROP COLUMN IF EXISTS id_loja;
+ALTER TABLE cupons_usos DROP COLUMN IF EXISTS id_loja;
+ALTER TABLE cupons DROP COLUMN IF EXISTS id_loja;
+ALTER TABLE pedidos DROP COLUMN IF EXISTS id_loja;
+ALTER TABLE complementos_disponiveis DROP COLUMN IF EXISTS id_loja;
+ALTER TABLE produtos DROP COLUMN IF EXISTS id_loja;
+
+CREATE TABLE IF NOT EXISTS loja_configuracao (
+  id INTEGER PRIMARY KEY DEFAULT 1 CHECK (id = 1),
+  fechada BOOLEAN NOT NULL DEFAULT FALSE,
+  mensagem TEXT,
+  atualizado_em TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+INSERT INTO loja_configuracao (id, fechada, mensagem)
+SELECT 1, fechada, mensagem_fechamento FROM lojas WHERE id_loja = 1
+ON CONFLICT (id) DO NOTHING;
+
+DROP TABLE IF EXISTS lojas;
@@ -0,0 +1,90 @@
+-- Várias lojas no mesmo backend (multi-tenant). Cada loja tem seu catálogo, pedidos, cupons, zonas,
+-- horários, usuários do painel, modelos de e-mail, credenciais do Mercado Pago e origens do CORS.
+-- Os dados que já existiam ficam na loja 1; a loja 2 começa vazia (catálogo importado pelo painel).
+
+CREATE TABLE IF NOT EXISTS lojas (
+  id_loja SERIAL PRIMARY KEY,
+  -- Identificador usado no header X-Loja, no subdomínio e na notification_url do Mercado Pago
+  slug TEXT NOT NULL UNIQUE CHECK (slug ~ '^[a-z0-9-]{2,40}$'),
+  nome TEXT NOT NULL,
+  -- Origens do PWA e do painel (CORS); também identificam a loja de cada requisição
+  origens_permitidas TEXT[] NOT NULL DEFAULT '{}',
+  -- Base das back_urls do Checkout Pro e do link de rastreio dos e-mails
+  url_frontend TEXT,
+  mp_access_token TEXT,
+  mp_webhook_secret TEXT,
+  -- Fechamento manual (antes em loja_configuracao)
+  fechada BOOLEAN NOT NULL DEFAULT FALSE,
+  mensagem_fechamento TEXT,
+  ativo BOOLEAN NOT NULL DEFAULT TRUE,
+  criado_em TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- As duas lojas que dividiam o allowedOrigins do server.js. As credenciais do Mercado Pago são
+-- preenchidas depois com npm run loja (não ficam no repositório). As origens de desenvolvimento
+-- (localhost, 'null' do file://) entram só no banco local, pelo npm run seed.
+INSERT INTO lojas (id_loja, slug, nome, origens_permitidas, url_frontend) VALUES
+  (1, 'acaiemcasa', 'Açaí em Casa', ARRAY['https://acaiemcasasite.onrender.com'], 'https://acaiemcasasite.onrender.com'),
+  (2, 'edienai', 'Edienai Lanches', ARRAY['https://edienayteste.onrender.com'], 'https://edienayteste.onrender.com')
+ON CONFLICT (id_loja) DO NOTHING;
+SELECT setval(pg_get_serial_sequence('lojas', 'id_loja'), GREATEST((SELECT MAX(id_loja) FROM lojas), 1));
+
+UPDATE lojas l
+SET fechada = c.fechada, mensagem_fechamento = c.mensagem
+FROM loja_configuracao c
+WHERE l.id_loja = 1 AND c.id = 1;
+DROP TABLE IF EXISTS loja_configuracao;
+
+-- id_loja em todas as tabelas com dados de uma loja; o DEFAULT só preenche as linhas existentes
+ALTER TABLE produtos ADD COLUMN IF NOT EXISTS id_loja INTEGER NOT NULL DEFAULT 1 REFERENCES lojas (id_loja);
+ALTER TABLE complementos_disponiveis ADD COLUMN IF NOT EXISTS id_loja INTEGER NOT NULL DEFAULT 1 REFERENCES lojas (id_loja);
+ALTER TABLE pedidos ADD COLUMN IF NOT EXISTS id_loja INTEGER NOT NULL DEFAULT 1 REFERENCES lojas (id_loja);
+ALTER TABLE cupons ADD COLUMN IF NOT EXISTS id_loja INTEGER NOT NULL DEFAULT 1 REFERENCES lojas (id_loja);
+ALTER TABLE cupons_usos ADD COLUMN IF NOT EXISTS id_loja INTEGER NOT NULL DEFAULT 1 REFERENCES lojas (id_loja);
+ALTER TABLE zonas_entrega ADD COLUMN IF NOT EXISTS id_loja INTEGER NOT NULL DEFAULT 1 REFERENCES lojas (id_loja);
+ALTER TABLE horarios_funcionamento ADD COLUMN IF NOT EXISTS id_loja INTEGER NOT NULL DEFAULT 1 REFERENCES lojas (id_loja);
+ALTER TABLE admin_users ADD COLUMN IF NOT EXISTS id_loja INTEGER NOT NULL DEFAULT 1 REFERENCES lojas (id_loja);
+ALTER TABLE modelos_email ADD COLUMN IF NOT EXISTS id_loja INTEGER NOT NULL DEFAULT 1 REFERENCES lojas (id_loja);
+ALTER TABLE pagamentos ADD COLUMN IF NOT EXISTS id_loja INTEGER NOT NULL DEFAULT 1 REFERENCES lojas (id_loja);
+ALTER TABLE pagamentos_eventos ADD COLUMN IF NOT EXISTS id_loja INTEGER NOT NULL DEFAULT 1 REFERENCES lojas (id_loja);
+ALTER TABLE eventos_pedidos ADD COLUMN IF NOT EXISTS id_loja INTEGER NOT NULL DEFAULT 1 REFERENCES lojas (id_loja);
+
+-- Daqui em diante a loja é sempre informada pelo código
+ALTER TABLE produtos ALTER COLUMN id_loja DROP DEFAULT;
+ALTER TABLE complementos_disponiveis ALTER COLUMN id_loja DROP DEFAULT;
+ALTER TABLE pedidos ALTER COLUMN id_loja DROP DEFAULT;
+ALTER TABLE cupons ALTER COLUMN id_loja DROP DEFAULT;
+ALTER TABLE cupons_usos ALTER COLUMN id_loja DROP DEFAULT;
+ALTER TABLE zonas_entrega ALTER COLUMN id_loja DROP DEFAULT;
+ALTER TABLE horarios_funcionamento ALTER COLUMN id_loja DROP DEFAULT;
+ALTER TABLE admin_users ALTER COLUMN id_loja DROP DEFAULT;
+ALTER TABLE modelos_email ALTER COLUMN id_loja DROP DEFAULT;
+ALTER TABLE pagamentos ALTER COLUMN id_loja DROP DEFAULT;
+ALTER TABLE pagamentos_eventos ALTER COLUMN id_loja DROP DEFAULT;
+ALTER TABLE eventos_pedidos ALTER COLUMN id_loja DROP DEFAULT;
+
+-- Códigos de cupom e modelos de e-mail passam a ser únicos por loja
+ALTER TABLE cupons DROP CONSTRAINT cupons_pkey CASCADE; -- leva junto as FKs de cupons_usos e pedidos
+ALTER TABLE cupons ADD PRIMARY KEY (id_loja, codigo);
+ALTER TABLE cupons_usos ADD CONSTRAINT cupons_usos_cupom_fkey
+  FOREIGN KEY (id_loja, codigo) REFERENCES cupons (id_loja, codigo);
+ALTER TABLE pedidos ADD CONSTRAINT pedidos_cupom_fkey
+  FOREIGN KEY (id_loja, cupom) REFERENCES cupons (id_loja, codigo);
+DROP INDEX IF EXISTS idx_cupons_usos_email;
+CREATE INDEX IF NOT EXISTS idx_cupons_usos_email ON cupons_usos (id_loja, codigo, lower(email_cliente));
+
+ALTER TABLE modelos_email DROP CONSTRAINT modelos_email_pkey;
+ALTER TABLE modelos_email ADD PRIMARY KEY (id_loja, tipo);
+INSERT INTO modelos_email (id_loja, tipo, assunto, corpo, ativo)
+SELECT 2, tipo, assunto, corpo, ativo FROM modelos_email WHERE id_loja = 1
+ON CONFLICT (id_loja, tipo) DO NOTHING;
+
+-- O mesmo e-mail pode ser usuário do painel de lojas diferentes
+DROP INDEX IF EXISTS idx_admin_users_email;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_admin_users_loja_email ON admin_users (id_loja, lower(email));
+
+DROP INDEX IF EXISTS idx_produtos_categoria;
+CREATE INDEX IF NOT EXISTS idx_produtos_loja_categoria ON produtos (id_loja, categoria, nome);
+CREATE INDEX IF NOT EXISTS idx_complementos_disponiveis_loja ON complementos_disponiveis (id_loja, categoria, nome);
+CREATE INDEX IF NOT EXISTS idx_pedidos_loja_data_hora_envio ON pedidos (id_loja, data_hora_envio DESC, id_pedido DESC);
+CREATE INDEX IF NOT EXISTS idx_eventos_pedidos_loja ON eventos_pedidos (id_loja, id_evento);
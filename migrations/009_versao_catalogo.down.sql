@@ -0,0 +1,5 @@
+DROP INDEX IF EXISTS idx_complementos_disponiveis_loja_versao;
+DROP INDEX IF EXISTS idx_produtos_loja_versao;
+ALTER TABLE complementos_disponiveis DROP COLUMN IF EXISTS versao;
+ALTER TABLE produtos DROP COLUMN IF EXISTS versao;
+DROP SEQUENCE IF EXISTS catalogo_versao_seq;
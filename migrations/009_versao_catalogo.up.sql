@@ -0,0 +1,10 @@
+-- Versão de cada item do catálogo, para o PWA buscar só o que mudou (GET /api/catalogo/changes?since=).
+-- Toda escrita de catalogo.js grava em `versao` um novo valor da sequência; os itens que já existiam
+-- recebem um valor cada ao adicionar a coluna.
+CREATE SEQUENCE IF NOT EXISTS catalogo_versao_seq;
+
+ALTER TABLE produtos ADD COLUMN IF NOT EXISTS versao BIGINT NOT NULL DEFAULT nextval('catalogo_versao_seq');
+ALTER TABLE complementos_disponiveis ADD COLUMN IF NOT EXISTS versao BIGINT NOT NULL DEFAULT nextval('catalogo_versao_seq');
+
+CREATE INDEX IF NOT EXISTS idx_produtos_loja_versao ON produtos (id_loja, versao);
+CREATE INDEX IF NOT EXISTS idx_complementos_disponiveis_loja_versao ON complementos_disponiveis (id_loja, versao);
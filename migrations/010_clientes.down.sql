@@ -0,0 +1,10 @@
+DELETE FROM modelos_email WHERE tipo = 'codigo_acesso';
+DELETE FROM notificacoes_email WHERE id_pedido IS NULL;
+ALTER TABLE notificacoes_email DROP CONSTRAINT IF EXISTS notificacoes_email_pedido_ou_loja;
+ALTER TABLE notificacoes_email DROP COLUMN IF EXISTS id_loja;
+ALTER TABLE notificacoes_email ALTER COLUMN id_pedido SET NOT NULL;
+DROP INDEX IF EXISTS idx_pedidos_cliente;
+ALTER TABLE pedidos DROP COLUMN IF EXISTS id_cliente;
+DROP TABLE IF EXISTS enderecos_cliente;
+DROP TABLE IF EXISTS codigos_acesso;
+DROP TABLE IF EXISTS clientes;
@@ -0,0 +1,67 @@
+-- Contas dos clientes do PWA (login por código enviado ao e-mail ou telefone), endereços salvos
+-- e ligação dos pedidos com a conta. Cada loja tem os seus clientes.
+
+CREATE TABLE IF NOT EXISTS clientes (
+  id_cliente SERIAL PRIMARY KEY,
+  id_loja INTEGER NOT NULL REFERENCES lojas (id_loja),
+  nome TEXT,
+  email TEXT,
+  -- Só dígitos, com DDI (ex.: 5511999998888)
+  telefone TEXT,
+  criado_em TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  ultimo_login TIMESTAMPTZ,
+  CHECK (email IS NOT NULL OR telefone IS NOT NULL)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_clientes_loja_email ON clientes (id_loja, lower(email)) WHERE email IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_clientes_loja_telefone ON clientes (id_loja, telefone) WHERE telefone IS NOT NULL;
+
+-- Códigos de acesso de uso único. Só o hash do código é gravado.
+CREATE TABLE IF NOT EXISTS codigos_acesso (
+  id_codigo SERIAL PRIMARY KEY,
+  id_loja INTEGER NOT NULL REFERENCES lojas (id_loja),
+  canal TEXT NOT NULL CHECK (canal IN ('email', 'telefone')),
+  destino TEXT NOT NULL,
+  codigo_hash TEXT NOT NULL,
+  tentativas INTEGER NOT NULL DEFAULT 0,
+  expira_em TIMESTAMPTZ NOT NULL,
+  usado_em TIMESTAMPTZ,
+  criado_em TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_codigos_acesso_destino ON codigos_acesso (id_loja, canal, destino, criado_em DESC);
+
+-- Endereços de entrega salvos (usados no pedido com deliveryOption.addressId)
+CREATE TABLE IF NOT EXISTS enderecos_cliente (
+  id_endereco SERIAL PRIMARY KEY,
+  id_cliente INTEGER NOT NULL REFERENCES clientes (id_cliente) ON DELETE CASCADE,
+  apelido TEXT,
+  endereco TEXT NOT NULL,
+  bairro TEXT,
+  cep CHAR(8),
+  principal BOOLEAN NOT NULL DEFAULT FALSE,
+  criado_em TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  atualizado_em TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_enderecos_cliente ON enderecos_cliente (id_cliente);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_enderecos_cliente_principal ON enderecos_cliente (id_cliente) WHERE principal;
+
+-- Pedidos feitos com a conta (ou de antes dela, com o mesmo e-mail). A exclusão da conta
+-- anonimiza os pedidos antes de apagar o cliente (ver clientes.js).
+ALTER TABLE pedidos ADD COLUMN IF NOT EXISTS id_cliente INTEGER REFERENCES clientes (id_cliente) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_pedidos_cliente ON pedidos (id_cliente, data_hora_envio DESC, id_pedido DESC)
+  WHERE id_cliente IS NOT NULL;
+
+-- O código de acesso por e-mail sai pela mesma fila das notificações, sem pedido; nesses e-mails
+-- a loja fica em id_loja (nos demais ela vem do pedido)
+ALTER TABLE notificacoes_email ALTER COLUMN id_pedido DROP NOT NULL;
+ALTER TABLE notificacoes_email ADD COLUMN IF NOT EXISTS id_loja INTEGER REFERENCES lojas (id_loja);
+ALTER TABLE notificacoes_email ADD CONSTRAINT notificacoes_email_pedido_ou_loja
+  CHECK (id_pedido IS NOT NULL OR id_loja IS NOT NULL);
+
+INSERT INTO modelos_email (id_loja, tipo, assunto, corpo)
+SELECT id_loja, 'codigo_acesso', 'Seu código de acesso: {{codigo}}',
+       E'Olá!\n\nSeu código para entrar em {{loja}} é {{codigo}}.\nEle vale por {{minutos}} minutos.\n\nSe você não pediu este código, ignore este e-mail.'
+FROM lojas
+ON CONFLICT (id_loja, tipo) DO NOTHING;
@@ -0,0 +1,8 @@
+CREATE SEQUENCE IF NOT EXISTS catalogo_versao_seq;
+SELECT setval('catalogo_versao_seq', GREATEST(
+  (SELECT MAX(versao) FROM produtos),
+  (SELECT MAX(versao) FROM complementos_disponiveis),
+  1
+));
+ALTER TABLE produtos ALTER COLUMN versao SET DEFAULT nextval('catalogo_versao_seq');
+ALTER TABLE complementos_disponiveis ALTER COLUMN versao SET DEFAULT nextval('catalogo_versao_seq');
@@ -0,0 +1,13 @@
+-- A versão do catálogo passa a ser o id da transação que gravou o item (pg_current_xact_id), no
+-- lugar da sequência. Com a sequência, uma transação que pegou a versão antes e fez COMMIT depois
+-- de outra ficava abaixo do cursor já devolvido ao PWA e nunca era sincronizada. Com o id da
+-- transação o cursor pode ficar atrás das transações ainda abertas (pg_snapshot_xmin), ver
+-- catalogo.versaoAtual.
+ALTER TABLE produtos ALTER COLUMN versao SET DEFAULT (pg_current_xact_id()::text::bigint);
+ALTER TABLE complementos_disponiveis ALTER COLUMN versao SET DEFAULT (pg_current_xact_id()::text::bigint);
+
+-- Os valores antigos da sequência não são comparáveis com ids de transação
+UPDATE produtos SET versao = pg_current_xact_id()::text::bigint;
+UPDATE complementos_disponiveis SET versao = pg_current_xact_id()::text::bigint;
+
+DROP SEQUENCE IF EXISTS catalogo_versao_seq;
@@ -0,0 +1,3 @@
+-- Estorno em andamento (estornos.js): marcado antes das chamadas ao Mercado Pago e limpo quando o
+-- resultado é gravado, no lugar de manter o pedido bloqueado (FOR UPDATE) durante as chamadas HTTP
+ALTER TABLE pedidos ADD COLUMN IF NOT EXISTS estorno_iniciado_em TIMESTAMPTZ;
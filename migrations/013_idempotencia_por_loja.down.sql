@@ -0,0 +1,6 @@
+DELETE FROM requisicoes_idempotentes WHERE escopo <> '';
+ALTER TABLE requisicoes_idempotentes DROP CONSTRAINT IF EXISTS requisicoes_idempotentes_pkey;
+UPDATE requisicoes_idempotentes SET rota = id_loja || ':' || rota;
+ALTER TABLE requisicoes_idempotentes ADD PRIMARY KEY (rota, chave);
+ALTER TABLE requisicoes_idempotentes DROP COLUMN IF EXISTS escopo;
+ALTER TABLE requisicoes_idempotentes DROP COLUMN IF EXISTS id_loja;
@@ -0,0 +1,14 @@
+-- Idempotency-Key separada por loja e por quem fez a requisição (escopo = 'papel:id' do token, ou
+-- vazio para o PWA sem login). Antes a loja ia como prefixo da rota ("1:pedidos").
+ALTER TABLE requisicoes_idempotentes ADD COLUMN IF NOT EXISTS id_loja INTEGER REFERENCES lojas (id_loja);
+ALTER TABLE requisicoes_idempotentes ADD COLUMN IF NOT EXISTS escopo TEXT NOT NULL DEFAULT '';
+
+UPDATE requisicoes_idempotentes
+SET id_loja = split_part(rota, ':', 1)::integer, rota = substr(rota, strpos(rota, ':') + 1)
+WHERE rota ~ '^[0-9]+:';
+-- Chaves sem o prefixo da loja são de antes de 008_lojas e já venceram
+DELETE FROM requisicoes_idempotentes WHERE id_loja IS NULL;
+
+ALTER TABLE requisicoes_idempotentes ALTER COLUMN id_loja SET NOT NULL;
+ALTER TABLE requisicoes_idempotentes DROP CONSTRAINT IF EXISTS requisicoes_idempotentes_pkey;
+ALTER TABLE requisicoes_idempotentes ADD PRIMARY KEY (id_loja, escopo, rota, chave);
@@ -0,0 +1 @@
+ALTER TABLE fila_impressao DROP COLUMN IF EXISTS reservado_ate;
@@ -0,0 +1,3 @@
+-- Comandas entregues ao agente de impressão ficam reservadas até reservado_ate e só saem da fila
+-- (entregue_em) quando o agente confirma a impressão (POST /api/impressao/confirmar)
+ALTER TABLE fila_impressao ADD COLUMN IF NOT EXISTS reservado_ate TIMESTAMPTZ;
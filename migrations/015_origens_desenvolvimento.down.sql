@@ -0,0 +1,2 @@
+-- As origens de desenvolvimento ficam no seed (seeds/cardapio-exemplo.sql); não há o que desfazer
+SELECT 1;
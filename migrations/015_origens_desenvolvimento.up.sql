@@ -0,0 +1,8 @@
+-- Tira da loja 1 as origens de desenvolvimento gravadas pela 008 em bancos que já a aplicaram.
+-- No banco local elas voltam com npm run seed.
+UPDATE lojas
+SET origens_permitidas = ARRAY(
+  SELECT origem FROM unnest(origens_permitidas) AS origem
+  WHERE origem NOT IN ('http://localhost:3000', 'http://127.0.0.1:5500', 'http://localhost:5500', 'null')
+)
+WHERE id_loja = 1;
@@ -0,0 +1,19 @@
+-- Só volta se nenhum id se repetir entre as lojas
+ALTER TABLE complementos_do_item DROP CONSTRAINT IF EXISTS complementos_do_item_complemento_fkey;
+ALTER TABLE itens_do_pedido DROP CONSTRAINT IF EXISTS itens_do_pedido_produto_fkey;
+
+ALTER TABLE complementos_disponiveis DROP CONSTRAINT IF EXISTS complementos_disponiveis_pkey;
+ALTER TABLE complementos_disponiveis ADD PRIMARY KEY (id);
+ALTER TABLE produtos DROP CONSTRAINT IF EXISTS produtos_pkey;
+ALTER TABLE produtos ADD PRIMARY KEY (id);
+
+ALTER TABLE itens_do_pedido ADD CONSTRAINT itens_do_pedido_id_produto_fkey
+  FOREIGN KEY (id_produto) REFERENCES produtos (id);
+ALTER TABLE complementos_do_item ADD CONSTRAINT complementos_do_item_id_complemento_disponivel_fkey
+  FOREIGN KEY (id_complemento_disponivel) REFERENCES complementos_disponiveis (id);
+
+DROP INDEX IF EXISTS idx_precos_historico_loja_item;
+CREATE INDEX IF NOT EXISTS idx_precos_historico_item ON precos_historico (tipo, id_item, data_hora);
+ALTER TABLE precos_historico DROP COLUMN IF EXISTS id_loja;
+ALTER TABLE complementos_do_item DROP COLUMN IF EXISTS id_loja;
+ALTER TABLE itens_do_pedido DROP COLUMN IF EXISTS id_loja;
@@ -0,0 +1,35 @@
+-- Ids de produtos e complementos passam a ser únicos por loja: a importação do painel usa os ids do
+-- cardápio de cada loja, e duas lojas podem ter o produto 1. Os itens dos pedidos e o histórico de
+-- preços levam a loja junto com o id para apontar para o item certo.
+ALTER TABLE itens_do_pedido ADD COLUMN IF NOT EXISTS id_loja INTEGER REFERENCES lojas (id_loja);
+UPDATE itens_do_pedido i SET id_loja = p.id_loja FROM pedidos p WHERE p.id_pedido = i.id_pedido AND i.id_loja IS NULL;
+ALTER TABLE itens_do_pedido ALTER COLUMN id_loja SET NOT NULL;
+
+ALTER TABLE complementos_do_item ADD COLUMN IF NOT EXISTS id_loja INTEGER REFERENCES lojas (id_loja);
+UPDATE complementos_do_item c SET id_loja = i.id_loja
+FROM itens_do_pedido i WHERE i.id_item_pedido = c.id_item_pedido AND c.id_loja IS NULL;
+ALTER TABLE complementos_do_item ALTER COLUMN id_loja SET NOT NULL;
+
+-- Até aqui os ids eram globais, então o id sozinho identifica a loja do item. Histórico de item que
+-- não existe mais é de antes de 008_lojas, quando só havia a loja 1.
+ALTER TABLE precos_historico ADD COLUMN IF NOT EXISTS id_loja INTEGER REFERENCES lojas (id_loja);
+UPDATE precos_historico h SET id_loja = COALESCE(
+  CASE h.tipo
+    WHEN 'produto' THEN (SELECT p.id_loja FROM produtos p WHERE p.id::text = h.id_item)
+    ELSE (SELECT c.id_loja FROM complementos_disponiveis c WHERE c.id::text = h.id_item)
+  END, 1)
+WHERE h.id_loja IS NULL;
+ALTER TABLE precos_historico ALTER COLUMN id_loja SET NOT NULL;
+DROP INDEX IF EXISTS idx_precos_historico_item;
+CREATE INDEX IF NOT EXISTS idx_precos_historico_loja_item ON precos_historico (id_loja, tipo, id_item, data_hora);
+
+-- CASCADE remove junto as chaves estrangeiras de 001 que apontavam só para o id
+ALTER TABLE produtos DROP CONSTRAINT IF EXISTS produtos_pkey CASCADE;
+ALTER TABLE produtos ADD PRIMARY KEY (id_loja, id);
+ALTER TABLE complementos_disponiveis DROP CONSTRAINT IF EXISTS complementos_disponiveis_pkey CASCADE;
+ALTER TABLE complementos_disponiveis ADD PRIMARY KEY (id_loja, id);
+
+ALTER TABLE itens_do_pedido ADD CONSTRAINT itens_do_pedido_produto_fkey
+  FOREIGN KEY (id_loja, id_produto) REFERENCES produtos (id_loja, id);
+ALTER TABLE complementos_do_item ADD CONSTRAINT complementos_do_item_complemento_fkey
+  FOREIGN KEY (id_loja, id_complemento_disponivel) REFERENCES complementos_disponiveis (id_loja, id);
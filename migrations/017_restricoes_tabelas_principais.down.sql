@@ -0,0 +1,2 @@
+-- As restrições são as mesmas de 001 (que as remove junto com as tabelas); não há o que desfazer
+SELECT 1;
@@ -0,0 +1,62 @@
+-- As tabelas de 001 já existiam no Neon de produção, e o CREATE TABLE IF NOT EXISTS não aplicou nelas
+-- as chaves estrangeiras, os NOT NULL e os CHECK. Aqui eles entram em quem ainda não tem: cada
+-- restrição é criada NOT VALID e validada em seguida; o NOT NULL passa antes por um CHECK validado,
+-- que evita outra varredura da tabela no SET NOT NULL. Os nomes são os que o Postgres deu em 001,
+-- então num banco criado pelas migrações nada muda. Dados que violem alguma regra fazem a migração
+-- falhar com o nome da restrição; corrija-os e rode de novo.
+
+DO $$
+DECLARE
+  r RECORD;
+  nome_check TEXT;
+BEGIN
+  FOR r IN SELECT * FROM (VALUES
+    ('produtos', 'produtos_preco_check', 'CHECK (preco >= 0)'),
+    ('produtos', 'produtos_num_complementos_gratis_check', 'CHECK (num_complementos_gratis >= 0)'),
+    ('complementos_disponiveis', 'complementos_disponiveis_preco_check', 'CHECK (preco >= 0)'),
+    ('pedidos', 'pedidos_troco_para_check', 'CHECK (troco_para >= 0)'),
+    ('pedidos', 'pedidos_valor_total_check', 'CHECK (valor_total >= 0)'),
+    ('pedidos', 'pedidos_status_check', 'CHECK (status IN (''pendente'', ''pago'', ''em_preparo'', ''saiu_para_entrega'', ''pronto_na_mesa'', ''entregue'', ''cancelado'', ''estornado''))'),
+    ('itens_do_pedido', 'itens_do_pedido_id_pedido_fkey', 'FOREIGN KEY (id_pedido) REFERENCES pedidos (id_pedido) ON DELETE CASCADE'),
+    ('itens_do_pedido', 'itens_do_pedido_quantidade_check', 'CHECK (quantidade > 0)'),
+    ('itens_do_pedido', 'itens_do_pedido_preco_base_produto_check', 'CHECK (preco_base_produto >= 0)'),
+    ('itens_do_pedido', 'itens_do_pedido_preco_unitario_com_complementos_check', 'CHECK (preco_unitario_com_complementos >= 0)'),
+    ('itens_do_pedido', 'itens_do_pedido_total_item_preco_check', 'CHECK (total_item_preco >= 0)'),
+    ('complementos_do_item', 'complementos_do_item_id_item_pedido_fkey', 'FOREIGN KEY (id_item_pedido) REFERENCES itens_do_pedido (id_item_pedido) ON DELETE CASCADE'),
+    ('complementos_do_item', 'complementos_do_item_preco_complemento_check', 'CHECK (preco_complemento >= 0)')
+  ) AS restricoes (tabela, nome, definicao)
+  LOOP
+    IF NOT EXISTS (SELECT 1 FROM pg_constraint WHERE conrelid = r.tabela::regclass AND conname = r.nome) THEN
+      EXECUTE format('ALTER TABLE %I ADD CONSTRAINT %I %s NOT VALID', r.tabela, r.nome, r.definicao);
+      EXECUTE format('ALTER TABLE %I VALIDATE CONSTRAINT %I', r.tabela, r.nome);
+    END IF;
+  END LOOP;
+
+  FOR r IN SELECT * FROM (VALUES
+    ('produtos', 'nome'), ('produtos', 'preco'), ('produtos', 'categoria'), ('produtos', 'num_complementos_gratis'),
+    ('complementos_disponiveis', 'nome'), ('complementos_disponiveis', 'preco'), ('complementos_disponiveis', 'categoria'),
+    ('pedidos', 'nome_cliente'), ('pedidos', 'tipo_entrega'), ('pedidos', 'metodo_pagamento'),
+    ('pedidos', 'valor_total'), ('pedidos', 'status'), ('pedidos', 'data_hora_envio'),
+    ('itens_do_pedido', 'id_pedido'), ('itens_do_pedido', 'id_produto'), ('itens_do_pedido', 'nome_produto'),
+    ('itens_do_pedido', 'quantidade'), ('itens_do_pedido', 'preco_base_produto'),
+    ('itens_do_pedido', 'preco_unitario_com_complementos'), ('itens_do_pedido', 'total_item_preco'),
+    ('complementos_do_item', 'id_item_pedido'), ('complementos_do_item', 'id_complemento_disponivel'),
+    ('complementos_do_item', 'nome_complemento'), ('complementos_do_item', 'preco_complemento')
+  ) AS colunas (tabela, coluna)
+  LOOP
+    IF EXISTS (
+      SELECT 1 FROM pg_attribute
+      WHERE attrelid = r.tabela::regclass AND attname = r.coluna AND NOT attnotnull AND NOT attisdropped
+    ) THEN
+      nome_check := r.tabela || '_' || r.coluna || '_nao_nulo';
+      EXECUTE format('ALTER TABLE %I ADD CONSTRAINT %I CHECK (%I IS NOT NULL) NOT VALID', r.tabela, nome_check, r.coluna);
+      EXECUTE format('ALTER TABLE %I VALIDATE CONSTRAINT %I', r.tabela, nome_check);
+      EXECUTE format('ALTER TABLE %I ALTER COLUMN %I SET NOT NULL', r.tabela, r.coluna);
+      EXECUTE format('ALTER TABLE %I DROP CONSTRAINT %I', r.tabela, nome_check);
+    END IF;
+  END LOOP;
+END $$;
+
+ALTER TABLE produtos ALTER COLUMN num_complementos_gratis SET DEFAULT 0;
+ALTER TABLE pedidos ALTER COLUMN status SET DEFAULT 'pendente';
+ALTER TABLE pedidos ALTER COLUMN data_hora_envio SET DEFAULT NOW();
@@ -0,0 +1,3 @@
+DROP INDEX IF EXISTS idx_eventos_pedidos_loja_transacao;
+ALTER TABLE eventos_pedidos DROP COLUMN IF EXISTS snapshot;
+ALTER TABLE eventos_pedidos DROP COLUMN IF EXISTS xid_transacao;
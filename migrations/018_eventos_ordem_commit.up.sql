@@ -0,0 +1,7 @@
+-- O reenvio por Last-Event-ID não pode depender só da ordem dos ids: o id é pego no INSERT, e um
+-- evento de id menor cujo COMMIT veio depois do último evento recebido pelo painel ficava para trás.
+-- Cada evento guarda a transação que o gravou e o snapshot dela; o reenvio manda o que não estava
+-- confirmado no snapshot do último evento recebido (ver tempoReal.stream).
+ALTER TABLE eventos_pedidos ADD COLUMN IF NOT EXISTS xid_transacao xid8 NOT NULL DEFAULT pg_current_xact_id();
+ALTER TABLE eventos_pedidos ADD COLUMN IF NOT EXISTS snapshot pg_snapshot NOT NULL DEFAULT pg_current_snapshot();
+CREATE INDEX IF NOT EXISTS idx_eventos_pedidos_loja_transacao ON eventos_pedidos (id_loja, xid_transacao);
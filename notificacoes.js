@@ -0,0 +1,376 @@
+// notificacoes.js - E-mails ao cliente (pedido recebido, pagamento confirmado, saiu para entrega, pronto e código de acesso)
+// As mensagens entram em notificacoes_email na mesma transação do pedido (outbox) e um worker as envia
+// por SMTP com novas tentativas, assim uma queda do servidor de e-mail nunca bloqueia os pedidos.
+// Para testar localmente basta um SMTP "pega-tudo" (ex.: Mailpit com SMTP_HOST=localhost e SMTP_PORT=1025).
+
+const nodemailer = require('nodemailer');
+const db = require('./db');
+
+const TIPOS = ['pedido_confirmado', 'pagamento_confirmado', 'saiu_para_entrega', 'pedido_pronto'];
+
+// Status do pedido que geram notificação (os demais não avisam o cliente)
+const TIPO_POR_STATUS = {
+  pago: 'pagamento_confirmado',
+  saiu_para_entrega: 'saiu_para_entrega',
+  pronto_na_mesa: 'pedido_pronto'
+};
+
+// Variáveis aceitas nos modelos ({{nome}}, {{pedido}}...)
+const VARIAVEIS = ['nome', 'pedido', 'itens', 'total', 'entrega', 'linkRastreio', 'loja'];
+
+// Código de login do cliente (clientes.js): não pertence a um pedido e tem variáveis próprias
+const TIPO_CODIGO_ACESSO = 'codigo_acesso';
+const VARIAVEIS_CODIGO_ACESSO = ['codigo', 'minutos', 'loja'];
+
+const INTERVALO_ENVIO_MS = 15000;
+const TAMANHO_LOTE = 20;
+const MAXIMO_TENTATIVAS = 8;
+// Tempo em que uma mensagem fica reservada para a instância que a pegou da fila
+const MINUTOS_RESERVA = 5;
+
+// Página de acompanhamento do PWA; {frontend} é trocado pela url_frontend da loja e {token}
+// pelo token de rastreio do pedido
+const URL_RASTREIO = process.env.EMAIL_URL_RASTREIO || '{frontend}/rastreio.html?token={token}';
+const FRONTEND_PADRAO = process.env.FRONTEND_URL || 'http://127.0.0.1:5500';
+
+// Modelo inválido ou inexistente: a rota deve responder com `status`
+class ErroNotificacao extends Error {
+  constructor(message, status = 400, detalhes = []) {
+    super(message);
+    this.name = 'ErroNotificacao';
+    this.status = status;
+    this.detalhes = detalhes;
+  }
+}
+
+const formatarReais = (valor) => `R$ ${parseFloat(valor).toFixed(2).replace('.', ',')}`;
+
+// Troca cada {{variavel}} pelo valor correspondente; variáveis sem valor ficam vazias
+const renderizar = (modelo, variaveis) =>
+  modelo.replace(/\{\{\s*(\w+)\s*\}\}/g, (_, nome) => (variaveis[nome] === undefined ? '' : String(variaveis[nome])));
+
+const escaparHtml = (texto) => texto
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const paraHtml = (texto) => `<div style="font-family: sans-serif; line-height: 1.5">${escaparHtml(texto).replace(/\n/g, '<br>')}</div>`;
+
+function descreverEntrega(pedido) {
+  if (pedido.numero_mesa) return `Mesa ${pedido.numero_mesa}`;
+  if (pedido.endereco_entrega) return `Entrega em: ${pedido.endereco_entrega}`;
+  return 'Retirada na loja';
+}
+
+async function montarVariaveis(client, idPedido) {
+  const pedidoResult = await client.query(`
+    SELECT p.id_loja, p.nome_cliente, p.email_cliente, p.valor_total, p.endereco_entrega, p.numero_mesa,
+           p.token_rastreio, l.nome AS nome_loja, l.url_frontend
+    FROM pedidos p
+    JOIN lojas l ON l.id_loja = p.id_loja
+    WHERE p.id_pedido = $1;
+  `, [idPedido]);
+  const pedido = pedidoResult.rows[0];
+  if (!pedido) return null;
+
+  const itensResult = await client.query(`
+    SELECT nome_produto, quantidade, total_item_preco
+    FROM itens_do_pedido WHERE id_pedido = $1 ORDER BY id_item_pedido;
+  `, [idPedido]);
+
+  const linkRastreio = pedido.token_rastreio
+    ? URL_RASTREIO.replace('{frontend}', pedido.url_frontend || FRONTEND_PADRAO).replace('{token}', pedido.token_rastreio)
+    : '';
+
+  return {
+    idLoja: pedido.id_loja,
+    destinatario: pedido.email_cliente,
+    variaveis: {
+      nome: pedido.nome_cliente,
+      pedido: idPedido,
+      itens: itensResult.rows
+        .map(item => `${item.quantidade}x ${item.nome_produto} - ${formatarReais(item.total_item_preco)}`)
+        .join('\n'),
+      total: formatarReais(pedido.valor_total),
+      entrega: descreverEntrega(pedido),
+      linkRastreio,
+      loja: pedido.nome_loja
+    }
+  };
+}
+
+// Coloca na fila a notificação `tipo` do pedido, já renderizada com o modelo da loja do pedido.
+// Deve ser chamada com o client da transação do pedido: se ela for desfeita, o e-mail também é.
+// Pedidos sem e-mail, modelos desativados e notificações já enfileiradas para o pedido são ignorados.
+async function enfileirar(client, tipo, idPedido) {
+  const dados = await montarVariaveis(client, idPedido);
+  if (!dados || !dados.destinatario) return false;
+
+  const modeloResult = await client.query(
+    'SELECT assunto, corpo FROM modelos_email WHERE id_loja = $1 AND tipo = $2 AND ativo = TRUE;',
+    [dados.idLoja, tipo]
+  );
+  const modelo = modeloResult.rows[0];
+  if (!modelo) return false;
+
+  const result = await client.query(`
+    INSERT INTO notificacoes_email (id_pedido, tipo, destinatario, assunto, corpo)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (id_pedido, tipo) DO NOTHING
+    RETURNING id_notificacao;
+  `, [
+    idPedido,
+    tipo,
+    dados.destinatario,
+    renderizar(modelo.assunto, dados.variaveis),
+    renderizar(modelo.corpo, dados.variaveis)
+  ]);
+  return result.rows.length > 0;
+}
+
+// Coloca na fila o e-mail com o código de acesso do cliente, renderizado com o modelo da loja.
+// Retorna false se a loja desativou o modelo.
+async function enfileirarCodigoAcesso(client, idLoja, destinatario, { codigo, minutos }) {
+  const modeloResult = await client.query(`
+    SELECT m.assunto, m.corpo, l.nome AS nome_loja
+    FROM modelos_email m
+    JOIN lojas l ON l.id_loja = m.id_loja
+    WHERE m.id_loja = $1 AND m.tipo = $2 AND m.ativo = TRUE;
+  `, [idLoja, TIPO_CODIGO_ACESSO]);
+  const modelo = modeloResult.rows[0];
+  if (!modelo) return false;
+
+  const variaveis = { codigo, minutos, loja: modelo.nome_loja };
+  await client.query(`
+    INSERT INTO notificacoes_email (id_pedido, id_loja, tipo, destinatario, assunto, corpo)
+    VALUES (NULL, $1, $2, $3, $4, $5);
+  `, [idLoja, TIPO_CODIGO_ACESSO, destinatario, renderizar(modelo.assunto, variaveis), renderizar(modelo.corpo, variaveis)]);
+  return true;
+}
+
+// Notificação correspondente a uma mudança de status, se houver (chamada por statusPedido.js)
+async function enfileirarPorStatus(client, idPedido, novoStatus) {
+  const tipo = TIPO_POR_STATUS[novoStatus];
+  return tipo ? enfileirar(client, tipo, idPedido) : false;
+}
+
+// --- Worker de envio ---
+
+let transporte = null;
+let processando = false;
+
+function criarTransporte() {
+  return nodemailer.createTransport({
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+  });
+}
+
+// Espera exponencial entre as tentativas: 1, 2, 4... minutos, no máximo 1 hora
+const minutosAteProximaTentativa = (tentativas) => Math.min(2 ** (tentativas - 1), 60);
+
+// Reserva um lote da fila (FOR UPDATE SKIP LOCKED evita que duas instâncias peguem a mesma mensagem)
+async function reservarLote() {
+  const result = await db.query(`
+    UPDATE notificacoes_email
+    SET tentativas = tentativas + 1, proxima_tentativa_em = NOW() + ($2 || ' minutes')::interval
+    WHERE id_notificacao IN (
+      SELECT id_notificacao FROM notificacoes_email
+      WHERE status = 'pendente' AND proxima_tentativa_em <= NOW()
+      ORDER BY proxima_tentativa_em, id_notificacao
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+  `, [TAMANHO_LOTE, MINUTOS_RESERVA]);
+  return result.rows;
+}
+
+async function enviar(notificacao) {
+  try {
+    await transporte.sendMail({
+      from: process.env.EMAIL_REMETENTE || process.env.SMTP_USER,
+      to: notificacao.destinatario,
+      subject: notificacao.assunto,
+      text: notificacao.corpo,
+      html: paraHtml(notificacao.corpo)
+    });
+    await db.query(
+      `UPDATE notificacoes_email SET status = 'enviado', enviado_em = NOW(), ultimo_erro = NULL WHERE id_notificacao = $1;`,
+      [notificacao.id_notificacao]
+    );
+  } catch (error) {
+    const desistir = notificacao.tentativas >= MAXIMO_TENTATIVAS;
+    console.warn(`📧 Falha ao enviar e-mail ${notificacao.id_notificacao} (tentativa ${notificacao.tentativas}):`, error.message);
+    await db.query(`
+      UPDATE notificacoes_email
+      SET status = $2, ultimo_erro = $3, proxima_tentativa_em = NOW() + ($4 || ' minutes')::interval
+      WHERE id_notificacao = $1;
+    `, [
+      notificacao.id_notificacao,
+      desistir ? 'falhou' : 'pendente',
+      String(error.message).substring(0, 1000),
+      minutosAteProximaTentativa(notificacao.tentativas)
+    ]);
+  }
+}
+
+async function processarFila() {
+  if (processando) return;
+  processando = true;
+  try {
+    let lote;
+    do {
+      lote = await reservarLote();
+      for (const notificacao of lote) {
+        await enviar(notificacao);
+      }
+    } while (lote.length === TAMANHO_LOTE);
+  } finally {
+    processando = false;
+  }
+}
+
+// Envia a fila agora, sem esperar o próximo ciclo (ex.: código de acesso, que o cliente está aguardando)
+function enviarAgora() {
+  if (!transporte) return;
+  processarFila().catch(error => console.error('Erro ao processar a fila de e-mails:', error.message));
+}
+
+// Inicia o envio periódico da fila. Sem SMTP_HOST as mensagens ficam na fila até ele ser configurado.
+// `transporte` substitui o SMTP por outro transporte do nodemailer (nos testes, o jsonTransport).
+// Chamado uma vez ao subir o servidor.
+function iniciar({ transporte: transporteInformado = null } = {}) {
+  if (!transporteInformado && !process.env.SMTP_HOST) {
+    console.warn('AVISO: SMTP_HOST não está definido no .env! Os e-mails aos clientes ficarão na fila sem envio.');
+    return;
+  }
+  transporte = transporteInformado || criarTransporte();
+  setInterval(() => {
+    processarFila().catch(error => console.error('Erro ao processar a fila de e-mails:', error.message));
+  }, INTERVALO_ENVIO_MS).unref();
+}
+
+// --- Modelos e consulta da fila (painel) ---
+
+const formatarModelo = (row) => ({
+  tipo: row.tipo,
+  assunto: row.assunto,
+  corpo: row.corpo,
+  ativo: row.ativo,
+  atualizadoEm: row.atualizado_em
+});
+
+async function listarModelos(idLoja) {
+  const result = await db.query('SELECT * FROM modelos_email WHERE id_loja = $1 ORDER BY tipo;', [idLoja]);
+  return {
+    variaveis: VARIAVEIS,
+    variaveisCodigoAcesso: VARIAVEIS_CODIGO_ACESSO,
+    modelos: result.rows.map(formatarModelo)
+  };
+}
+
+// Altera assunto, corpo e/ou ativo de um modelo. Variáveis desconhecidas são recusadas
+// para que um erro de digitação não chegue vazio ao cliente.
+async function atualizarModelo(idLoja, tipo, dados) {
+  if (!TIPOS.includes(tipo) && tipo !== TIPO_CODIGO_ACESSO) {
+    throw new ErroNotificacao(`Modelo de e-mail ${tipo} não encontrado.`, 404);
+  }
+  const aceitas = tipo === TIPO_CODIGO_ACESSO ? VARIAVEIS_CODIGO_ACESSO : VARIAVEIS;
+  const valores = {};
+  const erros = [];
+  for (const campo of ['assunto', 'corpo']) {
+    if (!(campo in dados)) continue;
+    if (typeof dados[campo] !== 'string' || dados[campo].trim() === '') {
+      erros.push({ field: campo, message: 'é obrigatório.' });
+      continue;
+    }
+    const desconhecidas = [...dados[campo].matchAll(/\{\{\s*(\w+)\s*\}\}/g)]
+      .map(([, nome]) => nome)
+      .filter(nome => !aceitas.includes(nome));
+    if (desconhecidas.length > 0) {
+      erros.push({ field: campo, message: `variáveis desconhecidas: ${[...new Set(desconhecidas)].join(', ')}.` });
+    }
+    valores[campo] = dados[campo];
+  }
+  if ('ativo' in dados) {
+    if (typeof dados.ativo !== 'boolean') erros.push({ field: 'ativo', message: 'deve ser true ou false.' });
+    valores.ativo = dados.ativo;
+  }
+  if (erros.length === 0 && Object.keys(valores).length === 0) {
+    erros.push({ field: '(corpo)', message: 'nenhum campo para atualizar.' });
+  }
+  if (erros.length > 0) {
+    throw new ErroNotificacao('Modelo de e-mail inválido.', 400, erros);
+  }
+
+  const colunas = Object.keys(valores);
+  const result = await db.query(`
+    UPDATE modelos_email
+    SET ${colunas.map((coluna, i) => `${coluna} = $${i + 3}`).join(', ')}, atualizado_em = NOW()
+    WHERE id_loja = $1 AND tipo = $2
+    RETURNING *;
+  `, [idLoja, tipo, ...Object.values(valores)]);
+  if (result.rows.length === 0) {
+    throw new ErroNotificacao(`Modelo de e-mail ${tipo} não encontrado.`, 404);
+  }
+  return formatarModelo(result.rows[0]);
+}
+
+async function listarPorPedido(idLoja, idPedido) {
+  const result = await db.query(`
+    SELECT n.id_notificacao, n.tipo, n.destinatario, n.assunto, n.status, n.tentativas, n.ultimo_erro,
+           n.criado_em, n.enviado_em
+    FROM notificacoes_email n
+    JOIN pedidos p ON p.id_pedido = n.id_pedido
+    WHERE n.id_pedido = $1 AND p.id_loja = $2
+    ORDER BY n.criado_em, n.id_notificacao;
+  `, [idPedido, idLoja]);
+  return result.rows.map(row => ({
+    id: row.id_notificacao,
+    type: row.tipo,
+    to: row.destinatario,
+    subject: row.assunto,
+    status: row.status,
+    attempts: row.tentativas,
+    lastError: row.ultimo_erro,
+    createdAt: row.criado_em,
+    sentAt: row.enviado_em
+  }));
+}
+
+// Devolve à fila uma notificação que falhou (ou reenvia uma já enviada)
+async function reenviar(idLoja, idNotificacao) {
+  if (!/^\d+$/.test(String(idNotificacao))) {
+    throw new ErroNotificacao(`Notificação ${idNotificacao} não encontrada.`, 404);
+  }
+  const result = await db.query(`
+    UPDATE notificacoes_email n
+    SET status = 'pendente', tentativas = 0, proxima_tentativa_em = NOW(), ultimo_erro = NULL
+    FROM pedidos p
+    WHERE n.id_notificacao = $1 AND p.id_pedido = n.id_pedido AND p.id_loja = $2
+    RETURNING n.id_notificacao;
+  `, [idNotificacao, idLoja]);
+  if (result.rows.length === 0) {
+    throw new ErroNotificacao(`Notificação ${idNotificacao} não encontrada.`, 404);
+  }
+  return { id: result.rows[0].id_notificacao, status: 'pendente' };
+}
+
+module.exports = {
+  TIPOS,
+  VARIAVEIS,
+  TIPO_CODIGO_ACESSO,
+  ErroNotificacao,
+  renderizar,
+  enfileirar,
+  enfileirarPorStatus,
+  enfileirarCodigoAcesso,
+  enviarAgora,
+  processarFila,
+  iniciar,
+  listarModelos,
+  atualizarModelo,
+  listarPorPedido,
+  reenviar,
+};
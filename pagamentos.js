@@ -0,0 +1,264 @@
+// pagamentos.js - Conciliação das notificações do Mercado Pago com os pedidos do Neon
+
+const db = require('./db');
+const statusPedido = require('./statusPedido');
+const tempoReal = require('./tempoReal');
+
+// Status do pagamento no Mercado Pago -> status do pedido no Neon.
+// Status ausentes aqui (pending, in_process, authorized...) não alteram o pedido.
+const STATUS_PEDIDO_POR_STATUS_MP = {
+  approved: 'pago',
+  rejected: 'cancelado',
+  cancelled: 'cancelado',
+  refunded: 'estornado'
+};
+
+// Status de origem a partir dos quais cada status de pagamento pode ser aplicado.
+// Um pagamento recusado nunca derruba um pedido que já foi pago por outra tentativa,
+// e um pedido cancelado por recusa volta para 'pago' se uma nova tentativa for aprovada
+// (única exceção ao ciclo de vida de statusPedido.js, reservada ao webhook).
+const STATUS_ORIGEM_PERMITIDOS = {
+  pago: ['pendente', 'cancelado'],
+  cancelado: ['pendente'],
+  // Estorno total feito direto no painel do Mercado Pago
+  estornado: ['pago', 'em_preparo', 'saiu_para_entrega', 'pronto_na_mesa', 'entregue']
+};
+
+// Extrai o id do pagamento de uma notificação no formato Webhooks do Mercado Pago
+// (?type=payment&data.id=123 / body.data.id). O formato IPN (?topic=payment&id=123) não é
+// assinado e é recusado antes de chegar aqui (ver validarAssinaturaMercadoPago em server.js).
+function extrairNotificacao(query, body) {
+  const corpo = body || {};
+  const tipo = corpo.type || query.type || null;
+  const acao = corpo.action || null;
+  let idPagamento = null;
+
+  if (tipo === 'payment') {
+    idPagamento = (corpo.data && corpo.data.id) || query['data.id'] || null;
+  }
+
+  return { tipo, acao, idPagamento: idPagamento ? String(idPagamento) : null };
+}
+
+// Status do Mercado Pago de uma tentativa que ainda pode ser paga
+const STATUS_MP_EM_ABERTO = ['pending', 'in_process', 'authorized'];
+
+const formatarPagamento = (row) => ({
+  id: row.id_pagamento,
+  orderId: row.id_pedido,
+  paymentId: row.id_pagamento_mp,
+  preferenceId: row.id_preferencia_mp,
+  method: row.metodo,
+  amount: parseFloat(row.valor),
+  status: row.status_mp,
+  statusDetail: row.status_detalhe,
+  qrCodeExpiresAt: row.expira_em,
+  createdAt: row.criado_em,
+  updatedAt: row.atualizado_em
+});
+
+// Grava uma tentativa de pagamento criada por uma das rotas /create-mercadopago-*.
+// Para o Checkout Pro ainda não existe pagamento, só a preferência; o id do pagamento chega pelo webhook.
+async function registrarTentativa(queryable, tentativa) {
+  const result = await queryable.query(`
+    INSERT INTO pagamentos (
+      id_pedido, id_pagamento_mp, id_preferencia_mp, metodo, valor,
+      status_mp, status_detalhe, qr_code, qr_code_base64, expira_em, id_loja
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    ON CONFLICT (id_pagamento_mp) DO NOTHING
+    RETURNING *;
+  `, [
+    tentativa.idPedido,
+    tentativa.idPagamentoMp ? String(tentativa.idPagamentoMp) : null,
+    tentativa.idPreferenciaMp || null,
+    tentativa.metodo,
+    tentativa.valor,
+    tentativa.statusMp,
+    tentativa.statusDetalhe || null,
+    tentativa.qrCode || null,
+    tentativa.qrCodeBase64 || null,
+    tentativa.expiraEm || null,
+    tentativa.idLoja
+  ]);
+  return result.rows[0] ? formatarPagamento(result.rows[0]) : null;
+}
+
+// Atualiza (ou cria, para pagamentos feitos pelo Checkout Pro) a tentativa a partir do pagamento consultado na API
+async function sincronizarTentativa(client, idLoja, pagamentoMp) {
+  await client.query(`
+    INSERT INTO pagamentos (id_pedido, id_pagamento_mp, metodo, valor, status_mp, status_detalhe, id_loja, atualizado_em)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, NOW())
+    ON CONFLICT (id_pagamento_mp) DO UPDATE
+      SET status_mp = EXCLUDED.status_mp, status_detalhe = EXCLUDED.status_detalhe, atualizado_em = NOW();
+  `, [
+    pagamentoMp.external_reference,
+    String(pagamentoMp.id),
+    pagamentoMp.payment_method_id === 'pix' ? 'pix' : (pagamentoMp.payment_type_id || 'desconhecido'),
+    pagamentoMp.transaction_amount,
+    pagamentoMp.status,
+    pagamentoMp.status_detail || null,
+    idLoja
+  ]);
+}
+
+// Há outra tentativa do mesmo pedido aprovada ou ainda pagável? Nesse caso a recusa/expiração
+// desta tentativa não cancela o pedido (ex.: PIX vencido substituído por um novo QR code).
+async function existeOutraTentativaAtiva(client, idPedido, idPagamento) {
+  const result = await client.query(`
+    SELECT 1 FROM pagamentos
+    WHERE id_pedido = $1 AND id_pagamento_mp IS DISTINCT FROM $2
+      AND (status_mp = 'approved' OR (status_mp = ANY($3::text[]) AND (expira_em IS NULL OR expira_em > NOW())))
+    LIMIT 1;
+  `, [idPedido, idPagamento, STATUS_MP_EM_ABERTO]);
+  return result.rows.length > 0;
+}
+
+async function listarPorPedido(idLoja, idPedido) {
+  const result = await db.query(
+    'SELECT * FROM pagamentos WHERE id_pedido = $1 AND id_loja = $2 ORDER BY criado_em, id_pagamento;',
+    [idPedido, idLoja]
+  );
+  return result.rows.map(formatarPagamento);
+}
+
+// PIX do pedido ainda pendente e com QR code válido por pelo menos `margemSegundos`
+async function pixVigente(idLoja, idPedido, margemSegundos = 60) {
+  const result = await db.query(`
+    SELECT * FROM pagamentos
+    WHERE id_pedido = $1 AND id_loja = $3 AND metodo = 'pix' AND status_mp = 'pending'
+      AND expira_em > NOW() + ($2 || ' seconds')::interval
+    ORDER BY criado_em DESC
+    LIMIT 1;
+  `, [idPedido, margemSegundos, idLoja]);
+  const row = result.rows[0];
+  return row ? { ...formatarPagamento(row), qrCode: row.qr_code, qrCodeBase64: row.qr_code_base64 } : null;
+}
+
+async function registrarEvento(client, evento) {
+  const insertEventoSql = `
+    INSERT INTO pagamentos_eventos (
+      id_loja, id_pagamento_mp, tipo_notificacao, acao, id_pedido,
+      status_mp, data_atualizacao_mp, resultado, payload
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9);
+  `;
+  await client.query(insertEventoSql, [
+    evento.idLoja,
+    evento.idPagamento,
+    evento.tipo,
+    evento.acao,
+    evento.idPedido || null,
+    evento.statusMp || null,
+    evento.dataAtualizacao || null,
+    evento.resultado,
+    JSON.stringify(evento.payload || {})
+  ]);
+}
+
+// Processa uma notificação do webhook da loja `idLoja`. Sempre consulta o pagamento na API do
+// Mercado Pago com as credenciais da loja (o corpo da notificação não é confiável) e aplica o status
+// ao pedido de forma idempotente: notificações repetidas não geram alterações e notificações fora
+// de ordem são ignoradas. Pedidos de outra loja nunca são alterados.
+async function processarNotificacao(paymentClient, idLoja, { tipo, acao, idPagamento, payload }) {
+  if (!idPagamento) {
+    const client = await db.getClient();
+    try {
+      await registrarEvento(client, { idLoja, tipo, acao, idPagamento: null, resultado: 'ignorado', payload });
+    } finally {
+      client.release();
+    }
+    return { resultado: 'ignorado' };
+  }
+
+  const pagamentoMp = await paymentClient.get({ id: idPagamento });
+  const idPedido = pagamentoMp.external_reference || null;
+  const statusMp = pagamentoMp.status;
+  const dataAtualizacao = pagamentoMp.date_last_updated ? new Date(pagamentoMp.date_last_updated) : new Date();
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    // Serializa notificações simultâneas do mesmo pagamento
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1));', [idPagamento]);
+
+    const ultimoEventoResult = await client.query(`
+      SELECT MAX(data_atualizacao_mp) AS ultima_atualizacao
+      FROM pagamentos_eventos
+      WHERE id_pagamento_mp = $1 AND id_loja = $2 AND resultado IN ('aplicado', 'sem_alteracao');
+    `, [idPagamento, idLoja]);
+    const ultimaAtualizacao = ultimoEventoResult.rows[0].ultima_atualizacao;
+
+    let resultado;
+    let statusResultante = null;
+
+    if (ultimaAtualizacao && new Date(ultimaAtualizacao) > dataAtualizacao) {
+      resultado = 'desatualizado';
+    } else if (!idPedido) {
+      resultado = 'sem_pedido';
+    } else {
+      await sincronizarTentativa(client, idLoja, pagamentoMp);
+
+      const pedidoResult = await client.query(
+        'SELECT status FROM pedidos WHERE id_pedido = $1 AND id_loja = $2 FOR UPDATE;',
+        [idPedido, idLoja]
+      );
+
+      if (pedidoResult.rows.length === 0) {
+        resultado = 'pedido_nao_encontrado';
+      } else {
+        const statusAtual = pedidoResult.rows[0].status;
+        let novoStatus = STATUS_PEDIDO_POR_STATUS_MP[statusMp];
+        statusResultante = statusAtual;
+
+        // QR code PIX vencido não cancela o pedido: o cliente pode gerar outro
+        if (novoStatus === 'cancelado' && (pagamentoMp.status_detail === 'expired' ||
+            await existeOutraTentativaAtiva(client, idPedido, idPagamento))) {
+          novoStatus = null;
+        }
+
+        if (novoStatus && novoStatus !== statusAtual && STATUS_ORIGEM_PERMITIDOS[novoStatus].includes(statusAtual)) {
+          await statusPedido.registrarTransicao(client, {
+            idPedido,
+            statusAnterior: statusAtual,
+            novoStatus,
+            ator: 'mercadopago',
+            origem: 'webhook',
+            observacao: `Pagamento ${idPagamento}: ${statusMp}`
+          });
+          statusResultante = novoStatus;
+          resultado = 'aplicado';
+        } else {
+          resultado = 'sem_alteracao';
+        }
+      }
+    }
+
+    await registrarEvento(client, {
+      idLoja, tipo, acao, idPagamento, idPedido, statusMp, dataAtualizacao, resultado, payload
+    });
+
+    if (resultado === 'aplicado' || resultado === 'sem_alteracao') {
+      await tempoReal.publicarEvento(client, 'pagamento_atualizado', idPedido, {
+        paymentId: idPagamento,
+        paymentStatus: statusMp,
+        status: statusResultante
+      });
+    }
+
+    await client.query('COMMIT');
+    return { idPedido, statusMp, statusPedido: statusResultante, resultado };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  extrairNotificacao,
+  registrarTentativa,
+  listarPorPedido,
+  pixVigente,
+  processarNotificacao,
+};
@@ -0,0 +1,211 @@
+// pedidos.js - Criação dos pedidos enviados pelo PWA (POST /api/pedidos e sincronização offline)
+// O orderId e o sentAt são gerados pelo PWA. Reenviar um orderId já salvo nunca cria outro pedido:
+// quem reenvia recebe a cópia que ficou no servidor, não os valores que mandou de novo.
+
+const precificacao = require('./precificacao');
+const cupons = require('./cupons');
+const entrega = require('./entrega');
+const catalogo = require('./catalogo');
+const funcionamento = require('./funcionamento');
+const statusPedido = require('./statusPedido');
+const rastreio = require('./rastreio');
+const notificacoes = require('./notificacoes');
+const tempoReal = require('./tempoReal');
+const clientes = require('./clientes');
+
+// Formas de pagamento aceitas no pedido: pix, cartão e Checkout Pro pelo Mercado Pago; dinheiro e
+// maquininha na entrega ou na mesa. O valor vai para relatórios e CSVs, então não é texto livre.
+const METODOS_PAGAMENTO = ['pix', 'cartao', 'mercadopago', 'dinheiro', 'maquininha'];
+
+// Pedido recusado por um motivo que não é de preço, cupom, entrega ou estoque (ex.: orderId de outra loja)
+class ErroPedido extends Error {
+  constructor(message, status = 400, code = 'pedido_invalido', detalhes = {}) {
+    super(message);
+    this.name = 'ErroPedido';
+    this.status = status;
+    this.code = code;
+    this.detalhes = detalhes;
+  }
+}
+
+const arredondar = (valor) => Math.round(valor * 100) / 100;
+
+// Pedido já salvo com este orderId, no formato da resposta de criação (sem o token de rastreio),
+// ou null. Um orderId usado por outra loja não pode ser reaproveitado.
+async function buscarSalvo(queryable, idLoja, orderId) {
+  const result = await queryable.query(`
+    SELECT p.id_loja, p.status, p.valor_total, p.valor_desconto, p.taxa_entrega, z.tempo_estimado_minutos
+    FROM pedidos p
+    LEFT JOIN zonas_entrega z ON z.id_zona = p.id_zona_entrega
+    WHERE p.id_pedido = $1;
+  `, [String(orderId)]);
+  const pedido = result.rows[0];
+  if (!pedido) return null;
+  if (pedido.id_loja !== idLoja) {
+    throw new ErroPedido(`O id de pedido ${orderId} já está em uso. Gere um novo orderId.`, 409, 'pedido_duplicado');
+  }
+
+  const total = parseFloat(pedido.valor_total);
+  const desconto = parseFloat(pedido.valor_desconto) || 0;
+  const taxaEntrega = parseFloat(pedido.taxa_entrega) || 0;
+  return {
+    orderId: String(orderId),
+    status: pedido.status,
+    subtotal: arredondar(total + desconto - taxaEntrega),
+    discount: desconto,
+    deliveryFee: taxaEntrega,
+    estimatedDeliveryMinutes: pedido.tempo_estimado_minutos,
+    total
+  };
+}
+
+// Precifica e grava o pedido com itens, cupom, estoque, histórico, e-mail e evento em tempo real.
+// `agora` é o momento do pedido, gravado em data_hora_envio e no status inicial: o relógio do
+// servidor ou, na sincronização offline, o sentAt já limitado por sincronizacao.momentoDoEnvio. O
+// sentAt de POST /api/pedidos é ignorado, senão um pedido poderia cair num dia já fechado no caixa
+// (relatorios.js). `horario` é o usado para conferir o horário da loja (por padrão, o mesmo `agora`).
+// `idCliente` liga o pedido à conta do cliente logado e permite usar um endereço salvo
+// (deliveryOption.addressId). Deve ser chamada dentro de uma transação.
+// Retorna { novo, pedido }; com novo = false o pedido já existia e `pedido` é a cópia salva.
+async function criarPedido(client, idLoja, dados, { origem = 'pwa', agora = new Date(), horario = agora, idCliente = null } = {}) {
+  const {
+    orderId, customerName, customerEmail, items,
+    observations, paymentMethod, trocoPara, total, couponCode
+  } = dados;
+
+  const salvo = await buscarSalvo(client, idLoja, orderId);
+  if (salvo) return { novo: false, pedido: salvo };
+
+  await funcionamento.exigirLojaAberta(idLoja, horario, client);
+  const deliveryOption = await clientes.prepararEntrega(client, idLoja, idCliente, dados.deliveryOption);
+
+  // Recalcula os preços a partir do catálogo; os valores do cliente servem apenas para conferência
+  const itensPrecificados = await precificacao.precificarItens(idLoja, items, client);
+  const cupomAplicado = couponCode
+    ? await cupons.aplicarCupom(client, idLoja, couponCode, itensPrecificados, customerEmail, { bloquear: true })
+    : null;
+  const pedidoComDesconto = precificacao.aplicarDesconto(itensPrecificados, cupomAplicado);
+  const entregaPedido = await entrega.calcularEntrega(client, idLoja, deliveryOption, pedidoComDesconto, cupomAplicado);
+  const pedidoPrecificado = precificacao.adicionarTaxaEntrega(pedidoComDesconto, entregaPedido.taxa);
+  precificacao.conferirValores(pedidoPrecificado, items, total);
+
+  const insertPedidoSql = `
+    INSERT INTO pedidos (
+      id_pedido, nome_cliente, email_cliente, tipo_entrega,
+      endereco_entrega, numero_mesa, observacoes, metodo_pagamento,
+      troco_para, valor_total, status, data_hora_envio, token_rastreio,
+      cupom, valor_desconto, taxa_entrega, id_zona_entrega, id_loja, id_cliente
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19)
+    ON CONFLICT (id_pedido) DO NOTHING
+    RETURNING id_pedido;
+  `;
+  const trackingToken = rastreio.gerarToken();
+  const pedidoResult = await client.query(insertPedidoSql, [
+    orderId,
+    customerName,
+    customerEmail || null,
+    deliveryOption.type,
+    deliveryOption.address || null,
+    deliveryOption.tableNumber || null,
+    observations || '',
+    paymentMethod,
+    trocoPara || null,
+    pedidoPrecificado.total,
+    statusPedido.STATUS_INICIAL, // O status inicial é definido pelo servidor, nunca pelo cliente
+    agora,
+    trackingToken,
+    cupomAplicado ? cupomAplicado.codigo : null,
+    pedidoPrecificado.discount,
+    pedidoPrecificado.deliveryFee,
+    entregaPedido.zona ? entregaPedido.zona.id : null,
+    idLoja,
+    idCliente
+  ]);
+
+  // Outra requisição gravou o mesmo orderId entre a consulta acima e o INSERT
+  if (pedidoResult.rows.length === 0) {
+    return { novo: false, pedido: await buscarSalvo(client, idLoja, orderId) };
+  }
+
+  await catalogo.baixarEstoque(client, idLoja, pedidoPrecificado.items);
+  if (cupomAplicado) {
+    await cupons.registrarUso(client, idLoja, cupomAplicado, orderId, customerEmail);
+  }
+  await client.query(`
+    INSERT INTO pedido_status_historico (id_pedido, status_anterior, status_novo, ator, origem, data_hora)
+    VALUES ($1, NULL, $2, 'cliente', $3, $4);
+  `, [orderId, statusPedido.STATUS_INICIAL, origem, agora]);
+
+  for (const item of pedidoPrecificado.items) {
+    const insertItemSql = `
+      INSERT INTO itens_do_pedido (
+        id_pedido, id_produto, nome_produto, quantidade,
+        preco_base_produto, preco_unitario_com_complementos, total_item_preco, id_loja
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      RETURNING id_item_pedido;
+    `;
+    const itemResult = await client.query(insertItemSql, [
+      orderId,
+      item.productId,
+      item.name, // Nome vindo do catálogo
+      item.quantity,
+      item.basePrice,
+      item.unitPriceWithComplements,
+      item.totalItemPrice,
+      idLoja
+    ]);
+    const insertedItemId = itemResult.rows[0].id_item_pedido;
+
+    for (const comp of item.complements) {
+      const insertCompSql = `
+        INSERT INTO complementos_do_item (
+          id_item_pedido, id_complemento_disponivel, nome_complemento, preco_complemento, id_loja
+        ) VALUES ($1, $2, $3, $4, $5);
+      `;
+      await client.query(insertCompSql, [
+        insertedItemId,
+        comp.id,
+        comp.name, // Nome vindo do catálogo
+        comp.price,
+        idLoja
+      ]);
+    }
+  }
+
+  await notificacoes.enfileirar(client, 'pedido_confirmado', orderId);
+
+  await tempoReal.publicarEvento(client, 'pedido_criado', orderId, {
+    customerName,
+    deliveryOption,
+    observations: observations || '',
+    paymentMethod,
+    trocoPara: trocoPara || null,
+    discount: pedidoPrecificado.discount,
+    deliveryFee: pedidoPrecificado.deliveryFee,
+    total: pedidoPrecificado.total,
+    status: statusPedido.STATUS_INICIAL,
+    items: pedidoPrecificado.items
+  });
+
+  return {
+    novo: true,
+    pedido: {
+      orderId: String(orderId),
+      status: statusPedido.STATUS_INICIAL,
+      subtotal: pedidoPrecificado.subtotal,
+      discount: pedidoPrecificado.discount,
+      deliveryFee: pedidoPrecificado.deliveryFee,
+      estimatedDeliveryMinutes: entregaPedido.zona ? entregaPedido.zona.tempoEstimadoMinutos : null,
+      total: pedidoPrecificado.total,
+      // Só é devolvido na criação: um reenvio do mesmo orderId não revela o token
+      trackingToken
+    }
+  };
+}
+
+module.exports = {
+  METODOS_PAGAMENTO,
+  ErroPedido,
+  buscarSalvo,
+  criarPedido,
+};
@@ -0,0 +1,275 @@
+// precificacao.js - Recalcula no servidor os preços de um pedido a partir do catálogo do Neon
+// Os valores enviados pelo PWA nunca são usados para cobrança; servem apenas para conferência.
+
+const db = require('./db');
+const cupons = require('./cupons');
+const entrega = require('./entrega');
+const statusPedido = require('./statusPedido');
+
+// Diferença máxima aceita entre o valor enviado pelo cliente e o recalculado (em centavos)
+const TOLERANCIA_CENTAVOS = 1;
+
+// Erro de validação de preços: deve virar uma resposta 400 para o cliente
+class ErroPrecificacao extends Error {
+  constructor(message, detalhes = []) {
+    super(message);
+    this.name = 'ErroPrecificacao';
+    this.detalhes = detalhes;
+  }
+}
+
+const paraCentavos = (valor) => Math.round(parseFloat(valor) * 100);
+const paraReais = (centavos) => centavos / 100;
+
+// Disponível = não marcado como esgotado e, se houver controle de estoque, com saldo para `quantidade`
+const disponivel = (item, quantidade = 1) => !item.esgotado && (item.estoque === null || item.estoque >= quantidade);
+
+// Produto ou complemento que existe mas não tem a quantidade pedida; `nome` já traz o rótulo
+function conferirDisponibilidade(item, quantidade, nome) {
+  if (!disponivel(item)) return `${nome} está esgotado.`;
+  if (!disponivel(item, quantidade)) return `${nome}: só há ${item.estoque} em estoque.`;
+  return null;
+}
+
+// Recalcula todos os itens de um pedido. Os num_complementos_gratis complementos mais baratos
+// de cada item são gratuitos (a ordem em que o cliente os enviou não muda o valor); os demais
+// são cobrados pelo preço de complementos_disponiveis. Só valem produtos e complementos da loja `idLoja`.
+// `queryable` pode ser o db ou um client em transação.
+async function precificarItens(idLoja, items, queryable = db) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new ErroPrecificacao('O pedido deve conter ao menos um item.');
+  }
+
+  const idsProdutos = [...new Set(items.map(item => String(item.productId)))];
+  const idsComplementos = [...new Set(items.flatMap(item =>
+    (Array.isArray(item.complements) ? item.complements : []).map(comp => String(comp.id))
+  ))];
+
+  const produtosResult = await queryable.query(
+    'SELECT id, nome, preco, categoria, num_complementos_gratis, esgotado, estoque FROM produtos WHERE id::text = ANY($1::text[]) AND id_loja = $2 AND ativo = TRUE;',
+    [idsProdutos, idLoja]
+  );
+  const complementosResult = idsComplementos.length > 0
+    ? await queryable.query(
+      'SELECT id, nome, preco, esgotado, estoque FROM complementos_disponiveis WHERE id::text = ANY($1::text[]) AND id_loja = $2 AND ativo = TRUE;',
+      [idsComplementos, idLoja]
+    )
+    : { rows: [] };
+
+  const produtos = new Map(produtosResult.rows.map(produto => [String(produto.id), produto]));
+  const complementos = new Map(complementosResult.rows.map(comp => [String(comp.id), comp]));
+
+  // Quantidade pedida de cada produto e complemento somando todos os itens, a mesma que
+  // catalogo.baixarEstoque vai tirar do estoque
+  const quantidadesPedidas = { produto: new Map(), complemento: new Map() };
+  const somar = (mapa, id, quantidade) => mapa.set(String(id), (mapa.get(String(id)) || 0) + quantidade);
+  for (const item of items) {
+    const quantidade = Number(item.quantity);
+    if (!Number.isInteger(quantidade) || quantidade <= 0) continue;
+    somar(quantidadesPedidas.produto, item.productId, quantidade);
+    for (const comp of Array.isArray(item.complements) ? item.complements : []) {
+      somar(quantidadesPedidas.complemento, comp.id, quantidade);
+    }
+  }
+
+  const erros = [];
+  const itensPrecificados = [];
+  let totalCentavos = 0;
+
+  items.forEach((item, indice) => {
+    const produto = produtos.get(String(item.productId));
+    const quantidade = Number(item.quantity);
+
+    if (!produto) {
+      erros.push(`Item ${indice + 1}: produto ${item.productId} não encontrado.`);
+      return;
+    }
+    if (!Number.isInteger(quantidade) || quantidade <= 0) {
+      erros.push(`Item ${indice + 1}: quantidade inválida.`);
+      return;
+    }
+    const indisponivel = conferirDisponibilidade(produto, quantidadesPedidas.produto.get(String(produto.id)), produto.nome);
+    if (indisponivel) {
+      erros.push(`Item ${indice + 1}: ${indisponivel}`);
+      return;
+    }
+
+    const gratis = parseInt(produto.num_complementos_gratis, 10) || 0;
+    const precoBaseCentavos = paraCentavos(produto.preco);
+    let complementosCentavos = 0;
+    const complementosPrecificados = [];
+
+    const escolhidos = [];
+    (Array.isArray(item.complements) ? item.complements : []).forEach((comp) => {
+      const complemento = complementos.get(String(comp.id));
+      if (!complemento) {
+        erros.push(`Item ${indice + 1}: complemento ${comp.id} não encontrado.`);
+        return;
+      }
+      const complementoIndisponivel = conferirDisponibilidade(
+        complemento, quantidadesPedidas.complemento.get(String(complemento.id)), `complemento ${complemento.nome}`
+      );
+      if (complementoIndisponivel) {
+        erros.push(`Item ${indice + 1}: ${complementoIndisponivel}`);
+        return;
+      }
+      escolhidos.push(complemento);
+    });
+
+    // Posições (na ordem do cliente) dos complementos gratuitos: os mais baratos, com empate
+    // decidido pela posição
+    const posicoesGratis = new Set(escolhidos
+      .map((complemento, posicao) => ({ posicao, centavos: paraCentavos(complemento.preco) }))
+      .sort((a, b) => a.centavos - b.centavos || a.posicao - b.posicao)
+      .slice(0, gratis)
+      .map(({ posicao }) => posicao));
+
+    escolhidos.forEach((complemento, posicao) => {
+      const precoCentavos = posicoesGratis.has(posicao) ? 0 : paraCentavos(complemento.preco);
+      complementosCentavos += precoCentavos;
+      complementosPrecificados.push({
+        id: complemento.id,
+        name: complemento.nome,
+        price: paraReais(precoCentavos)
+      });
+    });
+
+    const unitarioCentavos = precoBaseCentavos + complementosCentavos;
+    const totalItemCentavos = unitarioCentavos * quantidade;
+    totalCentavos += totalItemCentavos;
+
+    itensPrecificados.push({
+      productId: produto.id,
+      name: produto.nome,
+      category: produto.categoria,
+      quantity: quantidade,
+      basePrice: paraReais(precoBaseCentavos),
+      unitPriceWithComplements: paraReais(unitarioCentavos),
+      totalItemPrice: paraReais(totalItemCentavos),
+      complements: complementosPrecificados
+    });
+  });
+
+  if (erros.length > 0) {
+    throw new ErroPrecificacao('Itens do pedido inválidos.', erros);
+  }
+
+  return { items: itensPrecificados, total: paraReais(totalCentavos) };
+}
+
+// Aplica o desconto de um cupom já validado. `total` passa a ser o valor a cobrar e `subtotal` a soma dos itens.
+function aplicarDesconto(pedidoPrecificado, cupomAplicado) {
+  const subtotalCentavos = paraCentavos(pedidoPrecificado.total);
+  const descontoCentavos = cupomAplicado ? paraCentavos(cupomAplicado.desconto) : 0;
+  return {
+    ...pedidoPrecificado,
+    subtotal: paraReais(subtotalCentavos),
+    discount: paraReais(descontoCentavos),
+    coupon: cupomAplicado || null,
+    total: paraReais(subtotalCentavos - descontoCentavos)
+  };
+}
+
+// Soma a taxa de entrega ao valor a cobrar (depois do desconto, que vale só para os itens)
+function adicionarTaxaEntrega(pedidoPrecificado, taxa) {
+  const taxaCentavos = paraCentavos(taxa || 0);
+  return {
+    ...pedidoPrecificado,
+    deliveryFee: paraReais(taxaCentavos),
+    total: paraReais(paraCentavos(pedidoPrecificado.total) + taxaCentavos)
+  };
+}
+
+const divergente = (enviado, calculado) =>
+  enviado !== undefined && enviado !== null &&
+  (Number.isNaN(paraCentavos(enviado)) || Math.abs(paraCentavos(enviado) - paraCentavos(calculado)) > TOLERANCIA_CENTAVOS);
+
+// Compara os valores enviados pelo cliente com os recalculados e rejeita o pedido se divergirem
+function conferirValores(pedidoPrecificado, itensCliente, totalCliente) {
+  const divergencias = [];
+
+  pedidoPrecificado.items.forEach((item, indice) => {
+    const itemCliente = itensCliente[indice] || {};
+    ['basePrice', 'unitPriceWithComplements', 'totalItemPrice'].forEach(campo => {
+      if (divergente(itemCliente[campo], item[campo])) {
+        divergencias.push(`Item ${indice + 1}: ${campo} enviado ${itemCliente[campo]}, esperado ${item[campo].toFixed(2)}.`);
+      }
+    });
+  });
+
+  if (totalCliente === undefined || totalCliente === null) {
+    divergencias.push('Total do pedido não informado.');
+  } else if (divergente(totalCliente, pedidoPrecificado.total)) {
+    divergencias.push(`Total enviado ${totalCliente}, esperado ${pedidoPrecificado.total.toFixed(2)}.`);
+  }
+
+  if (divergencias.length > 0) {
+    throw new ErroPrecificacao('Os valores do pedido não conferem com o catálogo.', divergencias);
+  }
+}
+
+// Valor a ser cobrado no Mercado Pago. Se o pedido já foi salvo (e, portanto, precificado pelo
+// servidor em POST /api/pedidos), usa o valor_total gravado e marca `pedidoSalvo`;
+// caso contrário recalcula os itens. Pedido salvo só é cobrado enquanto está no status inicial:
+// pago, em preparo, cancelado etc. não aceitam uma nova cobrança.
+async function calcularCobranca({ idLoja, orderId, items, total, couponCode, customerEmail, deliveryOption }) {
+  if (orderId) {
+    const pedidoResult = await db.query(
+      'SELECT status, valor_total, valor_desconto, taxa_entrega FROM pedidos WHERE id_pedido = $1 AND id_loja = $2;',
+      [String(orderId), idLoja]
+    );
+    if (pedidoResult.rows.length > 0) {
+      const { status } = pedidoResult.rows[0];
+      if (status !== statusPedido.STATUS_INICIAL) {
+        throw new statusPedido.ErroStatusPedido(
+          `O pedido ${orderId} está ${status} e não aceita uma nova cobrança.`, 409, { status }
+        );
+      }
+      const itensResult = await db.query(`
+        SELECT nome_produto, quantidade, preco_unitario_com_complementos
+        FROM itens_do_pedido WHERE id_pedido = $1 ORDER BY id_item_pedido;
+      `, [String(orderId)]);
+      const valorTotal = parseFloat(pedidoResult.rows[0].valor_total);
+      if (divergente(total, valorTotal)) {
+        throw new ErroPrecificacao('Os valores do pedido não conferem com o catálogo.', [
+          `Total enviado ${total}, esperado ${valorTotal.toFixed(2)}.`
+        ]);
+      }
+      return {
+        pedidoSalvo: true,
+        total: valorTotal,
+        discount: parseFloat(pedidoResult.rows[0].valor_desconto) || 0,
+        deliveryFee: parseFloat(pedidoResult.rows[0].taxa_entrega) || 0,
+        items: itensResult.rows.map(row => ({
+          name: row.nome_produto,
+          quantity: row.quantidade,
+          unitPriceWithComplements: parseFloat(row.preco_unitario_com_complementos)
+        }))
+      };
+    }
+  }
+
+  const itensPrecificados = await precificarItens(idLoja, items);
+  const cupomAplicado = couponCode
+    ? await cupons.aplicarCupom(db, idLoja, couponCode, itensPrecificados, customerEmail)
+    : null;
+  const pedidoComDesconto = aplicarDesconto(itensPrecificados, cupomAplicado);
+  const { taxa } = await entrega.calcularEntrega(db, idLoja, deliveryOption, pedidoComDesconto, cupomAplicado);
+  const pedidoPrecificado = adicionarTaxaEntrega(pedidoComDesconto, taxa);
+  if (divergente(total, pedidoPrecificado.total)) {
+    throw new ErroPrecificacao('Os valores do pedido não conferem com o catálogo.', [
+      `Total enviado ${total}, esperado ${pedidoPrecificado.total.toFixed(2)}.`
+    ]);
+  }
+  return pedidoPrecificado;
+}
+
+module.exports = {
+  ErroPrecificacao,
+  disponivel,
+  precificarItens,
+  aplicarDesconto,
+  adicionarTaxaEntrega,
+  conferirValores,
+  calcularCobranca,
+};
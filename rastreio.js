@@ -0,0 +1,85 @@
+// rastreio.js - Acompanhamento público de pedidos pelo cliente (token de rastreio)
+// O token é a única credencial: quem o tem vê apenas itens, total, pagamento e andamento do pedido.
+
+const crypto = require('crypto');
+const db = require('./db');
+
+// 24 bytes aleatórios (192 bits) em base64url: impossível de adivinhar e seguro para URLs
+function gerarToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+// Retorna a visão pública do pedido ou null se o token não existir nesta loja
+async function buscarPedidoPorToken(idLoja, token) {
+  if (!/^[A-Za-z0-9_-]{32}$/.test(String(token))) return null;
+
+  const pedidoResult = await db.query(`
+    SELECT id_pedido, tipo_entrega, metodo_pagamento, valor_total, valor_desconto, taxa_entrega,
+           status, data_hora_envio
+    FROM pedidos WHERE token_rastreio = $1 AND id_loja = $2;
+  `, [token, idLoja]);
+  const pedido = pedidoResult.rows[0];
+  if (!pedido) return null;
+
+  const [itensResult, historicoResult, pagamentoResult] = await Promise.all([
+    db.query(`
+      SELECT i.id_item_pedido, i.nome_produto, i.quantidade, i.preco_unitario_com_complementos,
+             i.total_item_preco, c.nome_complemento, c.preco_complemento
+      FROM itens_do_pedido i
+      LEFT JOIN complementos_do_item c ON i.id_item_pedido = c.id_item_pedido
+      WHERE i.id_pedido = $1
+      ORDER BY i.id_item_pedido, c.id_complemento_disponivel;
+    `, [pedido.id_pedido]),
+    db.query(`
+      SELECT status_novo, data_hora FROM pedido_status_historico
+      WHERE id_pedido = $1 ORDER BY data_hora, id_historico;
+    `, [pedido.id_pedido]),
+    db.query(`
+      SELECT status_mp, data_atualizacao_mp FROM pagamentos_eventos
+      WHERE id_pedido = $1 AND resultado IN ('aplicado', 'sem_alteracao')
+      ORDER BY data_atualizacao_mp DESC, id_evento DESC LIMIT 1;
+    `, [pedido.id_pedido])
+  ]);
+
+  const itens = new Map();
+  itensResult.rows.forEach(row => {
+    if (!itens.has(row.id_item_pedido)) {
+      itens.set(row.id_item_pedido, {
+        name: row.nome_produto,
+        quantity: row.quantidade,
+        unitPriceWithComplements: parseFloat(row.preco_unitario_com_complementos),
+        totalItemPrice: parseFloat(row.total_item_preco),
+        complements: []
+      });
+    }
+    if (row.nome_complemento) {
+      itens.get(row.id_item_pedido).complements.push({
+        name: row.nome_complemento,
+        price: parseFloat(row.preco_complemento)
+      });
+    }
+  });
+
+  const ultimoPagamento = pagamentoResult.rows[0];
+  return {
+    orderId: pedido.id_pedido,
+    status: pedido.status,
+    deliveryType: pedido.tipo_entrega,
+    discount: parseFloat(pedido.valor_desconto),
+    deliveryFee: parseFloat(pedido.taxa_entrega),
+    total: parseFloat(pedido.valor_total),
+    sentAt: pedido.data_hora_envio,
+    payment: {
+      method: pedido.metodo_pagamento,
+      status: ultimoPagamento ? ultimoPagamento.status_mp : null,
+      updatedAt: ultimoPagamento ? ultimoPagamento.data_atualizacao_mp : null
+    },
+    items: Array.from(itens.values()),
+    timeline: historicoResult.rows.map(row => ({ status: row.status_novo, at: row.data_hora }))
+  };
+}
+
+module.exports = {
+  gerarToken,
+  buscarPedidoPorToken,
+};
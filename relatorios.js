@@ -0,0 +1,261 @@
+// relatorios.js - Relatórios de vendas e fechamento de caixa
+// Cada relatório devolve { colunas, linhas } para poder ser servido como JSON ou CSV.
+
+const db = require('./db');
+// Os relatórios agrupam por dia/semana/mês no fuso da loja, não no do servidor
+const { FUSO_HORARIO } = require('./funcionamento');
+
+const DIAS_PADRAO = 30;
+
+// Pedidos que contam como venda: pagos ou em andamento. Pendentes não pagos e cancelados ficam de fora.
+const STATUS_FATURADOS = ['pago', 'em_preparo', 'saiu_para_entrega', 'pronto_na_mesa', 'entregue'];
+
+const PERIODOS = { dia: 'day', semana: 'week', mes: 'month' };
+
+// Erro nos parâmetros do relatório: deve virar uma resposta 400
+class ErroRelatorio extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ErroRelatorio';
+  }
+}
+
+function lerDia(valor, nome) {
+  if (!/^\d{4}-\d{2}-\d{2}$/.test(String(valor)) || Number.isNaN(new Date(valor).getTime())) {
+    throw new ErroRelatorio(`Data inválida em "${nome}" (use AAAA-MM-DD): ${valor}`);
+  }
+  return String(valor);
+}
+
+const hoje = () => new Date().toLocaleDateString('en-CA', { timeZone: FUSO_HORARIO });
+
+// Intervalo [from, to] em dias locais; padrão: últimos 30 dias
+function lerIntervalo(query) {
+  const to = query.to ? lerDia(query.to, 'to') : hoje();
+  const from = query.from
+    ? lerDia(query.from, 'from')
+    : new Date(new Date(to).getTime() - (DIAS_PADRAO - 1) * 86400000).toISOString().slice(0, 10);
+  if (from > to) {
+    throw new ErroRelatorio('"from" deve ser anterior ou igual a "to".');
+  }
+  return { from, to };
+}
+
+// Condição comum: pedidos faturados da loja cujo dia local está no intervalo
+// ($1 = fuso, $2 = from, $3 = to, $4 = status, $5 = loja)
+const FILTRO_PERIODO = `
+  (p.data_hora_envio AT TIME ZONE $1)::date BETWEEN $2::date AND $3::date
+  AND p.status = ANY($4::text[])
+  AND p.id_loja = $5
+`;
+
+const paraNumero = (valor) => (valor === null || valor === undefined ? 0 : parseFloat(valor));
+
+async function faturamento(idLoja, query) {
+  const periodo = query.periodo || 'dia';
+  if (!PERIODOS[periodo]) {
+    throw new ErroRelatorio(`Período inválido: ${periodo}. Use dia, semana ou mes.`);
+  }
+  const { from, to } = lerIntervalo(query);
+  const result = await db.query(`
+    SELECT
+        to_char(date_trunc('${PERIODOS[periodo]}', p.data_hora_envio AT TIME ZONE $1), 'YYYY-MM-DD') AS periodo,
+        COUNT(*) AS pedidos,
+        SUM(p.valor_total) AS faturamento,
+        AVG(p.valor_total) AS ticket_medio
+    FROM pedidos p
+    WHERE ${FILTRO_PERIODO}
+    GROUP BY 1
+    ORDER BY 1;
+  `, [FUSO_HORARIO, from, to, STATUS_FATURADOS, idLoja]);
+
+  return {
+    colunas: ['periodo', 'pedidos', 'faturamento', 'ticket_medio'],
+    linhas: result.rows.map(row => ({
+      periodo: row.periodo,
+      pedidos: parseInt(row.pedidos, 10),
+      faturamento: paraNumero(row.faturamento),
+      ticket_medio: Math.round(paraNumero(row.ticket_medio) * 100) / 100
+    }))
+  };
+}
+
+async function porMetodoPagamento(idLoja, query) {
+  const { from, to } = lerIntervalo(query);
+  const result = await db.query(`
+    SELECT
+        p.metodo_pagamento,
+        COUNT(*) AS pedidos,
+        SUM(p.valor_total) AS faturamento,
+        SUM(p.troco_para) AS troco_para,
+        SUM(GREATEST(p.troco_para - p.valor_total, 0)) AS troco_devolvido
+    FROM pedidos p
+    WHERE ${FILTRO_PERIODO}
+    GROUP BY p.metodo_pagamento
+    ORDER BY faturamento DESC;
+  `, [FUSO_HORARIO, from, to, STATUS_FATURADOS, idLoja]);
+
+  return {
+    colunas: ['metodo_pagamento', 'pedidos', 'faturamento', 'troco_para', 'troco_devolvido'],
+    linhas: result.rows.map(row => ({
+      metodo_pagamento: row.metodo_pagamento,
+      pedidos: parseInt(row.pedidos, 10),
+      faturamento: paraNumero(row.faturamento),
+      troco_para: paraNumero(row.troco_para),
+      troco_devolvido: paraNumero(row.troco_devolvido)
+    }))
+  };
+}
+
+function lerLimite(query) {
+  const limite = query.limit === undefined ? 20 : parseInt(query.limit, 10);
+  if (!Number.isInteger(limite) || limite < 1 || limite > 500) {
+    throw new ErroRelatorio('O parâmetro "limit" deve estar entre 1 e 500.');
+  }
+  return limite;
+}
+
+async function produtosMaisVendidos(idLoja, query) {
+  const { from, to } = lerIntervalo(query);
+  const result = await db.query(`
+    SELECT
+        i.id_produto, i.nome_produto,
+        SUM(i.quantidade) AS quantidade,
+        SUM(i.total_item_preco) AS faturamento
+    FROM itens_do_pedido i
+    JOIN pedidos p ON p.id_pedido = i.id_pedido
+    WHERE ${FILTRO_PERIODO}
+    GROUP BY i.id_produto, i.nome_produto
+    ORDER BY quantidade DESC, faturamento DESC
+    LIMIT $6;
+  `, [FUSO_HORARIO, from, to, STATUS_FATURADOS, idLoja, lerLimite(query)]);
+
+  return {
+    colunas: ['id_produto', 'nome_produto', 'quantidade', 'faturamento'],
+    linhas: result.rows.map(row => ({
+      id_produto: row.id_produto,
+      nome_produto: row.nome_produto,
+      quantidade: parseInt(row.quantidade, 10),
+      faturamento: paraNumero(row.faturamento)
+    }))
+  };
+}
+
+async function complementosMaisVendidos(idLoja, query) {
+  const { from, to } = lerIntervalo(query);
+  // Cada complemento sai uma vez por unidade do item (quantidade do item)
+  const result = await db.query(`
+    SELECT
+        c.id_complemento_disponivel, c.nome_complemento,
+        SUM(i.quantidade) AS quantidade,
+        SUM(c.preco_complemento * i.quantidade) AS faturamento
+    FROM complementos_do_item c
+    JOIN itens_do_pedido i ON i.id_item_pedido = c.id_item_pedido
+    JOIN pedidos p ON p.id_pedido = i.id_pedido
+    WHERE ${FILTRO_PERIODO}
+    GROUP BY c.id_complemento_disponivel, c.nome_complemento
+    ORDER BY quantidade DESC, faturamento DESC
+    LIMIT $6;
+  `, [FUSO_HORARIO, from, to, STATUS_FATURADOS, idLoja, lerLimite(query)]);
+
+  return {
+    colunas: ['id_complemento', 'nome_complemento', 'quantidade', 'faturamento'],
+    linhas: result.rows.map(row => ({
+      id_complemento: row.id_complemento_disponivel,
+      nome_complemento: row.nome_complemento,
+      quantidade: parseInt(row.quantidade, 10),
+      faturamento: paraNumero(row.faturamento)
+    }))
+  };
+}
+
+async function ticketMedio(idLoja, query) {
+  const { from, to } = lerIntervalo(query);
+  const result = await db.query(`
+    SELECT COUNT(*) AS pedidos, SUM(p.valor_total) AS faturamento, AVG(p.valor_total) AS ticket_medio
+    FROM pedidos p
+    WHERE ${FILTRO_PERIODO};
+  `, [FUSO_HORARIO, from, to, STATUS_FATURADOS, idLoja]);
+  const row = result.rows[0];
+
+  return {
+    colunas: ['from', 'to', 'pedidos', 'faturamento', 'ticket_medio'],
+    linhas: [{
+      from,
+      to,
+      pedidos: parseInt(row.pedidos, 10),
+      faturamento: paraNumero(row.faturamento),
+      ticket_medio: Math.round(paraNumero(row.ticket_medio) * 100) / 100
+    }]
+  };
+}
+
+// Fechamento de caixa de um dia: totais por forma de pagamento, dinheiro esperado na gaveta
+// (vendas em dinheiro) e quantos pedidos ficaram pendentes ou foram cancelados.
+async function fechamentoCaixa(idLoja, query) {
+  const dia = query.data ? lerDia(query.data, 'data') : hoje();
+  const porMetodo = await porMetodoPagamento(idLoja, { from: dia, to: dia });
+  const situacaoResult = await db.query(`
+    SELECT p.status, COUNT(*) AS pedidos, SUM(p.valor_total) AS valor
+    FROM pedidos p
+    WHERE (p.data_hora_envio AT TIME ZONE $1)::date = $2::date
+      AND NOT (p.status = ANY($3::text[]))
+      AND p.id_loja = $4
+    GROUP BY p.status;
+  `, [FUSO_HORARIO, dia, STATUS_FATURADOS, idLoja]);
+
+  const total = porMetodo.linhas.reduce((soma, linha) => ({
+    pedidos: soma.pedidos + linha.pedidos,
+    faturamento: soma.faturamento + linha.faturamento,
+    troco_para: soma.troco_para + linha.troco_para,
+    troco_devolvido: soma.troco_devolvido + linha.troco_devolvido
+  }), { pedidos: 0, faturamento: 0, troco_para: 0, troco_devolvido: 0 });
+
+  const dinheiro = porMetodo.linhas.find(linha => linha.metodo_pagamento === 'dinheiro');
+
+  return {
+    colunas: ['data', ...porMetodo.colunas],
+    linhas: [
+      ...porMetodo.linhas.map(linha => ({ data: dia, ...linha })),
+      { data: dia, metodo_pagamento: 'TOTAL', ...total }
+    ],
+    resumo: {
+      data: dia,
+      pedidosFaturados: total.pedidos,
+      faturamento: Math.round(total.faturamento * 100) / 100,
+      dinheiroEsperadoEmCaixa: dinheiro ? dinheiro.faturamento : 0,
+      trocoDevolvido: Math.round(total.troco_devolvido * 100) / 100,
+      naoFaturados: situacaoResult.rows.map(row => ({
+        status: row.status,
+        pedidos: parseInt(row.pedidos, 10),
+        valor: paraNumero(row.valor)
+      }))
+    }
+  };
+}
+
+// CSV no padrão do Excel em português: separador ";" e vírgula decimal, com BOM UTF-8. Textos que o
+// Excel leria como fórmula (=, +, -, @, tabulação) ganham um ' na frente: nome, observações e forma
+// de pagamento vêm do cliente.
+function paraCsv({ colunas, linhas }) {
+  const formatar = (valor) => {
+    if (valor === null || valor === undefined) return '';
+    let texto = typeof valor === 'number' ? String(valor).replace('.', ',') : String(valor);
+    if (typeof valor !== 'number' && /^[=+\-@\t\r]/.test(texto)) texto = `'${texto}`;
+    return /[";\n\r]/.test(texto) ? `"${texto.replace(/"/g, '""')}"` : texto;
+  };
+  const linhasCsv = linhas.map(linha => colunas.map(coluna => formatar(linha[coluna])).join(';'));
+  return '\uFEFF' + [colunas.join(';'), ...linhasCsv].join('\r\n') + '\r\n';
+}
+
+module.exports = {
+  STATUS_FATURADOS,
+  ErroRelatorio,
+  faturamento,
+  porMetodoPagamento,
+  produtosMaisVendidos,
+  complementosMaisVendidos,
+  ticketMedio,
+  fechamentoCaixa,
+  paraCsv,
+};
@@ -0,0 +1,51 @@
+// scripts/criar-admin.js - Cria ou atualiza um usuário do painel
+// Uso: npm run criar-admin -- <loja> <email> <senha> [owner|staff] [nome]   (<loja> = slug da loja)
+
+const db = require('../db');
+const auth = require('../auth');
+
+async function main() {
+  const [slugLoja, email, senha, papel = 'owner', ...nome] = process.argv.slice(2);
+
+  if (!slugLoja || !email || !senha) {
+    console.error('Uso: npm run criar-admin -- <loja> <email> <senha> [owner|staff] [nome]');
+    process.exit(1);
+  }
+  if (!auth.PAPEIS.includes(papel)) {
+    console.error(`Papel inválido: ${papel}. Use um de: ${auth.PAPEIS.join(', ')}`);
+    process.exit(1);
+  }
+  if (senha.length < 8) {
+    console.error('A senha deve ter pelo menos 8 caracteres.');
+    process.exit(1);
+  }
+
+  const lojaResult = await db.query('SELECT id_loja FROM lojas WHERE slug = $1;', [slugLoja]);
+  if (lojaResult.rows.length === 0) {
+    console.error(`Loja ${slugLoja} não encontrada. Crie-a antes com npm run loja.`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const upsertSql = `
+    INSERT INTO admin_users (email, nome, senha_hash, papel, id_loja)
+    VALUES ($1, $2, $3, $4, $5)
+    ON CONFLICT (id_loja, lower(email)) DO UPDATE
+      SET nome = COALESCE(EXCLUDED.nome, admin_users.nome),
+          senha_hash = EXCLUDED.senha_hash,
+          papel = EXCLUDED.papel,
+          ativo = TRUE
+    RETURNING id;
+  `;
+  const result = await db.query(upsertSql, [
+    email.trim(), nome.join(' ') || null, auth.gerarHashSenha(senha), papel, lojaResult.rows[0].id_loja
+  ]);
+  console.log(`✅ Usuário ${email} (${papel}) da loja ${slugLoja} salvo com id ${result.rows[0].id}.`);
+}
+
+main()
+  .catch((error) => {
+    console.error('💥 Erro ao criar usuário do painel:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
@@ -0,0 +1,94 @@
+// scripts/loja.js - Cria ou atualiza uma loja (multi-tenant)
+// Uso: npm run loja -- <slug> [--nome "Nome da loja"] [--origens https://a.com,https://b.com]
+//                            [--frontend https://a.com] [--mp-token <access token>]
+//                            [--mp-webhook-secret <segredo>] [--ativa|--inativa]
+// Uma loja nova exige --nome e recebe uma cópia dos modelos de e-mail da loja 1.
+// Depois crie o dono da loja com npm run criar-admin -- <slug> <email> <senha>.
+
+const db = require('../db');
+
+// Opção da linha de comando -> coluna da tabela lojas
+const OPCOES = {
+  '--nome': 'nome',
+  '--origens': 'origens_permitidas',
+  '--frontend': 'url_frontend',
+  '--mp-token': 'mp_access_token',
+  '--mp-webhook-secret': 'mp_webhook_secret'
+};
+
+function lerArgumentos(argumentos) {
+  const [slug, ...resto] = argumentos;
+  const valores = {};
+  for (let i = 0; i < resto.length; i++) {
+    const opcao = resto[i];
+    if (opcao === '--ativa' || opcao === '--inativa') {
+      valores.ativo = opcao === '--ativa';
+    } else if (OPCOES[opcao] && resto[i + 1] !== undefined) {
+      const valor = resto[++i];
+      valores[OPCOES[opcao]] = opcao === '--origens'
+        ? valor.split(',').map(origem => origem.trim()).filter(Boolean)
+        : valor;
+    } else {
+      throw new Error(`Opção inválida ou sem valor: ${opcao}`);
+    }
+  }
+  return { slug, valores };
+}
+
+async function main() {
+  const { slug, valores } = lerArgumentos(process.argv.slice(2));
+  if (!slug || !/^[a-z0-9-]{2,40}$/.test(slug)) {
+    console.error('Uso: npm run loja -- <slug> [--nome "Nome"] [--origens url1,url2] [--frontend url] [--mp-token token] [--mp-webhook-secret segredo] [--ativa|--inativa]');
+    console.error('O slug deve ter de 2 a 40 letras minúsculas, números ou hífens.');
+    process.exit(1);
+  }
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const existente = await client.query('SELECT id_loja FROM lojas WHERE slug = $1 FOR UPDATE;', [slug]);
+
+    if (existente.rows.length === 0) {
+      if (!valores.nome) {
+        throw new Error('Informe --nome para criar uma loja nova.');
+      }
+      const colunas = Object.keys(valores);
+      const result = await client.query(`
+        INSERT INTO lojas (slug, ${colunas.join(', ')})
+        VALUES ($1, ${colunas.map((_, i) => `$${i + 2}`).join(', ')})
+        RETURNING id_loja;
+      `, [slug, ...Object.values(valores)]);
+      const idLoja = result.rows[0].id_loja;
+      await client.query(`
+        INSERT INTO modelos_email (id_loja, tipo, assunto, corpo, ativo)
+        SELECT $1, tipo, assunto, corpo, ativo FROM modelos_email WHERE id_loja = 1
+        ON CONFLICT (id_loja, tipo) DO NOTHING;
+      `, [idLoja]);
+      console.log(`✅ Loja ${slug} criada com id ${idLoja}.`);
+    } else {
+      const colunas = Object.keys(valores);
+      if (colunas.length === 0) {
+        throw new Error('Nada para atualizar: informe ao menos uma opção.');
+      }
+      await client.query(`
+        UPDATE lojas SET ${colunas.map((coluna, i) => `${coluna} = $${i + 2}`).join(', ')}
+        WHERE slug = $1;
+      `, [slug, ...Object.values(valores)]);
+      console.log(`✅ Loja ${slug} atualizada (${colunas.join(', ')}). O servidor aplica a mudança em até 1 minuto.`);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('💥 Erro ao salvar a loja:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
@@ -0,0 +1,119 @@
+// scripts/migrar.js - Aplica ou reverte as migrações de migrations/
+// Uso: npm run migrar                  aplica todas as migrações pendentes
+//      npm run migrar -- down [n]      reverte as n últimas migrações aplicadas (padrão 1)
+//      npm run migrar -- status        lista as migrações e se já foram aplicadas
+//
+// Cada migração é um par NNN_nome.up.sql / NNN_nome.down.sql, aplicado em ordem numérica
+// dentro de uma transação e registrado em schema_migrations.
+// As migrações usam IF NOT EXISTS, então também podem ser aplicadas num banco que já tinha
+// as tabelas criadas antes delas (o antigo schema.sql).
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+
+const PASTA_MIGRACOES = path.join(__dirname, '..', 'migrations');
+
+function listarMigracoes() {
+  return fs.readdirSync(PASTA_MIGRACOES)
+    .map(arquivo => arquivo.match(/^(\d+)_(.+)\.up\.sql$/))
+    .filter(Boolean)
+    .map(([arquivo, versao, nome]) => ({
+      versao,
+      nome,
+      up: path.join(PASTA_MIGRACOES, arquivo),
+      down: path.join(PASTA_MIGRACOES, `${versao}_${nome}.down.sql`)
+    }))
+    .sort((a, b) => parseInt(a.versao, 10) - parseInt(b.versao, 10));
+}
+
+async function executarEmTransacao(client, sql, registro) {
+  await client.query('BEGIN');
+  try {
+    await client.query(sql);
+    await registro();
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  }
+}
+
+async function aplicarPendentes(client, migracoes, aplicadas) {
+  const pendentes = migracoes.filter(migracao => !aplicadas.has(migracao.versao));
+  if (pendentes.length === 0) {
+    console.log('✅ Nenhuma migração pendente.');
+    return;
+  }
+  for (const migracao of pendentes) {
+    await executarEmTransacao(client, fs.readFileSync(migracao.up, 'utf8'), () => client.query(
+      'INSERT INTO schema_migrations (versao, nome) VALUES ($1, $2);',
+      [migracao.versao, migracao.nome]
+    ));
+    console.log(`⬆️  ${migracao.versao}_${migracao.nome}`);
+  }
+}
+
+async function reverter(client, migracoes, aplicadas, quantidade) {
+  const alvo = migracoes.filter(migracao => aplicadas.has(migracao.versao)).reverse().slice(0, quantidade);
+  if (alvo.length === 0) {
+    console.log('✅ Nenhuma migração aplicada para reverter.');
+    return;
+  }
+  for (const migracao of alvo) {
+    if (!fs.existsSync(migracao.down)) {
+      throw new Error(`Arquivo de reversão não encontrado: ${path.basename(migracao.down)}`);
+    }
+    await executarEmTransacao(client, fs.readFileSync(migracao.down, 'utf8'), () => client.query(
+      'DELETE FROM schema_migrations WHERE versao = $1;',
+      [migracao.versao]
+    ));
+    console.log(`⬇️  ${migracao.versao}_${migracao.nome}`);
+  }
+}
+
+async function main() {
+  const [comando = 'up', argumento] = process.argv.slice(2);
+  const migracoes = listarMigracoes();
+
+  const client = await db.getClient();
+  try {
+    // Impede que dois processos (ex.: dois deploys) migrem ao mesmo tempo
+    await client.query(`SELECT pg_advisory_lock(hashtext('schema_migrations'));`);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS schema_migrations (
+        versao TEXT PRIMARY KEY,
+        nome TEXT NOT NULL,
+        aplicada_em TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `);
+    const aplicadasResult = await client.query('SELECT versao FROM schema_migrations;');
+    const aplicadas = new Set(aplicadasResult.rows.map(row => row.versao));
+
+    if (comando === 'up') {
+      await aplicarPendentes(client, migracoes, aplicadas);
+    } else if (comando === 'down') {
+      const quantidade = argumento === undefined ? 1 : parseInt(argumento, 10);
+      if (!Number.isInteger(quantidade) || quantidade < 1) {
+        throw new Error(`Quantidade inválida: ${argumento}`);
+      }
+      await reverter(client, migracoes, aplicadas, quantidade);
+    } else if (comando === 'status') {
+      migracoes.forEach(migracao => {
+        console.log(`${aplicadas.has(migracao.versao) ? '[x]' : '[ ]'} ${migracao.versao}_${migracao.nome}`);
+      });
+    } else {
+      throw new Error(`Comando desconhecido: ${comando}. Use up, down [n] ou status.`);
+    }
+  } finally {
+    await client.query(`SELECT pg_advisory_unlock(hashtext('schema_migrations'));`).catch(() => {});
+    client.release();
+  }
+}
+
+main()
+  .catch((error) => {
+    console.error('💥 Erro nas migrações:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
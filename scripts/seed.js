@@ -0,0 +1,36 @@
+// scripts/seed.js - Popula o banco local com o cardápio de exemplo de seeds/
+// Uso: npm run seed   (depois de npm run migrar)
+
+const fs = require('fs');
+const path = require('path');
+const db = require('../db');
+
+const ARQUIVO_SEED = path.join(__dirname, '..', 'seeds', 'cardapio-exemplo.sql');
+
+async function main() {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    await client.query(fs.readFileSync(ARQUIVO_SEED, 'utf8'));
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const contagem = await db.query(`
+    SELECT (SELECT COUNT(*) FROM produtos) AS produtos,
+           (SELECT COUNT(*) FROM complementos_disponiveis) AS complementos;
+  `);
+  const { produtos, complementos } = contagem.rows[0];
+  console.log(`✅ Cardápio de exemplo aplicado: ${produtos} produtos e ${complementos} complementos no banco.`);
+}
+
+main()
+  .catch((error) => {
+    console.error('💥 Erro ao popular o banco:', error.message);
+    process.exitCode = 1;
+  })
+  .finally(() => db.end());
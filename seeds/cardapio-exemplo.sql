@@ -0,0 +1,43 @@
+-- Cardápio de exemplo para desenvolvimento local (npm run seed).
+-- Idempotente: itens já existentes (mesmo id na loja) não são alterados. Os itens são da loja 1 (acaiemcasa).
+
+-- Origens do PWA servido localmente (Live Server, npm start do front, arquivo aberto direto = 'null')
+UPDATE lojas
+SET origens_permitidas = ARRAY(
+  SELECT DISTINCT unnest(origens_permitidas || ARRAY[
+    'http://localhost:3000',
+    'http://127.0.0.1:5500',
+    'http://localhost:5500',
+    'null'
+  ])
+)
+WHERE id_loja = 1;
+
+INSERT INTO produtos (id, id_loja, nome, descricao, preco, categoria, imagem_url, num_complementos_gratis) VALUES
+  (1, 1, 'Açaí 300ml', 'Açaí cremoso no copo de 300ml.', 14.00, 'Açaí no Copo', NULL, 2),
+  (2, 1, 'Açaí 500ml', 'Açaí cremoso no copo de 500ml.', 19.00, 'Açaí no Copo', NULL, 3),
+  (3, 1, 'Açaí 700ml', 'Açaí cremoso no copo de 700ml.', 24.00, 'Açaí no Copo', NULL, 4),
+  (4, 1, 'Barca de Açaí 1kg', 'Barca para dividir, servida com frutas.', 45.00, 'Barcas', NULL, 6),
+  (5, 1, 'Cupuaçu 500ml', 'Creme de cupuaçu no copo de 500ml.', 20.00, 'Cremes', NULL, 3),
+  (6, 1, 'Milkshake de Açaí 400ml', 'Batido com leite e leite em pó.', 18.00, 'Bebidas', NULL, 0),
+  (7, 1, 'Água Mineral 500ml', NULL, 4.00, 'Bebidas', NULL, 0)
+ON CONFLICT (id_loja, id) DO NOTHING;
+
+INSERT INTO complementos_disponiveis (id, id_loja, nome, preco, categoria) VALUES
+  (1, 1, 'Granola', 2.00, 'Crocantes'),
+  (2, 1, 'Paçoca', 2.00, 'Crocantes'),
+  (3, 1, 'Amendoim', 2.00, 'Crocantes'),
+  (4, 1, 'Sucrilhos', 2.50, 'Crocantes'),
+  (5, 1, 'Leite em Pó', 2.50, 'Cremosos'),
+  (6, 1, 'Leite Condensado', 2.50, 'Cremosos'),
+  (7, 1, 'Creme de Avelã', 5.00, 'Cremosos'),
+  (8, 1, 'Banana', 2.00, 'Frutas'),
+  (9, 1, 'Morango', 3.50, 'Frutas'),
+  (10, 1, 'Kiwi', 3.50, 'Frutas'),
+  (11, 1, 'Calda de Chocolate', 2.00, 'Caldas'),
+  (12, 1, 'Calda de Morango', 2.00, 'Caldas')
+ON CONFLICT (id_loja, id) DO NOTHING;
+
+-- Os ids explícitos não avançam as sequências; sem isso o próximo item criado pelo painel colidiria
+SELECT setval(pg_get_serial_sequence('produtos', 'id'), (SELECT MAX(id) FROM produtos));
+SELECT setval(pg_get_serial_sequence('complementos_disponiveis', 'id'), (SELECT MAX(id) FROM complementos_disponiveis));
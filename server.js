@@ -6,9 +6,55 @@ const express = require('express');
 const cors = require('cors'); // Para permitir requisições do seu frontend
 
 // Importa o módulo do Mercado Pago
-const { MercadoPagoConfig, Payment, Preference } = require('mercadopago');
+const { MercadoPagoConfig, Payment, PaymentRefund, Preference } = require('mercadopago');
 // Importa o módulo de conexão com o banco de dados Neon
 const db = require('./db');
+// Conciliação das notificações de pagamento com os pedidos
+const pagamentos = require('./pagamentos');
+// Validação da assinatura das notificações do Mercado Pago
+const assinaturaWebhook = require('./assinaturaWebhook');
+// Recalcula os preços dos pedidos a partir do catálogo
+const precificacao = require('./precificacao');
+// Login e papéis dos usuários do painel do dono
+const auth = require('./auth');
+// Ciclo de vida dos pedidos (transições de status e histórico)
+const statusPedido = require('./statusPedido');
+// Feed de eventos dos pedidos em tempo real (SSE + LISTEN/NOTIFY)
+const tempoReal = require('./tempoReal');
+// Acompanhamento público do pedido pelo cliente
+const rastreio = require('./rastreio');
+// Listagem paginada e filtrada dos pedidos do painel
+const listagemPedidos = require('./listagemPedidos');
+// Relatórios de vendas e fechamento de caixa
+const relatorios = require('./relatorios');
+// Escrita no catálogo (produtos e complementos) com exclusão lógica e histórico de preços
+const catalogo = require('./catalogo');
+// Horário de funcionamento e fechamento manual da loja
+const funcionamento = require('./funcionamento');
+// Cupons de desconto aplicados no checkout
+const cupons = require('./cupons');
+// Zonas e taxa de entrega
+const entrega = require('./entrega');
+// Idempotency-Key nas rotas que criam pedidos e pagamentos
+const { idempotente, iniciarLimpeza: iniciarLimpezaIdempotencia } = require('./idempotencia');
+// Estornos e cancelamentos com o Mercado Pago
+const estornos = require('./estornos');
+// E-mails ao cliente (fila de saída e modelos)
+const notificacoes = require('./notificacoes');
+// Comandas da cozinha, recibos e fila de impressão automática
+const comanda = require('./comanda');
+// Criação dos pedidos do PWA e sincronização da fila offline
+const pedidos = require('./pedidos');
+const sincronizacao = require('./sincronizacao');
+// Contas dos clientes do PWA (login por código, endereços, histórico e LGPD)
+const clientes = require('./clientes');
+// Lojas atendidas pelo backend (cada requisição pertence a uma loja)
+const lojas = require('./lojas');
+// Validação dos corpos das requisições e esquemas de cada rota
+const { validarCorpo } = require('./validacao');
+const esquemas = require('./esquemas');
+// Respostas de erro padronizadas ({ code, message, errors })
+const { ErroOrigemNaoPermitida, ErroHttp, montarResposta, tratarErros, rotaNaoEncontrada } = require('./erros');
 
 const app = express();
 const PORT = process.env.PORT || 3000; // A porta que seu servidor irá escutar
@@ -16,41 +62,73 @@ const PORT = process.env.PORT || 3000; // A porta que seu servidor irá escutar
 // =========================================================
 // CONFIGURAÇÕES DO MERCADO PAGO
 // =========================================================
-const accessToken = process.env.MERCADOPAGO_ACCESS_TOKEN;
-if (!accessToken) {
-    console.error("ERRO CRÍTICO: MERCADOPAGO_ACCESS_TOKEN não está definido no .env!");
-    process.exit(1); // Encerrar o processo se o token não estiver configurado
+// Cada loja tem a sua conta do Mercado Pago (access token e segredo do webhook ficam na tabela lojas).
+// Os clientes do SDK são criados na primeira vez que a loja precisa deles e recriados se o token mudar.
+const clientesMercadoPago = new Map();
+
+function mercadoPagoDaLoja(loja) {
+    const { accessToken } = loja.mercadoPago;
+    if (!accessToken) {
+        throw new ErroHttp(500, 'configuracao_invalida', `Erro de configuração: a loja ${loja.slug} não tem access token do Mercado Pago.`);
+    }
+    const existente = clientesMercadoPago.get(loja.id);
+    if (existente && existente.accessToken === accessToken) return existente;
+
+    const client = new MercadoPagoConfig({ accessToken });
+    const clientes = {
+        accessToken,
+        payment: new Payment(client),
+        preference: new Preference(client),
+        paymentRefund: new PaymentRefund(client)
+    };
+    clientesMercadoPago.set(loja.id, clientes);
+    return clientes;
 }
-// Inicializa o cliente do Mercado Pago
-const client = new MercadoPagoConfig({ accessToken });
-const payment = new Payment(client);
-const preference = new Preference(client);
+
+// A assinatura (x-signature) das notificações do webhook é validada com o segredo da loja;
+// lojas sem segredo têm todas as notificações recusadas.
+const webhookToleranciaSegundos = parseInt(process.env.MERCADOPAGO_WEBHOOK_TOLERANCIA_SEGUNDOS, 10) || assinaturaWebhook.TOLERANCIA_PADRAO_SEGUNDOS;
 
 // =========================================================
-// CONFIGURAÇÃO DE CORS (Permite múltiplos domínios para segurança)
+// CONFIGURAÇÕES DE AUTENTICAÇÃO DO PAINEL
 // =========================================================
-const allowedOrigins = [
-    'http://127.0.0.1:5500/index.html',
-    'https://acaiemcasasite.onrender.com',
-    'https://edienayteste.onrender.com',
-    'http://localhost:3000',
-    'http://127.0.0.1:5500',
-    'http://localhost:5500', // Adicionado para teste local do PWA
-    'null' // Para testar arquivos locais diretamente no navegador (remover em produção)
-];
+const adminJwtSecret = process.env.ADMIN_JWT_SECRET;
+if (!adminJwtSecret) {
+    console.error("ERRO CRÍTICO: ADMIN_JWT_SECRET não está definido no .env!");
+    process.exit(1); // Sem o segredo não há como proteger as rotas do painel
+}
+const adminTokenExpiracaoHoras = parseFloat(process.env.ADMIN_TOKEN_EXPIRACAO_HORAS) || auth.EXPIRACAO_PADRAO_HORAS;
+
+// Middlewares de acesso: o dono (owner) pode tudo; funcionários (staff) apenas gerenciam pedidos
+const apenasDono = auth.exigirPapel(adminJwtSecret, 'owner');
+const donoOuFuncionario = auth.exigirPapel(adminJwtSecret, 'owner', 'staff');
+const donoOuFuncionarioStream = auth.exigirPapelStream(adminJwtSecret, 'owner', 'staff');
+// Clientes do PWA: rotas /api/me exigem o token do cliente; o pedido aceita, mas não exige
+const clienteTokenExpiracaoHoras = parseFloat(process.env.CLIENTE_TOKEN_EXPIRACAO_HORAS) || auth.EXPIRACAO_CLIENTE_HORAS;
+const apenasCliente = auth.exigirPapel(adminJwtSecret, auth.PAPEL_CLIENTE);
+const clienteOpcional = auth.identificarOpcional(adminJwtSecret, auth.PAPEL_CLIENTE);
+// A sincronização offline só exige o token do painel quando traz mudanças de status; sem elas, o
+// token do cliente (se houver) liga os pedidos à conta, como em POST /api/pedidos
+const exigirPainelSeHouverStatus = (req, res, next) =>
+  (req.body.statusChanges && req.body.statusChanges.length > 0
+    ? donoOuFuncionario(req, res, next)
+    : clienteOpcional(req, res, next));
 
+// =========================================================
+// CONFIGURAÇÃO DE CORS (Permite múltiplos domínios para segurança)
+// =========================================================
+// As origens permitidas são as cadastradas nas lojas (lojas.origens_permitidas)
 const corsOptions = {
   origin: function (origin, callback) {
     // Permite requisições sem origem (como de arquivos locais no navegador ou Postman)
-    // E permite origens listadas em allowedOrigins
-    if (allowedOrigins.indexOf(origin) !== -1 || !origin) {
-      callback(null, true);
-    } else {
-      callback(new Error('Not allowed by CORS'));
-    }
+    if (!origin) return callback(null, true);
+    lojas.origemPermitida(origin)
+      .then(permitida => callback(permitida ? null : new ErroOrigemNaoPermitida(origin), permitida))
+      .catch(callback);
   },
-  methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key', 'X-Loja'],
+  exposedHeaders: ['X-Next-Cursor', 'Idempotent-Replayed'] // Cursor da próxima página de GET /api/pedidos e repetição idempotente
 };
 
 app.use(cors(corsOptions)); // Aplica as opções de CORS
@@ -62,10 +140,38 @@ app.use((req, res, next) => {
     next();
 });
 
+// Identifica a loja da requisição (req.loja); todas as rotas abaixo usam os dados dela
+app.use(lojas.resolverLoja);
+
 // =========================================================
 // ROTAS DA API (Neon DB e Mercado Pago)
 // =========================================================
 
+// Handler das rotas que só devolvem o resultado da operação em JSON; os erros seguem para tratarErros
+function rotaJson(operacao, statusSucesso = 200) {
+  return async (req, res) => {
+    res.status(statusSucesso).json(await operacao(req));
+  };
+}
+
+// Como rotaJson, mas a operação recebe um client com a transação aberta: COMMIT no sucesso, ROLLBACK no erro
+function rotaEmTransacao(operacao, statusSucesso = 200) {
+  return rotaJson(async (req) => {
+    const client = await db.getClient();
+    try {
+      await client.query('BEGIN');
+      const resultado = await operacao(client, req);
+      await client.query('COMMIT');
+      return resultado;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  }, statusSucesso);
+}
+
 // Rota de teste simples para verificar se o servidor está online
 app.get('/', (req, res) => {
     res.json({
@@ -73,7 +179,6 @@ app.get('/', (req, res) => {
         status: 'OK',
         timestamp: new Date().toISOString(),
         environment: process.env.NODE_ENV || 'development',
-        mercadoPagoConfigured: !!accessToken,
         dbConnected: true // Presume conexão via db.js
     });
 });
@@ -89,468 +194,901 @@ app.get('/health', (req, res) => {
 });
 
 // Rota de Debug (para desenvolvimento)
-app.get('/debug', (req, res) => {
+app.get('/debug', async (req, res) => {
     res.json({
         environment: process.env.NODE_ENV || 'development',
         port: PORT,
-        mercadoPagoToken: accessToken ? 'Configurado' : 'Não configurado',
+        adminJwtSecret: adminJwtSecret ? 'Configurado' : 'Não configurado',
         backendUrl: process.env.BACKEND_URL || 'Não configurado',
         frontendUrl: process.env.FRONTEND_URL || 'Não configurado',
-        allowedOrigins: allowedOrigins
+        // Rota pública: só a quantidade de lojas; a configuração de cada uma fica no log de inicialização
+        lojasAtivas: (await lojas.listarAtivas()).length
     });
 });
 
-// --- ROTAS DO NEON DB ---
+// --- ROTAS DE AUTENTICAÇÃO DO PAINEL ---
 
-// GET /api/produtos - Retorna todos os produtos do Neon
-app.get('/api/produtos', async (req, res) => {
-  try {
-    const result = await db.query('SELECT * FROM produtos ORDER BY categoria, nome;');
-    const produtosAgrupados = {};
-    result.rows.forEach(produto => {
-      if (!produtosAgrupados[produto.categoria]) {
-        produtosAgrupados[produto.categoria] = [];
-      }
-      produtosAgrupados[produto.categoria].push(produto);
-    });
-    res.status(200).json(produtosAgrupados);
-  } catch (error) {
-    console.error('Erro ao buscar produtos do Neon:', error);
-    res.status(500).json({ message: 'Erro ao buscar produtos.', error: error.message });
+// POST /api/auth/login - Troca e-mail e senha por um token de acesso ao painel
+app.post('/api/auth/login', validarCorpo(esquemas.login), async (req, res) => {
+  const { email, password } = req.body;
+  const usuario = await auth.autenticarUsuario(req.loja.id, email, password);
+  if (!usuario) {
+    console.warn(`🚫 Tentativa de login inválida para ${email}`);
+    throw new ErroHttp(401, 'credenciais_invalidas', 'E-mail ou senha inválidos.');
   }
+
+  res.status(200).json({
+    token: auth.gerarToken(usuario, adminJwtSecret, adminTokenExpiracaoHoras),
+    expiresIn: Math.round(adminTokenExpiracaoHoras * 3600),
+    user: usuario
+  });
 });
 
-// **** ROTA ADICIONADA ****
-// PUT /api/produtos - Substitui todos os produtos pelos novos dados vindos do painel
-app.put('/api/produtos', async (req, res) => {
-  const allProducts = req.body;
-  const client = await db.getClient();
+// GET /api/auth/me - Retorna os dados do token atual (usado pelo painel para validar a sessão)
+app.get('/api/auth/me', donoOuFuncionario, (req, res) => {
+  res.status(200).json({
+    id: req.usuario.sub,
+    email: req.usuario.email,
+    papel: req.usuario.papel,
+    loja: req.loja.slug,
+    expiresAt: new Date(req.usuario.exp * 1000).toISOString()
+  });
+});
 
-  try {
-    await client.query('BEGIN'); // Inicia a transação
+// --- ROTAS DOS CLIENTES ---
 
-    // Limpa a tabela de produtos para inserir os novos
-    // RESTART IDENTITY reinicia a contagem do ID autoincremental, o que é uma boa prática.
-    await client.query('TRUNCATE TABLE produtos RESTART IDENTITY');
-
-    // Prepara a query de inserção
-    const insertQuery = `
-      INSERT INTO produtos (id, nome, descricao, preco, categoria, imagem_url, num_complementos_gratis)
-      VALUES ($1, $2, $3, $4, $5, $6, $7)
-    `;
-
-    // Itera sobre cada categoria e produto para inserir no banco
-    for (const categoryKey in allProducts) {
-      const productsInCategory = allProducts[categoryKey];
-      for (const product of productsInCategory) {
-        const productValues = [
-          product.id,
-          product.nome,
-          product.descricao || null,
-          product.preco,
-          categoryKey,
-          product.imagem_url || null,
-          product.num_complementos_gratis || 0
-        ];
-        await client.query(insertQuery, productValues);
-      }
+// POST /api/clientes/codigo - Envia um código de acesso ao e-mail ou telefone ({ email } ou { telefone })
+app.post('/api/clientes/codigo', validarCorpo(esquemas.solicitarCodigoCliente), async (req, res) => {
+  res.status(200).json(await clientes.solicitarCodigo(req.loja.id, req.body));
+});
+
+// POST /api/clientes/entrar - Troca o código por um token do cliente ({ email|telefone, codigo, nome? })
+// A conta é criada no primeiro login.
+app.post('/api/clientes/entrar', validarCorpo(esquemas.entrarCliente), async (req, res) => {
+  const cliente = await clientes.entrar(req.loja.id, req.body);
+  res.status(200).json({
+    token: auth.gerarToken({ ...cliente, idLoja: req.loja.id, papel: auth.PAPEL_CLIENTE }, adminJwtSecret, clienteTokenExpiracaoHoras),
+    expiresIn: Math.round(clienteTokenExpiracaoHoras * 3600),
+    cliente
+  });
+});
+
+// GET /api/clientes - Clientes com conta na loja, com número de pedidos e total gasto (?q=, ?limit=)
+app.get('/api/clientes', apenasDono, async (req, res) => {
+  res.status(200).json(await clientes.listarClientes(req.loja.id, req.query));
+});
+
+// GET /api/me - Dados da conta do cliente
+app.get('/api/me', apenasCliente, async (req, res) => {
+  res.status(200).json(await clientes.obterCliente(req.loja.id, req.usuario.sub));
+});
+
+// PATCH /api/me - Altera o nome do cliente ({ nome })
+app.patch('/api/me', apenasCliente, validarCorpo(esquemas.atualizarCliente), async (req, res) => {
+  res.status(200).json(await clientes.atualizarCliente(req.loja.id, req.usuario.sub, req.body));
+});
+
+// DELETE /api/me - Exclui a conta e anonimiza os dados pessoais dos pedidos (LGPD)
+app.delete('/api/me', apenasCliente, async (req, res) => {
+  const resultado = await clientes.excluirConta(req.loja.id, req.usuario.sub);
+  console.log(`🗑️ Conta de cliente ${req.usuario.sub} excluída na loja ${req.loja.slug}`);
+  res.status(200).json(resultado);
+});
+
+// GET /api/me/dados - Exportação dos dados pessoais do cliente em JSON (LGPD)
+app.get('/api/me/dados', apenasCliente, async (req, res) => {
+  const dados = await clientes.exportarDados(req.loja.id, req.usuario.sub);
+  res.set('Cache-Control', 'no-store');
+  res.set('Content-Disposition', `attachment; filename="meus-dados-${req.loja.slug}.json"`);
+  res.status(200).json(dados);
+});
+
+// GET /api/me/enderecos - Endereços salvos (o principal primeiro)
+app.get('/api/me/enderecos', apenasCliente, async (req, res) => {
+  res.status(200).json(await clientes.listarEnderecos(req.loja.id, req.usuario.sub));
+});
+
+// POST /api/me/enderecos - Salva um endereço ({ label, address, neighborhood, cep, isDefault })
+app.post('/api/me/enderecos', apenasCliente, validarCorpo(esquemas.criarEnderecoCliente), rotaEmTransacao((client, req) =>
+  clientes.criarEndereco(client, req.loja.id, req.usuario.sub, req.body), 201));
+
+// PATCH /api/me/enderecos/:id - Altera só os campos enviados
+app.patch('/api/me/enderecos/:id', apenasCliente, validarCorpo(esquemas.atualizarEnderecoCliente), rotaEmTransacao((client, req) =>
+  clientes.atualizarEndereco(client, req.loja.id, req.usuario.sub, req.params.id, req.body)));
+
+// DELETE /api/me/enderecos/:id - Remove um endereço salvo
+app.delete('/api/me/enderecos/:id', apenasCliente, async (req, res) => {
+  res.status(200).json(await clientes.removerEndereco(req.loja.id, req.usuario.sub, req.params.id));
+});
+
+// GET /api/me/pedidos - Pedidos do cliente, do mais recente ao mais antigo (mesmos filtros e
+// paginação de GET /api/pedidos; o cursor da próxima página vem no header X-Next-Cursor)
+app.get('/api/me/pedidos', apenasCliente, async (req, res) => {
+  const { orders, nextCursor } = await clientes.listarPedidos(req.loja.id, req.usuario.sub, req.query);
+  if (nextCursor) {
+    res.set('X-Next-Cursor', nextCursor);
+  }
+  res.status(200).json(orders);
+});
+
+// POST /api/me/pedidos/:id/repetir - Monta um pedido igual a um anterior com os preços de agora
+// ({ deliveryOption? }). Não salva nada: o PWA envia `order` para POST /api/pedidos com um novo orderId.
+app.post('/api/me/pedidos/:id/repetir', apenasCliente, validarCorpo(esquemas.repetirPedido), async (req, res) => {
+  const { deliveryOption } = req.body || {};
+  res.status(200).json(await clientes.repetirPedido(req.loja.id, req.usuario.sub, req.params.id, { deliveryOption }));
+});
+
+// --- ROTAS DE FUNCIONAMENTO DA LOJA ---
+
+// GET /api/loja - Loja identificada para esta requisição (o PWA usa o nome no cabeçalho)
+app.get('/api/loja', (req, res) => {
+  res.status(200).json(lojas.dadosPublicos(req.loja));
+});
+
+// GET /api/loja/status - Se a loja está aceitando pedidos agora, com os horários (público, usado pelo PWA)
+app.get('/api/loja/status', async (req, res) => {
+  res.status(200).json(await funcionamento.obterStatus(req.loja.id));
+});
+
+// PUT /api/loja/status - Fecha ou reabre a loja manualmente ({ fechada, mensagem })
+app.put('/api/loja/status', donoOuFuncionario, validarCorpo(esquemas.fechamentoLoja), async (req, res) => {
+  const { fechada, mensagem } = req.body;
+  const status = await funcionamento.definirFechamento(req.loja.id, { fechada, mensagem });
+  console.log(`🏪 Loja ${req.loja.slug} ${fechada ? 'fechada' : 'reaberta'} manualmente por ${req.usuario.email}`);
+  res.status(200).json(status);
+});
+
+// PUT /api/loja/horarios - Substitui os horários de funcionamento ([{ diaSemana, abre, fecha }])
+app.put('/api/loja/horarios', apenasDono, validarCorpo(esquemas.horariosLoja), async (req, res) => {
+  const erros = await funcionamento.definirHorarios(req.loja.id, req.body);
+  if (erros.length > 0) {
+    throw new ErroHttp(400, 'dados_invalidos', 'Horários inválidos.', { errors: erros });
+  }
+  res.status(200).json(await funcionamento.obterStatus(req.loja.id));
+});
+
+// --- ROTAS DO NEON DB ---
+
+// GET /api/produtos - Retorna todos os produtos da loja
+app.get('/api/produtos', async (req, res) => {
+  // Somente produtos ativos; os desativados continuam no banco para os pedidos antigos
+  const result = await db.query(
+    'SELECT * FROM produtos WHERE id_loja = $1 AND ativo = TRUE ORDER BY categoria, nome;',
+    [req.loja.id]
+  );
+  const produtosAgrupados = {};
+  result.rows.forEach(produto => {
+    if (!produtosAgrupados[produto.categoria]) {
+      produtosAgrupados[produto.categoria] = [];
     }
+    // `disponivel` permite ao PWA acinzentar itens esgotados
+    produtosAgrupados[produto.categoria].push({ ...produto, disponivel: precificacao.disponivel(produto) });
+  });
+  res.status(200).json(produtosAgrupados);
+});
 
+// PUT /api/produtos - Importação em lote do catálogo vindo do painel (mesmo formato do GET, agrupado por categoria)
+// Compara com o catálogo atual: cria os novos, atualiza os alterados e desativa os que não vieram.
+app.put('/api/produtos', apenasDono, validarCorpo(esquemas.importarProdutos), async (req, res) => {
+  // Achata { categoria: [produtos] } em uma lista, usando a chave como categoria de cada produto
+  const produtos = [];
+  for (const [categoryKey, produtosCategoria] of Object.entries(req.body)) {
+    for (const product of produtosCategoria) {
+      produtos.push({ ...product, categoria: categoryKey });
+    }
+  }
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN'); // Inicia a transação
+    const resumo = await catalogo.importar(client, req.loja.id, 'produto', produtos, req.usuario.email);
     await client.query('COMMIT'); // Finaliza a transação com sucesso
-    res.status(200).json({ message: 'Produtos atualizados com sucesso!' });
+    res.status(200).json({ message: 'Produtos atualizados com sucesso!', ...resumo });
 
   } catch (error) {
     await client.query('ROLLBACK'); // Desfaz a transação em caso de erro
-    console.error('Erro ao atualizar produtos no Neon DB:', error);
-    res.status(500).json({ message: 'Erro ao atualizar os produtos.', error: error.message });
+    throw error;
   } finally {
     client.release(); // Libera o cliente de volta para o pool de conexões
   }
 });
 
+// POST /api/produtos - Cria um produto
+app.post('/api/produtos', apenasDono, validarCorpo(esquemas.corpoObjeto), rotaEmTransacao((client, req) =>
+  catalogo.criar(client, req.loja.id, 'produto', req.body, req.usuario.email), 201));
+
+// PATCH /api/produtos/:id - Atualiza só os campos enviados (preço, categoria, ativo...)
+app.patch('/api/produtos/:id', apenasDono, validarCorpo(esquemas.corpoObjeto), rotaEmTransacao((client, req) =>
+  catalogo.atualizar(client, req.loja.id, 'produto', req.params.id, req.body, req.usuario.email)));
+
+// DELETE /api/produtos/:id - Exclusão lógica (ativo = FALSE); pedidos antigos continuam íntegros
+app.delete('/api/produtos/:id', apenasDono, rotaEmTransacao((client, req) =>
+  catalogo.desativar(client, req.loja.id, 'produto', req.params.id)));
+
+// PATCH /api/produtos/:id/disponibilidade - Marca como esgotado e/ou ajusta o estoque ({ esgotado, estoque })
+app.patch('/api/produtos/:id/disponibilidade', donoOuFuncionario, validarCorpo(esquemas.disponibilidade), rotaEmTransacao((client, req) =>
+  catalogo.alterarDisponibilidade(client, req.loja.id, 'produto', req.params.id, req.body)));
+
+// GET /api/produtos/:id/historico-precos - Mudanças de preço de um produto
+app.get('/api/produtos/:id/historico-precos', apenasDono, async (req, res) => {
+  res.status(200).json(await catalogo.historicoPrecos(req.loja.id, 'produto', req.params.id));
+});
+
+// Formato de cada complemento no GET /api/complementos (e em /api/catalogo/changes)
+const formatarComplemento = (complemento) => ({
+  name: complemento.nome,
+  price: parseFloat(complemento.preco),
+  category: complemento.categoria,
+  available: precificacao.disponivel(complemento)
+});
 
-// GET /api/complementos - Retorna todos os complementos disponíveis do Neon
+// GET /api/complementos - Retorna todos os complementos disponíveis da loja
 app.get('/api/complementos', async (req, res) => {
-  try {
-    const result = await db.query('SELECT * FROM complementos_disponiveis ORDER BY categoria, nome;');
-    const complementosFormatados = {};
-    result.rows.forEach(complemento => {
-        complementosFormatados[complemento.id] = {
-            name: complemento.nome,
-            price: parseFloat(complemento.preco),
-            category: complemento.categoria
-        };
-    });
-    res.status(200).json(complementosFormatados);
-  } catch (error) {
-    console.error('Erro ao buscar complementos do Neon:', error);
-    res.status(500).json({ message: 'Erro ao buscar complementos.', error: error.message });
-  }
+  const result = await db.query(
+    'SELECT * FROM complementos_disponiveis WHERE id_loja = $1 AND ativo = TRUE ORDER BY categoria, nome;',
+    [req.loja.id]
+  );
+  const complementosFormatados = {};
+  result.rows.forEach(complemento => {
+      complementosFormatados[complemento.id] = formatarComplemento(complemento);
+  });
+  res.status(200).json(complementosFormatados);
 });
 
-// GET /api/pedidos - Retorna todos os pedidos com seus itens e complementos
-app.get('/api/pedidos', async (req, res) => {
-  try {
-    const querySql = `
-      SELECT
-          p.id_pedido, p.nome_cliente, p.email_cliente, p.tipo_entrega,
-          p.endereco_entrega, p.numero_mesa, p.observacoes, p.metodo_pagamento,
-          p.troco_para, p.valor_total, p.status, p.data_hora_envio,
-          i.id_item_pedido, i.id_produto, i.nome_produto, i.quantidade,
-          i.preco_base_produto, i.preco_unitario_com_complementos, i.total_item_preco,
-          c.id_complemento_disponivel, c.nome_complemento, c.preco_complemento
-      FROM
-          pedidos p
-      LEFT JOIN
-          itens_do_pedido i ON p.id_pedido = i.id_pedido
-      LEFT JOIN
-          complementos_do_item c ON i.id_item_pedido = c.id_item_pedido
-      ORDER BY
-          p.data_hora_envio DESC, i.id_item_pedido, c.id_complemento_disponivel;
-    `;
-    
-    const result = await db.query(querySql);
-    const ordersMap = new Map();
-
-    result.rows.forEach(row => {
-      // Cria ou recupera o objeto do pedido
-      if (!ordersMap.has(row.id_pedido)) {
-        ordersMap.set(row.id_pedido, {
-          orderId: row.id_pedido,
-          customerName: row.nome_cliente,
-          customerEmail: row.email_cliente,
-          deliveryOption: {
-            type: row.tipo_entrega,
-            address: row.endereco_entrega,
-            tableNumber: row.numero_mesa
-          },
-          observations: row.observacoes,
-          paymentMethod: row.metodo_pagamento,
-          trocoPara: row.troco_para,
-          total: row.valor_total,
-          status: row.status,
-          sentAt: row.data_hora_envio,
-          items: []
-        });
-      }
+// PUT /api/complementos - Importação em lote no mesmo formato do GET ({ id: { name, price, category } })
+app.put('/api/complementos', apenasDono, validarCorpo(esquemas.importarComplementos), rotaEmTransacao((client, req) => {
+  const itens = Object.entries(req.body).map(([id, complemento]) => ({
+    id,
+    nome: complemento.name,
+    preco: complemento.price,
+    categoria: complemento.category
+  }));
+  return catalogo.importar(client, req.loja.id, 'complemento', itens, req.usuario.email);
+}));
+
+// POST /api/complementos - Cria um complemento
+app.post('/api/complementos', apenasDono, validarCorpo(esquemas.corpoObjeto), rotaEmTransacao((client, req) =>
+  catalogo.criar(client, req.loja.id, 'complemento', req.body, req.usuario.email), 201));
+
+// PATCH /api/complementos/:id - Atualiza só os campos enviados
+app.patch('/api/complementos/:id', apenasDono, validarCorpo(esquemas.corpoObjeto), rotaEmTransacao((client, req) =>
+  catalogo.atualizar(client, req.loja.id, 'complemento', req.params.id, req.body, req.usuario.email)));
+
+// DELETE /api/complementos/:id - Exclusão lógica (ativo = FALSE)
+app.delete('/api/complementos/:id', apenasDono, rotaEmTransacao((client, req) =>
+  catalogo.desativar(client, req.loja.id, 'complemento', req.params.id)));
+
+// PATCH /api/complementos/:id/disponibilidade - Marca como esgotado e/ou ajusta o estoque
+app.patch('/api/complementos/:id/disponibilidade', donoOuFuncionario, validarCorpo(esquemas.disponibilidade), rotaEmTransacao((client, req) =>
+  catalogo.alterarDisponibilidade(client, req.loja.id, 'complemento', req.params.id, req.body)));
+
+// GET /api/complementos/:id/historico-precos - Mudanças de preço de um complemento
+app.get('/api/complementos/:id/historico-precos', apenasDono, async (req, res) => {
+  res.status(200).json(await catalogo.historicoPrecos(req.loja.id, 'complemento', req.params.id));
+});
 
-      const order = ordersMap.get(row.id_pedido);
-
-      // Adiciona itens ao pedido, se existirem e ainda não tiverem sido adicionados
-      if (row.id_item_pedido && !order.items.some(item => item.id_item_pedido === row.id_item_pedido)) {
-        order.items.push({
-          id_item_pedido: row.id_item_pedido, // Usar id_item_pedido para identificação interna
-          productId: row.id_produto,
-          name: row.nome_produto, // Mapeia para 'name' como o frontend espera
-          quantity: row.quantidade,
-          basePrice: row.preco_base_produto,
-          unitPriceWithComplements: row.preco_unitario_com_complementos,
-          totalItemPrice: row.total_item_preco,
-          complements: [] // Inicializa array de complementos para este item
-        });
-      }
+// GET /api/catalogo/changes?since=<version> - Produtos e complementos alterados desde a versão
+// devolvida na chamada anterior (itens desativados vêm com ativo/active = false). Sem `since`
+// devolve o catálogo completo. O ETag é o do corpo (padrão do Express): com If-None-Match igual
+// a resposta é 304.
+app.get('/api/catalogo/changes', async (req, res) => {
+  const desde = req.query.since === undefined || req.query.since === '' ? undefined : String(req.query.since);
+  const versao = await catalogo.versaoAtual(req.loja.id);
+  res.set('Cache-Control', 'no-cache');
+
+  const alteracoes = await catalogo.alteracoes(req.loja.id, desde, versao);
+  res.status(200).json({
+    version: alteracoes.versao,
+    full: alteracoes.completo,
+    produtos: alteracoes.produtos.map(produto => ({ ...produto, disponivel: precificacao.disponivel(produto) })),
+    complementos: alteracoes.complementos.map(complemento => ({
+      id: complemento.id,
+      ...formatarComplemento(complemento),
+      active: complemento.ativo
+    }))
+  });
+});
 
-      const currentItem = order.items.find(item => item.id_item_pedido === row.id_item_pedido);
+// GET /api/pedidos/stream - Feed SSE com novos pedidos, mudanças de status e pagamentos
+app.get('/api/pedidos/stream', donoOuFuncionarioStream, tempoReal.stream);
 
-      // Adiciona complementos ao item, se existirem e ainda não tiverem sido adicionados
-      if (row.id_complemento_disponivel && currentItem && !currentItem.complements.some(comp => comp.id === row.id_complemento_disponivel)) {
-        currentItem.complements.push({
-          id: row.id_complemento_disponivel,
-          name: row.nome_complemento, // Mapeia para 'name'
-          price: parseFloat(row.preco_complemento) // Certificar que o preço é numérico
-        });
-      }
-    });
+// GET /api/pedidos/track/:token - Acompanhamento público do pedido (sem dados pessoais do cliente)
+app.get('/api/pedidos/track/:token', async (req, res) => {
+  const pedido = await rastreio.buscarPedidoPorToken(req.loja.id, req.params.token);
+  if (!pedido) {
+    throw new ErroHttp(404, 'nao_encontrado', 'Pedido não encontrado.');
+  }
+  res.set('Cache-Control', 'no-store');
+  res.status(200).json(pedido);
+});
 
-    res.status(200).json(Array.from(ordersMap.values()));
-  } catch (error) {
-    console.error('Erro ao buscar pedidos do Neon:', error);
-    res.status(500).json({ message: 'Erro ao buscar pedidos.', error: error.message });
+// GET /api/pedidos - Retorna os pedidos com seus itens e complementos, do mais recente ao mais antigo
+// Filtros opcionais: status (lista separada por vírgula), from, to, tipo_entrega, metodo_pagamento, q (nome/e-mail),
+// cliente (id da conta do cliente)
+// Paginação: limit e cursor; o cursor da próxima página vem no header X-Next-Cursor
+app.get('/api/pedidos', donoOuFuncionario, async (req, res) => {
+  const { orders, nextCursor } = await listagemPedidos.listarPedidos(req.loja.id, req.query);
+  if (nextCursor) {
+    res.set('X-Next-Cursor', nextCursor);
   }
+  res.status(200).json(orders);
 });
 
 
 // POST /api/pedidos - Recebe e salva um novo pedido no Neon
-app.post('/api/pedidos', async (req, res) => {
+// Um orderId já recebido não é gravado de novo: a resposta (200, duplicate: true) traz a cópia salva.
+// Com o token do cliente o pedido fica na conta dele e pode usar um endereço salvo (deliveryOption.addressId).
+app.post('/api/pedidos', validarCorpo(esquemas.criarPedido), clienteOpcional, idempotente('pedidos'), async (req, res) => {
   const client = await db.getClient();
   try {
     await client.query('BEGIN'); // Inicia a transação
+    const { novo, pedido } = await pedidos.criarPedido(client, req.loja.id, req.body, {
+      idCliente: req.usuario ? req.usuario.sub : null
+    });
+    await client.query('COMMIT');
 
-    const {
-      orderId, customerName, customerEmail, items, deliveryOption,
-      observations, paymentMethod, trocoPara, total, status, sentAt
-    } = req.body;
-
-    const insertPedidoSql = `
-      INSERT INTO pedidos (
-        id_pedido, nome_cliente, email_cliente, tipo_entrega, 
-        endereco_entrega, numero_mesa, observacoes, metodo_pagamento, 
-        troco_para, valor_total, status, data_hora_envio
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
-      ON CONFLICT (id_pedido) DO NOTHING;
-    `;
-    await client.query(insertPedidoSql, [
-      orderId,
-      customerName,
-      customerEmail || null,
-      deliveryOption.type,
-      deliveryOption.address || null,
-      deliveryOption.tableNumber || null,
-      observations || '',
-      paymentMethod,
-      trocoPara || null,
-      total,
-      status || 'pendente',
-      sentAt ? new Date(sentAt) : new Date()
-    ]);
-
-    for (const item of items) {
-      const insertItemSql = `
-        INSERT INTO itens_do_pedido (
-          id_pedido, id_produto, nome_produto, quantidade, 
-          preco_base_produto, preco_unitario_com_complementos, total_item_preco
-        ) VALUES ($1, $2, $3, $4, $5, $6, $7)
-        RETURNING id_item_pedido;
-      `;
-      const itemResult = await client.query(insertItemSql, [
-        orderId,
-        item.productId,
-        item.name, // Já vem como 'name' do frontend
-        item.quantity,
-        item.basePrice,
-        item.unitPriceWithComplements,
-        item.totalItemPrice
-      ]);
-      const insertedItemId = itemResult.rows[0].id_item_pedido;
-
-      for (const comp of item.complements) {
-        const insertCompSql = `
-          INSERT INTO complementos_do_item (
-            id_item_pedido, id_complemento_disponivel, nome_complemento, preco_complemento
-          ) VALUES ($1, $2, $3, $4);
-        `;
-        await client.query(insertCompSql, [
-          insertedItemId,
-          comp.id,
-          comp.name, // Já vem como 'name' do frontend
-          comp.price
-        ]);
-      }
+    if (!novo) {
+      return res.status(200).json({ message: 'Pedido já recebido anteriormente.', duplicate: true, ...pedido });
     }
-
-    await client.query('COMMIT');
-    res.status(201).json({ message: 'Pedido salvo com sucesso no Neon!', orderId: orderId });
+    res.status(201).json({ message: 'Pedido salvo com sucesso no Neon!', ...pedido });
 
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Erro ao salvar pedido no Neon:', error);
-    res.status(500).json({ message: 'Erro ao salvar pedido.', error: error.message });
+    throw error;
   } finally {
     client.release();
   }
 });
 
+// POST /api/pedidos/sync - Fila offline do PWA: { orders: [pedidos], statusChanges: [{ orderId, status, changedAt }] }
+// Aplica tudo numa transação e devolve accepted, duplicate ou rejected para cada entrada.
+// Mudanças de status exigem o token do painel; pedidos não (com o token do cliente, ficam na conta dele).
+app.post('/api/pedidos/sync', validarCorpo(esquemas.sincronizarPedidos), exigirPainelSeHouverStatus, idempotente('pedidos-sync'), async (req, res) => {
+  res.status(200).json(await sincronizacao.sincronizar(req.loja.id, req.body, req.usuario));
+});
+
 
 // PUT /api/pedidos - Atualiza o status de pedidos no Neon (usado pelo Dashboard do Dono)
-app.put('/api/pedidos', async (req, res) => {
+app.put('/api/pedidos', donoOuFuncionario, validarCorpo(esquemas.atualizarStatusEmLote), async (req, res) => {
   const client = await db.getClient();
   try {
     await client.query('BEGIN'); // Inicia a transação
 
-    const updatedOrders = req.body; // Espera um array de pedidos do dashboard
+    const updatedOrders = req.body; // Array de { orderId, status } vindo do dashboard
 
-    if (!Array.isArray(updatedOrders)) {
-      throw new Error('Corpo da requisição para PUT /api/pedidos deve ser um array de pedidos.');
-    }
-
-    // Itera sobre cada pedido recebido e atualiza seu status no banco de dados
+    // Itera sobre cada pedido recebido e aplica a mudança de status pelas mesmas regras do PATCH.
+    // Pedidos sem mudança são ignorados; qualquer falha desfaz a atualização inteira.
+    const falhas = [];
     for (const order of updatedOrders) {
-      if (order.orderId && order.status) {
-        const updateSql = `
-          UPDATE pedidos
-          SET status = $1
-          WHERE id_pedido = $2;
-        `;
-        await client.query(updateSql, [order.status, order.orderId]);
-      } else {
-        console.warn(`Pedido inválido encontrado na atualização PUT: ${JSON.stringify(order)}`);
+      try {
+        await statusPedido.alterarStatus(client, req.loja.id, order.orderId, order.status, {
+          ator: req.usuario.email,
+          idUsuario: req.usuario.sub,
+          origem: 'painel'
+        });
+      } catch (error) {
+        if (!(error instanceof statusPedido.ErroStatusPedido)) throw error;
+        // Cada entrada leva o código que o PATCH do mesmo pedido responderia (nao_encontrado, status_invalido)
+        const { status, corpo } = montarResposta(error);
+        falhas.push({ orderId: order.orderId, status: order.status, httpStatus: status, code: corpo.code, message: error.message });
       }
     }
 
+    if (falhas.length > 0) {
+      // Se todas as entradas falharam pelo mesmo motivo a resposta usa o status dele (ex.: 404 quando
+      // nenhum pedido existe); com motivos diferentes, 409
+      const statusDasFalhas = new Set(falhas.map(falha => falha.httpStatus));
+      const statusHttp = statusDasFalhas.size === 1 ? falhas[0].httpStatus : 409;
+      throw new ErroHttp(statusHttp, statusHttp === 409 ? 'status_invalido' : falhas[0].code,
+        'Alguns pedidos não puderam ter o status alterado. Nenhuma alteração foi salva.', { errors: falhas });
+    }
+
     await client.query('COMMIT');
     res.status(200).json({ message: 'Status dos pedidos atualizados com sucesso!' });
 
   } catch (error) {
     await client.query('ROLLBACK');
-    console.error('Erro ao atualizar status dos pedidos no Neon:', error);
-    res.status(500).json({ message: 'Erro ao atualizar status dos pedidos.', error: error.message });
+    throw error;
+  } finally {
+    client.release();
+  }
+});
+
+
+// PATCH /api/pedidos/:id/status - Altera o status de um único pedido respeitando o ciclo de vida
+app.patch('/api/pedidos/:id/status', donoOuFuncionario, validarCorpo(esquemas.alterarStatus), async (req, res) => {
+  const { status, observacao } = req.body;
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const resultado = await statusPedido.alterarStatus(client, req.loja.id, req.params.id, status, {
+      ator: req.usuario.email,
+      idUsuario: req.usuario.sub,
+      origem: 'painel',
+      observacao
+    });
+    await client.query('COMMIT');
+    res.status(200).json(resultado);
+
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
   } finally {
     client.release();
   }
 });
 
+// GET /api/pedidos/:id/historico - Linha do tempo de status de um pedido
+app.get('/api/pedidos/:id/historico', donoOuFuncionario, async (req, res) => {
+  const result = await db.query(`
+    SELECT h.status_anterior, h.status_novo, h.ator, h.origem, h.observacao, h.data_hora
+    FROM pedido_status_historico h
+    JOIN pedidos p ON p.id_pedido = h.id_pedido
+    WHERE h.id_pedido = $1 AND p.id_loja = $2
+    ORDER BY h.data_hora, h.id_historico;
+  `, [req.params.id, req.loja.id]);
+  res.status(200).json(result.rows.map(row => ({
+    from: row.status_anterior,
+    to: row.status_novo,
+    actor: row.ator,
+    source: row.origem,
+    note: row.observacao,
+    at: row.data_hora
+  })));
+});
+
+
+// GET /api/pedidos/:id/pagamentos - Tentativas de pagamento do pedido no Mercado Pago
+app.get('/api/pedidos/:id/pagamentos', donoOuFuncionario, async (req, res) => {
+  res.status(200).json(await pagamentos.listarPorPedido(req.loja.id, req.params.id));
+});
+
+// GET /api/pedidos/:id/estornos - Estornos feitos no pedido
+app.get('/api/pedidos/:id/estornos', donoOuFuncionario, async (req, res) => {
+  res.status(200).json(await estornos.listarPorPedido(req.loja.id, req.params.id));
+});
+
+// POST /api/pedidos/:id/estorno - Estorna no Mercado Pago e cancela/estorna o pedido ({ valor?, motivo })
+// Sem `valor` o estorno é total; pedidos sem pagamento aprovado são apenas cancelados.
+app.post('/api/pedidos/:id/estorno', apenasDono, validarCorpo(esquemas.estornarPedido), idempotente('pedido-estorno'), async (req, res) => {
+  const { valor, motivo } = req.body || {};
+  const resultado = await estornos.estornarPedido(mercadoPagoDaLoja(req.loja), req.loja.id, req.params.id, {
+    valor,
+    motivo,
+    ator: req.usuario.email,
+    idUsuario: req.usuario.sub,
+    chaveIdempotencia: req.chaveIdempotencia
+  });
+  res.status(200).json(resultado);
+});
+
+
+// GET /api/pedidos/:id/notificacoes - E-mails enviados (ou na fila) ao cliente do pedido
+app.get('/api/pedidos/:id/notificacoes', donoOuFuncionario, async (req, res) => {
+  res.status(200).json(await notificacoes.listarPorPedido(req.loja.id, req.params.id));
+});
+
+// GET /api/pedidos/:id/comanda?formato=texto|escpos|html&largura=58|80 - Comanda da cozinha
+// (texto ou bytes ESC/POS para a impressora térmica) ou recibo HTML do cliente, para imprimir/salvar em PDF
+app.get('/api/pedidos/:id/comanda', donoOuFuncionario, async (req, res) => {
+  const { tipoConteudo, conteudo } = await comanda.gerarComanda(req.loja.id, req.params.id, req.query);
+  res.status(200).type(tipoConteudo).send(conteudo);
+});
+
+
+// --- ROTAS DE IMPRESSÃO ---
+
+// POST /api/impressao/proximos - Agente de impressão da loja busca as comandas dos pedidos pagos
+// ainda não impressos ({ agente, limite, formato: texto|escpos, largura: 58|80 }). As comandas ficam
+// reservadas ao agente até `reservadoAte` e voltam para a fila se não forem confirmadas.
+// O conteúdo ESC/POS vem em base64.
+app.post('/api/impressao/proximos', donoOuFuncionario, validarCorpo(esquemas.proximasImpressoes), async (req, res) => {
+  res.status(200).json({ comandas: await comanda.proximasImpressoes(req.loja.id, req.body || {}) });
+});
+
+// POST /api/impressao/confirmar - Agente confirma as comandas impressas ({ orderIds, agente }),
+// que saem da fila. Responde os ids confirmados.
+app.post('/api/impressao/confirmar', donoOuFuncionario, validarCorpo(esquemas.confirmarImpressoes), async (req, res) => {
+  const { orderIds, agente } = req.body;
+  res.status(200).json({ confirmadas: await comanda.confirmarImpressoes(req.loja.id, orderIds, { agente }) });
+});
+
+
+// --- ROTAS DE NOTIFICAÇÕES ---
+
+// GET /api/notificacoes/modelos - Modelos dos e-mails e as variáveis aceitas ({{nome}}, {{total}}...)
+app.get('/api/notificacoes/modelos', apenasDono, async (req, res) => {
+  res.status(200).json(await notificacoes.listarModelos(req.loja.id));
+});
+
+// PATCH /api/notificacoes/modelos/:tipo - Altera assunto, corpo ou desativa ({ ativo: false }) um modelo
+app.patch('/api/notificacoes/modelos/:tipo', apenasDono, validarCorpo(esquemas.modeloEmail), async (req, res) => {
+  res.status(200).json(await notificacoes.atualizarModelo(req.loja.id, req.params.tipo, req.body));
+});
+
+// POST /api/notificacoes/:id/reenviar - Devolve à fila um e-mail que falhou
+app.post('/api/notificacoes/:id/reenviar', donoOuFuncionario, async (req, res) => {
+  res.status(200).json(await notificacoes.reenviar(req.loja.id, req.params.id));
+});
+
+
+// --- ROTAS DE CUPONS ---
+
+// POST /api/cupons/validar - Prévia do desconto de um cupom para o carrinho ({ codigo, items, customerEmail })
+app.post('/api/cupons/validar', validarCorpo(esquemas.validarCupom), async (req, res) => {
+  const { codigo, items, customerEmail } = req.body;
+  try {
+    const itensPrecificados = await precificacao.precificarItens(req.loja.id, items);
+    const cupomAplicado = await cupons.aplicarCupom(db, req.loja.id, codigo, itensPrecificados, customerEmail);
+    const pedidoPrecificado = precificacao.aplicarDesconto(itensPrecificados, cupomAplicado);
+    res.status(200).json({
+      valid: true,
+      coupon: cupomAplicado,
+      subtotal: pedidoPrecificado.subtotal,
+      discount: pedidoPrecificado.discount,
+      total: pedidoPrecificado.total
+    });
+  } catch (error) {
+    // O PWA usa `valid: false` para mostrar o cupom como recusado
+    if (error instanceof cupons.ErroCupom || error instanceof precificacao.ErroPrecificacao) {
+      throw new ErroHttp(400, 'cupom_invalido', error.message, { valid: false, errors: error.detalhes });
+    }
+    throw error;
+  }
+});
+
+// GET /api/cupons - Lista os cupons com quantidade de usos e total descontado
+app.get('/api/cupons', apenasDono, rotaJson(req => cupons.listar(req.loja.id)));
+// POST /api/cupons - Cria um cupom
+app.post('/api/cupons', apenasDono, validarCorpo(esquemas.corpoObjeto), rotaJson(req => cupons.criar(req.loja.id, req.body), 201));
+// PATCH /api/cupons/:codigo - Altera regras ou desativa ({ ativo: false }) um cupom
+app.patch('/api/cupons/:codigo', apenasDono, validarCorpo(esquemas.corpoObjeto), rotaJson(req => cupons.atualizar(req.loja.id, req.params.codigo, req.body)));
+
+
+// --- ROTAS DE ENTREGA ---
+
+// POST /api/entrega/cotacao - Taxa, pedido mínimo e tempo estimado para um endereço ({ neighborhood, cep, address })
+app.post('/api/entrega/cotacao', validarCorpo(esquemas.cotarEntrega), async (req, res) => {
+  res.status(200).json(await entrega.cotar(req.loja.id, req.body));
+});
+
+// GET /api/entrega/zonas - Lista as zonas de entrega
+app.get('/api/entrega/zonas', donoOuFuncionario, rotaJson(req => entrega.listar(req.loja.id)));
+// POST /api/entrega/zonas - Cria uma zona ({ nome, bairros, cepInicio, cepFim, taxa, pedidoMinimo, tempoEstimadoMinutos })
+app.post('/api/entrega/zonas', apenasDono, validarCorpo(esquemas.corpoObjeto), rotaJson(req => entrega.criar(req.loja.id, req.body), 201));
+// PATCH /api/entrega/zonas/:id - Altera ou desativa ({ ativo: false }) uma zona
+app.patch('/api/entrega/zonas/:id', apenasDono, validarCorpo(esquemas.corpoObjeto), rotaJson(req => entrega.atualizar(req.loja.id, req.params.id, req.body)));
+
+
+// --- ROTAS DE RELATÓRIOS ---
+
+// Cria o handler de um relatório: JSON por padrão, CSV com ?formato=csv
+function rotaRelatorio(gerarRelatorio, nomeArquivo) {
+  return async (req, res) => {
+    const relatorio = await gerarRelatorio(req.loja.id, req.query);
+    if (req.query.formato === 'csv') {
+      res.set('Content-Type', 'text/csv; charset=utf-8');
+      res.attachment(`${nomeArquivo}.csv`);
+      return res.status(200).send(relatorios.paraCsv(relatorio));
+    }
+    res.status(200).json(relatorio.resumo ? { ...relatorio.resumo, linhas: relatorio.linhas } : relatorio.linhas);
+  };
+}
+
+// GET /api/relatorios/faturamento?periodo=dia|semana|mes&from=AAAA-MM-DD&to=AAAA-MM-DD
+app.get('/api/relatorios/faturamento', apenasDono, rotaRelatorio(relatorios.faturamento, 'faturamento'));
+// GET /api/relatorios/metodos-pagamento - Vendas por forma de pagamento (inclui troco do dinheiro)
+app.get('/api/relatorios/metodos-pagamento', apenasDono, rotaRelatorio(relatorios.porMetodoPagamento, 'metodos-pagamento'));
+// GET /api/relatorios/produtos-mais-vendidos?limit=20
+app.get('/api/relatorios/produtos-mais-vendidos', apenasDono, rotaRelatorio(relatorios.produtosMaisVendidos, 'produtos-mais-vendidos'));
+// GET /api/relatorios/complementos-mais-vendidos?limit=20
+app.get('/api/relatorios/complementos-mais-vendidos', apenasDono, rotaRelatorio(relatorios.complementosMaisVendidos, 'complementos-mais-vendidos'));
+// GET /api/relatorios/ticket-medio
+app.get('/api/relatorios/ticket-medio', apenasDono, rotaRelatorio(relatorios.ticketMedio, 'ticket-medio'));
+// GET /api/relatorios/fechamento-caixa?data=AAAA-MM-DD - Também disponível para funcionários
+app.get('/api/relatorios/fechamento-caixa', donoOuFuncionario, rotaRelatorio(relatorios.fechamentoCaixa, 'fechamento-caixa'));
+
 
 // --- ROTAS DO MERCADO PAGO (INTEGRADAS) ---
 
+// Repassa a Idempotency-Key do cliente como X-Idempotency-Key. A chave é sempre informada (mesmo
+// undefined, quando o SDK gera uma aleatória) porque o SDK guarda requestOptions no client compartilhado.
+const opcoesMercadoPago = (req) => ({ idempotencyKey: req.chaveIdempotencia });
+
+// O slug na notification_url identifica a loja quando o Mercado Pago chama o webhook
+const notificationUrl = (loja) => `${process.env.BACKEND_URL}/mercadopago-webhook?loja=${encodeURIComponent(loja.slug)}`;
+
+// Sem BACKEND_URL o Mercado Pago não teria para onde mandar as notificações de pagamento
+function exigirNotificationUrl() {
+    if (!process.env.BACKEND_URL) {
+        throw new ErroHttp(500, 'configuracao_invalida', 'Erro de configuração: URL de notificação não definida.');
+    }
+}
+
+// Grava a tentativa de uma cobrança que o Mercado Pago já criou. Uma falha aqui não pode virar 500:
+// a chave de idempotência seria apagada e o cliente, ao repetir, seria cobrado de novo. A linha que
+// faltar é criada pelo webhook do pagamento (ver pagamentos.sincronizarTentativa).
+async function registrarTentativaCriada(tentativa) {
+    try {
+        await pagamentos.registrarTentativa(db, tentativa);
+    } catch (error) {
+        console.error(`💥 Falha ao gravar a tentativa de pagamento do pedido ${tentativa.idPedido} (loja ${tentativa.idLoja}):`, error);
+    }
+}
+
+// Validade do QR code PIX; depois disso o Mercado Pago cancela o pagamento e o PWA pode pedir outro
+const PIX_EXPIRACAO_MINUTOS = parseInt(process.env.MERCADOPAGO_PIX_EXPIRACAO_MINUTOS, 10) || 30;
+
+// Cria o pagamento PIX do pedido (external_reference = orderId) na conta da loja e grava a tentativa em pagamentos
+async function criarPagamentoPix(loja, { orderId, customerName, customerEmail, cobranca, requestOptions }) {
+    const { payment } = mercadoPagoDaLoja(loja);
+    const itemsDescription = cobranca.items.map(item => `${item.name} (${item.quantity}x)`).join(', ').substring(0, 255);
+    const expiraEm = new Date(Date.now() + PIX_EXPIRACAO_MINUTOS * 60 * 1000);
+
+    const paymentData = {
+        transaction_amount: cobranca.total,
+        description: `Pedido ${loja.nome} - ${customerName}: ${itemsDescription}`,
+        payment_method_id: 'pix',
+        payer: { email: customerEmail.trim(), first_name: customerName.trim() },
+        external_reference: orderId, // Permite que o webhook localize o pedido
+        date_of_expiration: expiraEm.toISOString().replace('Z', '+00:00'),
+        notification_url: notificationUrl(loja),
+    };
+
+    const paymentResponse = await payment.create({ body: paymentData, requestOptions });
+
+    const pixInfo = paymentResponse.point_of_interaction.transaction_data;
+    if (!pixInfo || !pixInfo.qr_code_base64 || !pixInfo.qr_code) {
+        throw new Error('QR Code PIX não foi gerado corretamente na resposta do Mercado Pago');
+    }
+
+    await registrarTentativaCriada({
+        idLoja: loja.id,
+        idPedido: orderId,
+        idPagamentoMp: paymentResponse.id,
+        metodo: 'pix',
+        valor: cobranca.total,
+        statusMp: paymentResponse.status,
+        statusDetalhe: paymentResponse.status_detail,
+        qrCode: pixInfo.qr_code,
+        qrCodeBase64: pixInfo.qr_code_base64,
+        expiraEm: paymentResponse.date_of_expiration ? new Date(paymentResponse.date_of_expiration) : expiraEm
+    });
+
+    return {
+        paymentId: paymentResponse.id,
+        qrCodeImage: `data:image/png;base64,${pixInfo.qr_code_base64}`,
+        pixCopiaECola: pixInfo.qr_code,
+        status: paymentResponse.status,
+        externalReference: orderId,
+        expiresAt: paymentResponse.date_of_expiration || expiraEm.toISOString()
+    };
+}
+
 // ROTA PARA CRIAR PAGAMENTO PIX
-app.post('/create-mercadopago-pix', async (req, res) => {
+app.post('/create-mercadopago-pix', validarCorpo(esquemas.pagamentoPedido), idempotente('mercadopago-pix'), async (req, res) => {
     console.log('🔄 Iniciando criação de pagamento PIX...');
-    try {
-        const { customerName, customerEmail, items, total } = req.body;
-
-        const validationErrors = []; // Validação de dados (simplificada para o exemplo)
-        if (!customerName || !customerEmail || !items || items.length === 0 || !total) {
-            validationErrors.push('Dados do pedido incompletos.');
-        }
-        if (validationErrors.length > 0) {
-            return res.status(400).json({ message: 'Dados do pedido incompletos ou inválidos.', errors: validationErrors });
-        }
-
-        const externalReference = `acai-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        const itemsDescription = items.map(item => `${item.title} (${item.quantity}x)`).join(', ').substring(0, 255);
-        const description = `Pedido Açaí em Casa - ${customerName}: ${itemsDescription}`;
-
-        const paymentData = {
-            transaction_amount: parseFloat(total.toFixed(2)),
-            description: description,
-            payment_method_id: 'pix',
-            payer: { email: customerEmail.trim(), first_name: customerName.trim() },
-            external_reference: externalReference,
-            notification_url: process.env.BACKEND_URL ? `${process.env.BACKEND_URL}/mercadopago-webhook` : undefined,
-        };
-
-        if (!paymentData.notification_url) {
-            return res.status(500).json({ message: 'Erro de configuração: URL de notificação não definida.' });
-        }
-
-        const paymentResponse = await payment.create({ body: paymentData });
-
-        const pixInfo = paymentResponse.point_of_interaction.transaction_data;
-        if (!pixInfo || !pixInfo.qr_code_base64 || !pixInfo.qr_code) {
-            throw new Error('QR Code PIX não foi gerado corretamente na resposta do Mercado Pago');
-        }
-
-        res.status(200).json({
-            paymentId: paymentResponse.id,
-            qrCodeImage: `data:image/png;base64,${pixInfo.qr_code_base64}`,
-            pixCopiaECola: pixInfo.qr_code,
-            status: paymentResponse.status,
-            externalReference: externalReference
+    const { orderId, customerName, customerEmail, items, total, couponCode, deliveryOption } = req.body;
+    exigirNotificationUrl();
+
+    // O valor cobrado é sempre o calculado pelo servidor
+    const cobranca = await precificacao.calcularCobranca({
+        idLoja: req.loja.id, orderId, items, total, couponCode, customerEmail, deliveryOption
+    });
+    if (!cobranca.pedidoSalvo) await funcionamento.exigirLojaAberta(req.loja.id); // Pedido já aceito pode ser pago a qualquer hora
+
+    res.status(200).json(await criarPagamentoPix(req.loja, {
+        orderId: String(orderId), customerName, customerEmail, cobranca, requestOptions: opcoesMercadoPago(req)
+    }));
+});
+
+
+// POST /api/pedidos/:id/pix - Novo QR code PIX para um pedido pendente cujo QR code venceu.
+// Se ainda houver um PIX válido, ele é devolvido em vez de criar outro.
+app.post('/api/pedidos/:id/pix', validarCorpo(esquemas.novoPix), idempotente('pedido-pix'), async (req, res) => {
+    const pedidoResult = await db.query(
+        'SELECT nome_cliente, email_cliente, status FROM pedidos WHERE id_pedido = $1 AND id_loja = $2;',
+        [req.params.id, req.loja.id]
+    );
+    const pedido = pedidoResult.rows[0];
+    if (!pedido) {
+        throw new ErroHttp(404, 'nao_encontrado', 'Pedido não encontrado.');
+    }
+    if (pedido.status !== statusPedido.STATUS_INICIAL) {
+        throw new ErroHttp(409, 'status_invalido', `O pedido está ${pedido.status} e não aceita um novo PIX.`, { status: pedido.status });
+    }
+
+    const vigente = await pagamentos.pixVigente(req.loja.id, req.params.id);
+    if (vigente) {
+        return res.status(200).json({
+            paymentId: vigente.paymentId,
+            qrCodeImage: `data:image/png;base64,${vigente.qrCodeBase64}`,
+            pixCopiaECola: vigente.qrCode,
+            status: vigente.status,
+            externalReference: vigente.orderId,
+            expiresAt: vigente.qrCodeExpiresAt
         });
+    }
 
-    } catch (error) {
-        console.error('💥 ERRO em /create-mercadopago-pix:', error.cause || error.message);
-        res.status(500).json({ message: 'Erro ao criar pagamento Pix.', details: error.cause || error.message });
+    const customerEmail = pedido.email_cliente || (req.body && req.body.customerEmail);
+    if (!customerEmail) {
+        throw new ErroHttp(400, 'dados_invalidos', 'Informe o customerEmail para gerar o PIX.', {
+            errors: [{ field: 'customerEmail', message: 'é obrigatório.' }]
+        });
     }
+    exigirNotificationUrl();
+
+    const cobranca = await precificacao.calcularCobranca({ idLoja: req.loja.id, orderId: req.params.id });
+    res.status(201).json(await criarPagamentoPix(req.loja, {
+        orderId: req.params.id,
+        customerName: pedido.nome_cliente,
+        customerEmail,
+        cobranca,
+        requestOptions: opcoesMercadoPago(req)
+    }));
 });
 
 
 // ROTA PARA CRIAR PREFERÊNCIA DO MERCADO PAGO (PARA BRICKS)
-app.post('/create-mercadopago-preference', async (req, res) => {
+app.post('/create-mercadopago-preference', validarCorpo(esquemas.pagamentoPedido), idempotente('mercadopago-preference'), async (req, res) => {
     console.log('🔄 Iniciando criação de preferência do Mercado Pago...');
-    try {
-        const { items, customerName, customerEmail, total } = req.body;
-
-        const validationErrors = []; // Validação de dados (simplificada para o exemplo)
-        if (!items || items.length === 0 || !customerName || !customerEmail || !total) {
-            validationErrors.push('Dados incompletos ou inválidos para criar preferência.');
-        }
-        if (validationErrors.length > 0) {
-            return res.status(400).json({ message: 'Dados incompletos ou inválidos para criar preferência.', errors: validationErrors });
-        }
-
-        const externalReference = `pref-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-        const notificationUrl = process.env.BACKEND_URL ? `${process.env.BACKEND_URL}/mercadopago-webhook` : undefined;
-        if (!notificationUrl) {
-            return res.status(500).json({ message: 'Erro de configuração: URL de notificação não definida.' });
-        }
-
-        const frontendBaseUrl = process.env.FRONTEND_URL || 'http://127.0.0.1:5500'; // Define a URL base do frontend
-
-        const preferenceBody = {
-            items: items.map(item => ({
-                title: item.title,
-                unit_price: parseFloat(item.unit_price),
-                quantity: parseInt(item.quantity)
-            })),
-            payer: { name: customerName.trim(), email: customerEmail.trim() },
-            external_reference: externalReference,
-            back_urls: {
-                success: `${frontendBaseUrl}/pedido-concluido.html`, // Use o nome do seu arquivo de sucesso
-                failure: `${frontendBaseUrl}/failure.html`, // Crie estas páginas se não existirem
-                pending: `${frontendBaseUrl}/pending.html`
-            },
-            auto_return: 'approved',
-            notification_url: notificationUrl,
-        };
-
-        const createdPreference = await preference.create({ body: preferenceBody });
-        res.status(200).json({ id: createdPreference.id });
+    const { orderId, items, customerName, customerEmail, total, couponCode, deliveryOption } = req.body;
 
-    } catch (error) {
-        console.error('💥 ERRO ao criar preferência:', error.cause || error.message);
-        res.status(500).json({ message: 'Erro ao criar preferência de pagamento.', details: error.cause || error.message });
+    const externalReference = String(orderId);
+    exigirNotificationUrl();
+
+    // Define a URL base do frontend (PWA da loja)
+    const frontendBaseUrl = req.loja.urlFrontend || process.env.FRONTEND_URL || 'http://127.0.0.1:5500';
+    const { preference } = mercadoPagoDaLoja(req.loja);
+
+    // Itens e preços sempre calculados pelo servidor
+    const cobranca = await precificacao.calcularCobranca({
+        idLoja: req.loja.id, orderId, items, total, couponCode, customerEmail, deliveryOption
+    });
+    if (!cobranca.pedidoSalvo) await funcionamento.exigirLojaAberta(req.loja.id);
+
+    // Com desconto o Mercado Pago recebe um único item com o total, já que não aceita itens negativos
+    const preferenceItems = cobranca.discount > 0
+        ? [{ title: `Pedido ${req.loja.nome} - ${customerName.trim()}`, unit_price: cobranca.total, quantity: 1 }]
+        : cobranca.items.map(item => ({
+            title: item.name,
+            unit_price: item.unitPriceWithComplements,
+            quantity: item.quantity
+        }));
+    if (cobranca.discount === 0 && cobranca.deliveryFee > 0) {
+        preferenceItems.push({ title: 'Taxa de entrega', unit_price: cobranca.deliveryFee, quantity: 1 });
     }
+
+    const preferenceBody = {
+        items: preferenceItems,
+        payer: { name: customerName.trim(), email: customerEmail.trim() },
+        external_reference: externalReference,
+        back_urls: {
+            success: `${frontendBaseUrl}/pedido-concluido.html`, // Use o nome do seu arquivo de sucesso
+            failure: `${frontendBaseUrl}/failure.html`, // Crie estas páginas se não existirem
+            pending: `${frontendBaseUrl}/pending.html`
+        },
+        auto_return: 'approved',
+        notification_url: notificationUrl(req.loja),
+    };
+
+    const createdPreference = await preference.create({ body: preferenceBody, requestOptions: opcoesMercadoPago(req) });
+    await registrarTentativaCriada({
+        idLoja: req.loja.id,
+        idPedido: externalReference,
+        idPreferenciaMp: createdPreference.id,
+        metodo: 'checkout_pro',
+        valor: cobranca.total,
+        statusMp: 'preference_created'
+    });
+    res.status(200).json({ id: createdPreference.id });
 });
 
 
 // ROTA PARA CRIAR PAGAMENTO COM CARTÃO (chamada pelo Brick)
-app.post('/create-mercadopago-card', async (req, res) => {
+app.post('/create-mercadopago-card', validarCorpo(esquemas.pagamentoCartao), idempotente('mercadopago-card'), async (req, res) => {
     console.log('🔄 Iniciando criação de pagamento com cartão...');
-    try {
-        const { token, issuer_id, payment_method_id, transaction_amount, installments, payer, external_reference, description } = req.body;
-
-        if (!token || !transaction_amount || !installments || !payer || !payer.email) {
-            return res.status(400).json({ message: 'Dados do pagamento com cartão incompletos.' });
-        }
-
-        const paymentData = {
-            token, issuer_id, payment_method_id,
-            transaction_amount: parseFloat(transaction_amount.toFixed(2)),
-            installments, payer, external_reference, description,
-            notification_url: process.env.BACKEND_URL ? `${process.env.BACKEND_URL}/mercadopago-webhook` : undefined,
-        };
-
-        if (!paymentData.notification_url) {
-            return res.status(500).json({ message: 'Erro de configuração: URL de notificação não definida.' });
-        }
-
-        const paymentResponse = await payment.create({ body: paymentData });
-        res.status(201).json({
-            status: paymentResponse.status,
-            status_detail: paymentResponse.status_detail,
-            id: paymentResponse.id,
-        });
+    const { token, issuer_id, payment_method_id, transaction_amount, installments, payer, external_reference, description, items, couponCode, deliveryOption } = req.body;
 
-    } catch (error) {
-        console.error('💥 Erro em /create-mercadopago-card:', error.cause || error.message);
-        res.status(500).json({ message: 'Erro ao processar pagamento com cartão.', details: error.cause || error.message });
-    }
+    exigirNotificationUrl();
+    const { payment } = mercadoPagoDaLoja(req.loja);
+
+    // O valor do Brick é apenas conferido; o cobrado vem do pedido salvo ou do catálogo
+    const cobranca = await precificacao.calcularCobranca({
+        idLoja: req.loja.id,
+        orderId: external_reference, items, total: transaction_amount, couponCode, customerEmail: payer.email, deliveryOption
+    });
+    if (!cobranca.pedidoSalvo) await funcionamento.exigirLojaAberta(req.loja.id);
+
+    const paymentData = {
+        token, issuer_id, payment_method_id,
+        transaction_amount: cobranca.total,
+        installments, payer, description,
+        external_reference: String(external_reference),
+        notification_url: notificationUrl(req.loja),
+    };
+
+    const paymentResponse = await payment.create({ body: paymentData, requestOptions: opcoesMercadoPago(req) });
+    await registrarTentativaCriada({
+        idLoja: req.loja.id,
+        idPedido: String(external_reference),
+        idPagamentoMp: paymentResponse.id,
+        metodo: paymentResponse.payment_type_id || 'credit_card',
+        valor: cobranca.total,
+        statusMp: paymentResponse.status,
+        statusDetalhe: paymentResponse.status_detail
+    });
+    res.status(201).json({
+        status: paymentResponse.status,
+        status_detail: paymentResponse.status_detail,
+        id: paymentResponse.id,
+    });
 });
 
+// Middleware que recusa notificações sem assinatura válida do Mercado Pago (segredo da loja do ?loja=).
+// As notificações IPN (?topic=payment&id=123) não têm x-signature e são recusadas de propósito:
+// sem assinatura qualquer um poderia forjá-las. Os pagamentos chegam pelas notificações Webhooks.
+function validarAssinaturaMercadoPago(req, res, next) {
+    const verificacao = assinaturaWebhook.verificarAssinatura({
+        xSignature: req.get('x-signature'),
+        xRequestId: req.get('x-request-id'),
+        dataId: req.query['data.id'] || (req.body && req.body.data && req.body.data.id),
+        segredo: req.loja.mercadoPago.webhookSecret,
+        toleranciaSegundos: webhookToleranciaSegundos
+    });
+    if (!verificacao.valida) {
+        console.warn(`🚫 Webhook Mercado Pago recusado (loja ${req.loja.slug}): ${verificacao.motivo} (ip ${req.ip})`);
+        return res.status(401).json({ code: 'assinatura_invalida', message: 'Assinatura do webhook inválida.' });
+    }
+    next();
+}
+
 // ROTA DE WEBHOOK (para Mercado Pago - recebe notificações de status de pagamento)
-app.post('/mercadopago-webhook', (req, res) => {
+// Consulta o pagamento no Mercado Pago e atualiza o status do pedido (external_reference = id_pedido).
+// Em caso de erro responde 500 para que o Mercado Pago reenvie a notificação.
+app.post('/mercadopago-webhook', validarAssinaturaMercadoPago, async (req, res) => {
     console.log('🔔 --- Webhook Mercado Pago Recebido ---');
-    // Você pode adicionar lógica aqui para atualizar o status do pedido no Neon
-    // com base na notificação de pagamento do Mercado Pago (req.query.topic, req.query.id, req.body.data.id)
-    console.log('Query:', req.query);
-    console.log('Body:', req.body);
-    // IMPORTANTE: Responda rapidamente ao Mercado Pago para evitar timeouts
-    res.sendStatus(200);
+    const notificacao = pagamentos.extrairNotificacao(req.query, req.body);
+    try {
+        const { payment } = mercadoPagoDaLoja(req.loja);
+        const resultado = await pagamentos.processarNotificacao(payment, req.loja.id, {
+            ...notificacao,
+            payload: { query: req.query, body: req.body }
+        });
+        console.log(`🔔 Notificação ${notificacao.tipo || 'desconhecida'} (${notificacao.idPagamento || '-'}): ${resultado.resultado}`, resultado.idPedido ? `pedido ${resultado.idPedido} -> ${resultado.statusPedido}` : '');
+        res.sendStatus(200);
+    } catch (error) {
+        console.error('💥 Erro ao processar webhook do Mercado Pago:', error.cause || error.message || error);
+        res.sendStatus(500);
+    }
 });
 
 
+// Rotas inexistentes e erros de todas as rotas (inclusive validação dos corpos)
+app.use(rotaNaoEncontrada);
+app.use(tratarErros);
+
+
 // =========================================================
 // INICIAR O SERVIDOR
 // =========================================================
 
 app.listen(PORT, () => {
+  tempoReal.iniciar().catch(error => {
+    console.error('💥 Erro ao iniciar o feed de eventos dos pedidos:', error.message);
+  });
+  iniciarLimpezaIdempotencia();
+  notificacoes.iniciar();
   console.log(`🚀 Servidor backend rodando na porta ${PORT}`);
   console.log(`🌐 Ambiente: ${process.env.NODE_ENV || 'development'}`);
-  console.log(`💳 Mercado Pago configurado: ${accessToken ? 'SIM' : 'NÃO'}`);
   console.log(`🔗 Backend URL: ${process.env.BACKEND_URL || 'Não configurado'}`);
-  console.log(`🌐 Frontend URL (para back_urls): ${process.env.FRONTEND_URL || 'Não configurado'}`);
-  console.log(`🎯 Origens permitidas:`, allowedOrigins);
+  console.log(`🌐 Frontend URL padrão (para back_urls): ${process.env.FRONTEND_URL || 'Não configurado'}`);
+  lojas.resumo()
+    .then(resumo => resumo.forEach(loja => {
+      console.log(`🏪 Loja ${loja.slug} (${loja.nome}) - Mercado Pago: ${loja.mercadoPago} - Origens:`, loja.origens);
+    }))
+    .catch(error => console.error('💥 Erro ao carregar as lojas:', error.message));
 });
 
 // Tratamento de erros não capturados
@@ -0,0 +1,158 @@
+// sincronizacao.js - Fila offline do PWA (POST /api/pedidos/sync)
+// O PWA guarda os pedidos e as mudanças de status feitos sem conexão e os envia em lote ao voltar.
+// O lote é aplicado numa única transação, mas cada entrada tem o seu SAVEPOINT: uma entrada
+// recusada não desfaz as outras. Cada uma volta como accepted, duplicate ou rejected.
+
+const db = require('./db');
+const auth = require('./auth');
+const pedidos = require('./pedidos');
+const statusPedido = require('./statusPedido');
+const esquemas = require('./esquemas');
+const { validar } = require('./validacao');
+const { montarResposta } = require('./erros');
+
+// Pedidos parados na fila por mais tempo que isso são recusados (o cliente já desistiu ou foi atendido)
+const HORAS_MAXIMAS_OFFLINE = parseInt(process.env.SYNC_HORAS_MAXIMAS_OFFLINE, 10) || 6;
+// Tolerância para o relógio adiantado do aparelho
+const MINUTOS_TOLERANCIA_RELOGIO = 5;
+// O horário da loja é conferido no sentAt só se ele for recente; depois disso vale o relógio do
+// servidor, para que um sentAt antigo (ou forjado) não faça pedidos com a loja já fechada
+const MINUTOS_HORARIO_OFFLINE = parseInt(process.env.SYNC_MINUTOS_HORARIO_OFFLINE, 10) || 15;
+
+// sentAt do pedido offline, limitado ao momento atual; recusa filas antigas demais ou datas no futuro
+function momentoDoEnvio(sentAt, agora) {
+  if (!sentAt) return agora;
+  const enviadoEm = new Date(sentAt);
+  if (enviadoEm.getTime() > agora.getTime() + MINUTOS_TOLERANCIA_RELOGIO * 60000) {
+    throw new pedidos.ErroPedido('sentAt está no futuro. Confira o relógio do aparelho.', 400, 'dados_invalidos');
+  }
+  if (enviadoEm.getTime() < agora.getTime() - HORAS_MAXIMAS_OFFLINE * 3600000) {
+    throw new pedidos.ErroPedido(
+      `Pedido feito há mais de ${HORAS_MAXIMAS_OFFLINE} horas sem conexão. Faça o pedido de novo.`,
+      422,
+      'pedido_expirado'
+    );
+  }
+  return enviadoEm < agora ? enviadoEm : agora;
+}
+
+async function sincronizarPedido(client, idLoja, entrada, agora, idCliente) {
+  validar(esquemas.criarPedido, entrada);
+  // Um reenvio de pedido já salvo é sempre duplicate, por mais antigo que seja
+  const salvo = await pedidos.buscarSalvo(client, idLoja, entrada.orderId);
+  if (salvo) return { result: 'duplicate', ...salvo };
+
+  const enviadoEm = momentoDoEnvio(entrada.sentAt, agora);
+  const recente = enviadoEm.getTime() >= agora.getTime() - MINUTOS_HORARIO_OFFLINE * 60000;
+  const { novo, pedido } = await pedidos.criarPedido(client, idLoja, entrada, {
+    origem: 'sync',
+    agora: enviadoEm,
+    horario: recente ? enviadoEm : agora,
+    idCliente
+  });
+  return { result: novo ? 'accepted' : 'duplicate', ...pedido };
+}
+
+// Última escrita vence: uma mudança feita offline antes da última mudança já registrada no
+// servidor é recusada, para não desfazer o que outro aparelho fez depois.
+async function sincronizarStatus(client, idLoja, entrada, usuario) {
+  validar(esquemas.alteracaoStatusOffline, entrada);
+  const alteradoEm = new Date(entrada.changedAt);
+
+  const pedidoResult = await client.query(`
+    SELECT p.status,
+           (SELECT MAX(h.data_hora) FROM pedido_status_historico h WHERE h.id_pedido = p.id_pedido) AS ultima_alteracao
+    FROM pedidos p
+    WHERE p.id_pedido = $1 AND p.id_loja = $2
+    FOR UPDATE;
+  `, [String(entrada.orderId), idLoja]);
+  const pedido = pedidoResult.rows[0];
+  if (!pedido) {
+    throw new statusPedido.ErroStatusPedido(`Pedido ${entrada.orderId} não encontrado.`, 404);
+  }
+  if (pedido.status === entrada.status) {
+    return { result: 'duplicate', status: pedido.status };
+  }
+  if (pedido.ultima_alteracao && alteradoEm < pedido.ultima_alteracao) {
+    throw new pedidos.ErroPedido(
+      `O pedido passou para ${pedido.status} depois desta alteração.`,
+      409,
+      'status_desatualizado',
+      { currentStatus: pedido.status, serverChangedAt: pedido.ultima_alteracao }
+    );
+  }
+
+  const resultado = await statusPedido.alterarStatus(client, idLoja, entrada.orderId, entrada.status, {
+    ator: usuario.email,
+    idUsuario: usuario.sub,
+    origem: 'sync',
+    observacao: entrada.observacao || `Alterado offline em ${alteradoEm.toISOString()}`
+  });
+  return { result: 'accepted', previousStatus: resultado.previousStatus, status: resultado.status };
+}
+
+// Aplica uma entrada dentro de um SAVEPOINT. Erros de negócio viram `rejected` com o mesmo
+// { code, message, errors } das rotas; erros inesperados (ex.: banco) desfazem o lote inteiro.
+async function aplicarEntrada(client, aplicar) {
+  await client.query('SAVEPOINT entrada_sync');
+  try {
+    const resultado = await aplicar();
+    await client.query('RELEASE SAVEPOINT entrada_sync');
+    return resultado;
+  } catch (error) {
+    await client.query('ROLLBACK TO SAVEPOINT entrada_sync');
+    const { status, corpo } = montarResposta(error);
+    if (status >= 500) throw error;
+    return { result: 'rejected', ...corpo };
+  }
+}
+
+const idDaEntrada = (entrada) =>
+  (entrada && entrada.orderId !== undefined && entrada.orderId !== null ? String(entrada.orderId) : null);
+
+// Pedidos primeiro (na ordem enviada), depois as mudanças de status em ordem de changedAt, para que
+// uma mudança sobre um pedido do mesmo lote o encontre já criado. Os resultados seguem a ordem recebida.
+// `usuario` é o payload do token: do painel (obrigatório quando há statusChanges) ou do cliente,
+// cuja conta fica ligada aos pedidos.
+async function sincronizar(idLoja, { orders = [], statusChanges = [] }, usuario) {
+  const agora = new Date();
+  const idCliente = usuario && usuario.papel === auth.PAPEL_CLIENTE ? usuario.sub : null;
+  const resultados = { orders: [], statusChanges: new Array(statusChanges.length) };
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+
+    for (const entrada of orders) {
+      const resultado = await aplicarEntrada(client, () => sincronizarPedido(client, idLoja, entrada, agora, idCliente));
+      resultados.orders.push({ orderId: idDaEntrada(entrada), ...resultado });
+    }
+
+    const ordemAplicacao = statusChanges
+      .map((entrada, indice) => ({ entrada, indice, momento: new Date(entrada && entrada.changedAt).getTime() || 0 }))
+      .sort((a, b) => a.momento - b.momento || a.indice - b.indice);
+    for (const { entrada, indice } of ordemAplicacao) {
+      const resultado = await aplicarEntrada(client, () => sincronizarStatus(client, idLoja, entrada, usuario));
+      resultados.statusChanges[indice] = { orderId: idDaEntrada(entrada), ...resultado };
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+
+  const todos = [...resultados.orders, ...resultados.statusChanges];
+  const contar = (result) => todos.filter(item => item.result === result).length;
+  return {
+    ...resultados,
+    summary: { accepted: contar('accepted'), duplicate: contar('duplicate'), rejected: contar('rejected') }
+  };
+}
+
+module.exports = {
+  HORAS_MAXIMAS_OFFLINE,
+  sincronizar,
+};
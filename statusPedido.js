@@ -0,0 +1,115 @@
+// statusPedido.js - Ciclo de vida dos pedidos e histórico de mudanças de status
+
+const tempoReal = require('./tempoReal');
+const notificacoes = require('./notificacoes');
+const comanda = require('./comanda');
+const catalogo = require('./catalogo');
+
+// Transições permitidas a partir de cada status.
+// pendente -> em_preparo cobre pedidos pagos na entrega ou na mesa (dinheiro, maquininha).
+const TRANSICOES = {
+  pendente: ['pago', 'em_preparo', 'cancelado'],
+  pago: ['em_preparo', 'cancelado'],
+  em_preparo: ['saiu_para_entrega', 'pronto_na_mesa', 'cancelado'],
+  saiu_para_entrega: ['entregue', 'cancelado'],
+  pronto_na_mesa: ['entregue', 'cancelado'],
+  entregue: [],
+  cancelado: [],
+  // Só alcançado por estorno total (estornos.js) ou notificação 'refunded' do Mercado Pago
+  estornado: []
+};
+
+const STATUS = Object.keys(TRANSICOES);
+const STATUS_INICIAL = 'pendente';
+// Status em que os itens do pedido voltam ao estoque
+const STATUS_SEM_ESTOQUE = ['cancelado', 'estornado'];
+
+// Erro de mudança de status; `status` é o código HTTP que a rota deve devolver
+class ErroStatusPedido extends Error {
+  constructor(message, status, detalhes = {}) {
+    super(message);
+    this.name = 'ErroStatusPedido';
+    this.status = status;
+    this.detalhes = detalhes;
+  }
+}
+
+function transicaoPermitida(statusAtual, novoStatus) {
+  return (TRANSICOES[statusAtual] || []).includes(novoStatus);
+}
+
+// Grava a mudança em pedidos e no histórico, sem validar a transição.
+// Deve ser chamada dentro de uma transação, com a linha do pedido já bloqueada.
+async function registrarTransicao(client, { idPedido, statusAnterior, novoStatus, ator, idUsuario, origem, observacao }) {
+  await client.query('UPDATE pedidos SET status = $1 WHERE id_pedido = $2;', [novoStatus, idPedido]);
+  const insertHistoricoSql = `
+    INSERT INTO pedido_status_historico (
+      id_pedido, status_anterior, status_novo, ator, id_admin_user, origem, observacao
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7);
+  `;
+  await client.query(insertHistoricoSql, [
+    idPedido,
+    statusAnterior || null,
+    novoStatus,
+    ator,
+    idUsuario || null,
+    origem,
+    observacao || null
+  ]);
+  await tempoReal.publicarEvento(client, 'status_alterado', idPedido, {
+    status: novoStatus,
+    previousStatus: statusAnterior || null,
+    actor: ator,
+    source: origem
+  });
+  // Pagamento confirmado, saiu para entrega e pronto avisam o cliente por e-mail
+  await notificacoes.enfileirarPorStatus(client, idPedido, novoStatus);
+  // Pedido pago (ou aceito para pagar na entrega) vai para a fila de impressão da cozinha
+  await comanda.enfileirarImpressao(client, idPedido, statusAnterior, novoStatus);
+  // Cancelado ou estornado devolve o estoque; o cancelado que o webhook reabre (pago) baixa de novo
+  const devolvido = STATUS_SEM_ESTOQUE.includes(novoStatus);
+  if (devolvido !== STATUS_SEM_ESTOQUE.includes(statusAnterior)) {
+    await catalogo.movimentarEstoqueDoPedido(client, idPedido, devolvido ? 1 : -1);
+  }
+}
+
+// Altera o status de um pedido da loja respeitando o ciclo de vida. Pedir o status atual é um no-op.
+// Deve ser chamada dentro de uma transação.
+async function alterarStatus(client, idLoja, idPedido, novoStatus, { ator, idUsuario, origem = 'painel', observacao } = {}) {
+  if (!STATUS.includes(novoStatus)) {
+    throw new ErroStatusPedido(`Status inválido: ${novoStatus}.`, 400, { statusPermitidos: STATUS });
+  }
+
+  const pedidoResult = await client.query(
+    'SELECT status FROM pedidos WHERE id_pedido = $1 AND id_loja = $2 FOR UPDATE;',
+    [idPedido, idLoja]
+  );
+  if (pedidoResult.rows.length === 0) {
+    throw new ErroStatusPedido(`Pedido ${idPedido} não encontrado.`, 404);
+  }
+
+  const statusAnterior = pedidoResult.rows[0].status;
+  if (statusAnterior === novoStatus) {
+    return { orderId: idPedido, previousStatus: statusAnterior, status: novoStatus, changed: false };
+  }
+  if (!transicaoPermitida(statusAnterior, novoStatus)) {
+    throw new ErroStatusPedido(
+      `Transição de status não permitida: ${statusAnterior} -> ${novoStatus}.`,
+      409,
+      { orderId: idPedido, currentStatus: statusAnterior, allowed: TRANSICOES[statusAnterior] || [] }
+    );
+  }
+
+  await registrarTransicao(client, { idPedido, statusAnterior, novoStatus, ator, idUsuario, origem, observacao });
+  return { orderId: idPedido, previousStatus: statusAnterior, status: novoStatus, changed: true };
+}
+
+module.exports = {
+  TRANSICOES,
+  STATUS,
+  STATUS_INICIAL,
+  ErroStatusPedido,
+  transicaoPermitida,
+  registrarTransicao,
+  alterarStatus,
+};
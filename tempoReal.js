@@ -0,0 +1,178 @@
+// tempoReal.js - Feed de eventos dos pedidos em tempo real (Server-Sent Events)
+// Os eventos são gravados em eventos_pedidos e avisados via Postgres LISTEN/NOTIFY,
+// assim todas as instâncias do servidor repassam os mesmos eventos aos seus clientes SSE.
+
+const { Client } = require('pg');
+const db = require('./db');
+
+const CANAL = 'eventos_pedidos';
+const INTERVALO_HEARTBEAT_MS = 25000;
+const INTERVALO_RECONEXAO_MS = 5000;
+const DIAS_RETENCAO = 7;
+// Máximo de eventos reenviados a um cliente que reconecta com Last-Event-ID
+const LIMITE_REENVIO = 500;
+
+const clientes = new Set();
+let listener = null;
+
+// Grava um evento e avisa as instâncias. Deve ser chamada com o client da transação em curso:
+// o NOTIFY só é entregue no COMMIT, então eventos de transações desfeitas nunca são publicados.
+// O evento pertence à loja do pedido e só chega aos painéis dessa loja.
+async function publicarEvento(client, tipo, idPedido, dados) {
+  const result = await client.query(`
+    INSERT INTO eventos_pedidos (id_loja, tipo, id_pedido, dados)
+    VALUES ((SELECT id_loja FROM pedidos WHERE id_pedido = $2), $1, $2, $3)
+    RETURNING id_evento;
+  `, [tipo, idPedido, JSON.stringify(dados || {})]);
+  const idEvento = result.rows[0].id_evento;
+  await client.query('SELECT pg_notify($1, $2);', [CANAL, String(idEvento)]);
+  return idEvento;
+}
+
+// Eventos que o painel ainda não recebeu, dado o último que recebeu. A ordem dos ids não basta: o id
+// é pego no INSERT e o COMMIT pode vir fora de ordem. Vão os eventos da mesma transação do último
+// com id maior e os das transações que não estavam confirmadas no snapshot dele (um evento já
+// recebido pode ser repetido, nunca perdido). Se o último já saiu da retenção, vale a ordem dos ids.
+async function eventosPerdidos(idLoja, ultimoId) {
+  const ultimoResult = await db.query(
+    'SELECT xid_transacao, snapshot FROM eventos_pedidos WHERE id_evento = $1 AND id_loja = $2;',
+    [ultimoId, idLoja]
+  );
+  if (ultimoResult.rows.length === 0) {
+    const result = await db.query(
+      'SELECT * FROM eventos_pedidos WHERE id_evento > $1 AND id_loja = $2 ORDER BY id_evento LIMIT $3;',
+      [ultimoId, idLoja, LIMITE_REENVIO]
+    );
+    return result.rows;
+  }
+
+  const result = await db.query(`
+    SELECT e.*
+    FROM eventos_pedidos e, eventos_pedidos u
+    WHERE u.id_evento = $1 AND e.id_loja = $2
+      AND e.xid_transacao >= pg_snapshot_xmin(u.snapshot)
+      AND (
+        (e.xid_transacao = u.xid_transacao AND e.id_evento > u.id_evento)
+        OR (e.xid_transacao <> u.xid_transacao AND NOT pg_visible_in_snapshot(e.xid_transacao, u.snapshot))
+      )
+    ORDER BY e.id_evento
+    LIMIT $3;
+  `, [ultimoId, idLoja, LIMITE_REENVIO]);
+  return result.rows;
+}
+
+function formatarEvento(row) {
+  return `id: ${row.id_evento}\nevent: ${row.tipo}\ndata: ${JSON.stringify({
+    orderId: row.id_pedido,
+    ...row.dados,
+    at: row.criado_em
+  })}\n\n`;
+}
+
+function enviar(cliente, row) {
+  if (row.id_loja !== cliente.idLoja || cliente.enviados.has(String(row.id_evento))) return;
+  cliente.res.write(formatarEvento(row));
+}
+
+async function difundir(idEvento) {
+  const result = await db.query('SELECT * FROM eventos_pedidos WHERE id_evento = $1;', [idEvento]);
+  const row = result.rows[0];
+  if (!row) return;
+
+  for (const cliente of clientes) {
+    if (cliente.pronto) {
+      enviar(cliente, row);
+    } else {
+      cliente.fila.push(row); // Ainda reenviando eventos perdidos; entrega depois, na ordem
+    }
+  }
+}
+
+async function conectarListener() {
+  const client = new Client({
+    // LISTEN precisa de uma conexão direta (a URL "-pooler" do Neon não mantém sessões)
+    connectionString: process.env.DATABASE_LISTEN_URL || process.env.DATABASE_URL,
+    ssl: db.ssl
+  });
+
+  const reconectar = (error) => {
+    if (listener !== client) return;
+    listener = null;
+    console.error('⚠️ Conexão LISTEN de eventos perdida, reconectando:', error ? error.message : 'encerrada');
+    client.end().catch(() => {});
+    setTimeout(conectarListener, INTERVALO_RECONEXAO_MS).unref();
+  };
+
+  listener = client;
+  client.on('error', reconectar);
+  client.on('end', () => reconectar());
+  client.on('notification', (mensagem) => {
+    difundir(mensagem.payload).catch(error => {
+      console.error('Erro ao difundir evento de pedido:', error.message);
+    });
+  });
+
+  try {
+    await client.connect();
+    await client.query(`LISTEN ${CANAL};`);
+    console.log('📡 Escutando eventos de pedidos (LISTEN/NOTIFY).');
+  } catch (error) {
+    reconectar(error);
+  }
+}
+
+async function limparEventosAntigos() {
+  await db.query(`DELETE FROM eventos_pedidos WHERE criado_em < NOW() - ($1 || ' days')::interval;`, [DIAS_RETENCAO]);
+}
+
+// Inicia a escuta de eventos e a limpeza periódica. Chamado uma vez ao subir o servidor.
+async function iniciar() {
+  await conectarListener();
+  await limparEventosAntigos();
+  setInterval(() => {
+    limparEventosAntigos().catch(error => console.error('Erro ao limpar eventos antigos:', error.message));
+  }, 60 * 60 * 1000).unref();
+  setInterval(() => {
+    for (const cliente of clientes) cliente.res.write(': heartbeat\n\n');
+  }, INTERVALO_HEARTBEAT_MS).unref();
+}
+
+// Handler Express do stream SSE. Reenvia os eventos após Last-Event-ID (header enviado
+// automaticamente pelo EventSource ao reconectar, ou ?lastEventId=) e depois segue ao vivo.
+async function stream(req, res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${INTERVALO_RECONEXAO_MS}\n\n`);
+
+  const cliente = { res, idLoja: req.loja.id, pronto: false, fila: [], enviados: new Set() };
+  clientes.add(cliente);
+  req.on('close', () => clientes.delete(cliente));
+
+  const ultimoId = parseInt(req.get('last-event-id') || req.query.lastEventId, 10);
+  try {
+    if (!Number.isNaN(ultimoId)) {
+      for (const row of await eventosPerdidos(cliente.idLoja, ultimoId)) {
+        enviar(cliente, row);
+        cliente.enviados.add(String(row.id_evento));
+      }
+    }
+  } catch (error) {
+    console.error('Erro ao reenviar eventos perdidos:', error.message);
+  }
+
+  for (const row of cliente.fila) enviar(cliente, row);
+  cliente.fila = [];
+  cliente.enviados.clear();
+  cliente.pronto = true;
+}
+
+module.exports = {
+  publicarEvento,
+  iniciar,
+  stream,
+};
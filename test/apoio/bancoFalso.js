@@ -0,0 +1,53 @@
+// bancoFalso.js - db.js falso para os testes, instalado no cache do require antes dos módulos.
+// Cada consulta é respondida pelo primeiro tratador cujo padrão casa com o SQL (sem tratador,
+// { rows: [] }) e fica gravada em `consultas`, com o SQL em uma linha só e `viaClient` (feita pelo
+// client de db.getClient, e não por db.query).
+
+const path = require('path');
+
+function instalarBancoFalso() {
+  const banco = {
+    consultas: [],
+    tratadores: [],
+    // `resposta` é um resultado ({ rows }) ou uma função (params, sql) que devolve o resultado
+    responder(padrao, resposta) {
+      banco.tratadores.push([padrao, resposta]);
+      return banco;
+    },
+    limpar() {
+      banco.consultas.length = 0;
+      banco.tratadores.length = 0;
+    },
+    sqls() {
+      return banco.consultas.map(consulta => consulta.sql);
+    }
+  };
+
+  async function executar(texto, params, viaClient) {
+    const sql = String(texto).replace(/\s+/g, ' ').trim();
+    banco.consultas.push({ sql, params, viaClient });
+    for (const [padrao, resposta] of banco.tratadores) {
+      if (padrao.test(sql)) {
+        return typeof resposta === 'function' ? resposta(params, sql) : resposta;
+      }
+    }
+    return { rows: [] };
+  }
+  const query = (texto, params = []) => executar(texto, params, false);
+  const queryDoClient = (texto, params = []) => executar(texto, params, true);
+
+  const caminho = path.resolve(__dirname, '..', '..', 'db.js');
+  require.cache[caminho] = {
+    id: caminho,
+    filename: caminho,
+    loaded: true,
+    exports: {
+      query,
+      getClient: async () => ({ query: queryDoClient, release() {} }),
+      end: async () => {}
+    }
+  };
+  return banco;
+}
+
+module.exports = { instalarBancoFalso };
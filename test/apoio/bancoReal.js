@@ -0,0 +1,41 @@
+// bancoReal.js - db.js sobre um Postgres em memória (PGlite) com todas as migrações aplicadas,
+// para os testes que dependem das restrições do banco (CHECK, chaves estrangeiras), que o banco
+// falso não tem. Instalado no cache do require antes dos módulos, como o bancoFalso.
+// Só há uma conexão: os testes não podem abrir duas transações ao mesmo tempo.
+
+const fs = require('fs');
+const path = require('path');
+const { PGlite } = require('@electric-sql/pglite');
+
+const PASTA_MIGRACOES = path.join(__dirname, '..', '..', 'migrations');
+
+// Instala o db.js na hora; as consultas esperam as migrações terminarem. `banco.pg` é o PGlite,
+// para os testes prepararem e conferirem os dados.
+function instalarBancoReal() {
+  const pg = new PGlite();
+  const migracoes = fs.readdirSync(PASTA_MIGRACOES).filter(arquivo => /^\d+_.+\.up\.sql$/.test(arquivo)).sort();
+  const pronto = (async () => {
+    for (const arquivo of migracoes) {
+      await pg.exec(fs.readFileSync(path.join(PASTA_MIGRACOES, arquivo), 'utf8'));
+    }
+  })();
+
+  const query = async (texto, params = []) => {
+    await pronto;
+    return pg.query(texto, params);
+  };
+  const caminho = path.resolve(__dirname, '..', '..', 'db.js');
+  require.cache[caminho] = {
+    id: caminho,
+    filename: caminho,
+    loaded: true,
+    exports: {
+      query,
+      getClient: async () => ({ query, release() {} }),
+      end: () => pg.close()
+    }
+  };
+  return { pg, query };
+}
+
+module.exports = { instalarBancoReal };
@@ -0,0 +1,77 @@
+// Testes da validação da assinatura (x-signature) das notificações do Mercado Pago
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const assinaturaWebhook = require('../assinaturaWebhook');
+
+const SEGREDO = 'segredo-de-teste';
+const AGORA = Date.parse('2026-10-19T12:00:00Z');
+const TS = String(AGORA / 1000);
+
+// Notificação assinada como o Mercado Pago assina: HMAC-SHA256 do manifest com o segredo da loja
+function notificacaoAssinada({ dataId = '123456', requestId = 'req-abc', ts = TS, segredo = SEGREDO } = {}) {
+  const v1 = assinaturaWebhook.gerarAssinatura(assinaturaWebhook.montarManifest({ dataId, requestId, ts }), segredo);
+  return { xSignature: `ts=${ts},v1=${v1}`, xRequestId: requestId, dataId, segredo: SEGREDO, agora: AGORA };
+}
+
+describe('verificarAssinatura', () => {
+  it('aceita uma notificação assinada com o segredo da loja', () => {
+    assert.deepEqual(assinaturaWebhook.verificarAssinatura(notificacaoAssinada()), { valida: true });
+  });
+
+  it('aceita o ts em milissegundos e o data.id em maiúsculas', () => {
+    const notificacao = notificacaoAssinada({ dataId: 'abc123', ts: String(AGORA) });
+    assert.equal(assinaturaWebhook.verificarAssinatura({ ...notificacao, dataId: 'ABC123' }).valida, true);
+  });
+
+  it('recusa quando o data.id foi trocado', () => {
+    const verificacao = assinaturaWebhook.verificarAssinatura({ ...notificacaoAssinada(), dataId: '999999' });
+    assert.deepEqual(verificacao, { valida: false, motivo: 'assinatura não confere' });
+  });
+
+  it('recusa quando o x-request-id foi trocado', () => {
+    const verificacao = assinaturaWebhook.verificarAssinatura({ ...notificacaoAssinada(), xRequestId: 'req-outro' });
+    assert.equal(verificacao.motivo, 'assinatura não confere');
+  });
+
+  it('recusa a assinatura feita com outro segredo', () => {
+    const verificacao = assinaturaWebhook.verificarAssinatura(notificacaoAssinada({ segredo: 'segredo-de-outra-loja' }));
+    assert.equal(verificacao.motivo, 'assinatura não confere');
+  });
+
+  it('recusa um v1 adulterado ou com tamanho diferente', () => {
+    const notificacao = notificacaoAssinada();
+    const [ts, v1] = notificacao.xSignature.split(',');
+    const adulterado = `${ts},v1=${v1.slice(3, -1)}${v1[3] === '0' ? '1' : '0'}`;
+    assert.equal(assinaturaWebhook.verificarAssinatura({ ...notificacao, xSignature: adulterado }).valida, false);
+    assert.equal(assinaturaWebhook.verificarAssinatura({ ...notificacao, xSignature: `${ts},v1=abcd` }).valida, false);
+  });
+
+  it('recusa um ts fora da tolerância (replay)', () => {
+    const antigo = String(AGORA / 1000 - assinaturaWebhook.TOLERANCIA_PADRAO_SEGUNDOS - 1);
+    const verificacao = assinaturaWebhook.verificarAssinatura(notificacaoAssinada({ ts: antigo }));
+    assert.equal(verificacao.valida, false);
+    assert.match(verificacao.motivo, /^timestamp fora da tolerância/);
+  });
+
+  it('respeita a tolerância informada', () => {
+    const ts = String(AGORA / 1000 - 60);
+    const notificacao = notificacaoAssinada({ ts });
+    assert.equal(assinaturaWebhook.verificarAssinatura({ ...notificacao, toleranciaSegundos: 120 }).valida, true);
+    assert.equal(assinaturaWebhook.verificarAssinatura({ ...notificacao, toleranciaSegundos: 30 }).valida, false);
+  });
+
+  it('recusa sem os headers ou com o x-signature malformado', () => {
+    const notificacao = notificacaoAssinada();
+    assert.equal(assinaturaWebhook.verificarAssinatura({ ...notificacao, xSignature: undefined }).motivo, 'header x-signature ausente');
+    assert.equal(assinaturaWebhook.verificarAssinatura({ ...notificacao, xRequestId: undefined }).motivo, 'header x-request-id ausente');
+    assert.equal(assinaturaWebhook.verificarAssinatura({ ...notificacao, xSignature: 'v1=abc' }).motivo, 'header x-signature malformado');
+    assert.equal(assinaturaWebhook.verificarAssinatura({ ...notificacao, xSignature: 'ts=ontem,v1=abc' }).motivo, 'timestamp da assinatura inválido');
+  });
+
+  it('recusa tudo enquanto a loja não tiver segredo configurado', () => {
+    const verificacao = assinaturaWebhook.verificarAssinatura({ ...notificacaoAssinada(), segredo: null });
+    assert.deepEqual(verificacao, { valida: false, motivo: 'segredo do webhook não configurado' });
+  });
+});
@@ -0,0 +1,85 @@
+// Testes do middleware de autenticação do painel (auth.js) com o banco falso
+
+const { describe, it, beforeEach, mock } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarBancoFalso } = require('./apoio/bancoFalso');
+
+const banco = instalarBancoFalso();
+const auth = require('../auth');
+
+const SEGREDO = 'segredo-de-teste';
+const exigirPainel = auth.exigirPapel(SEGREDO, ...auth.PAPEIS);
+const exigirCliente = auth.exigirPapel(SEGREDO, auth.PAPEL_CLIENTE);
+
+let proximoId = 1;
+// Cada teste usa um usuário novo, para não aproveitar o cache de outro teste
+const token = (papel = 'staff') => auth.gerarToken({ id: proximoId++, email: 'a@loja.com', papel, idLoja: 1 }, SEGREDO);
+
+async function chamar(middleware, tokenEnviado) {
+  const req = { loja: { id: 1 }, get: nome => (nome === 'authorization' ? `Bearer ${tokenEnviado}` : undefined) };
+  const resposta = { status: null, corpo: null, seguiu: false };
+  const res = {
+    status(status) { resposta.status = status; return res; },
+    json(corpo) { resposta.corpo = corpo; return res; }
+  };
+  await middleware(req, res, () => { resposta.seguiu = true; });
+  return resposta;
+}
+
+const consultasDeAtivo = () => banco.sqls().filter(sql => sql.startsWith('SELECT ativo FROM admin_users'));
+
+beforeEach(() => {
+  banco.limpar();
+  mock.timers.reset();
+});
+
+describe('exigirPapel', () => {
+  it('deixa passar o usuário ativo do painel', async () => {
+    banco.responder(/^SELECT ativo FROM admin_users/, { rows: [{ ativo: true }] });
+
+    const resposta = await chamar(exigirPainel, token());
+
+    assert.equal(resposta.seguiu, true);
+    assert.equal(consultasDeAtivo().length, 1);
+  });
+
+  it('recusa o token de um usuário desativado', async () => {
+    banco.responder(/^SELECT ativo FROM admin_users/, { rows: [{ ativo: false }] });
+
+    const resposta = await chamar(exigirPainel, token());
+
+    assert.equal(resposta.seguiu, false);
+    assert.equal(resposta.status, 401);
+    assert.equal(resposta.corpo.code, 'nao_autenticado');
+  });
+
+  it('recusa o token de um usuário que não existe mais', async () => {
+    const resposta = await chamar(exigirPainel, token('owner'));
+
+    assert.equal(resposta.status, 401);
+  });
+
+  it('guarda a consulta por alguns segundos', async () => {
+    mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    let ativo = true;
+    banco.responder(/^SELECT ativo FROM admin_users/, () => ({ rows: [{ ativo }] }));
+    const tokenDoUsuario = token();
+
+    assert.equal((await chamar(exigirPainel, tokenDoUsuario)).seguiu, true);
+    ativo = false;
+    assert.equal((await chamar(exigirPainel, tokenDoUsuario)).seguiu, true);
+    assert.equal(consultasDeAtivo().length, 1);
+
+    mock.timers.tick(31000);
+    assert.equal((await chamar(exigirPainel, tokenDoUsuario)).status, 401);
+    assert.equal(consultasDeAtivo().length, 2);
+  });
+
+  it('não consulta admin_users para o token do cliente', async () => {
+    const resposta = await chamar(exigirCliente, token(auth.PAPEL_CLIENTE));
+
+    assert.equal(resposta.seguiu, true);
+    assert.equal(consultasDeAtivo().length, 0);
+  });
+});
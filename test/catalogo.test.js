@@ -0,0 +1,70 @@
+// Testes da validação do catálogo (catalogo.criar e catalogo.importar) com o banco falso
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarBancoFalso } = require('./apoio/bancoFalso');
+
+const banco = instalarBancoFalso();
+const db = require('../db');
+const catalogo = require('../catalogo');
+const { montarResposta } = require('../erros');
+
+const produto = (extra = {}) => ({ nome: 'Açaí 300ml', preco: 12, categoria: 'acai', ...extra });
+
+// Confere que `promessa` falha com 400 dados_invalidos apontando `campo`
+async function recusaCampo(promessa, campo) {
+  await assert.rejects(promessa, (error) => {
+    const { status, corpo } = montarResposta(error);
+    assert.equal(status, 400);
+    assert.equal(corpo.code, 'dados_invalidos');
+    assert.deepEqual(corpo.errors.map(erro => erro.field), [campo]);
+    return true;
+  });
+}
+
+beforeEach(() => {
+  banco.limpar();
+  banco
+    .responder(/^INSERT INTO produtos/, params => ({ rows: [{ id: params[0], ...produto() }] }))
+    .responder(/pg_get_serial_sequence/, { rows: [{ sequencia: 'produtos_id_seq' }] });
+});
+
+describe('criar', () => {
+  for (const id of ['abc', -1, 0, 1.5, '12a', 2 ** 31]) {
+    it(`recusa o id ${JSON.stringify(id)} antes de ir ao banco`, async () => {
+      const client = await db.getClient();
+      await recusaCampo(catalogo.criar(client, 1, 'produto', produto({ id }), 'dono'), 'id');
+      assert.deepEqual(banco.consultas, []);
+    });
+  }
+
+  it('aceita o id em texto e grava como número', async () => {
+    const client = await db.getClient();
+
+    await catalogo.criar(client, 1, 'produto', produto({ id: '7' }), 'dono');
+
+    const existente = banco.consultas.find(consulta => consulta.sql.startsWith('SELECT 1 FROM produtos'));
+    assert.deepEqual(existente.params, [7, 1]);
+    const insercao = banco.consultas.find(consulta => consulta.sql.startsWith('INSERT INTO produtos'));
+    assert.equal(insercao.params[0], 7);
+  });
+});
+
+describe('importar', () => {
+  it('recusa o lote com um id inválido', async () => {
+    const client = await db.getClient();
+    await recusaCampo(
+      catalogo.importar(client, 1, 'produto', [produto({ id: 1 }), produto({ id: 'abc' })], 'dono'),
+      '[1].id'
+    );
+  });
+
+  it('trata "1" e 1 como o mesmo id', async () => {
+    const client = await db.getClient();
+    await assert.rejects(
+      catalogo.importar(client, 1, 'produto', [produto({ id: 1 }), produto({ id: '1' })], 'dono'),
+      { detalhes: [{ field: '[1].id', message: '1 repetido.' }] }
+    );
+  });
+});
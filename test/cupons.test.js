@@ -0,0 +1,165 @@
+// Testes das regras de cupom no checkout (cupons.aplicarCupom) com o banco falso
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarBancoFalso } = require('./apoio/bancoFalso');
+
+const banco = instalarBancoFalso();
+const db = require('../db');
+const cupons = require('../cupons');
+
+const AGORA = new Date('2026-03-10T15:00:00Z');
+
+// Pedido de R$ 50: açaí de R$ 30 (produto 1) e 2 sucos de R$ 10 (produto 2)
+const pedido = {
+  total: 50,
+  items: [
+    { productId: 1, category: 'acai', totalItemPrice: 30 },
+    { productId: 2, category: 'bebida', totalItemPrice: 20 }
+  ]
+};
+
+function cupom(extra = {}) {
+  banco.responder(/^SELECT \* FROM cupons/, {
+    rows: [{
+      codigo: 'DEZ', descricao: '10% off', tipo: 'percentual', valor: '10', ativo: true, valido_de: null, valido_ate: null,
+      pedido_minimo: null, limite_total: null, limite_por_cliente: null, escopo_categorias: [], escopo_produtos: [],
+      ...extra
+    }]
+  });
+}
+
+// Usos já registrados do cupom: `total` na loja e `doCliente` pelo e-mail do pedido
+const usos = (total, doCliente = 0) =>
+  banco.responder(/FROM cupons_usos/, { rows: [{ total: String(total), do_cliente: String(doCliente) }] });
+
+const aplicar = (email = 'ana@exemplo.com', opcoes = {}) =>
+  cupons.aplicarCupom(db, 1, ' dez ', pedido, email, { agora: AGORA, ...opcoes });
+
+beforeEach(() => banco.limpar());
+
+describe('aplicarCupom', () => {
+  it('calcula o desconto percentual sobre os itens', async () => {
+    cupom();
+
+    assert.deepEqual(await aplicar(), { codigo: 'DEZ', descricao: '10% off', desconto: 5, freteGratis: false });
+    assert.deepEqual(banco.consultas[0].params, [1, 'DEZ']);
+  });
+
+  it('o desconto fixo não passa do valor dos itens', async () => {
+    cupom({ tipo: 'fixo', valor: '80' });
+
+    assert.equal((await aplicar()).desconto, 50);
+  });
+
+  it('frete grátis não dá desconto nos itens', async () => {
+    cupom({ tipo: 'frete_gratis', valor: '0', escopo_categorias: ['sorvete'] });
+
+    assert.deepEqual(await aplicar(), { codigo: 'DEZ', descricao: '10% off', desconto: 0, freteGratis: true });
+  });
+
+  it('cupom inexistente, de outra loja ou desativado é inválido', async () => {
+    await assert.rejects(aplicar(), { message: 'Cupom DEZ inválido.', status: 400 });
+
+    cupom({ ativo: false });
+    await assert.rejects(aplicar(), { message: 'Cupom DEZ inválido.' });
+  });
+
+  it('respeita o período de validade', async () => {
+    cupom({ valido_de: '2026-03-11T00:00:00Z' });
+    await assert.rejects(aplicar(), /fora do período de validade/);
+
+    banco.limpar();
+    cupom({ valido_ate: '2026-03-10T14:59:59Z' });
+    await assert.rejects(aplicar(), /fora do período de validade/);
+
+    banco.limpar();
+    cupom({ valido_de: '2026-03-01T00:00:00Z', valido_ate: '2026-03-31T23:59:59Z' });
+    assert.equal((await aplicar()).desconto, 5);
+  });
+
+  it('exige o pedido mínimo', async () => {
+    cupom({ pedido_minimo: '50.01' });
+    await assert.rejects(aplicar(), { message: 'O cupom DEZ exige pedido mínimo de R$ 50.01.' });
+
+    banco.limpar();
+    cupom({ pedido_minimo: '50.00' });
+    assert.equal((await aplicar()).desconto, 5);
+  });
+
+  describe('limites de uso', () => {
+    it('sem limites não conta os usos', async () => {
+      cupom();
+
+      await aplicar();
+
+      assert.ok(!banco.sqls().some(sql => sql.includes('FROM cupons_usos')));
+    });
+
+    it('recusa o cupom que atingiu o limite total', async () => {
+      cupom({ limite_total: 100 });
+      usos(100);
+
+      await assert.rejects(aplicar(), { message: 'O cupom DEZ já atingiu o limite de usos.' });
+    });
+
+    it('aceita enquanto houver usos disponíveis', async () => {
+      cupom({ limite_total: 100, limite_por_cliente: 2 });
+      usos(99, 1);
+
+      assert.equal((await aplicar()).desconto, 5);
+    });
+
+    it('recusa o cliente que já usou o máximo de vezes, contando pelo e-mail', async () => {
+      cupom({ limite_por_cliente: 1 });
+      usos(5, 1);
+
+      await assert.rejects(aplicar('Ana@Exemplo.com'), { message: 'Você já usou o cupom DEZ o máximo de vezes permitido.' });
+      const contagem = banco.consultas.find(consulta => consulta.sql.includes('FROM cupons_usos'));
+      assert.deepEqual(contagem.params, [1, 'DEZ', 'Ana@Exemplo.com']);
+    });
+
+    it('exige o e-mail quando há limite por cliente', async () => {
+      cupom({ limite_por_cliente: 1 });
+      usos(0);
+
+      await assert.rejects(aplicar(null), { message: 'Informe o e-mail para usar o cupom DEZ.' });
+    });
+
+    it('trava a linha do cupom dentro da transação do pedido', async () => {
+      cupom({ limite_total: 10 });
+      usos(0);
+
+      await aplicar('ana@exemplo.com', { bloquear: true });
+
+      assert.match(banco.consultas[0].sql, /FOR UPDATE;$/);
+    });
+  });
+
+  describe('escopo', () => {
+    it('desconta só os itens das categorias do cupom', async () => {
+      cupom({ escopo_categorias: ['bebida'] });
+
+      assert.equal((await aplicar()).desconto, 2);
+    });
+
+    it('desconta só os produtos do cupom, comparando ids como texto', async () => {
+      cupom({ tipo: 'fixo', valor: '40', escopo_produtos: ['1'] });
+
+      assert.equal((await aplicar()).desconto, 30);
+    });
+
+    it('soma categorias e produtos do escopo', async () => {
+      cupom({ escopo_categorias: ['bebida'], escopo_produtos: [1] });
+
+      assert.equal((await aplicar()).desconto, 5);
+    });
+
+    it('recusa o cupom sem nenhum item no escopo', async () => {
+      cupom({ escopo_categorias: ['sorvete'] });
+
+      await assert.rejects(aplicar(), { message: 'O cupom DEZ não se aplica aos itens do pedido.' });
+    });
+  });
+});
@@ -0,0 +1,117 @@
+// Testes da baixa de estoque (catalogo.baixarEstoque) e da disponibilidade na precificação, num
+// Postgres de verdade: o CHECK (estoque >= 0) da migração 003 faz parte do comportamento
+
+const { describe, it, before, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarBancoReal } = require('./apoio/bancoReal');
+
+const banco = instalarBancoReal();
+const catalogo = require('../catalogo');
+const precificacao = require('../precificacao');
+
+const estoqueDe = async (tabela, id) =>
+  (await banco.query(`SELECT estoque FROM ${tabela} WHERE id_loja = 1 AND id = $1;`, [id])).rows[0].estoque;
+
+// Executa `operacao` numa transação desfeita no final, como o pedido que falhou
+async function emTransacao(operacao) {
+  await banco.query('BEGIN');
+  try {
+    return await operacao(banco);
+  } finally {
+    await banco.query('ROLLBACK');
+  }
+}
+
+const item = (productId, quantity, complements = []) => ({ productId, quantity, complements });
+
+before(async () => {
+  await banco.query(`
+    INSERT INTO produtos (id_loja, id, nome, preco, categoria, estoque) VALUES
+      (1, 1, 'Açaí 300ml', 12, 'acai', 2),
+      (1, 2, 'Açaí 500ml', 18, 'acai', NULL);
+  `);
+  await banco.query(`
+    INSERT INTO complementos_disponiveis (id_loja, id, nome, preco, categoria, estoque) VALUES
+      (1, 10, 'Granola', 2, 'cobertura', 1);
+  `);
+});
+
+after(() => banco.pg.close());
+
+describe('baixarEstoque', () => {
+  beforeEach(async () => {
+    await banco.query('UPDATE produtos SET estoque = 2 WHERE id_loja = 1 AND id = 1;');
+  });
+
+  it('baixa o estoque quando há saldo', async () => {
+    await catalogo.baixarEstoque(banco, 1, [{ productId: 1, quantity: 2, complements: [] }]);
+    assert.equal(await estoqueDe('produtos', 1), 0);
+  });
+
+  it('recusa com 409 o pedido maior que o estoque, sem esbarrar no CHECK do banco', async () => {
+    await emTransacao(async (client) => {
+      await assert.rejects(
+        catalogo.baixarEstoque(client, 1, [
+          { productId: 1, quantity: 3, complements: [{ id: 10 }] },
+          { productId: 2, quantity: 1, complements: [] }
+        ]),
+        (error) => {
+          assert.ok(error instanceof catalogo.ErroCatalogo);
+          assert.equal(error.status, 409);
+          assert.deepEqual(error.detalhes, [
+            'Produto Açaí 300ml: estoque insuficiente (faltam 1).',
+            'Complemento Granola: estoque insuficiente (faltam 2).'
+          ]);
+          return true;
+        }
+      );
+    });
+    assert.equal(await estoqueDe('produtos', 1), 2);
+  });
+
+  it('não mexe em itens sem controle de estoque', async () => {
+    await catalogo.baixarEstoque(banco, 1, [{ productId: 2, quantity: 50, complements: [] }]);
+    assert.equal(await estoqueDe('produtos', 2), null);
+  });
+});
+
+describe('precificarItens e o estoque', () => {
+  beforeEach(async () => {
+    await banco.query('UPDATE produtos SET estoque = 2 WHERE id_loja = 1 AND id = 1;');
+  });
+
+  it('aceita a quantidade que o estoque cobre', async () => {
+    const { items } = await precificacao.precificarItens(1, [item(1, 1), item(1, 1)]);
+    assert.equal(items.length, 2);
+  });
+
+  it('soma os itens do mesmo produto antes de comparar com o estoque', async () => {
+    await assert.rejects(
+      precificacao.precificarItens(1, [item(1, 2), item(1, 1)]),
+      (error) => {
+        assert.ok(error instanceof precificacao.ErroPrecificacao);
+        assert.deepEqual(error.detalhes, [
+          'Item 1: Açaí 300ml: só há 2 em estoque.',
+          'Item 2: Açaí 300ml: só há 2 em estoque.'
+        ]);
+        return true;
+      }
+    );
+  });
+
+  it('confere o complemento pela quantidade do item', async () => {
+    await assert.rejects(
+      precificacao.precificarItens(1, [item(2, 2, [{ id: 10 }])]),
+      { detalhes: ['Item 1: complemento Granola: só há 1 em estoque.'] }
+    );
+  });
+
+  it('continua chamando de esgotado o item sem saldo', async () => {
+    await banco.query('UPDATE produtos SET estoque = 0 WHERE id_loja = 1 AND id = 1;');
+    await assert.rejects(
+      precificacao.precificarItens(1, [item(1, 1)]),
+      { detalhes: ['Item 1: Açaí 300ml está esgotado.'] }
+    );
+  });
+});
@@ -0,0 +1,146 @@
+// Testes do estorno pelo painel (estornos.js) com um stub do Mercado Pago e o banco falso
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarBancoFalso } = require('./apoio/bancoFalso');
+
+const banco = instalarBancoFalso();
+const estornos = require('../estornos');
+
+// Stub dos clientes do SDK (payment, paymentRefund) com os pagamentos de um pedido. As chamadas
+// entram na mesma linha do tempo das consultas, para conferir que nenhuma transação fica aberta.
+function mercadoPagoFalso(pagamentos, { falharEstorno = false } = {}) {
+  const registrar = (chamada) => banco.consultas.push({ sql: `MP ${chamada}`, params: [] });
+  return {
+    payment: {
+      async get({ id }) {
+        registrar(`get ${id}`);
+        return pagamentos[id];
+      },
+      async cancel({ id }) {
+        registrar(`cancel ${id}`);
+        return { id, status: 'cancelled' };
+      }
+    },
+    paymentRefund: {
+      async create({ payment_id: id, body }) {
+        registrar(`refund ${id} ${body.amount}`);
+        if (falharEstorno) throw new Error('refund rejected');
+        return { id: `r-${id}`, amount: body.amount };
+      }
+    }
+  };
+}
+
+// Pedido `p1` da loja 1 com as tentativas informadas (ids do Mercado Pago)
+function pedido({ status = 'pago', estornoIniciadoEm = null, tentativas = ['111'] } = {}) {
+  banco
+    .responder(/^SELECT status, estorno_iniciado_em FROM pedidos/, { rows: [{ status, estorno_iniciado_em: estornoIniciadoEm }] })
+    .responder(/^SELECT status FROM pedidos/, { rows: [{ status }] })
+    .responder(/^SELECT id_pagamento_mp FROM pagamentos/, { rows: tentativas.map(id => ({ id_pagamento_mp: id })) })
+    .responder(/^INSERT INTO eventos_pedidos/, { rows: [{ id_evento: 1 }] });
+}
+
+const aprovado = (id, valor, estornado = 0) => ({ id, status: 'approved', transaction_amount: valor, transaction_amount_refunded: estornado });
+const opcoes = { ator: 'dono@loja.com', idUsuario: 1, chaveIdempotencia: 'chave-1' };
+
+// A transação está aberta entre um BEGIN e o COMMIT/ROLLBACK seguinte
+function chamadasComTransacaoAberta() {
+  let aberta = false;
+  const chamadas = [];
+  for (const sql of banco.sqls()) {
+    if (sql === 'BEGIN') aberta = true;
+    if (sql === 'COMMIT' || sql === 'ROLLBACK') aberta = false;
+    if (sql.startsWith('MP ') && aberta) chamadas.push(sql);
+  }
+  return chamadas;
+}
+
+describe('estornarPedido', () => {
+  beforeEach(() => banco.limpar());
+
+  it('estorna tudo sem manter transação aberta durante as chamadas ao Mercado Pago', async () => {
+    pedido();
+    const resultado = await estornos.estornarPedido(mercadoPagoFalso({ 111: aprovado(111, 50) }), 1, 'p1', opcoes);
+
+    assert.equal(resultado.status, 'estornado');
+    assert.equal(resultado.refundedAmount, 50);
+    assert.deepEqual(resultado.refunds, [{ paymentId: '111', refundId: 'r-111', amount: 50 }]);
+    assert.deepEqual(chamadasComTransacaoAberta(), []);
+
+    const sqls = banco.sqls();
+    const marcado = sqls.indexOf('UPDATE pedidos SET estorno_iniciado_em = NOW() WHERE id_pedido = $1;');
+    const estorno = sqls.indexOf('MP refund 111 50');
+    const gravado = sqls.findIndex(sql => sql.startsWith('INSERT INTO estornos'));
+    const liberado = sqls.lastIndexOf('UPDATE pedidos SET estorno_iniciado_em = NULL WHERE id_pedido = $1;');
+    assert.ok(marcado < estorno && estorno < gravado && gravado < liberado);
+    assert.ok(sqls.includes('UPDATE pedidos SET status = $1 WHERE id_pedido = $2;'));
+  });
+
+  it('estorno parcial não muda o status do pedido', async () => {
+    pedido();
+    const resultado = await estornos.estornarPedido(mercadoPagoFalso({ 111: aprovado(111, 50) }), 1, 'p1', { ...opcoes, valor: 20 });
+
+    assert.equal(resultado.status, 'pago');
+    assert.equal(resultado.refundedAmount, 20);
+    assert.ok(!banco.sqls().includes('UPDATE pedidos SET status = $1 WHERE id_pedido = $2;'));
+  });
+
+  it('recusa um segundo estorno enquanto outro está em andamento', async () => {
+    pedido({ estornoIniciadoEm: new Date() });
+    const mp = mercadoPagoFalso({ 111: aprovado(111, 50) });
+
+    await assert.rejects(estornos.estornarPedido(mp, 1, 'p1', opcoes), { name: 'ErroEstorno', status: 409 });
+    assert.ok(!banco.sqls().some(sql => sql.startsWith('MP ')));
+  });
+
+  it('retoma um estorno abandonado há mais tempo que o limite', async () => {
+    pedido({ estornoIniciadoEm: new Date(Date.now() - 60 * 60000) });
+    const resultado = await estornos.estornarPedido(mercadoPagoFalso({ 111: aprovado(111, 50) }), 1, 'p1', opcoes);
+    assert.equal(resultado.status, 'estornado');
+  });
+
+  it('libera o pedido quando o estorno é recusado antes de chamar o Mercado Pago', async () => {
+    pedido();
+    const mp = mercadoPagoFalso({ 111: aprovado(111, 50, 40) });
+
+    await assert.rejects(estornos.estornarPedido(mp, 1, 'p1', { ...opcoes, valor: 20 }), { status: 400 });
+    const sqls = banco.sqls();
+    assert.equal(sqls.at(-1), 'UPDATE pedidos SET estorno_iniciado_em = NULL WHERE id_pedido = $1;');
+    assert.ok(!sqls.some(sql => sql.startsWith('MP refund')));
+  });
+
+  it('grava o que o Mercado Pago já fez quando o estorno falha no meio', async () => {
+    pedido({ tentativas: ['111', '222'] });
+    const mp = mercadoPagoFalso({
+      111: aprovado(111, 50),
+      222: { id: 222, status: 'pending', transaction_amount: 50 }
+    }, { falharEstorno: true });
+
+    await assert.rejects(estornos.estornarPedido(mp, 1, 'p1', opcoes), (error) => {
+      assert.equal(error.status, 502);
+      assert.deepEqual(error.detalhes.cancelledPayments, ['222']);
+      assert.equal(error.detalhes.status, 'pago');
+      return true;
+    });
+    const cancelado = banco.consultas.find(consulta => consulta.sql.startsWith("UPDATE pagamentos SET status_mp = 'cancelled'"));
+    assert.deepEqual(cancelado.params, ['222']);
+    assert.ok(banco.sqls().includes('UPDATE pedidos SET estorno_iniciado_em = NULL WHERE id_pedido = $1;'));
+    assert.ok(!banco.sqls().some(sql => sql.startsWith('INSERT INTO estornos')));
+  });
+
+  it('sem pagamento aprovado cancela as tentativas pendentes e o pedido', async () => {
+    pedido({ status: 'pendente' });
+    const mp = mercadoPagoFalso({ 111: { id: 111, status: 'pending', transaction_amount: 50 } });
+    const resultado = await estornos.estornarPedido(mp, 1, 'p1', opcoes);
+
+    assert.equal(resultado.status, 'cancelado');
+    assert.deepEqual(resultado.cancelledPayments, ['111']);
+    assert.deepEqual(chamadasComTransacaoAberta(), []);
+  });
+
+  it('responde 404 para pedido de outra loja', async () => {
+    await assert.rejects(estornos.estornarPedido(mercadoPagoFalso({}), 2, 'p1', opcoes), { status: 404 });
+  });
+});
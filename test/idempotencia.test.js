@@ -0,0 +1,90 @@
+// Testes do middleware de Idempotency-Key (idempotencia.js) com o banco falso
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+
+const { instalarBancoFalso } = require('./apoio/bancoFalso');
+
+const banco = instalarBancoFalso();
+const { idempotente } = require('../idempotencia');
+
+// App mínimo: loja 1 e, com o header X-Usuario, um cliente logado
+const app = express();
+app.use(express.json());
+app.use((req, res, next) => {
+  req.loja = { id: 1 };
+  if (req.get('X-Usuario')) req.usuario = { papel: 'cliente', sub: Number(req.get('X-Usuario')) };
+  next();
+});
+app.post('/pedidos', idempotente('pedidos'), (req, res) => res.status(201).json({ ok: true }));
+
+let servidor;
+let url;
+before(async () => {
+  servidor = app.listen(0);
+  await new Promise(resolve => servidor.once('listening', resolve));
+  url = `http://127.0.0.1:${servidor.address().port}/pedidos`;
+});
+after(() => servidor.close());
+
+const enviar = (headers = {}) => fetch(url, {
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', 'Idempotency-Key': 'k1', ...headers },
+  body: JSON.stringify({ orderId: 'p1' })
+});
+
+describe('idempotente', () => {
+  beforeEach(() => banco.limpar());
+
+  it('separa as chaves por loja e por usuário', async () => {
+    banco.responder(/^INSERT INTO requisicoes_idempotentes/, { rows: [{ rota: 'pedidos' }] });
+    await enviar();
+    await enviar({ 'X-Usuario': '7' });
+
+    const reservas = banco.consultas.filter(consulta => consulta.sql.startsWith('INSERT INTO requisicoes_idempotentes'));
+    assert.deepEqual(reservas.map(reserva => reserva.params.slice(0, 4)), [
+      [1, '', 'pedidos', 'k1'],
+      [1, 'cliente:7', 'pedidos', 'k1']
+    ]);
+  });
+
+  it('reserva em andamento só bloqueia a chave por alguns minutos', async () => {
+    banco
+      .responder(/^INSERT INTO requisicoes_idempotentes/, { rows: [] })
+      .responder(/^SELECT hash_corpo/, { rows: [] });
+    await enviar();
+    const reserva = banco.consultas.find(consulta => consulta.sql.startsWith('INSERT INTO requisicoes_idempotentes'));
+    assert.match(reserva.sql, /status_http IS NULL AND requisicoes_idempotentes\.criado_em < NOW\(\) - \(\$7 \|\| ' minutes'\)::interval/);
+    assert.equal(reserva.params[6], 2);
+  });
+
+  it('responde 409 com Retry-After enquanto a primeira requisição não terminou', async () => {
+    banco.responder(/^INSERT INTO requisicoes_idempotentes/, { rows: [{ rota: 'pedidos' }] });
+    assert.equal((await enviar()).status, 201);
+    const hash = banco.consultas.find(consulta => consulta.sql.startsWith('INSERT')).params[4];
+
+    banco.limpar();
+    banco
+      .responder(/^INSERT INTO requisicoes_idempotentes/, { rows: [] })
+      .responder(/^SELECT hash_corpo/, { rows: [{ hash_corpo: hash, status_http: null, resposta: null }] });
+    const repetida = await enviar();
+    assert.equal(repetida.status, 409);
+    assert.equal(repetida.headers.get('retry-after'), '120');
+  });
+
+  it('devolve a resposta gravada na repetição', async () => {
+    banco.responder(/^INSERT INTO requisicoes_idempotentes/, { rows: [{ rota: 'pedidos' }] });
+    await enviar();
+    const hash = banco.consultas.find(consulta => consulta.sql.startsWith('INSERT')).params[4];
+
+    banco.limpar();
+    banco
+      .responder(/^INSERT INTO requisicoes_idempotentes/, { rows: [] })
+      .responder(/^SELECT hash_corpo/, { rows: [{ hash_corpo: hash, status_http: 201, resposta: { ok: true } }] });
+    const repetida = await enviar();
+    assert.equal(repetida.status, 201);
+    assert.equal(repetida.headers.get('idempotent-replayed'), 'true');
+    assert.deepEqual(await repetida.json(), { ok: true });
+  });
+});
@@ -0,0 +1,120 @@
+// Testes da fila de e-mails (notificacoes.js): enfileiramento na transação do pedido e envio pelo
+// worker com o jsonTransport do nodemailer, sem SMTP
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const nodemailer = require('nodemailer');
+
+const { instalarBancoFalso } = require('./apoio/bancoFalso');
+
+const banco = instalarBancoFalso();
+const db = require('../db');
+const notificacoes = require('../notificacoes');
+
+// jsonTransport devolve a mensagem montada em vez de enviá-la; `falhar` simula o SMTP fora do ar
+const jsonTransport = nodemailer.createTransport({ jsonTransport: true });
+const smtp = {
+  enviados: [],
+  falhar: false,
+  async sendMail(mensagem) {
+    if (smtp.falhar) throw new Error('connect ECONNREFUSED');
+    const info = await jsonTransport.sendMail(mensagem);
+    smtp.enviados.push(JSON.parse(info.message));
+    return info;
+  }
+};
+notificacoes.iniciar({ transporte: smtp });
+
+function pedido({ email = 'ana@exemplo.com' } = {}) {
+  banco
+    .responder(/FROM pedidos p JOIN lojas l/, {
+      rows: [{
+        id_loja: 1, nome_cliente: 'Ana', email_cliente: email, valor_total: '25.50', endereco_entrega: null,
+        numero_mesa: '4', token_rastreio: 'tok123', nome_loja: 'Açaí em Casa', url_frontend: 'https://loja.exemplo'
+      }]
+    })
+    .responder(/FROM itens_do_pedido/, { rows: [{ nome_produto: 'Açaí 500ml', quantidade: 2, total_item_preco: '25.50' }] })
+    .responder(/FROM modelos_email/, { rows: [{ assunto: 'Pedido {{pedido}} recebido', corpo: 'Olá, {{nome}}!\n{{itens}}\nTotal: {{total}}\n{{linkRastreio}}' }] })
+    .responder(/^INSERT INTO notificacoes_email/, { rows: [{ id_notificacao: 1 }] });
+}
+
+// Mensagens devolvidas por reservarLote; a próxima reserva encontra a fila vazia
+function fila(mensagens) {
+  let reservadas = false;
+  banco.responder(/^UPDATE notificacoes_email SET tentativas = tentativas \+ 1/, () => {
+    const rows = reservadas ? [] : mensagens;
+    reservadas = true;
+    return { rows };
+  });
+}
+
+const mensagem = (extra = {}) => ({
+  id_notificacao: 7, destinatario: 'ana@exemplo.com', assunto: 'Pedido p1 recebido', corpo: 'Olá, Ana!\nTotal: R$ 25,50',
+  tentativas: 1, ...extra
+});
+
+const atualizacoes = () => banco.consultas.filter(({ sql }) => /^UPDATE notificacoes_email SET status/.test(sql));
+
+beforeEach(() => {
+  banco.limpar();
+  smtp.enviados.length = 0;
+  smtp.falhar = false;
+});
+
+describe('enfileirar', () => {
+  it('grava na fila a mensagem renderizada com o modelo da loja', async () => {
+    pedido();
+    assert.equal(await notificacoes.enfileirar(db, 'pedido_confirmado', 'p1'), true);
+
+    const insercao = banco.consultas.find(({ sql }) => sql.startsWith('INSERT INTO notificacoes_email'));
+    const [idPedido, tipo, destinatario, assunto, corpo] = insercao.params;
+    assert.deepEqual([idPedido, tipo, destinatario, assunto], ['p1', 'pedido_confirmado', 'ana@exemplo.com', 'Pedido p1 recebido']);
+    assert.equal(corpo, 'Olá, Ana!\n2x Açaí 500ml - R$ 25,50\nTotal: R$ 25,50\nhttps://loja.exemplo/rastreio.html?token=tok123');
+    assert.equal(smtp.enviados.length, 0);
+  });
+
+  it('ignora pedidos sem e-mail', async () => {
+    pedido({ email: null });
+    assert.equal(await notificacoes.enfileirar(db, 'pedido_confirmado', 'p1'), false);
+    assert.ok(!banco.sqls().some(sql => sql.startsWith('INSERT INTO notificacoes_email')));
+  });
+});
+
+describe('processarFila', () => {
+  it('envia as mensagens reservadas e as marca como enviadas', async () => {
+    fila([mensagem()]);
+
+    await notificacoes.processarFila();
+
+    assert.equal(smtp.enviados.length, 1);
+    const [enviado] = smtp.enviados;
+    assert.deepEqual(enviado.to, [{ address: 'ana@exemplo.com', name: '' }]);
+    assert.equal(enviado.subject, 'Pedido p1 recebido');
+    assert.equal(enviado.text, 'Olá, Ana!\nTotal: R$ 25,50');
+    assert.match(enviado.html, /Olá, Ana!<br>Total: R\$ 25,50/);
+
+    const [marcacao] = atualizacoes();
+    assert.match(marcacao.sql, /status = 'enviado'/);
+    assert.deepEqual(marcacao.params, [7]);
+  });
+
+  it('devolve à fila com espera crescente quando o envio falha', async () => {
+    smtp.falhar = true;
+    fila([mensagem({ tentativas: 3 })]);
+
+    await notificacoes.processarFila();
+
+    const [marcacao] = atualizacoes();
+    assert.deepEqual(marcacao.params, [7, 'pendente', 'connect ECONNREFUSED', 4]);
+  });
+
+  it('desiste da mensagem depois da última tentativa', async () => {
+    smtp.falhar = true;
+    fila([mensagem({ tentativas: 8 })]);
+
+    await notificacoes.processarFila();
+
+    const [marcacao] = atualizacoes();
+    assert.equal(marcacao.params[1], 'falhou');
+  });
+});
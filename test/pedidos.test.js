@@ -0,0 +1,68 @@
+// Testes da criação de pedidos (pedidos.criarPedido) com o banco falso
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarBancoFalso } = require('./apoio/bancoFalso');
+
+const banco = instalarBancoFalso();
+const db = require('../db');
+const pedidos = require('../pedidos');
+
+// Catálogo com um produto de R$ 10 na loja 1, aberta e sem horários cadastrados
+function catalogo() {
+  banco
+    .responder(/FROM pedidos p LEFT JOIN zonas_entrega/, { rows: [] })
+    .responder(/FROM lojas WHERE id_loja/, { rows: [{ fechada: false, mensagem: null }] })
+    .responder(/FROM produtos WHERE id::text = ANY/, {
+      rows: [{ id: 1, nome: 'Açaí 300ml', preco: '10.00', categoria: 'acai', num_complementos_gratis: 0, esgotado: false, estoque: null }]
+    })
+    .responder(/^INSERT INTO pedidos/, params => ({ rows: [{ id_pedido: params[0] }] }))
+    .responder(/^INSERT INTO itens_do_pedido/, { rows: [{ id_item_pedido: 1 }] })
+    .responder(/^INSERT INTO eventos_pedidos/, { rows: [{ id_evento: 1 }] });
+}
+
+const dadosPedido = (extra = {}) => ({
+  orderId: 'p1',
+  customerName: 'Ana',
+  items: [{ productId: 1, quantity: 1, complements: [] }],
+  deliveryOption: { type: 'retirada' },
+  paymentMethod: 'pix',
+  total: 10,
+  ...extra
+});
+
+beforeEach(() => {
+  banco.limpar();
+  catalogo();
+});
+
+describe('criarPedido', () => {
+  it('faz todas as consultas pelo client da transação, sem pegar outra conexão do pool', async () => {
+    const client = await db.getClient();
+
+    const { novo } = await pedidos.criarPedido(client, 1, dadosPedido());
+
+    assert.equal(novo, true);
+    assert.deepEqual(banco.consultas.filter(consulta => !consulta.viaClient).map(consulta => consulta.sql), []);
+  });
+
+  it('grava o pedido com o relógio do servidor, não com o sentAt enviado', async () => {
+    const antes = Date.now();
+
+    await pedidos.criarPedido(await db.getClient(), 1, dadosPedido({ sentAt: '2020-01-01T12:00:00Z' }));
+
+    const insercao = banco.consultas.find(consulta => consulta.sql.startsWith('INSERT INTO pedidos'));
+    const dataHoraEnvio = insercao.params[11];
+    assert.ok(dataHoraEnvio.getTime() >= antes && dataHoraEnvio.getTime() <= Date.now());
+  });
+
+  it('usa o momento informado pela sincronização offline', async () => {
+    const enviadoEm = new Date(Date.now() - 30 * 60000);
+
+    await pedidos.criarPedido(await db.getClient(), 1, dadosPedido({ sentAt: '2020-01-01T12:00:00Z' }), { origem: 'sync', agora: enviadoEm });
+
+    const insercao = banco.consultas.find(consulta => consulta.sql.startsWith('INSERT INTO pedidos'));
+    assert.equal(insercao.params[11], enviadoEm);
+  });
+});
@@ -0,0 +1,148 @@
+// Testes do recálculo de preços no servidor (precificacao.js) com o banco falso
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarBancoFalso } = require('./apoio/bancoFalso');
+
+const banco = instalarBancoFalso();
+const precificacao = require('../precificacao');
+
+// Açaí de R$ 15 com 2 complementos grátis e suco de R$ 8 sem complementos grátis; complementos de
+// R$ 3 (granola), R$ 1,50 (banana), R$ 4 (nutella) e R$ 1,50 (leite em pó)
+function catalogo() {
+  banco
+    .responder(/FROM produtos WHERE id::text = ANY/, {
+      rows: [
+        { id: 1, nome: 'Açaí 500ml', preco: '15.00', categoria: 'acai', num_complementos_gratis: 2, esgotado: false, estoque: null },
+        { id: 2, nome: 'Suco', preco: '8.00', categoria: 'bebida', num_complementos_gratis: 0, esgotado: false, estoque: null }
+      ]
+    })
+    .responder(/FROM complementos_disponiveis WHERE id::text = ANY/, {
+      rows: [
+        { id: 10, nome: 'Granola', preco: '3.00', esgotado: false, estoque: null },
+        { id: 11, nome: 'Banana', preco: '1.50', esgotado: false, estoque: null },
+        { id: 12, nome: 'Nutella', preco: '4.00', esgotado: false, estoque: null },
+        { id: 13, nome: 'Leite em pó', preco: '1.50', esgotado: false, estoque: null }
+      ]
+    });
+}
+
+const complementos = (...ids) => ids.map(id => ({ id }));
+
+beforeEach(() => {
+  banco.limpar();
+  catalogo();
+});
+
+describe('precificarItens', () => {
+  it('cobra os preços do catálogo e ignora os enviados pelo cliente', async () => {
+    const pedido = await precificacao.precificarItens(1, [
+      { productId: 2, quantity: 3, basePrice: 0.01, totalItemPrice: 0.03, complements: [{ id: 10, price: 0 }] }
+    ]);
+
+    assert.equal(pedido.total, 33);
+    assert.deepEqual(pedido.items[0].complements, [{ id: 10, name: 'Granola', price: 3 }]);
+    assert.equal(pedido.items[0].basePrice, 8);
+    assert.equal(pedido.items[0].unitPriceWithComplements, 11);
+  });
+
+  it('os complementos grátis são os mais baratos, não os primeiros enviados', async () => {
+    const { items: [item] } = await precificacao.precificarItens(1, [
+      { productId: 1, quantity: 1, complements: complementos(12, 10, 11) }
+    ]);
+
+    assert.deepEqual(item.complements.map(comp => comp.price), [4, 0, 0]);
+    assert.equal(item.unitPriceWithComplements, 19);
+  });
+
+  it('a ordem dos complementos não muda o valor do item', async () => {
+    const ordens = [[10, 11, 12, 13], [13, 12, 11, 10], [12, 10, 13, 11]];
+    const totais = [];
+    for (const ordem of ordens) {
+      const pedido = await precificacao.precificarItens(1, [{ productId: 1, quantity: 2, complements: complementos(...ordem) }]);
+      totais.push(pedido.total);
+    }
+
+    assert.deepEqual(totais, [44, 44, 44]);
+  });
+
+  it('no empate de preço fica grátis o enviado primeiro', async () => {
+    const { items: [item] } = await precificacao.precificarItens(1, [
+      { productId: 1, quantity: 1, complements: complementos(13, 10, 11, 12) }
+    ]);
+
+    assert.deepEqual(item.complements.map(comp => [comp.id, comp.price]), [[13, 0], [10, 3], [11, 0], [12, 4]]);
+  });
+
+  it('produto sem complementos grátis cobra todos', async () => {
+    const { items: [item] } = await precificacao.precificarItens(1, [
+      { productId: 2, quantity: 1, complements: complementos(11, 13) }
+    ]);
+
+    assert.equal(item.unitPriceWithComplements, 11);
+  });
+
+  it('busca produtos e complementos só da loja do pedido', async () => {
+    await precificacao.precificarItens(7, [{ productId: 1, quantity: 1, complements: complementos(10) }]);
+
+    assert.deepEqual(banco.consultas.map(consulta => consulta.params[1]), [7, 7]);
+  });
+
+  it('rejeita produto ou complemento fora do catálogo e quantidade inválida', async () => {
+    await assert.rejects(
+      precificacao.precificarItens(1, [
+        { productId: 99, quantity: 1 },
+        { productId: 1, quantity: 0 },
+        { productId: 1, quantity: 1, complements: complementos(98) }
+      ]),
+      error => {
+        assert.ok(error instanceof precificacao.ErroPrecificacao);
+        assert.deepEqual(error.detalhes, [
+          'Item 1: produto 99 não encontrado.',
+          'Item 2: quantidade inválida.',
+          'Item 3: complemento 98 não encontrado.'
+        ]);
+        return true;
+      }
+    );
+  });
+
+  it('rejeita pedido sem itens', async () => {
+    await assert.rejects(precificacao.precificarItens(1, []), { message: 'O pedido deve conter ao menos um item.' });
+  });
+});
+
+describe('conferirValores', () => {
+  const pedido = { items: [{ basePrice: 15, unitPriceWithComplements: 19, totalItemPrice: 38 }], total: 38 };
+
+  it('aceita valores iguais aos recalculados, com um centavo de tolerância', () => {
+    precificacao.conferirValores(pedido, [{ basePrice: 15, unitPriceWithComplements: '19.00', totalItemPrice: 38.01 }], 37.99);
+  });
+
+  it('rejeita total ou item divergente', () => {
+    assert.throws(
+      () => precificacao.conferirValores(pedido, [{ unitPriceWithComplements: 15 }], 34),
+      error => {
+        assert.deepEqual(error.detalhes, [
+          'Item 1: unitPriceWithComplements enviado 15, esperado 19.00.',
+          'Total enviado 34, esperado 38.00.'
+        ]);
+        return true;
+      }
+    );
+  });
+
+  it('exige o total do pedido', () => {
+    assert.throws(() => precificacao.conferirValores(pedido, [], undefined), { detalhes: ['Total do pedido não informado.'] });
+  });
+});
+
+describe('aplicarDesconto e adicionarTaxaEntrega', () => {
+  it('o desconto vale para os itens e a taxa de entrega é somada depois', () => {
+    const comDesconto = precificacao.aplicarDesconto({ items: [], total: 38 }, { codigo: 'DEZ', desconto: 3.8 });
+    const final = precificacao.adicionarTaxaEntrega(comDesconto, '5.00');
+
+    assert.deepEqual([final.subtotal, final.discount, final.deliveryFee, final.total], [38, 3.8, 5, 39.2]);
+  });
+});
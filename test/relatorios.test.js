@@ -0,0 +1,30 @@
+// Testes da exportação CSV dos relatórios (relatorios.paraCsv)
+
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarBancoFalso } = require('./apoio/bancoFalso');
+
+instalarBancoFalso();
+const relatorios = require('../relatorios');
+
+const linhasDoCsv = (csv) => csv.replace(/^﻿/, '').split('\r\n').filter(Boolean);
+
+describe('paraCsv', () => {
+  it('usa ";" e vírgula decimal, com aspas só quando precisa', () => {
+    const csv = relatorios.paraCsv({
+      colunas: ['nome', 'valor'],
+      linhas: [{ nome: 'Ana; Bia', valor: 12.5 }, { nome: 'Caio "C"', valor: null }]
+    });
+    assert.ok(csv.startsWith('﻿'));
+    assert.deepEqual(linhasDoCsv(csv), ['nome;valor', '"Ana; Bia";12,5', '"Caio ""C""";']);
+  });
+
+  it('neutraliza textos que o Excel leria como fórmula', () => {
+    const csv = relatorios.paraCsv({
+      colunas: ['nome_cliente', 'metodo_pagamento', 'observacoes', 'valor'],
+      linhas: [{ nome_cliente: '=HYPERLINK("http://x")', metodo_pagamento: '@SUM(A1)', observacoes: '+1-2', valor: -3 }]
+    });
+    assert.deepEqual(linhasDoCsv(csv)[1], `"'=HYPERLINK(""http://x"")";'@SUM(A1);'+1-2;-3`);
+  });
+});
@@ -0,0 +1,167 @@
+// Testes da fila offline do PWA (sincronizacao.js): duplicados, última escrita vence e SAVEPOINT
+// por entrada, com o banco falso
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarBancoFalso } = require('./apoio/bancoFalso');
+
+const banco = instalarBancoFalso();
+const sincronizacao = require('../sincronizacao');
+
+const DONO = { email: 'dono@loja.com', sub: 1, papel: 'owner' };
+// Momento da última mudança de status registrada no servidor para os pedidos já salvos
+const ULTIMA_ALTERACAO = new Date(Date.now() - 10 * 60000);
+
+const minutosAtras = (minutos) => new Date(Date.now() - minutos * 60000).toISOString();
+
+// Pedidos gravados na loja, por id; a loja 1 está aberta e vende um açaí de R$ 10
+let salvos;
+function loja() {
+  salvos = { p1: { id_loja: 1, status: 'pago', valor_total: '20.00', valor_desconto: '0', taxa_entrega: '0' } };
+  banco
+    .responder(/FROM pedidos p LEFT JOIN zonas_entrega/, params => ({ rows: salvos[params[0]] ? [salvos[params[0]]] : [] }))
+    .responder(/FROM lojas WHERE id_loja/, { rows: [{ fechada: false, mensagem: null }] })
+    .responder(/FROM produtos WHERE id::text = ANY/, {
+      rows: [{ id: 1, nome: 'Açaí 300ml', preco: '10.00', categoria: 'acai', num_complementos_gratis: 0, esgotado: false, estoque: null }]
+    })
+    .responder(/^INSERT INTO pedidos/, params => {
+      salvos[params[0]] = { id_loja: 1, status: 'pendente', valor_total: String(params[9]), valor_desconto: '0', taxa_entrega: '0' };
+      return { rows: [{ id_pedido: params[0] }] };
+    })
+    .responder(/^INSERT INTO itens_do_pedido/, { rows: [{ id_item_pedido: 1 }] })
+    .responder(/^INSERT INTO eventos_pedidos/, { rows: [{ id_evento: 1 }] })
+    .responder(/^SELECT p.status, \(SELECT MAX/, params => {
+      const pedido = salvos[params[0]];
+      return { rows: pedido && pedido.id_loja === params[1] ? [{ status: pedido.status, ultima_alteracao: ULTIMA_ALTERACAO }] : [] };
+    })
+    .responder(/^SELECT status FROM pedidos WHERE id_pedido/, params => ({ rows: [{ status: salvos[params[0]].status }] }))
+    .responder(/^UPDATE pedidos SET status/, params => {
+      salvos[params[1]].status = params[0];
+      return { rows: [] };
+    });
+}
+
+const pedido = (orderId, extra = {}) => ({
+  orderId,
+  customerName: 'Ana',
+  items: [{ productId: 1, quantity: 2, complements: [] }],
+  deliveryOption: { type: 'retirada' },
+  paymentMethod: 'pix',
+  total: 20,
+  sentAt: minutosAtras(1),
+  ...extra
+});
+
+const savepoints = () => banco.sqls().filter(sql => /SAVEPOINT|^BEGIN|^COMMIT|^ROLLBACK;?$/.test(sql));
+
+beforeEach(() => {
+  banco.limpar();
+  loja();
+});
+
+describe('sincronizar pedidos', () => {
+  it('aceita o pedido novo e devolve duplicate para o já salvo', async () => {
+    const resposta = await sincronizacao.sincronizar(1, { orders: [pedido('p2'), pedido('p1'), pedido('p2')] }, null);
+
+    assert.deepEqual(resposta.orders.map(item => [item.orderId, item.result]), [['p2', 'accepted'], ['p1', 'duplicate'], ['p2', 'duplicate']]);
+    assert.deepEqual(resposta.summary, { accepted: 1, duplicate: 2, rejected: 0 });
+    assert.equal(banco.sqls().filter(sql => sql.startsWith('INSERT INTO pedidos')).length, 1);
+  });
+
+  it('reenvio de pedido salvo é duplicate mesmo com sentAt antigo demais', async () => {
+    const { orders: [resultado] } = await sincronizacao.sincronizar(1, { orders: [pedido('p1', { sentAt: minutosAtras(24 * 60) })] }, null);
+
+    assert.equal(resultado.result, 'duplicate');
+  });
+
+  it('recusa o pedido parado na fila por horas demais e o sentAt no futuro', async () => {
+    const horas = sincronizacao.HORAS_MAXIMAS_OFFLINE;
+    const resposta = await sincronizacao.sincronizar(1, {
+      orders: [pedido('velho', { sentAt: minutosAtras(horas * 60 + 1) }), pedido('futuro', { sentAt: minutosAtras(-60) })]
+    }, null);
+
+    assert.deepEqual(resposta.orders.map(item => [item.result, item.code]), [['rejected', 'pedido_expirado'], ['rejected', 'dados_invalidos']]);
+    assert.ok(!banco.sqls().some(sql => sql.startsWith('INSERT INTO pedidos')));
+  });
+
+  it('a entrada recusada volta ao seu SAVEPOINT sem desfazer as outras', async () => {
+    const resposta = await sincronizacao.sincronizar(1, { orders: [pedido('p2', { total: 99 }), pedido('p3')] }, null);
+
+    assert.deepEqual(resposta.orders.map(item => item.result), ['rejected', 'accepted']);
+    assert.deepEqual(savepoints(), [
+      'BEGIN',
+      'SAVEPOINT entrada_sync', 'ROLLBACK TO SAVEPOINT entrada_sync',
+      'SAVEPOINT entrada_sync', 'RELEASE SAVEPOINT entrada_sync',
+      'COMMIT'
+    ]);
+  });
+
+  it('erro inesperado do banco desfaz o lote inteiro', async () => {
+    banco.tratadores.unshift([/^INSERT INTO itens_do_pedido/, () => { throw new Error('conexão perdida'); }]);
+
+    await assert.rejects(sincronizacao.sincronizar(1, { orders: [pedido('p2')] }, null), /conexão perdida/);
+    assert.equal(savepoints().at(-1), 'ROLLBACK');
+  });
+});
+
+describe('sincronizar mudanças de status', () => {
+  const alteracao = (status, changedAt, orderId = 'p1') => ({ orderId, status, changedAt });
+
+  it('aplica a mudança feita depois da última registrada no servidor', async () => {
+    const { statusChanges: [resultado] } = await sincronizacao.sincronizar(1, {
+      statusChanges: [alteracao('em_preparo', minutosAtras(5))]
+    }, DONO);
+
+    assert.deepEqual(resultado, { orderId: 'p1', result: 'accepted', previousStatus: 'pago', status: 'em_preparo' });
+    const historico = banco.consultas.find(consulta => consulta.sql.startsWith('INSERT INTO pedido_status_historico'));
+    assert.deepEqual(historico.params.slice(2, 6), ['em_preparo', 'dono@loja.com', 1, 'sync']);
+  });
+
+  it('recusa a mudança feita antes da última registrada no servidor', async () => {
+    const { statusChanges: [resultado] } = await sincronizacao.sincronizar(1, {
+      statusChanges: [alteracao('cancelado', minutosAtras(15))]
+    }, DONO);
+
+    assert.equal(resultado.result, 'rejected');
+    assert.equal(resultado.code, 'status_desatualizado');
+    assert.equal(salvos.p1.status, 'pago');
+  });
+
+  it('o status que o pedido já tem é duplicate', async () => {
+    const { statusChanges: [resultado] } = await sincronizacao.sincronizar(1, {
+      statusChanges: [alteracao('pago', minutosAtras(15))]
+    }, DONO);
+
+    assert.deepEqual(resultado, { orderId: 'p1', result: 'duplicate', status: 'pago' });
+  });
+
+  it('aplica em ordem de changedAt e devolve na ordem recebida', async () => {
+    const resposta = await sincronizacao.sincronizar(1, {
+      statusChanges: [alteracao('saiu_para_entrega', minutosAtras(2)), alteracao('em_preparo', minutosAtras(4))]
+    }, DONO);
+
+    assert.deepEqual(resposta.statusChanges.map(item => [item.status, item.result]), [['saiu_para_entrega', 'accepted'], ['em_preparo', 'accepted']]);
+    assert.equal(salvos.p1.status, 'saiu_para_entrega');
+  });
+
+  it('a mudança sobre um pedido do mesmo lote o encontra já criado', async () => {
+    const resposta = await sincronizacao.sincronizar(1, {
+      orders: [pedido('p2')],
+      statusChanges: [alteracao('em_preparo', new Date().toISOString(), 'p2')]
+    }, DONO);
+
+    assert.deepEqual(resposta.summary, { accepted: 2, duplicate: 0, rejected: 0 });
+  });
+
+  it('transição não permitida e pedido de outra loja são recusados', async () => {
+    salvos.p9 = { id_loja: 2, status: 'pendente' };
+
+    const resposta = await sincronizacao.sincronizar(1, {
+      statusChanges: [alteracao('pendente', minutosAtras(1)), alteracao('pago', minutosAtras(1), 'p9')]
+    }, DONO);
+
+    assert.deepEqual(resposta.statusChanges.map(item => [item.result, item.code]), [['rejected', 'status_invalido'], ['rejected', 'nao_encontrado']]);
+    assert.equal(salvos.p9.status, 'pendente');
+  });
+});
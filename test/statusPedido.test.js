@@ -0,0 +1,146 @@
+// Testes do ciclo de vida dos pedidos e da devolução de estoque nas mudanças de status
+// (statusPedido.js) com o banco falso
+
+const { describe, it, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { instalarBancoFalso } = require('./apoio/bancoFalso');
+
+const banco = instalarBancoFalso();
+const statusPedido = require('../statusPedido');
+
+// O db falso serve de client da transação
+const client = require('../db');
+
+// Pedido com 2 açaís (produto 7) com o complemento 3 e 1 suco (produto 12)
+function pedido(status) {
+  banco
+    .responder(/^SELECT status FROM pedidos/, { rows: [{ status }] })
+    .responder(/^INSERT INTO eventos_pedidos/, { rows: [{ id_evento: 1 }] })
+    .responder(/^SELECT 'produto' AS tipo/, {
+      rows: [
+        { tipo: 'produto', id: 7, quantidade: '2' },
+        { tipo: 'produto', id: 12, quantidade: '1' },
+        { tipo: 'complemento', id: 3, quantidade: '2' }
+      ]
+    });
+}
+
+const movimentos = () => banco.consultas
+  .filter(consulta => /SET estoque = GREATEST/.test(consulta.sql))
+  .map(consulta => `${consulta.sql.split(' ')[1]} ${consulta.params[0]} ${consulta.params[1]}`);
+
+describe('estoque nas mudanças de status', () => {
+  beforeEach(() => banco.limpar());
+
+  it('pedido cancelado devolve produtos e complementos ao estoque', async () => {
+    pedido('em_preparo');
+    await statusPedido.alterarStatus(client, 1, 'p1', 'cancelado', { ator: 'dono@loja.com' });
+    assert.deepEqual(movimentos(), ['produtos 12 1', 'produtos 7 2', 'complementos_disponiveis 3 2']);
+  });
+
+  it('estorno total devolve o estoque', async () => {
+    pedido('pago');
+    await statusPedido.registrarTransicao(client, {
+      idPedido: 'p1', statusAnterior: 'pago', novoStatus: 'estornado', ator: 'mercadopago', origem: 'webhook'
+    });
+    assert.equal(movimentos().length, 3);
+  });
+
+  it('cancelado reaberto pelo webhook baixa o estoque de novo', async () => {
+    pedido('cancelado');
+    await statusPedido.registrarTransicao(client, {
+      idPedido: 'p1', statusAnterior: 'cancelado', novoStatus: 'pago', ator: 'mercadopago', origem: 'webhook'
+    });
+    assert.deepEqual(movimentos(), ['produtos 12 -1', 'produtos 7 -2', 'complementos_disponiveis 3 -2']);
+  });
+
+  it('as demais mudanças não mexem no estoque', async () => {
+    pedido('pendente');
+    await statusPedido.alterarStatus(client, 1, 'p1', 'pago', { ator: 'dono@loja.com' });
+    assert.deepEqual(movimentos(), []);
+  });
+});
+
+describe('ciclo de vida do pedido', () => {
+  beforeEach(() => banco.limpar());
+
+  const atualizacoes = () => banco.consultas.filter(consulta => consulta.sql.startsWith('UPDATE pedidos SET status'));
+
+  it('segue o fluxo do pedido pago e entregue', async () => {
+    const caminho = ['pendente', 'pago', 'em_preparo', 'saiu_para_entrega', 'entregue'];
+    for (let i = 1; i < caminho.length; i++) {
+      banco.limpar();
+      pedido(caminho[i - 1]);
+      const resultado = await statusPedido.alterarStatus(client, 1, 'p1', caminho[i], { ator: 'dono@loja.com' });
+      assert.deepEqual(resultado, { orderId: 'p1', previousStatus: caminho[i - 1], status: caminho[i], changed: true });
+    }
+  });
+
+  it('pedido pago na entrega vai de pendente direto para o preparo', () => {
+    assert.equal(statusPedido.transicaoPermitida('pendente', 'em_preparo'), true);
+    assert.equal(statusPedido.transicaoPermitida('em_preparo', 'pronto_na_mesa'), true);
+  });
+
+  it('não volta status nem sai de entregue, cancelado ou estornado', () => {
+    assert.equal(statusPedido.transicaoPermitida('em_preparo', 'pago'), false);
+    assert.equal(statusPedido.transicaoPermitida('pendente', 'entregue'), false);
+    assert.equal(statusPedido.transicaoPermitida('pago', 'estornado'), false);
+    for (const status of ['entregue', 'cancelado', 'estornado']) {
+      for (const novoStatus of statusPedido.STATUS) {
+        assert.equal(statusPedido.transicaoPermitida(status, novoStatus), false, `${status} -> ${novoStatus}`);
+      }
+    }
+  });
+
+  it('recusa com 409 a transição não permitida, sem gravar nada', async () => {
+    pedido('entregue');
+
+    await assert.rejects(
+      statusPedido.alterarStatus(client, 1, 'p1', 'cancelado', { ator: 'dono@loja.com' }),
+      error => {
+        assert.ok(error instanceof statusPedido.ErroStatusPedido);
+        assert.equal(error.status, 409);
+        assert.deepEqual(error.detalhes, { orderId: 'p1', currentStatus: 'entregue', allowed: [] });
+        return true;
+      }
+    );
+    assert.deepEqual(atualizacoes(), []);
+  });
+
+  it('informa as transições possíveis a partir do status atual', async () => {
+    pedido('pago');
+
+    await assert.rejects(
+      statusPedido.alterarStatus(client, 1, 'p1', 'entregue', { ator: 'dono@loja.com' }),
+      { status: 409, detalhes: { orderId: 'p1', currentStatus: 'pago', allowed: ['em_preparo', 'cancelado'] } }
+    );
+  });
+
+  it('pedir o status atual não grava nada', async () => {
+    pedido('em_preparo');
+
+    const resultado = await statusPedido.alterarStatus(client, 1, 'p1', 'em_preparo', { ator: 'dono@loja.com' });
+
+    assert.equal(resultado.changed, false);
+    assert.deepEqual(atualizacoes(), []);
+  });
+
+  it('status desconhecido é 400 e pedido de outra loja é 404', async () => {
+    await assert.rejects(statusPedido.alterarStatus(client, 1, 'p1', 'perdido', { ator: 'dono@loja.com' }), { status: 400 });
+    assert.deepEqual(banco.consultas, []);
+
+    banco.responder(/^SELECT status FROM pedidos/, { rows: [] });
+    await assert.rejects(statusPedido.alterarStatus(client, 2, 'p1', 'pago', { ator: 'dono@loja.com' }), { status: 404 });
+    assert.deepEqual(banco.consultas[0].params, ['p1', 2]);
+  });
+
+  it('grava a mudança no histórico com o autor e a origem', async () => {
+    pedido('pendente');
+
+    await statusPedido.alterarStatus(client, 1, 'p1', 'pago', { ator: 'dono@loja.com', idUsuario: 3, observacao: 'pago no balcão' });
+
+    const historico = banco.consultas.find(consulta => consulta.sql.startsWith('INSERT INTO pedido_status_historico'));
+    assert.deepEqual(historico.params, ['p1', 'pendente', 'pago', 'dono@loja.com', 3, 'painel', 'pago no balcão']);
+  });
+});
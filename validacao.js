@@ -0,0 +1,145 @@
+// validacao.js - Validação dos corpos das requisições por esquema
+// Cada regra recebe o valor bruto, o caminho do campo (ex.: "items[0].quantity") e a lista de erros,
+// onde acrescenta { field, message } para cada problema. As regras só conferem: o corpo não é alterado.
+
+// Corpo inválido: vira uma resposta 400 com os erros por campo
+class ErroValidacao extends Error {
+  constructor(message, detalhes = []) {
+    super(message);
+    this.name = 'ErroValidacao';
+    this.status = 400;
+    this.detalhes = detalhes;
+  }
+}
+
+const EMAIL = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const ausente = (valor) => valor === undefined || valor === null || valor === '';
+
+// Envolve a regra com o tratamento de campo ausente, comum a todas
+const regra = (conferir) => ({ obrigatorio = false, ...opcoes } = {}) => (valor, campo, erros) => {
+  if (ausente(valor)) {
+    if (obrigatorio) erros.push({ field: campo, message: 'é obrigatório.' });
+    return;
+  }
+  const mensagem = conferir(valor, opcoes, campo, erros);
+  if (mensagem) erros.push({ field: campo, message: mensagem });
+};
+
+const texto = regra((valor, { maximo = 255, formato, descricaoFormato }) => {
+  if (typeof valor !== 'string') return 'deve ser um texto.';
+  if (valor.trim().length > maximo) return `deve ter no máximo ${maximo} caracteres.`;
+  if (formato && !formato.test(valor.trim())) return descricaoFormato || 'está em formato inválido.';
+  return null;
+});
+
+const email = (opcoes = {}) => texto({ ...opcoes, formato: EMAIL, descricaoFormato: 'deve ser um e-mail válido.' });
+
+// Números também são aceitos como texto ("12.50"), como o PWA às vezes envia os preços
+const numero = regra((valor, { minimo, maximo }) => {
+  const convertido = typeof valor === 'string' ? Number(valor.replace(',', '.')) : valor;
+  if (typeof convertido !== 'number' || !Number.isFinite(convertido)) return 'deve ser um número.';
+  if (minimo !== undefined && convertido < minimo) return `deve ser maior ou igual a ${minimo}.`;
+  if (maximo !== undefined && convertido > maximo) return `deve ser menor ou igual a ${maximo}.`;
+  return null;
+});
+
+const inteiro = regra((valor, { minimo, maximo }) => {
+  const convertido = typeof valor === 'string' && /^-?\d+$/.test(valor) ? Number(valor) : valor;
+  if (!Number.isInteger(convertido)) return 'deve ser um número inteiro.';
+  if (minimo !== undefined && convertido < minimo) return `deve ser maior ou igual a ${minimo}.`;
+  if (maximo !== undefined && convertido > maximo) return `deve ser menor ou igual a ${maximo}.`;
+  return null;
+});
+
+const booleano = regra((valor) => (typeof valor === 'boolean' ? null : 'deve ser true ou false.'));
+
+// Data/hora ISO 8601 (ex.: sentAt do PWA) ou timestamp em milissegundos
+const dataHora = regra((valor) => {
+  if (typeof valor !== 'string' && typeof valor !== 'number') return 'deve ser uma data ISO 8601.';
+  return Number.isNaN(new Date(valor).getTime()) ? 'deve ser uma data válida.' : null;
+});
+
+// Ids de pedidos, produtos e complementos: texto ou número
+const identificador = regra((valor) => {
+  if (typeof valor === 'number' && Number.isFinite(valor)) return null;
+  if (typeof valor === 'string' && valor.trim() !== '' && valor.length <= 255) return null;
+  return 'deve ser um identificador (texto ou número).';
+});
+
+const opcao = regra((valor, { valores }) =>
+  (valores.includes(valor) ? null : `deve ser um destes valores: ${valores.join(', ')}.`));
+
+const lista = (regraItem, opcoesLista = {}) => regra((valor, { minimo, maximo }, campo, erros) => {
+  if (!Array.isArray(valor)) return 'deve ser uma lista.';
+  if (minimo !== undefined && valor.length < minimo) return `deve ter ao menos ${minimo} ${minimo === 1 ? 'item' : 'itens'}.`;
+  if (maximo !== undefined && valor.length > maximo) return `deve ter no máximo ${maximo} itens.`;
+  valor.forEach((item, indice) => regraItem(item, `${campo}[${indice}]`, erros));
+  return null;
+})(opcoesLista);
+
+// `verificar(dados)` permite regras entre campos; devolve [campo, mensagem] para cada problema
+const objeto = (campos, opcoesObjeto = {}) => regra((valor, { verificar }, campo, erros) => {
+  if (typeof valor !== 'object' || Array.isArray(valor)) return 'deve ser um objeto.';
+  const prefixo = campo ? `${campo}.` : '';
+  for (const [nome, regraCampo] of Object.entries(campos)) {
+    regraCampo(valor[nome], `${prefixo}${nome}`, erros);
+  }
+  if (verificar) {
+    for (const [nome, mensagem] of verificar(valor)) {
+      erros.push({ field: `${prefixo}${nome}`, message: mensagem });
+    }
+  }
+  return null;
+})(opcoesObjeto);
+
+// Objeto usado como dicionário ({ categoria: [produtos] }, { id: complemento }): valida cada valor
+const mapa = (regraValor, opcoesMapa = {}) => regra((valor, opcoes, campo, erros) => {
+  if (typeof valor !== 'object' || Array.isArray(valor)) return 'deve ser um objeto.';
+  const prefixo = campo ? `${campo}.` : '';
+  for (const [chave, item] of Object.entries(valor)) {
+    regraValor(item, `${prefixo}${chave}`, erros);
+  }
+  return null;
+})(opcoesMapa);
+
+// Confere `valor` contra o esquema e lança ErroValidacao com todos os erros encontrados
+function validar(esquema, valor) {
+  const erros = [];
+  esquema(valor, '', erros);
+  if (erros.length > 0) {
+    throw new ErroValidacao('Dados da requisição inválidos.', erros.map(erro => ({
+      field: erro.field || '(corpo)',
+      message: erro.message
+    })));
+  }
+}
+
+// Middleware Express: valida req.body antes da rota (e antes de reservar a Idempotency-Key)
+function validarCorpo(esquema) {
+  return (req, res, next) => {
+    try {
+      validar(esquema, req.body);
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+}
+
+module.exports = {
+  ErroValidacao,
+  texto,
+  email,
+  numero,
+  inteiro,
+  booleano,
+  dataHora,
+  identificador,
+  opcao,
+  lista,
+  objeto,
+  mapa,
+  validar,
+  validarCorpo,
+};